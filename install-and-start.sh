@@ -3,5 +3,10 @@
 echo "🔧 Installing dependencies..."
 npm install
 
+echo "🔐 Starting the API proxy..."
+npm run server &
+SERVER_PID=$!
+trap 'kill $SERVER_PID 2>/dev/null' EXIT
+
 echo "🚀 Starting the development server..."
 npm start
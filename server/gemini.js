@@ -0,0 +1,218 @@
+/**
+ * Server-side Gemini client
+ * Holds the API key and talks to Google's Generative Language API on behalf of the browser
+ */
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+const TEXT_MODEL = process.env.GEMINI_TEXT_MODEL || 'gemini-2.0-flash';
+const IMAGE_MODEL = process.env.GEMINI_IMAGE_MODEL || 'imagen-3.0-generate-002';
+
+/**
+ * Error carrying the HTTP status (and upstream Retry-After header) the proxy should answer with
+ */
+class UpstreamError extends Error {
+  constructor(message, status = 502, retryAfter = null) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Error for a server that cannot serve requests until it is reconfigured
+ * Marked as not retryable, since trying again cannot help until the server is restarted
+ */
+class ConfigurationError extends UpstreamError {
+  constructor(message) {
+    super(message, 503);
+    this.name = 'ConfigurationError';
+    this.retryable = false;
+  }
+}
+
+/**
+ * Build an UpstreamError from a failed Gemini response
+ * @param {Response} response - Failed fetch response
+ * @param {string} message - Error message
+ * @returns {UpstreamError} Error mirroring the upstream status
+ */
+const upstreamErrorFrom = (response, message) => (
+  new UpstreamError(message, response.status, response.headers.get('retry-after'))
+);
+
+/**
+ * Read the API key, failing clearly when the server was started without one
+ * @returns {string} Gemini API key
+ */
+const getApiKey = () => {
+  const apiKey = process.env.GEMINI_API_KEY;
+  if (!apiKey) {
+    throw new ConfigurationError('GEMINI_API_KEY is not set on the server');
+  }
+  return apiKey;
+};
+
+/**
+ * Generate text content with Gemini
+ * @param {string} prompt - The prompt to send to the API
+ * @param {Object} schema - JSON schema for structured response (optional)
+ * @param {AbortSignal} signal - Stops the upstream request, e.g. when the browser disconnects (optional)
+ * @returns {Promise<string>} Raw generated text (JSON text when a schema is given)
+ */
+const generateText = async (prompt, schema = null, signal = null) => {
+  const url = `${GEMINI_BASE_URL}/${TEXT_MODEL}:generateContent?key=${getApiKey()}`;
+
+  const requestBody = {
+    contents: [{
+      parts: [{
+        text: prompt
+      }]
+    }],
+    generationConfig: {
+      temperature: 0.8,
+      topK: 40,
+      topP: 0.95,
+      maxOutputTokens: 8192,
+    }
+  };
+
+  // Add response schema if provided for structured output
+  if (schema) {
+    requestBody.generationConfig.responseMimeType = 'application/json';
+    requestBody.generationConfig.responseSchema = schema;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(requestBody),
+    signal
+  });
+
+  if (!response.ok) {
+    throw upstreamErrorFrom(response, `API request failed with status ${response.status}`);
+  }
+
+  const data = await response.json();
+
+  if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
+    throw new UpstreamError('Invalid response structure from API');
+  }
+
+  return data.candidates[0].content.parts[0].text;
+};
+
+/**
+ * Stream plain text from Gemini as it is generated
+ * Reads the server-sent events of streamGenerateContent and reports each text delta
+ * @param {string} prompt - The prompt to send to the API
+ * @param {Function} onChunk - Called with each new piece of text
+ * @param {AbortSignal} signal - Stops the upstream request, e.g. when the browser disconnects (optional)
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+const streamText = async (prompt, onChunk, signal = null) => {
+  const url = `${GEMINI_BASE_URL}/${TEXT_MODEL}:streamGenerateContent?alt=sse&key=${getApiKey()}`;
+
+  const requestBody = {
+    contents: [{
+      parts: [{
+        text: prompt
+      }]
+    }],
+    generationConfig: {
+      temperature: 0.8,
+      topK: 40,
+      topP: 0.95,
+      maxOutputTokens: 8192,
+    }
+  };
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(requestBody),
+    signal
+  });
+
+  if (!response.ok) {
+    throw upstreamErrorFrom(response, `API request failed with status ${response.status}`);
+  }
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  /**
+   * Forward the text parts of one SSE event
+   * @param {string} event - Raw event block
+   */
+  const handleEvent = (event) => {
+    const data = event.split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trim())
+      .join('\n');
+    if (!data) return;
+
+    const parts = JSON.parse(data).candidates?.[0]?.content?.parts || [];
+    const text = parts.map(part => part.text || '').join('');
+    if (text) onChunk(text);
+  };
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    events.forEach(handleEvent);
+  }
+
+  if (buffer.trim()) handleEvent(buffer);
+};
+
+/**
+ * Generate an image with Imagen
+ * @param {string} prompt - The image prompt
+ * @param {AbortSignal} signal - Stops the upstream request, e.g. when the browser disconnects (optional)
+ * @returns {Promise<string>} Base64 encoded PNG data
+ */
+const generateImage = async (prompt, signal = null) => {
+  const url = `${GEMINI_BASE_URL}/${IMAGE_MODEL}:predict?key=${getApiKey()}`;
+
+  const payload = {
+    instances: { prompt: prompt },
+    parameters: { sampleCount: 1 }
+  };
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.warn(`Image generation failed (${response.status}): ${errorText}`);
+    throw upstreamErrorFrom(response, `API returned ${response.status}`);
+  }
+
+  const result = await response.json();
+
+  if (result.predictions && result.predictions.length > 0 && result.predictions[0].bytesBase64Encoded) {
+    return result.predictions[0].bytesBase64Encoded;
+  }
+
+  throw new UpstreamError('No image data in response');
+};
+
+module.exports = {
+  UpstreamError,
+  ConfigurationError,
+  generateText,
+  streamText,
+  generateImage
+};
@@ -0,0 +1,284 @@
+/**
+ * API Proxy Server
+ * Keeps the Gemini and OpenAI API keys on the server and exposes the generation routes the browser calls.
+ * Also serves the production build from /build when it exists.
+ *
+ * Usage: GEMINI_API_KEY=... [OPENAI_API_KEY=...] node server/index.js
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// The proxy reaches Gemini and OpenAI with the global fetch, which Node.js 18 added
+if (typeof fetch !== 'function') {
+  console.error(`The API proxy needs Node.js 18 or later; this is Node.js ${process.version}.`);
+  process.exit(1);
+}
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const BUILD_DIR = path.join(ROOT_DIR, 'build');
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Load KEY=value pairs from the project's .env file without overriding real environment variables
+ */
+const loadEnvFile = () => {
+  const envPath = path.join(ROOT_DIR, '.env');
+  if (!fs.existsSync(envPath)) return;
+
+  fs.readFileSync(envPath, 'utf8').split(/\r?\n/).forEach((line) => {
+    const match = line.match(/^\s*([\w.]+)\s*=\s*(.*?)\s*$/);
+    if (!match || line.trim().startsWith('#')) return;
+    const [, key, rawValue] = match;
+    if (process.env[key] === undefined) {
+      process.env[key] = rawValue.replace(/^(['"])(.*)\1$/, '$2');
+    }
+  });
+};
+
+loadEnvFile();
+
+// Required after the .env file is loaded so the client sees model overrides
+const gemini = require('./gemini');
+const openai = require('./openai');
+
+const PORT = Number(process.env.API_PORT || process.env.PORT || 3001);
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ * @param {Object} headers - Extra response headers
+ */
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new gemini.UpstreamError('Request body too large', 413));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+    } catch (err) {
+      reject(new gemini.UpstreamError('Request body must be valid JSON', 400));
+    }
+  });
+
+  req.on('error', reject);
+});
+
+/**
+ * Validate the prompt field shared by both generation routes
+ * @param {Object} body - Parsed request body
+ * @returns {string} Prompt
+ */
+const requirePrompt = (body) => {
+  if (typeof body.prompt !== 'string' || !body.prompt.trim()) {
+    throw new gemini.UpstreamError('A non-empty "prompt" string is required', 400);
+  }
+  return body.prompt;
+};
+
+/**
+ * Create a signal that aborts when the browser goes away (e.g. the user cancelled), so the
+ * upstream request stops and spends no more quota
+ * @param {http.ServerResponse} res - Response
+ * @returns {AbortSignal} Signal for the upstream request
+ */
+const abortOnDisconnect = (res) => {
+  const upstream = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) upstream.abort();
+  });
+  return upstream.signal;
+};
+
+/**
+ * Create a route that forwards a request to OpenAI and pipes the answer back as it arrives
+ * Streamed chat completions (server-sent events) pass through chunk by chunk
+ * @param {string} route - OpenAI route from openai.FORWARDED_PATHS
+ * @returns {Function} Route handler
+ */
+const forwardToOpenAI = (route) => async (req, res) => {
+  const body = await readJsonBody(req);
+  const signal = abortOnDisconnect(res);
+  const upstream = await openai.forward(route, body, signal);
+
+  res.writeHead(upstream.status, {
+    'Content-Type': upstream.headers.get('content-type') || 'application/json; charset=utf-8',
+    ...(upstream.headers.get('retry-after') ? { 'Retry-After': upstream.headers.get('retry-after') } : {})
+  });
+
+  try {
+    for await (const chunk of upstream.body) {
+      res.write(chunk);
+    }
+  } catch (err) {
+    if (signal.aborted) return;
+    // The status is already sent, so cutting the response short is the only way to report the failure
+    console.error(`POST /api/openai${route} failed mid-stream:`, err.message);
+    res.destroy();
+    return;
+  }
+  res.end();
+};
+
+/**
+ * API routes, keyed by "METHOD path"
+ */
+const routes = {
+  'POST /api/generate-text': async (req, res) => {
+    const body = await readJsonBody(req);
+    const text = await gemini.generateText(requirePrompt(body), body.schema || null, abortOnDisconnect(res));
+    sendJson(res, 200, { text });
+  },
+  'POST /api/stream-text': async (req, res) => {
+    const body = await readJsonBody(req);
+    const prompt = requirePrompt(body);
+
+    const signal = abortOnDisconnect(res);
+
+    // Headers are sent with the first chunk, so failures before that still get a JSON error status
+    const sendEvent = (data, event = null) => {
+      if (!res.headersSent) {
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream; charset=utf-8',
+          'Cache-Control': 'no-cache, no-transform',
+          Connection: 'keep-alive'
+        });
+      }
+      res.write(`${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+      await gemini.streamText(prompt, text => sendEvent({ text }), signal);
+    } catch (err) {
+      if (!res.headersSent) throw err;
+      if (signal.aborted) return;
+      console.error('POST /api/stream-text failed mid-stream:', err.message);
+      sendEvent({ error: err.message, status: err.status || 502 }, 'error');
+      res.end();
+      return;
+    }
+
+    if (!signal.aborted) {
+      sendEvent({ done: true }, 'done');
+      res.end();
+    }
+  },
+  'POST /api/generate-image': async (req, res) => {
+    const body = await readJsonBody(req);
+    const image = await gemini.generateImage(requirePrompt(body), abortOnDisconnect(res));
+    sendJson(res, 200, { image });
+  },
+  ...Object.fromEntries(openai.FORWARDED_PATHS.map(route => [`POST /api/openai${route}`, forwardToOpenAI(route)])),
+  'GET /api/health': async (req, res) => {
+    sendJson(res, 200, {
+      ok: true,
+      apiKeyConfigured: Boolean(process.env.GEMINI_API_KEY),
+      openAiKeyConfigured: Boolean(process.env.OPENAI_API_KEY)
+    });
+  }
+};
+
+/**
+ * Serve a file from the production build, falling back to index.html for client routes
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+const serveStatic = (req, res) => {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (err) {
+    // Malformed escapes such as "%E0%A4%A" cannot name a file
+    sendJson(res, 400, { error: 'Malformed request path' });
+    return;
+  }
+
+  const requested = path.normalize(path.join(BUILD_DIR, urlPath));
+  // A plain prefix test would let "../build-other" through, since it also starts with BUILD_DIR
+  const relative = path.relative(BUILD_DIR, requested);
+  const isInsideBuild = !relative.startsWith('..') && !path.isAbsolute(relative);
+
+  if (!isInsideBuild || !fs.existsSync(BUILD_DIR)) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  const filePath = fs.existsSync(requested) && fs.statSync(requested).isFile()
+    ? requested
+    : path.join(BUILD_DIR, 'index.html');
+
+  res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+  fs.createReadStream(filePath).pipe(res);
+};
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const handler = routes[`${req.method} ${pathname}`];
+
+  if (!handler) {
+    if (pathname.startsWith('/api/')) {
+      sendJson(res, 404, { error: `No route for ${req.method} ${pathname}` });
+    } else {
+      serveStatic(req, res);
+    }
+    return;
+  }
+
+  try {
+    await handler(req, res);
+  } catch (err) {
+    // The browser went away and the upstream request was aborted: there is no one to answer
+    if (err.name === 'AbortError' || res.destroyed) return;
+    console.error(`${req.method} ${pathname} failed:`, err.message);
+    // A response that has started cannot switch to a JSON error, so it is cut short instead
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    // Unreachable upstream (network failure) is reported as a bad gateway so clients can retry
+    const status = err.status || (err instanceof gemini.UpstreamError ? 500 : 502);
+    // retryable: false tells the client not to back off and retry, e.g. when the API key is missing
+    const body = err.retryable === false ? { error: err.message, retryable: false } : { error: err.message };
+    sendJson(res, status, body, err.retryAfter ? { 'Retry-After': err.retryAfter } : {});
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🌍 World Building API proxy listening on http://localhost:${PORT}`);
+  if (!process.env.GEMINI_API_KEY) {
+    console.warn('⚠️  GEMINI_API_KEY is not set; generation requests will fail');
+  }
+});
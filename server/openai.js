@@ -0,0 +1,53 @@
+/**
+ * Server-side OpenAI forwarder
+ * Holds the OpenAI API key and forwards the browser's chat and image requests to the OpenAI API,
+ * so the key is never bundled into the app. Request and response bodies pass through unchanged
+ */
+const { UpstreamError, ConfigurationError } = require('./gemini');
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * OpenAI routes the browser may use, relative to the API base URL
+ */
+const FORWARDED_PATHS = ['/chat/completions', '/images/generations'];
+
+/**
+ * Read the API key, failing clearly when the server was started without one
+ * @returns {string} OpenAI API key
+ */
+const getApiKey = () => {
+  const apiKey = process.env.OPENAI_API_KEY;
+  if (!apiKey) {
+    throw new ConfigurationError('OPENAI_API_KEY is not set on the server');
+  }
+  return apiKey;
+};
+
+/**
+ * Forward a request body to an OpenAI route
+ * @param {string} route - One of FORWARDED_PATHS
+ * @param {Object} body - Parsed request body
+ * @param {AbortSignal} signal - Stops the upstream request, e.g. when the browser disconnects (optional)
+ * @returns {Promise<Response>} Upstream response, streamed bodies included
+ */
+const forward = async (route, body, signal = null) => {
+  if (!FORWARDED_PATHS.includes(route)) {
+    throw new UpstreamError(`Unknown OpenAI route: ${route}`, 404);
+  }
+
+  return fetch(`${OPENAI_BASE_URL}${route}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${getApiKey()}`
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+};
+
+module.exports = {
+  FORWARDED_PATHS,
+  forward
+};
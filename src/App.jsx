@@ -1,9 +1,20 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import InputForm from './components/InputForm';
 import LoadingSpinner from './components/LoadingSpinner';
 import WorldDisplay from './components/WorldDisplay';
 import ErrorMessage from './components/ErrorMessage';
+import WorldLibrary from './components/WorldLibrary';
+import RetryNotices from './components/RetryNotices';
+import VersionHistory from './components/VersionHistory';
+import ConsistencyChecker from './components/ConsistencyChecker';
 import useGeminiApi from './hooks/useGeminiApi';
+import useWorldLibrary from './hooks/useWorldLibrary';
+import useWorldHistory from './hooks/useWorldHistory';
+import { loadProviderSettings, saveProviderSettings } from './providers';
+import { readWorldFile } from './utils/worldFile';
+import { TEXT_SECTIONS } from './utils/worldPrompts';
+import { applyConsistencyFix } from './utils/consistency';
+import { upgradeLegacyRegions } from './utils/regions';
 
 /**
  * Main App Component
@@ -11,36 +22,154 @@ import useGeminiApi from './hooks/useGeminiApi';
  * Enhanced with visual content generation progress tracking
  */
 function App() {
-  const [worldData, setWorldData] = useState(null);
-  const { generateWorldContent, isLoading, error, setError, imageGenerationProgress } = useGeminiApi();
+  const {
+    worldData,
+    worldKey,
+    pastSteps,
+    undoLabel,
+    redoLabel,
+    resetWorld,
+    changeWorld,
+    undo,
+    redo
+  } = useWorldHistory();
+  const [currentWorldId, setCurrentWorldId] = useState(null);
+  const [providerSettings, setProviderSettings] = useState(loadProviderSettings);
+  const {
+    generateWorldContent,
+    cancelGeneration,
+    regenerateSection,
+    regenerateVisual,
+    fillTimelineGap,
+    expandCharacter,
+    checkConsistency,
+    regeneratingSections,
+    retryNotices,
+    streamingWorld,
+    isLoading,
+    error,
+    setError,
+    imageGenerationProgress
+  } = useGeminiApi(providerSettings);
+  const {
+    worlds,
+    isLibraryLoading,
+    libraryError,
+    saveWorld,
+    openWorld,
+    renameWorld,
+    duplicateWorld,
+    deleteWorld,
+    listSnapshots,
+    saveSnapshot,
+    deleteSnapshot
+  } = useWorldLibrary();
+  const pendingSaveRef = useRef(false);
+
+  // Remember the chosen provider between visits
+  useEffect(() => {
+    saveProviderSettings(providerSettings);
+  }, [providerSettings]);
+
+  // Save changes to an already stored world shortly after they happen
+  useEffect(() => {
+    if (!worldData || !currentWorldId || !pendingSaveRef.current) return undefined;
+
+    const timer = setTimeout(() => {
+      pendingSaveRef.current = false;
+      saveWorld(worldData, { id: currentWorldId }).catch((err) => {
+        console.error('Error saving world changes:', err);
+      });
+    }, 500);
+
+    return () => clearTimeout(timer);
+  }, [worldData, currentWorldId, saveWorld]);
+
+  /**
+   * Apply a change to the open world as an undoable step and schedule it to be saved
+   * @param {Function} updater - Receives the current world data and returns the updated world
+   * @param {string} label - Short description of the change for the undo history (default: 'Edit')
+   * @param {Object} options - Optional { worldKey, coalesceKey }; a change prepared for an earlier world key is dropped,
+   *   and consecutive changes with the same coalesce key are undone together
+   */
+  const updateWorldData = (updater, label, options) => {
+    pendingSaveRef.current = true;
+    changeWorld(updater, label, options);
+  };
+
+  /**
+   * Undo the latest change to the open world and schedule the result to be saved
+   */
+  const handleUndo = useCallback(() => {
+    pendingSaveRef.current = true;
+    undo();
+  }, [undo]);
+
+  /**
+   * Redo the latest undone change to the open world and schedule the result to be saved
+   */
+  const handleRedo = useCallback(() => {
+    pendingSaveRef.current = true;
+    redo();
+  }, [redo]);
+
+  /**
+   * Scroll to the generated world results
+   */
+  const scrollToResults = () => {
+    setTimeout(() => {
+      const resultsElement = document.getElementById('world-results');
+      if (resultsElement) {
+        resultsElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      }
+    }, 100);
+  };
+
+  /**
+   * Save a world to the local library without interrupting the user if storage fails
+   * @param {Object} data - World data to save
+   * @param {string} id - Existing library id, if the world is already saved
+   */
+  const persistWorld = async (data, id = null) => {
+    try {
+      const record = await saveWorld(data, { id });
+      setCurrentWorldId(record.id);
+    } catch (err) {
+      console.error('Error saving world to library:', err);
+      // Library error is surfaced by the library hook
+    }
+  };
 
   /**
    * Handle world generation request from InputForm
    * @param {string} userIdea - User's world idea
    * @param {string} worldType - Selected world type
+   * @param {Object} options - Generation options from the form, such as { counts, mode }
    * @param {boolean} enableVisuals - Whether to generate visual descriptions (default: true)
    */
-  const handleGenerateWorld = async (userIdea, worldType, enableVisuals = true) => {
+  const handleGenerateWorld = async (userIdea, worldType, options = {}, enableVisuals = true) => {
     try {
       // Clear any previous error state
       setError(null);
       
       // Clear any existing world data to prevent stale content display
-      setWorldData(null);
+      resetWorld(null);
+      setCurrentWorldId(null);
       
       // Generate new world content with visual descriptions
-      const newWorldData = await generateWorldContent(userIdea, worldType, enableVisuals);
-      setWorldData(newWorldData);
+      // If cancelled part way, this resolves with whatever finished before the cancel
+      const newWorldData = await generateWorldContent(userIdea, worldType, enableVisuals, options);
+      resetWorld(newWorldData);
+      
+      // Keep the new world in the local library
+      await persistWorld(newWorldData);
       
       // Scroll to results after generation completes
-      setTimeout(() => {
-        const resultsElement = document.getElementById('world-results');
-        if (resultsElement) {
-          resultsElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
-        }
-      }, 100);
+      scrollToResults();
       
     } catch (err) {
+      // Cancelled before anything finished: quietly return to the form
+      if (err.name === 'AbortError') return;
       console.error('Error generating world:', err);
       // Error is already set by the hook, no need to set it again here
     }
@@ -51,44 +180,171 @@ function App() {
    */
   const handleRetry = () => {
     setError(null);
-    setWorldData(null);
+    resetWorld(null);
   };
 
   /**
    * Handle starting over (generate new world)
    */
   const handleStartOver = () => {
-    setWorldData(null);
+    resetWorld(null);
+    setCurrentWorldId(null);
     setError(null);
     // Scroll back to top
     window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
+  /**
+   * Regenerate a single text section of the open world
+   * @param {string} section - Section key in worldData
+   */
+  const handleRegenerateSection = async (section) => {
+    try {
+      const updater = await regenerateSection(worldData, section);
+      updateWorldData(updater, `Regenerate ${TEXT_SECTIONS[section]?.label || section}`, { worldKey });
+    } catch (err) {
+      console.error(`Error regenerating ${section}:`, err);
+      // Error is already set by the hook
+    }
+  };
+
+  /**
+   * Regenerate a single visual of the open world
+   * @param {string} type - 'concept', 'character' or 'scenario'
+   * @param {number} index - Character or scenario index
+   */
+  const handleRegenerateVisual = async (type, index) => {
+    try {
+      const updater = await regenerateVisual(worldData, type, index);
+      updateWorldData(updater, `Regenerate ${type} visual`, { worldKey });
+    } catch (err) {
+      console.error(`Error regenerating ${type} visual:`, err);
+      // Error is already set by the hook
+    }
+  };
+
+  /**
+   * Expand one character of the open world into a full character sheet
+   * @param {number} index - Character index
+   * @param {Object} options - { includeStats } to also generate RPG stats
+   */
+  const handleExpandCharacter = async (index, options) => {
+    try {
+      const updater = await expandCharacter(worldData, index, options);
+      updateWorldData(updater, `Expand ${worldData.characterConcepts[index]?.name || 'character'}`, { worldKey });
+    } catch (err) {
+      console.error(`Error expanding character ${index}:`, err);
+      // Error is already set by the hook
+    }
+  };
+
+  /**
+   * Ask the model for the events between two consecutive timeline events of the open world
+   * @param {number} eraIndex - Era of the earlier event
+   * @param {number} eventIndex - Earlier event within its era
+   */
+  const handleFillTimelineGap = async (eraIndex, eventIndex) => {
+    try {
+      const updater = await fillTimelineGap(worldData, eraIndex, eventIndex);
+      updateWorldData(updater, 'Fill timeline gap', { worldKey });
+    } catch (err) {
+      console.error('Error filling timeline gap:', err);
+      // Error is already set by the hook
+    }
+  };
+
+  /**
+   * Check the open world for contradictions and dangling references
+   * @returns {Promise<Object>} Report { entities, issues }
+   */
+  const handleCheckConsistency = async () => {
+    try {
+      return await checkConsistency(worldData);
+    } catch (err) {
+      console.error('Error checking consistency:', err);
+      // Error is already set by the hook
+      throw err;
+    }
+  };
+
+  /**
+   * Open a world from the local library
+   * @param {string} id - Library id of the world
+   */
+  const handleOpenWorld = async (id) => {
+    try {
+      const record = await openWorld(id);
+      if (!record) return;
+      setError(null);
+      // Worlds saved before regions were structured still hold conceptual maps text
+      resetWorld(upgradeLegacyRegions(record.worldData));
+      setCurrentWorldId(record.id);
+      scrollToResults();
+    } catch (err) {
+      console.error('Error opening world:', err);
+    }
+  };
+
+  /**
+   * Import a JSON world file, add it to the local library and open it
+   * @param {File} file - World file chosen by the user
+   * @throws {Error} When the file is not a valid world file
+   */
+  const handleImportWorld = async (file) => {
+    const { name, worldData: importedWorld } = await readWorldFile(file);
+    let recordId = null;
+
+    try {
+      const record = await saveWorld(importedWorld, { name });
+      recordId = record.id;
+    } catch (err) {
+      console.error('Error saving imported world to library:', err);
+      // Library error is surfaced by the library hook; the world still opens
+    }
+
+    setError(null);
+    resetWorld(importedWorld);
+    setCurrentWorldId(recordId);
+    scrollToResults();
+  };
+
+  /**
+   * Delete a world from the local library
+   * @param {string} id - Library id of the world
+   */
+  const handleDeleteWorld = async (id) => {
+    await deleteWorld(id);
+    if (id === currentWorldId) {
+      setCurrentWorldId(null);
+    }
+  };
+
   /**
    * Get current loading message based on generation progress
    */
   const getLoadingMessage = () => {
     if (!isLoading) return "Generating your world...";
     
-    // Check visual generation progress
+    // Visuals are generated concurrently, so report everything in flight
     const { concept, characters, scenarios } = imageGenerationProgress;
+    const inFlight = [];
     
     if (concept.loading) {
-      return "Creating visual concept for your world...";
-    } else if (concept.completed) {
-      const loadingCharacters = characters.filter(c => c.loading).length;
-      const completedCharacters = characters.filter(c => c.completed).length;
-      
-      if (loadingCharacters > 0) {
-        return `Generating character visual concepts (${completedCharacters}/6)...`;
-      }
-      
-      const loadingScenarios = scenarios.filter(s => s.loading).length;
-      const completedScenarios = scenarios.filter(s => s.completed).length;
-      
-      if (loadingScenarios > 0) {
-        return `Creating scenario visual concepts (${completedScenarios}/3)...`;
-      }
+      inFlight.push('concept art');
+    }
+    
+    const loadingCharacters = characters.filter(c => c.loading).length;
+    if (loadingCharacters > 0) {
+      inFlight.push(`${loadingCharacters} character portrait${loadingCharacters > 1 ? 's' : ''}`);
+    }
+    
+    const loadingScenarios = scenarios.filter(s => s.loading).length;
+    if (loadingScenarios > 0) {
+      inFlight.push(`${loadingScenarios} scenario${loadingScenarios > 1 ? 's' : ''}`);
+    }
+    
+    if (inFlight.length > 0) {
+      return `Creating visual concepts: ${inFlight.join(', ')}...`;
     }
     
     return "Generating your world content and visual concepts...";
@@ -102,7 +358,7 @@ function App() {
     
     const { concept, characters, scenarios } = imageGenerationProgress;
     let completed = 0;
-    const total = 10; // 1 concept + 6 characters + 3 scenarios
+    const total = 1 + characters.length + scenarios.length; // concept art, portraits and scenario art
     
     if (concept.completed) completed += 1;
     completed += characters.filter(c => c.completed).length;
@@ -154,12 +410,32 @@ function App() {
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         {/* Input Form - Always visible unless there's generated content */}
         {!worldData && !isLoading && (
-          <InputForm onGenerate={handleGenerateWorld} isLoading={isLoading} />
+          <InputForm
+            onGenerate={handleGenerateWorld}
+            isLoading={isLoading}
+            providerSettings={providerSettings}
+            onProviderSettingsChange={setProviderSettings}
+          />
+        )}
+
+        {/* Saved World Library */}
+        {!worldData && !isLoading && (
+          <WorldLibrary
+            worlds={worlds}
+            isLoading={isLibraryLoading}
+            error={libraryError}
+            activeWorldId={currentWorldId}
+            onOpen={handleOpenWorld}
+            onRename={renameWorld}
+            onDuplicate={duplicateWorld}
+            onDelete={handleDeleteWorld}
+            onImport={handleImportWorld}
+          />
         )}
 
         {/* Error Message */}
         {error && (
-          <ErrorMessage message={error} onRetry={handleRetry} />
+          <ErrorMessage message={error} onRetry={worldData ? null : handleRetry} />
         )}
 
         {/* Loading State */}
@@ -178,6 +454,9 @@ function App() {
                 </div>
               </div>
               
+              {/* Transient failures being retried */}
+              <RetryNotices notices={retryNotices} />
+              
               <div className="bg-slate-50 rounded-lg p-4 border border-slate-200">
                 <div className="flex items-center justify-center space-x-6 mb-3">
                   <div className="flex items-center space-x-2">
@@ -208,25 +487,74 @@ function App() {
                         {imageGenerationProgress.concept.completed ? '✓' : '○'} Concept Art
                       </span>
                       <span className={`font-mono ${imageGenerationProgress.characters.filter(c => c.completed).length > 0 ? 'text-green-600' : 'text-slate-400'}`}>
-                        {imageGenerationProgress.characters.filter(c => c.completed).length > 0 ? '✓' : '○'} Characters ({imageGenerationProgress.characters.filter(c => c.completed).length}/6)
+                        {imageGenerationProgress.characters.filter(c => c.completed).length > 0 ? '✓' : '○'} Characters ({imageGenerationProgress.characters.filter(c => c.completed).length}/{imageGenerationProgress.characters.length})
                       </span>
                       <span className={`font-mono ${imageGenerationProgress.scenarios.filter(s => s.completed).length > 0 ? 'text-green-600' : 'text-slate-400'}`}>
-                        {imageGenerationProgress.scenarios.filter(s => s.completed).length > 0 ? '✓' : '○'} Scenarios ({imageGenerationProgress.scenarios.filter(s => s.completed).length}/3)
+                        {imageGenerationProgress.scenarios.filter(s => s.completed).length > 0 ? '✓' : '○'} Scenarios ({imageGenerationProgress.scenarios.filter(s => s.completed).length}/{imageGenerationProgress.scenarios.length})
                       </span>
                     </div>
                   </div>
                 )}
               </div>
+
+              {/* Cancel keeps whatever has already finished */}
+              <div className="mt-4 flex justify-center">
+                <button
+                  onClick={cancelGeneration}
+                  className="text-sm font-mono px-4 py-2 rounded-lg border-2 border-slate-300 text-slate-700 hover:bg-slate-100 transition-colors"
+                >
+                  Cancel Generation
+                </button>
+              </div>
             </div>
           </div>
         )}
 
+        {/* Sections written so far, shown while the rest of the world is generated */}
+        {isLoading && streamingWorld && (
+          <div className="mt-8">
+            <WorldDisplay
+              worldData={streamingWorld}
+              imageGenerationProgress={imageGenerationProgress}
+              isStreaming
+            />
+          </div>
+        )}
+
         {/* Generated World Content */}
         {worldData && !isLoading && (
           <div id="world-results">
+            <RetryNotices notices={retryNotices} />
+            <VersionHistory
+              worldData={worldData}
+              pastSteps={pastSteps}
+              undoLabel={undoLabel}
+              redoLabel={redoLabel}
+              onUndo={handleUndo}
+              onRedo={handleRedo}
+              onRestore={(world, label) => updateWorldData(() => world, label)}
+              worldId={currentWorldId}
+              listSnapshots={listSnapshots}
+              saveSnapshot={saveSnapshot}
+              deleteSnapshot={deleteSnapshot}
+            />
             <WorldDisplay 
               worldData={worldData} 
               imageGenerationProgress={imageGenerationProgress}
+              onRegenerateSection={handleRegenerateSection}
+              onRegenerateVisual={handleRegenerateVisual}
+              onFillTimelineGap={handleFillTimelineGap}
+              onExpandCharacter={handleExpandCharacter}
+              regeneratingSections={regeneratingSections}
+              onUpdateWorld={updateWorldData}
+              worldName={worlds.find(world => world.id === currentWorldId)?.name}
+            />
+            <ConsistencyChecker
+              key={currentWorldId || 'unsaved'}
+              worldData={worldData}
+              onCheck={handleCheckConsistency}
+              onApplyFix={(fix) => updateWorldData(world => applyConsistencyFix(world, fix), `Consistency fix: ${TEXT_SECTIONS[fix.section].label}`)}
+              isChecking={!!regeneratingSections.consistency}
             />
           </div>
         )}
@@ -304,7 +632,7 @@ function App() {
               Built with React and Tailwind CSS. Powered by Google Gemini API with AI Visual Concepts.
             </p>
             <p className="text-xs text-slate-400 mt-2 font-mono">
-              All generated content and visual descriptions are ephemeral and not stored permanently.
+              Your world library is stored only in this browser. Prompts and world content are sent to the AI provider you choose in order to generate them.
             </p>
             <p className="text-xs text-slate-500 mt-3 font-mono">
               © 2025 Lumina Oz Game Dev. World Building Tool v2.0 - Enhanced Visual Edition.
@@ -0,0 +1,98 @@
+import React from 'react';
+import { SHEET_LIST_FIELDS } from '../utils/characterSheet';
+
+const STAT_MAX = 20;
+
+/**
+ * CharacterSheet Component
+ * Full sheet of an expanded character: appearance, personality, motivations, fears, backstory
+ * beats, relationships to the other characters, voice lines and optional RPG stats
+ * @param {Object} character - Character concept holding the sheet
+ * @param {JSX.Element} actions - Optional actions shown next to the title (such as regenerate and close)
+ */
+const CharacterSheet = ({ character, actions = null }) => {
+  const { sheet } = character;
+
+  return (
+    <div className="bg-gradient-to-br from-purple-50 to-violet-50 rounded-xl p-6 border-2 border-purple-200">
+      <div className="flex flex-wrap items-start justify-between gap-2 mb-4 border-b-2 border-purple-200 pb-2">
+        <div>
+          <h4 className="text-2xl font-bold text-purple-900">{character.name}</h4>
+          <p className="text-sm text-purple-700 font-mono">{character.role}</p>
+        </div>
+        {actions && <div className="flex gap-2">{actions}</div>}
+      </div>
+
+      {sheet.appearance && (
+        <p className="text-gray-800 leading-relaxed mb-6">{sheet.appearance}</p>
+      )}
+
+      <dl className="grid gap-6 md:grid-cols-2">
+        {SHEET_LIST_FIELDS.filter(({ key }) => sheet[key].length > 0).map(({ key, label }) => {
+          const List = key === 'backstory' ? 'ol' : 'ul';
+          return (
+            <div key={key}>
+              <dt className="text-xs font-bold uppercase tracking-wide text-purple-800 font-mono mb-2">{label}</dt>
+              <dd>
+                <List className={`${key === 'backstory' ? 'list-decimal' : 'list-disc'} list-inside text-sm text-gray-800 space-y-1`}>
+                  {sheet[key].map((item, index) => <li key={index}>{item}</li>)}
+                </List>
+              </dd>
+            </div>
+          );
+        })}
+
+        {sheet.relationships.length > 0 && (
+          <div>
+            <dt className="text-xs font-bold uppercase tracking-wide text-purple-800 font-mono mb-2">Relationships</dt>
+            <dd>
+              <ul className="text-sm text-gray-800 space-y-2">
+                {sheet.relationships.map((relationship, index) => (
+                  <li key={index}>
+                    <span className="font-bold">{relationship.character}</span>
+                    {relationship.relationship && ` - ${relationship.relationship}`}
+                  </li>
+                ))}
+              </ul>
+            </dd>
+          </div>
+        )}
+
+        {sheet.stats.length > 0 && (
+          <div>
+            <dt className="text-xs font-bold uppercase tracking-wide text-purple-800 font-mono mb-2">Stats</dt>
+            <dd className="space-y-2">
+              {sheet.stats.map((stat, index) => (
+                <div key={index} className="flex items-center text-sm font-mono">
+                  <span className="w-28 text-gray-800 truncate" title={stat.name}>{stat.name}</span>
+                  <span className="flex-1 h-2 bg-purple-100 rounded-full mx-2 overflow-hidden">
+                    <span
+                      className="block h-full bg-purple-600 rounded-full"
+                      style={{width: `${Math.min(100, Math.max(0, (stat.value / STAT_MAX) * 100))}%`}}
+                    />
+                  </span>
+                  <span className="w-6 text-right text-purple-900 font-bold">{stat.value}</span>
+                </div>
+              ))}
+            </dd>
+          </div>
+        )}
+      </dl>
+
+      {sheet.voiceLines.length > 0 && (
+        <div className="mt-6">
+          <h5 className="text-xs font-bold uppercase tracking-wide text-purple-800 font-mono mb-2">Voice</h5>
+          <div className="space-y-2">
+            {sheet.voiceLines.map((line, index) => (
+              <blockquote key={index} className="border-l-4 border-purple-300 pl-3 italic text-gray-800">
+                "{line}"
+              </blockquote>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CharacterSheet;
@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { TEXT_SECTIONS } from '../utils/worldPrompts';
+import { ENTITY_KINDS, ISSUE_KINDS, canApplyFix } from '../utils/consistency';
+
+const buttonClassName = 'px-3 py-1 rounded-lg text-xs font-mono border border-slate-300 bg-white text-slate-700 hover:bg-slate-100 focus:outline-none focus:ring-2 focus:ring-slate-400 transition-colors duration-200 disabled:opacity-40 disabled:cursor-not-allowed';
+
+const KIND_STYLES = {
+  contradiction: 'bg-red-50 text-red-800 border-red-200',
+  'dangling reference': 'bg-amber-50 text-amber-800 border-amber-200'
+};
+
+/**
+ * ConsistencyChecker Component
+ * Runs the canon consistency check on the open world, lists its named entities and the issues found,
+ * and lets the user accept or dismiss the suggested fix of each issue
+ * @param {Object} worldData - Current world data
+ * @param {Function} onCheck - Async callback resolving to a report { entities, issues }
+ * @param {Function} onApplyFix - Callback with a fix { section, find, replace } to apply to the world
+ * @param {boolean} isChecking - Whether a check is running
+ */
+const ConsistencyChecker = ({ worldData, onCheck, onApplyFix, isChecking = false }) => {
+  const [report, setReport] = useState(null);
+  const [statuses, setStatuses] = useState({});
+
+  /**
+   * Run a new check, forgetting the answers given to the previous one
+   */
+  const handleCheck = async () => {
+    try {
+      const result = await onCheck();
+      setReport(result);
+      setStatuses({});
+    } catch (err) {
+      // Error is already surfaced by the generation hook
+    }
+  };
+
+  /**
+   * Apply the fix of an issue
+   * @param {number} index - Issue index
+   */
+  const handleAccept = (index) => {
+    onApplyFix(report.issues[index].fix);
+    setStatuses(prev => ({ ...prev, [index]: 'accepted' }));
+  };
+
+  /**
+   * Hide an issue without changing the world
+   * @param {number} index - Issue index
+   */
+  const handleDismiss = (index) => {
+    setStatuses(prev => ({ ...prev, [index]: 'dismissed' }));
+  };
+
+  const openIssues = report ? report.issues.filter((_, index) => statuses[index] !== 'dismissed') : [];
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-8 mt-8 border-2 border-slate-200">
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-6">
+        <div className="pl-4" style={{borderLeft: '4px solid #3f4d64'}}>
+          <h2 className="text-2xl font-bold font-mono" style={{color: '#3f4d64'}}>Canon Consistency</h2>
+          <p className="text-slate-600 text-sm font-mono mt-1">Find contradictions and names that point at nothing</p>
+        </div>
+        <button
+          type="button"
+          onClick={handleCheck}
+          disabled={isChecking}
+          className="text-xs font-mono px-4 py-2 rounded-lg text-white disabled:opacity-50"
+          style={{backgroundColor: '#3f4d64'}}
+        >
+          {isChecking ? 'Checking...' : report ? 'Check Again' : 'Check Consistency'}
+        </button>
+      </div>
+
+      {!report ? (
+        <p className="text-sm text-slate-500 font-mono">
+          Compares every section of the world with the others. Fixes are only applied when you accept them, and each one can be undone.
+        </p>
+      ) : (
+        <>
+          <details className="mb-6">
+            <summary className="cursor-pointer text-sm font-mono text-slate-700">
+              {report.entities.length} named entities found
+            </summary>
+            <dl className="mt-3 grid gap-3 md:grid-cols-2">
+              {ENTITY_KINDS.map(({ key, label }) => {
+                const names = report.entities.filter(entity => entity.kind === key).map(entity => entity.name);
+                return names.length > 0 && (
+                  <div key={key}>
+                    <dt className="text-xs font-bold uppercase tracking-wide text-slate-600 font-mono">{label}</dt>
+                    <dd className="text-sm text-slate-700">{names.join(', ')}</dd>
+                  </div>
+                );
+              })}
+            </dl>
+          </details>
+
+          {openIssues.length === 0 ? (
+            <p className="text-sm text-slate-500 font-mono">
+              {report.issues.length === 0 ? 'No issues found. The sections agree with each other.' : 'Every issue has been dismissed.'}
+            </p>
+          ) : (
+            <ul className="space-y-4">
+              {report.issues.map((issue, index) => {
+                if (statuses[index] === 'dismissed') return null;
+                const isAccepted = statuses[index] === 'accepted';
+                const canApply = !isAccepted && canApplyFix(worldData, issue.fix);
+
+                return (
+                  <li key={index} className="bg-slate-50 rounded-xl border border-slate-200 p-4">
+                    <div className="flex flex-wrap items-center gap-2 mb-2">
+                      <span className={`text-xs font-mono px-2 py-0.5 rounded border ${KIND_STYLES[issue.kind]}`}>
+                        {ISSUE_KINDS[issue.kind]}
+                      </span>
+                      {issue.sections.map(section => (
+                        <span key={section} className="text-xs font-mono text-slate-500">
+                          {TEXT_SECTIONS[section].label}
+                        </span>
+                      ))}
+                    </div>
+                    <p className="text-sm text-gray-800 mb-3">{issue.description}</p>
+
+                    {issue.fix ? (
+                      <div className="text-sm mb-3 grid gap-2 md:grid-cols-2">
+                        <p className="bg-red-50 text-red-900 rounded px-3 py-2">
+                          <span className="block text-xs font-mono text-red-700 mb-1">In {TEXT_SECTIONS[issue.fix.section].label}, replace</span>
+                          {issue.fix.find}
+                        </p>
+                        <p className="bg-green-50 text-green-900 rounded px-3 py-2">
+                          <span className="block text-xs font-mono text-green-700 mb-1">With</span>
+                          {issue.fix.replace || <em>(nothing)</em>}
+                        </p>
+                      </div>
+                    ) : (
+                      <p className="text-xs text-slate-500 font-mono mb-3">No automatic fix; edit or regenerate the sections involved.</p>
+                    )}
+
+                    <div className="flex flex-wrap items-center gap-2">
+                      {isAccepted ? (
+                        <span className="text-xs font-mono text-green-700">✓ Fix applied</span>
+                      ) : (
+                        <>
+                          {issue.fix && (
+                            <button type="button" onClick={() => handleAccept(index)} disabled={!canApply} className={buttonClassName}>
+                              Accept Fix
+                            </button>
+                          )}
+                          <button type="button" onClick={() => handleDismiss(index)} className={buttonClassName}>
+                            Dismiss
+                          </button>
+                          {issue.fix && !canApply && (
+                            <span className="text-xs font-mono text-slate-500">The text this fix replaces has changed since the check</span>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ConsistencyChecker;
@@ -0,0 +1,221 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+/**
+ * Export formats offered in the menu
+ * Exporters are loaded on demand; each run returns the downloaded filename
+ */
+const EXPORT_OPTIONS = [
+  {
+    id: 'pdf',
+    label: 'PDF document',
+    hint: 'Printable, with artwork',
+    run: async (worldData) => {
+      try {
+        const { default: WorldPDFExporter } = await import('../utils/pdfExporter');
+        return await new WorldPDFExporter().exportWorldToPDF(worldData);
+      } catch (pdfError) {
+        console.warn('PDF export failed, using text fallback:', pdfError);
+        const { default: SimplePDFExporter } = await import('../utils/simplePdfExporter');
+        return new SimplePDFExporter().exportWorldAsText(worldData);
+      }
+    }
+  },
+  {
+    id: 'markdown',
+    label: 'Markdown (.zip)',
+    hint: 'world.md plus an images folder',
+    run: async (worldData) => {
+      const { default: WorldMarkdownExporter } = await import('../utils/markdownExporter');
+      return new WorldMarkdownExporter().exportWorldToMarkdown(worldData);
+    }
+  },
+  {
+    id: 'html',
+    label: 'HTML page',
+    hint: 'Single file, images embedded',
+    run: async (worldData) => {
+      const { default: WorldHTMLExporter } = await import('../utils/htmlExporter');
+      return new WorldHTMLExporter().exportWorldToHTML(worldData);
+    }
+  },
+  {
+    id: 'engine',
+    label: 'Game engine data (.zip)',
+    hint: 'Godot resources and Unity JSON with images',
+    run: async (worldData) => {
+      const { default: WorldEngineExporter } = await import('../utils/engineExporter');
+      return new WorldEngineExporter().exportWorldToEngines(worldData);
+    }
+  },
+  {
+    id: 'json',
+    label: 'JSON world file',
+    hint: 'Re-importable into the library',
+    run: async (worldData, { worldName }) => {
+      const { exportWorldToJSON } = await import('../utils/worldFile');
+      return exportWorldToJSON(worldData, { name: worldName });
+    }
+  },
+  {
+    id: 'text',
+    label: 'Plain text',
+    hint: 'Text only, no images',
+    run: async (worldData) => {
+      const { default: SimplePDFExporter } = await import('../utils/simplePdfExporter');
+      return new SimplePDFExporter().exportWorldAsText(worldData);
+    }
+  }
+];
+
+/**
+ * ExportMenu Component
+ * Dropdown for exporting the world as PDF, Markdown, HTML, game engine data, JSON or plain text
+ * @param {Object} worldData - Complete world data object to export
+ * @param {string} worldName - Library name of the world, stored in JSON exports (optional)
+ * @param {string} className - Additional CSS classes for styling
+ */
+const ExportMenu = ({ worldData, worldName = null, className = '' }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [exportingId, setExportingId] = useState(null);
+  const [exportStatus, setExportStatus] = useState(null);
+  const menuRef = useRef(null);
+
+  // Close the menu when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  /**
+   * Run one export and show a short-lived status message
+   * @param {Object} option - Entry from EXPORT_OPTIONS
+   */
+  const handleExport = async (option) => {
+    setIsOpen(false);
+
+    if (!worldData) {
+      setExportStatus({ type: 'error', message: 'No world data to export' });
+      return;
+    }
+
+    setExportingId(option.id);
+    setExportStatus(null);
+
+    try {
+      const filename = await option.run(worldData, { worldName });
+      setExportStatus({ type: 'success', message: `Exported as "${filename}"` });
+
+      // Clear success message after 3 seconds
+      setTimeout(() => {
+        setExportStatus(null);
+      }, 3000);
+    } catch (error) {
+      console.error('Export error:', error);
+      setExportStatus({ type: 'error', message: `Failed to export ${option.label}. Please try again.` });
+
+      // Clear error message after 5 seconds
+      setTimeout(() => {
+        setExportStatus(null);
+      }, 5000);
+    } finally {
+      setExportingId(null);
+    }
+  };
+
+  const isExporting = exportingId !== null;
+
+  return (
+    <div ref={menuRef} className={`relative flex flex-col items-center space-y-3 ${className}`}>
+      {/* Menu Button */}
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        disabled={isExporting || !worldData}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        className={`
+          flex items-center space-x-2 px-4 py-2 rounded-lg font-medium text-sm font-mono
+          transition-all duration-200 border border-white/20 focus:outline-none focus:ring-2 focus:ring-offset-2
+          ${isExporting || !worldData
+            ? 'cursor-not-allowed opacity-50 bg-white/10 text-white/50'
+            : 'text-white bg-white/10 hover:bg-white/20 focus:ring-white/50 backdrop-blur-sm'
+          }
+        `}
+      >
+        <svg
+          className={`w-5 h-5 ${isExporting ? 'animate-spin' : ''}`}
+          fill="none"
+          viewBox="0 0 24 24"
+          stroke="currentColor"
+        >
+          {isExporting ? (
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={2}
+              d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"
+            />
+          ) : (
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={2}
+              d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
+            />
+          )}
+        </svg>
+        <span>{isExporting ? 'Exporting...' : 'Export'}</span>
+        <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {/* Format Options */}
+      {isOpen && (
+        <ul
+          role="menu"
+          className="absolute right-0 top-10 z-10 w-64 bg-white rounded-lg shadow-xl border border-slate-200 py-1"
+        >
+          {EXPORT_OPTIONS.map((option) => (
+            <li key={option.id} role="none">
+              <button
+                role="menuitem"
+                onClick={() => handleExport(option)}
+                className="w-full text-left px-4 py-2 hover:bg-slate-100 focus:outline-none focus:bg-slate-100"
+              >
+                <span className="block text-sm text-slate-800 font-mono">{option.label}</span>
+                <span className="block text-xs text-slate-500 font-mono">{option.hint}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Status Messages */}
+      {exportStatus ? (
+        <div className={`
+          max-w-md p-2 rounded-lg text-xs font-mono text-center
+          ${exportStatus.type === 'success'
+            ? 'bg-green-50 text-green-800 border border-green-200'
+            : 'bg-red-50 text-red-800 border border-red-200'
+          }
+        `}>
+          {exportStatus.message}
+        </div>
+      ) : (
+        <p className="text-xs text-white/70 font-mono text-center max-w-sm">
+          PDF, Markdown, HTML, game engine data or JSON
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
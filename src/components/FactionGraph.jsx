@@ -0,0 +1,262 @@
+import React, { useMemo, useState } from 'react';
+import { RELATIONSHIP_TYPES, describeRelationship, getFactionMembers, getFactionRelationships } from '../utils/factions';
+
+const GRAPH_WIDTH = 640;
+const GRAPH_HEIGHT = 440;
+const NODE_RADIUS = 18;
+const NODE_COLORS = ['#3f4d64', '#b45309', '#0f766e', '#7c3aed', '#be123c', '#1d4ed8', '#4d7c0f', '#a21caf'];
+
+/**
+ * Split a faction name into short lines for its label
+ * @param {string} name - Faction name
+ * @param {number} maxLength - Longest line in characters
+ * @returns {string[]} Lines
+ */
+const wrapLabel = (name, maxLength = 16) => name.split(' ').reduce((lines, word) => {
+  const last = lines[lines.length - 1];
+  if (last && `${last} ${word}`.length <= maxLength) {
+    lines[lines.length - 1] = `${last} ${word}`;
+  } else {
+    lines.push(word);
+  }
+  return lines;
+}, []);
+
+/**
+ * Place factions evenly on a circle
+ * @param {number} count - Number of factions
+ * @returns {Object[]} Node positions { x, y }
+ */
+const layoutNodes = (count) => {
+  const radius = count > 2 ? 150 : 120;
+  return Array.from({ length: count }, (_, index) => {
+    const angle = (-Math.PI / 2) + ((2 * Math.PI * index) / count);
+    return {
+      x: (GRAPH_WIDTH / 2) + (radius * Math.cos(angle) * (count > 2 ? 1.35 : 1)),
+      y: (GRAPH_HEIGHT / 2) + (radius * Math.sin(angle))
+    };
+  });
+};
+
+/**
+ * FactionGraph Component
+ * Interactive relationship graph of the world's factions, with the selected faction's details
+ * and the characters who belong to it
+ * @param {Object[]} factions - Normalized factions
+ * @param {Object[]} characters - Character concepts, linked to factions by leader or role
+ */
+const FactionGraph = ({ factions, characters = [] }) => {
+  const [selectedIndex, setSelectedIndex] = useState(0);
+
+  const nodes = useMemo(() => layoutNodes(factions.length), [factions.length]);
+  const edges = useMemo(() => getFactionRelationships(factions), [factions]);
+  const members = useMemo(() => getFactionMembers(characters, factions), [characters, factions]);
+
+  const selected = factions[selectedIndex] ? selectedIndex : 0;
+  const faction = factions[selected];
+  const selectedEdges = edges.filter(edge => edge.from === selected || edge.to === selected);
+  const isConnected = (index) => index === selected || selectedEdges.some(edge => edge.from === index || edge.to === index);
+
+  /**
+   * Select a faction from the keyboard as well as by clicking
+   * @param {KeyboardEvent} e - Key event
+   * @param {number} index - Faction index
+   */
+  const handleNodeKeyDown = (e, index) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      setSelectedIndex(index);
+    }
+  };
+
+  return (
+    <div className="grid gap-6 lg:grid-cols-5">
+      {/* Graph */}
+      <div className="lg:col-span-3 bg-slate-50 rounded-xl border border-slate-200 p-4">
+        <svg viewBox={`0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`} className="w-full h-auto" role="group" aria-label="Faction relationships">
+          <defs>
+            <marker id="faction-vassal-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+              <path d="M0 0L10 5L0 10Z" fill={RELATIONSHIP_TYPES.vassal.color} />
+            </marker>
+          </defs>
+
+          {edges.map((edge) => {
+            const style = RELATIONSHIP_TYPES[edge.type];
+            const from = nodes[edge.from];
+            const to = nodes[edge.to];
+            const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+            const offsetX = ((to.x - from.x) / length) * (NODE_RADIUS + 4);
+            const offsetY = ((to.y - from.y) / length) * (NODE_RADIUS + 4);
+            const active = edge.from === selected || edge.to === selected;
+
+            return (
+              <line
+                key={`${edge.from}-${edge.to}`}
+                x1={from.x + offsetX}
+                y1={from.y + offsetY}
+                x2={to.x - offsetX}
+                y2={to.y - offsetY}
+                stroke={style.color}
+                strokeWidth={style.width}
+                strokeDasharray={style.dash || undefined}
+                strokeOpacity={active ? 1 : 0.2}
+                markerEnd={edge.type === 'vassal' ? 'url(#faction-vassal-arrow)' : undefined}
+              >
+                <title>{`${factions[edge.from].name} - ${describeRelationship(edge, edge.from).toLowerCase()} - ${factions[edge.to].name}${edge.description ? `: ${edge.description}` : ''}`}</title>
+              </line>
+            );
+          })}
+
+          {factions.map((item, index) => {
+            const node = nodes[index];
+            const color = NODE_COLORS[index % NODE_COLORS.length];
+            return (
+              <g
+                key={`node-${index}`}
+                role="button"
+                tabIndex={0}
+                aria-pressed={index === selected}
+                aria-label={item.name}
+                onClick={() => setSelectedIndex(index)}
+                onKeyDown={(e) => handleNodeKeyDown(e, index)}
+                opacity={isConnected(index) ? 1 : 0.4}
+                className="cursor-pointer focus:outline-none"
+              >
+                <circle
+                  cx={node.x}
+                  cy={node.y}
+                  r={NODE_RADIUS}
+                  fill={color}
+                  stroke={index === selected ? '#0f172a' : '#ffffff'}
+                  strokeWidth={index === selected ? 4 : 3}
+                />
+                <text x={node.x} y={node.y + 5} textAnchor="middle" fontSize="13" fontWeight="bold" fill="#ffffff" fontFamily="ui-monospace, monospace">
+                  {index + 1}
+                </text>
+                {wrapLabel(item.name).map((line, lineIndex) => (
+                  <text
+                    key={lineIndex}
+                    x={node.x}
+                    y={node.y + NODE_RADIUS + 16 + (lineIndex * 14)}
+                    textAnchor="middle"
+                    fontSize="12"
+                    fontWeight={index === selected ? 'bold' : 'normal'}
+                    fill="#1f2937"
+                    fontFamily="ui-monospace, monospace"
+                    stroke="#f8fafc"
+                    strokeWidth="3"
+                    paintOrder="stroke"
+                  >
+                    {line}
+                  </text>
+                ))}
+              </g>
+            );
+          })}
+        </svg>
+
+        {/* Legend */}
+        <div className="flex flex-wrap gap-4 mt-2 text-xs font-mono text-slate-600">
+          {Object.entries(RELATIONSHIP_TYPES).map(([type, style]) => (
+            <span key={type} className="flex items-center">
+              <svg className="w-6 h-2 mr-1" viewBox="0 0 24 4">
+                <line x1="0" y1="2" x2="24" y2="2" stroke={style.color} strokeWidth={Math.min(style.width, 3)} strokeDasharray={style.dash || undefined} />
+              </svg>
+              {style.label}
+            </span>
+          ))}
+        </div>
+        <p className="text-xs text-slate-500 font-mono mt-2">Select a faction to see its details and relationships.</p>
+      </div>
+
+      {/* Selected Faction */}
+      {faction && (
+        <div className="lg:col-span-2 bg-gradient-to-br from-slate-50 to-gray-100 rounded-xl p-6 border border-slate-200">
+          <div className="flex items-start justify-between mb-3">
+            <h4 className="text-xl font-bold flex-1" style={{color: NODE_COLORS[selected % NODE_COLORS.length]}}>
+              {faction.name}
+            </h4>
+            <span className="bg-slate-200 text-slate-700 text-xs font-medium px-2 py-1 rounded-full ml-2">
+              #{selected + 1}
+            </span>
+          </div>
+
+          {faction.ideology && (
+            <p className="text-gray-800 italic leading-relaxed mb-4">"{faction.ideology}"</p>
+          )}
+
+          <dl className="space-y-3 text-sm">
+            {faction.leader && (
+              <div>
+                <dt className="text-xs font-bold uppercase tracking-wide text-slate-600 font-mono">Leader</dt>
+                <dd className="text-gray-800">{faction.leader}</dd>
+              </div>
+            )}
+            {faction.territory && (
+              <div>
+                <dt className="text-xs font-bold uppercase tracking-wide text-slate-600 font-mono">Territory</dt>
+                <dd className="text-gray-800">{faction.territory}</dd>
+              </div>
+            )}
+            {faction.resources.length > 0 && (
+              <div>
+                <dt className="text-xs font-bold uppercase tracking-wide text-slate-600 font-mono">Resources</dt>
+                <dd className="text-gray-800">{faction.resources.join(', ')}</dd>
+              </div>
+            )}
+            {faction.goals.length > 0 && (
+              <div>
+                <dt className="text-xs font-bold uppercase tracking-wide text-slate-600 font-mono">Goals</dt>
+                <dd>
+                  <ul className="list-disc list-inside text-gray-800 space-y-1">
+                    {faction.goals.map((goal, index) => <li key={index}>{goal}</li>)}
+                  </ul>
+                </dd>
+              </div>
+            )}
+            {selectedEdges.length > 0 && (
+              <div>
+                <dt className="text-xs font-bold uppercase tracking-wide text-slate-600 font-mono">Relationships</dt>
+                <dd>
+                  <ul className="space-y-2 mt-1">
+                    {selectedEdges.map((edge) => {
+                      const otherIndex = edge.from === selected ? edge.to : edge.from;
+                      return (
+                        <li key={`${edge.from}-${edge.to}`} className="text-gray-800">
+                          <span
+                            className="text-xs font-medium font-mono px-2 py-0.5 rounded-full mr-2 text-white"
+                            style={{backgroundColor: RELATIONSHIP_TYPES[edge.type].color}}
+                          >
+                            {describeRelationship(edge, selected)}
+                          </span>
+                          <button
+                            type="button"
+                            onClick={() => setSelectedIndex(otherIndex)}
+                            className="font-medium underline decoration-dotted hover:text-slate-600"
+                          >
+                            {factions[otherIndex].name}
+                          </button>
+                          {edge.description && <p className="text-xs text-gray-600 mt-1">{edge.description}</p>}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </dd>
+              </div>
+            )}
+            <div>
+              <dt className="text-xs font-bold uppercase tracking-wide text-slate-600 font-mono">Characters</dt>
+              <dd className="text-gray-800">
+                {members[selected]?.length > 0
+                  ? members[selected].map(character => `${character.name} (${character.role})`).join(', ')
+                  : <span className="text-slate-500">No characters belong to this faction yet</span>}
+              </dd>
+            </div>
+          </dl>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FactionGraph;
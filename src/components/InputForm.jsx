@@ -1,15 +1,21 @@
 import React, { useState } from 'react';
+import ProviderSettings from './ProviderSettings';
+import { COUNT_LIMITS, GENERATION_MODES, getDefaultCounts } from '../utils/worldPrompts';
 
 /**
  * InputForm Component
- * Handles user input for world idea, world type selection, and generation trigger
+ * Handles user input for world idea, world type selection, item counts, generation mode, and generation trigger
  * @param {Function} onGenerate - Callback function when generate button is clicked
  * @param {boolean} isLoading - Loading state from parent component
+ * @param {Object} providerSettings - Current LLM provider settings
+ * @param {Function} onProviderSettingsChange - Callback when the provider settings change
  */
-const InputForm = ({ onGenerate, isLoading }) => {
+const InputForm = ({ onGenerate, isLoading, providerSettings, onProviderSettingsChange }) => {
   const [userIdea, setUserIdea] = useState('');
   const [worldType, setWorldType] = useState('Medieval Fantasy');
   const [customWorldType, setCustomWorldType] = useState('');
+  const [counts, setCounts] = useState(getDefaultCounts);
+  const [mode, setMode] = useState('fast');
 
   // World type options for the dropdown
   const worldTypeOptions = [
@@ -22,6 +28,18 @@ const InputForm = ({ onGenerate, isLoading }) => {
     'Custom'
   ];
 
+  /**
+   * Update one item count, keeping it within its allowed range
+   * @param {string} key - Key in COUNT_LIMITS
+   * @param {string} value - Raw input value
+   */
+  const handleCountChange = (key, value) => {
+    const { min, max } = COUNT_LIMITS[key];
+    const count = Number.parseInt(value, 10);
+    if (Number.isNaN(count)) return;
+    setCounts(prev => ({ ...prev, [key]: Math.min(max, Math.max(min, count)) }));
+  };
+
   /**
    * Handle form submission
    * @param {Event} e - Form submission event
@@ -42,7 +60,7 @@ const InputForm = ({ onGenerate, isLoading }) => {
     const finalWorldType = worldType === 'Custom' ? customWorldType : worldType;
     
     // Call the parent's generate function
-    onGenerate(userIdea.trim(), finalWorldType);
+    onGenerate(userIdea.trim(), finalWorldType, { counts, mode });
   };
 
   return (
@@ -123,6 +141,67 @@ const InputForm = ({ onGenerate, isLoading }) => {
           </div>
         )}
 
+        {/* Item Counts */}
+        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {Object.entries(COUNT_LIMITS).map(([key, { label, min, max }]) => (
+            <div key={key}>
+              <label htmlFor={`count-${key}`} className="block text-sm font-medium text-slate-700 mb-2 font-mono">
+                {label}
+              </label>
+              <input
+                type="number"
+                id={`count-${key}`}
+                value={counts[key]}
+                min={min}
+                max={max}
+                onChange={(e) => handleCountChange(key, e.target.value)}
+                className="w-full px-3 py-2 border-2 border-slate-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 font-mono text-sm"
+                onFocus={(e) => e.target.style.borderColor = '#3f4d64'}
+                onBlur={(e) => e.target.style.borderColor = '#cbd5e1'}
+                disabled={isLoading}
+              />
+              <p className="mt-1 text-xs text-slate-500 font-mono">Between {min} and {max}</p>
+            </div>
+          ))}
+        </div>
+
+        {/* Generation Mode */}
+        <fieldset>
+          <legend className="block text-sm font-medium text-slate-700 mb-2 font-mono">Generation Mode</legend>
+          <div className="grid gap-2 sm:grid-cols-2">
+            {Object.entries(GENERATION_MODES).map(([key, { label, description }]) => (
+              <label
+                key={key}
+                className={`flex items-start gap-3 p-3 rounded-lg border-2 cursor-pointer ${mode === key ? 'bg-slate-50' : 'border-slate-300'}`}
+                style={mode === key ? {borderColor: '#3f4d64'} : undefined}
+              >
+                <input
+                  type="radio"
+                  name="generationMode"
+                  value={key}
+                  checked={mode === key}
+                  onChange={() => setMode(key)}
+                  className="mt-1"
+                  disabled={isLoading}
+                />
+                <span>
+                  <span className="block text-sm font-bold text-slate-800 font-mono">{label}</span>
+                  <span className="block text-xs text-slate-500 font-mono">{description}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        {/* AI Provider Selection */}
+        {providerSettings && onProviderSettingsChange && (
+          <ProviderSettings
+            settings={providerSettings}
+            onChange={onProviderSettingsChange}
+            disabled={isLoading}
+          />
+        )}
+
         {/* Generate Button */}
         <div className="flex justify-center">
           <button
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+
+const buttonClassName = 'px-3 py-1 rounded-lg text-xs font-mono border border-slate-300 bg-white text-slate-700 hover:bg-slate-100 focus:outline-none focus:ring-2 focus:ring-slate-400 transition-colors duration-200 disabled:opacity-40 disabled:cursor-not-allowed';
+const inputClassName = 'w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-slate-400';
+const labelClassName = 'block text-xs font-bold uppercase tracking-wide text-slate-600 font-mono mb-1';
+
+/**
+ * Split typed text into list entries
+ * @param {string} text - One entry per line
+ * @returns {string[]} Non-empty trimmed lines
+ */
+const toLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+/**
+ * Textarea for a list of strings, one entry per line
+ * Keeps the typed text (blank lines included) while only non-empty lines are saved, and shows
+ * the saved entries instead whenever they change from elsewhere (such as the item being moved)
+ * @param {string} id - Textarea id
+ * @param {string[]} value - Current entries
+ * @param {Function} onChange - Callback with the new entries
+ */
+const LinesField = ({ id, value, onChange }) => {
+  const [text, setText] = useState(value.join('\n'));
+  const shownText = toLines(text).join('\n') === value.join('\n') ? text : value.join('\n');
+
+  return (
+    <textarea
+      id={id}
+      value={shownText}
+      onChange={(e) => {
+        setText(e.target.value);
+        onChange(toLines(e.target.value));
+      }}
+      rows={Math.max(2, value.length + 1)}
+      className={inputClassName}
+    />
+  );
+};
+
+/**
+ * ListEditor Component
+ * Form for editing the items of a generated list section in place: every field of every item,
+ * plus adding, removing and reordering items
+ * @param {string} section - Section key, used for field ids
+ * @param {Object[]} items - Items of the section
+ * @param {Object[]} fields - Editable fields { key, label, multiline?, list? } of each item
+ * @param {string} itemLabel - Name of one item, such as "character"
+ * @param {Function} onUpdateItem - Callback with an item index and the changed fields
+ * @param {Function} onAdd - Callback to add an empty item at the end
+ * @param {Function} onRemove - Callback with the index of the item to remove
+ * @param {Function} onMove - Callback with an item index and a direction (-1 up, 1 down)
+ * @param {Function} onDone - Callback to leave edit mode
+ */
+const ListEditor = ({ section, items, fields, itemLabel, onUpdateItem, onAdd, onRemove, onMove, onDone }) => {
+  /**
+   * Name an item for buttons and confirmations
+   * @param {Object} item - Item
+   * @param {number} index - Item index
+   * @returns {string} First field value, or a numbered placeholder
+   */
+  const describeItem = (item, index) => item[fields[0].key] || `${itemLabel} ${index + 1}`;
+
+  /**
+   * Confirm and remove an item
+   * @param {number} index - Item index
+   */
+  const handleRemove = (index) => {
+    if (window.confirm(`Remove "${describeItem(items[index], index)}"?`)) {
+      onRemove(index);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {items.map((item, index) => (
+        <div key={index} className="bg-slate-50 rounded-xl border border-slate-200 p-6">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+            <h4 className="font-bold font-mono" style={{color: '#3f4d64'}}>
+              #{index + 1} <span className="text-slate-500 font-normal">{describeItem(item, index)}</span>
+            </h4>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => onMove(index, -1)}
+                disabled={index === 0}
+                aria-label={`Move ${describeItem(item, index)} up`}
+                className={buttonClassName}
+              >
+                ↑ Up
+              </button>
+              <button
+                type="button"
+                onClick={() => onMove(index, 1)}
+                disabled={index === items.length - 1}
+                aria-label={`Move ${describeItem(item, index)} down`}
+                className={buttonClassName}
+              >
+                ↓ Down
+              </button>
+              <button
+                type="button"
+                onClick={() => handleRemove(index)}
+                className={`${buttonClassName} text-red-700 border-red-200 hover:bg-red-50`}
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+
+          <div className="grid gap-4 md:grid-cols-2">
+            {fields.map(({ key, label, multiline, list }) => {
+              const id = `${section}-${index}-${key}`;
+              return (
+                <div key={key} className={multiline || list ? 'md:col-span-2' : ''}>
+                  <label htmlFor={id} className={labelClassName}>
+                    {label}{list && <span className="normal-case font-normal text-slate-400"> (one per line)</span>}
+                  </label>
+                  {list ? (
+                    <LinesField id={id} value={item[key] || []} onChange={value => onUpdateItem(index, { [key]: value })} />
+                  ) : multiline ? (
+                    <textarea
+                      id={id}
+                      value={item[key] || ''}
+                      onChange={(e) => onUpdateItem(index, { [key]: e.target.value })}
+                      rows={3}
+                      className={inputClassName}
+                    />
+                  ) : (
+                    <input
+                      type="text"
+                      id={id}
+                      value={item[key] || ''}
+                      onChange={(e) => onUpdateItem(index, { [key]: e.target.value })}
+                      className={inputClassName}
+                    />
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+
+      <div className="flex gap-2">
+        <button type="button" onClick={onAdd} className={buttonClassName}>
+          + Add {itemLabel}
+        </button>
+        <button type="button" onClick={onDone} className={buttonClassName}>
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ListEditor;
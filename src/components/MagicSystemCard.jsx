@@ -0,0 +1,99 @@
+import React from 'react';
+import { SYSTEM_KINDS, SYSTEM_RULE_FIELDS } from '../utils/magicSystem';
+
+/**
+ * Heading for one part of the system
+ * @param {string} children - Heading text
+ */
+const PartHeading = ({ children }) => (
+  <h5 className="text-xs font-bold uppercase tracking-wide text-violet-800 font-mono mb-2">{children}</h5>
+);
+
+/**
+ * Grid of named entries (sources, schools or artifacts)
+ * @param {Object[]} items - Entries with a name, a description and optional practitioners
+ */
+const NamedEntries = ({ items }) => (
+  <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+    {items.map((item, index) => (
+      <div key={index} className="bg-white/70 rounded-lg p-4 border border-violet-100">
+        <p className="font-bold text-gray-900">{item.name}</p>
+        {item.description && <p className="text-sm text-gray-700 mt-1">{item.description}</p>}
+        {item.practitioners && (
+          <p className="text-xs text-violet-700 font-mono mt-2">Practised by {item.practitioners}</p>
+        )}
+      </div>
+    ))}
+  </div>
+);
+
+/**
+ * MagicSystemCard Component
+ * Shows the world's magic or technology system: where its power comes from, what it costs,
+ * what it cannot do, its schools or branches, notable artifacts and its effect on society
+ * @param {Object} system - Normalized magic or technology system
+ */
+const MagicSystemCard = ({ system }) => (
+  <div className="bg-gradient-to-br from-violet-50 to-fuchsia-50 rounded-xl p-6 border border-violet-100">
+    <div className="flex items-start justify-between mb-4 border-b-2 border-violet-200 pb-2">
+      <h4 className="text-2xl font-bold text-violet-900 flex-1">
+        {system.name}
+      </h4>
+      <span className="bg-violet-100 text-violet-800 text-xs font-medium font-mono px-3 py-1 rounded-full ml-2 whitespace-nowrap">
+        {SYSTEM_KINDS[system.kind]}
+      </span>
+    </div>
+
+    {system.overview && (
+      <p className="text-gray-800 leading-relaxed text-base mb-6">
+        {system.overview}
+      </p>
+    )}
+
+    <div className="space-y-6">
+      {system.sources.length > 0 && (
+        <div>
+          <PartHeading>Sources of Power</PartHeading>
+          <NamedEntries items={system.sources} />
+        </div>
+      )}
+
+      {/* Rules */}
+      <div className="grid gap-6 md:grid-cols-2">
+        {SYSTEM_RULE_FIELDS.filter(({ key }) => system[key].length > 0).map(({ key, label }) => (
+          <div key={key}>
+            <PartHeading>{label}</PartHeading>
+            <ul className="list-disc list-inside text-sm text-gray-800 space-y-1">
+              {system[key].map((rule, index) => (
+                <li key={index}>{rule}</li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+
+      {system.schools.length > 0 && (
+        <div>
+          <PartHeading>{system.kind === 'technology' ? 'Branches' : 'Schools'}</PartHeading>
+          <NamedEntries items={system.schools} />
+        </div>
+      )}
+
+      {system.artifacts.length > 0 && (
+        <div>
+          <PartHeading>Notable Artifacts</PartHeading>
+          <NamedEntries items={system.artifacts} />
+        </div>
+      )}
+
+      {system.societalImpact && (
+        <div>
+          <PartHeading>Impact on Society</PartHeading>
+          <p className="text-gray-800 leading-relaxed">{system.societalImpact}</p>
+        </div>
+      )}
+    </div>
+  </div>
+);
+
+export default MagicSystemCard;
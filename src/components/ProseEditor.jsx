@@ -0,0 +1,111 @@
+import React, { useEffect, useRef } from 'react';
+import { richTextFromElement, richTextToHtml, toPlainText } from '../utils/richText';
+
+const toolButtonClassName = 'px-3 py-1 rounded-lg text-xs font-mono border border-slate-300 bg-white text-slate-700 hover:bg-slate-100 focus:outline-none focus:ring-2 focus:ring-slate-400 transition-colors duration-200';
+
+/**
+ * ProseEditor Component
+ * Rich-text editor for a prose section such as the world narrative, with bold, italic and headings.
+ * The section stays a string in the rich text form of utils/richText, which the view and exporters read
+ * @param {string} id - Editor id
+ * @param {string} value - Current rich text
+ * @param {Function} onChange - Callback with the new rich text
+ * @param {Function} onDone - Callback to leave edit mode
+ */
+const ProseEditor = ({ id, value, onChange, onDone }) => {
+  const editorRef = useRef(null);
+  const lastValueRef = useRef(null);
+
+  // Rebuild the content only when the text changes from outside, such as an undo, so typing keeps the caret
+  useEffect(() => {
+    if (value === lastValueRef.current) return;
+    lastValueRef.current = value;
+    editorRef.current.innerHTML = richTextToHtml(value);
+  }, [value]);
+
+  /**
+   * Read the edited content back as rich text
+   */
+  const handleInput = () => {
+    const text = richTextFromElement(editorRef.current);
+    if (text === lastValueRef.current) return;
+    lastValueRef.current = text;
+    onChange(text);
+  };
+
+  /**
+   * Paste as plain text, so formatting copied from elsewhere does not end up in the editor unseen
+   * @param {ClipboardEvent} e - Paste event
+   */
+  const handlePaste = (e) => {
+    e.preventDefault();
+    document.execCommand('insertText', false, e.clipboardData.getData('text/plain'));
+  };
+
+  /**
+   * Apply a formatting command to the selection
+   * @param {string} command - execCommand name
+   * @param {string} argument - Command argument (optional)
+   */
+  const applyFormat = (command, argument = null) => {
+    editorRef.current.focus();
+    document.execCommand(command, false, argument);
+    handleInput();
+  };
+
+  /**
+   * Turn the block holding the caret into a heading, or back into a paragraph
+   */
+  const toggleHeading = () => {
+    const isHeading = document.queryCommandValue('formatBlock').toLowerCase() === 'h3';
+    applyFormat('formatBlock', isHeading ? 'p' : 'h3');
+  };
+
+  const plainText = toPlainText(value);
+  const paragraphCount = plainText.split('\n\n').filter(paragraph => paragraph.trim()).length;
+  const wordCount = plainText.split(/\s+/).filter(Boolean).length;
+
+  return (
+    <div className="bg-slate-50 rounded-xl p-6 border border-slate-200">
+      <div className="flex flex-wrap gap-2 mb-2" role="toolbar" aria-label="Formatting">
+        {/* Keep the selection in the editor while a button is pressed */}
+        <button type="button" onMouseDown={e => e.preventDefault()} onClick={() => applyFormat('bold')} title="Bold (Ctrl+B)" className={`${toolButtonClassName} font-bold`}>
+          B
+        </button>
+        <button type="button" onMouseDown={e => e.preventDefault()} onClick={() => applyFormat('italic')} title="Italic (Ctrl+I)" className={`${toolButtonClassName} italic`}>
+          I
+        </button>
+        <button type="button" onMouseDown={e => e.preventDefault()} onClick={toggleHeading} title="Heading" className={toolButtonClassName}>
+          Heading
+        </button>
+      </div>
+      <div
+        id={id}
+        ref={editorRef}
+        contentEditable
+        suppressContentEditableWarning
+        role="textbox"
+        aria-multiline="true"
+        aria-label="Text"
+        onInput={handleInput}
+        onPaste={handlePaste}
+        onFocus={() => document.execCommand('defaultParagraphSeparator', false, 'p')}
+        className="w-full min-h-[12rem] max-h-[40rem] overflow-y-auto px-4 py-3 border border-slate-300 rounded-lg text-gray-800 leading-relaxed text-lg font-light bg-white focus:outline-none focus:ring-2 focus:ring-slate-400 [&_p]:mb-4 [&_h3]:text-xl [&_h3]:font-bold [&_h3]:font-mono [&_h3]:mb-2"
+      />
+      <div className="flex flex-wrap items-center justify-between gap-2 mt-2">
+        <p className="text-xs text-slate-500 font-mono">
+          Enter starts a new paragraph · {paragraphCount} paragraph{paragraphCount === 1 ? '' : 's'}, {wordCount} words
+        </p>
+        <button
+          type="button"
+          onClick={onDone}
+          className={toolButtonClassName}
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ProseEditor;
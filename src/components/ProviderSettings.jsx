@@ -0,0 +1,108 @@
+import React from 'react';
+import { PROVIDER_OPTIONS } from '../providers';
+
+/**
+ * ProviderSettings Component
+ * Lets the user choose which LLM provider generates the world
+ * @param {Object} settings - Current provider settings ({ provider, baseUrl, model, maxConcurrentRequests })
+ * @param {Function} onChange - Callback with the updated settings
+ * @param {boolean} disabled - Whether the inputs are disabled
+ */
+const ProviderSettings = ({ settings, onChange, disabled = false }) => {
+  const selected = PROVIDER_OPTIONS.find(option => option.id === settings.provider) || PROVIDER_OPTIONS[0];
+
+  /**
+   * Switch provider, clearing endpoint settings that belonged to the previous one
+   * @param {string} provider - Provider id
+   */
+  const handleProviderChange = (provider) => {
+    onChange({ ...settings, provider, baseUrl: '', model: '' });
+  };
+
+  return (
+    <div className="bg-slate-50 rounded-lg p-4 border border-slate-200 space-y-4">
+      <div>
+        <label htmlFor="llmProvider" className="block text-sm font-medium text-slate-700 mb-2 font-mono">
+          AI Provider
+        </label>
+        <select
+          id="llmProvider"
+          value={selected.id}
+          onChange={(e) => handleProviderChange(e.target.value)}
+          className="w-full px-3 py-2 border-2 border-slate-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 font-mono text-sm"
+          disabled={disabled}
+        >
+          {PROVIDER_OPTIONS.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        {selected.id === 'mock' && (
+          <p className="mt-1 text-xs text-slate-500 font-mono">
+            Returns fixed sample content instantly. No API key or network needed.
+          </p>
+        )}
+        {selected.id === 'local' && (
+          <p className="mt-1 text-xs text-slate-500 font-mono">
+            Local servers generate text only; visuals fall back to written art briefs.
+          </p>
+        )}
+      </div>
+
+      <div>
+        <label htmlFor="maxConcurrentRequests" className="block text-sm font-medium text-slate-700 mb-2 font-mono">
+          Parallel Requests
+        </label>
+        <input
+          type="number"
+          id="maxConcurrentRequests"
+          min={1}
+          max={8}
+          value={settings.maxConcurrentRequests}
+          onChange={(e) => onChange({ ...settings, maxConcurrentRequests: Math.min(8, Math.max(1, Number(e.target.value) || 1)) })}
+          className="w-32 px-3 py-2 border-2 border-slate-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 font-mono text-sm"
+          disabled={disabled}
+        />
+        <p className="mt-1 text-xs text-slate-500 font-mono">
+          How many API requests may run at the same time. Lower this if you hit rate limits.
+        </p>
+      </div>
+
+      {selected.configurable && (
+        <div className="grid gap-4 md:grid-cols-2">
+          <div>
+            <label htmlFor="llmBaseUrl" className="block text-sm font-medium text-slate-700 mb-2 font-mono">
+              Server URL
+            </label>
+            <input
+              type="url"
+              id="llmBaseUrl"
+              value={settings.baseUrl}
+              onChange={(e) => onChange({ ...settings, baseUrl: e.target.value })}
+              placeholder={selected.defaultBaseUrl}
+              className="w-full px-3 py-2 border-2 border-slate-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 font-mono text-sm"
+              disabled={disabled}
+            />
+          </div>
+          <div>
+            <label htmlFor="llmModel" className="block text-sm font-medium text-slate-700 mb-2 font-mono">
+              Model
+            </label>
+            <input
+              type="text"
+              id="llmModel"
+              value={settings.model}
+              onChange={(e) => onChange({ ...settings, model: e.target.value })}
+              placeholder={selected.defaultModel}
+              className="w-full px-3 py-2 border-2 border-slate-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 font-mono text-sm"
+              disabled={disabled}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProviderSettings;
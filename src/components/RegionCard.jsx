@@ -0,0 +1,60 @@
+import React from 'react';
+import { REGION_LIST_FIELDS } from '../utils/regions';
+
+/**
+ * RegionCard Component
+ * Shows one structured region: biome and climate, its atmosphere and the lists of
+ * landmarks, settlements, neighbouring regions and dangers
+ * @param {Object} region - Region data
+ * @param {number} index - Position of the region in the world
+ */
+const RegionCard = ({ region, index }) => (
+  <div className="bg-gradient-to-r from-blue-50 to-indigo-50 rounded-xl p-6 border border-blue-100 hover:shadow-lg transition-shadow duration-300">
+    <div className="flex items-start justify-between mb-4 border-b-2 border-blue-200 pb-2">
+      <h4 className="text-xl font-bold text-blue-900 flex-1">
+        {region.name}
+      </h4>
+      <span className="bg-blue-100 text-blue-700 text-xs font-medium px-2 py-1 rounded-full ml-2">
+        #{index + 1}
+      </span>
+    </div>
+
+    {(region.biome || region.climate) && (
+      <div className="flex flex-wrap gap-2 mb-4">
+        {region.biome && (
+          <span className="bg-emerald-100 text-emerald-800 text-xs font-medium font-mono px-3 py-1 rounded-full">
+            {region.biome}
+          </span>
+        )}
+        {region.climate && (
+          <span className="bg-sky-100 text-sky-800 text-xs font-medium font-mono px-3 py-1 rounded-full">
+            {region.climate}
+          </span>
+        )}
+      </div>
+    )}
+
+    {region.atmosphere && (
+      <p className="text-gray-800 leading-relaxed text-base mb-4">
+        {region.atmosphere}
+      </p>
+    )}
+
+    <dl className="grid gap-4 sm:grid-cols-2">
+      {REGION_LIST_FIELDS.filter(({ key }) => region[key]?.length > 0).map(({ key, label }) => (
+        <div key={key}>
+          <dt className="text-xs font-bold uppercase tracking-wide text-blue-800 font-mono mb-1">{label}</dt>
+          <dd>
+            <ul className="list-disc list-inside text-sm text-gray-700 space-y-1">
+              {region[key].map((item, itemIndex) => (
+                <li key={itemIndex}>{item}</li>
+              ))}
+            </ul>
+          </dd>
+        </div>
+      ))}
+    </dl>
+  </div>
+);
+
+export default RegionCard;
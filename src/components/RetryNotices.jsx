@@ -0,0 +1,30 @@
+import React from 'react';
+
+/**
+ * RetryNotices Component
+ * Shows requests that failed transiently and are waiting to be retried
+ * @param {Object[]} notices - Retry notices ({ label, attempt, maxAttempts, delay, reason })
+ */
+const RetryNotices = ({ notices }) => {
+  if (!notices || notices.length === 0) return null;
+
+  return (
+    <div className="bg-amber-50 rounded-lg p-3 border border-amber-200 mb-4" role="status" aria-live="polite">
+      <ul className="space-y-1">
+        {notices.map((notice, index) => (
+          <li key={index} className="text-xs text-amber-800 font-mono flex items-center">
+            <svg className="h-3 w-3 mr-2 animate-spin flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+            </svg>
+            <span>
+              {notice.label}: {notice.reason}, retrying in {Math.max(1, Math.round(notice.delay / 1000))}s
+              (attempt {notice.attempt} of {notice.maxAttempts})
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RetryNotices;
@@ -0,0 +1,108 @@
+import React, { useMemo, useState } from 'react';
+import { TEXT_SECTIONS } from '../utils/worldPrompts';
+import { getSectionLines, diffLines } from '../utils/worldDiff';
+
+const selectClassName = 'w-full px-3 py-2 border border-slate-300 rounded-lg text-sm font-mono bg-white focus:outline-none focus:ring-2 focus:ring-slate-400';
+const labelClassName = 'block text-xs font-bold uppercase tracking-wide text-slate-600 font-mono mb-1';
+
+const ROW_STYLES = {
+  same: { left: 'text-slate-500', right: 'text-slate-500' },
+  changed: { left: 'bg-red-50 text-red-900', right: 'bg-green-50 text-green-900' },
+  removed: { left: 'bg-red-50 text-red-900', right: 'bg-slate-50' },
+  added: { left: 'bg-slate-50', right: 'bg-green-50 text-green-900' }
+};
+
+/**
+ * SectionDiff Component
+ * Side-by-side comparison of one section between any two versions of a world
+ * @param {Object[]} versions - Versions to choose from { id, name, worldData }, the current one first
+ */
+const SectionDiff = ({ versions }) => {
+  const [section, setSection] = useState('worldNarrative');
+  const [leftId, setLeftId] = useState(null);
+  const [rightId, setRightId] = useState(null);
+  const [changesOnly, setChangesOnly] = useState(false);
+
+  // Compare the newest older version with the current one until the user picks others
+  const left = versions.find(version => version.id === leftId) || versions[1] || versions[0];
+  const right = versions.find(version => version.id === rightId) || versions[0];
+
+  const rows = useMemo(
+    () => diffLines(getSectionLines(left.worldData, section), getSectionLines(right.worldData, section)),
+    [left, right, section]
+  );
+  const changeCount = rows.filter(row => row.type !== 'same').length;
+  const shownRows = changesOnly ? rows.filter(row => row.type !== 'same') : rows;
+
+  /**
+   * Render a version picker
+   * @param {string} id - Select id
+   * @param {string} label - Field label
+   * @param {Object} value - Selected version
+   * @param {Function} onChange - Callback with the chosen version id
+   */
+  const renderVersionSelect = (id, label, value, onChange) => (
+    <div>
+      <label htmlFor={id} className={labelClassName}>{label}</label>
+      <select id={id} value={value.id} onChange={(e) => onChange(e.target.value)} className={selectClassName}>
+        {versions.map(version => (
+          <option key={version.id} value={version.id}>{version.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  return (
+    <div>
+      <div className="grid gap-4 md:grid-cols-3 mb-4">
+        <div>
+          <label htmlFor="diff-section" className={labelClassName}>Section</label>
+          <select id="diff-section" value={section} onChange={(e) => setSection(e.target.value)} className={selectClassName}>
+            {Object.entries(TEXT_SECTIONS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        {renderVersionSelect('diff-left', 'Compare', left, setLeftId)}
+        {renderVersionSelect('diff-right', 'With', right, setRightId)}
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <p className="text-xs text-slate-500 font-mono">
+          {changeCount === 0 ? 'No differences in this section' : `${changeCount} changed line${changeCount === 1 ? '' : 's'}`}
+        </p>
+        <label className="flex items-center gap-2 text-xs text-slate-600 font-mono">
+          <input type="checkbox" checked={changesOnly} onChange={(e) => setChangesOnly(e.target.checked)} />
+          Only show changes
+        </label>
+      </div>
+
+      <div className="rounded-lg border border-slate-200 overflow-auto max-h-[32rem]">
+        <table className="w-full table-fixed text-sm">
+          <thead className="bg-slate-100 sticky top-0">
+            <tr>
+              <th className="w-1/2 px-3 py-2 text-left text-xs font-mono text-slate-600">{left.name}</th>
+              <th className="w-1/2 px-3 py-2 text-left text-xs font-mono text-slate-600 border-l border-slate-200">{right.name}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shownRows.length === 0 ? (
+              <tr>
+                <td colSpan={2} className="px-3 py-4 text-center text-xs text-slate-500 font-mono">
+                  {rows.length === 0 ? 'Neither version has this section' : 'No differences in this section'}
+                </td>
+              </tr>
+            ) : shownRows.map((row, index) => (
+              <tr key={index} className="align-top">
+                <td className={`px-3 py-1 whitespace-pre-wrap break-words ${ROW_STYLES[row.type].left}`}>{row.left}</td>
+                <td className={`px-3 py-1 whitespace-pre-wrap break-words border-l border-slate-200 ${ROW_STYLES[row.type].right}`}>{row.right}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default SectionDiff;
@@ -0,0 +1,283 @@
+import React, { useState } from 'react';
+import {
+  EVENT_LINK_FIELDS,
+  createTimelineEvent,
+  flattenTimeline,
+  getEventLinks,
+  insertTimelineEvents,
+  moveTimelineEvent,
+  removeTimelineEvent,
+  updateTimelineEvent
+} from '../utils/timeline';
+
+const ERA_COLORS = ['#3f4d64', '#b45309', '#0f766e', '#7c3aed', '#be123c', '#1d4ed8'];
+
+const buttonClassName = 'px-3 py-1 rounded-lg text-xs font-mono border border-slate-300 bg-white text-slate-700 hover:bg-slate-100 focus:outline-none focus:ring-2 focus:ring-slate-400 transition-colors duration-200 disabled:opacity-40 disabled:cursor-not-allowed';
+const inputClassName = 'w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-slate-400';
+
+/**
+ * TimelineView Component
+ * Horizontal timeline of the world's eras and events. When editing is enabled, events can be
+ * selected and edited, added, moved, deleted, and the gap between two events filled by the model
+ * @param {Object[]} timeline - Eras with their events
+ * @param {Object} entityNames - Known { factions, characters, regions } names events can involve
+ * @param {Function} onChange - Optional callback with an updater (timeline => timeline) for edits, and for edits to
+ *   one field of an event a key naming that field
+ * @param {Function} onFillGap - Optional callback with the era and event index of the earlier event of a gap
+ * @param {Object} regeneratingSections - Keys of gaps currently being filled ("timelineGap.era.event")
+ */
+const TimelineView = ({ timeline, entityNames = {}, onChange = null, onFillGap = null, regeneratingSections = {} }) => {
+  const [selected, setSelected] = useState(null);
+
+  const entries = flattenTimeline(timeline);
+  const lastEntry = entries[entries.length - 1];
+  const selectedEvent = selected && timeline[selected.eraIndex]?.events[selected.eventIndex];
+  const selectedPosition = selectedEvent
+    ? entries.findIndex(entry => entry.eraIndex === selected.eraIndex && entry.eventIndex === selected.eventIndex)
+    : -1;
+
+  /**
+   * Change a field of the selected event
+   * @param {string} field - Event field
+   * @param {string|string[]} value - New value
+   */
+  const handleFieldChange = (field, value) => {
+    const { eraIndex, eventIndex } = selected;
+    onChange(
+      current => updateTimelineEvent(current, eraIndex, eventIndex, { [field]: value }),
+      `timeline.${eraIndex}.${eventIndex}.${field}`
+    );
+  };
+
+  /**
+   * Add or remove a faction, character or region from the selected event
+   * @param {string} field - 'factions', 'characters' or 'regions'
+   * @param {string} name - Entity name
+   */
+  const handleToggleLink = (field, name) => {
+    const links = selectedEvent[field];
+    handleFieldChange(field, links.includes(name) ? links.filter(link => link !== name) : [...links, name]);
+  };
+
+  /**
+   * Add an empty event at the end of an era and select it
+   * @param {number} eraIndex - Era to add to
+   */
+  const handleAddEvent = (eraIndex) => {
+    const eventIndex = timeline[eraIndex].events.length;
+    onChange(current => insertTimelineEvents(current, eraIndex, eventIndex, [createTimelineEvent()]));
+    setSelected({ eraIndex, eventIndex });
+  };
+
+  /**
+   * Move the selected event one step earlier or later, keeping it selected
+   * @param {number} direction - -1 for earlier, 1 for later
+   */
+  const handleMove = (direction) => {
+    const moved = moveTimelineEvent(timeline, selected.eraIndex, selected.eventIndex, direction);
+    onChange(current => moveTimelineEvent(current, selected.eraIndex, selected.eventIndex, direction).timeline);
+    setSelected({ eraIndex: moved.eraIndex, eventIndex: moved.eventIndex });
+  };
+
+  /**
+   * Confirm and delete the selected event
+   */
+  const handleDelete = () => {
+    if (window.confirm(`Delete "${selectedEvent.title}" from the timeline?`)) {
+      const { eraIndex, eventIndex } = selected;
+      onChange(current => removeTimelineEvent(current, eraIndex, eventIndex));
+      setSelected(null);
+    }
+  };
+
+  /**
+   * Render the button that fills the gap after an event, unless it is the last event
+   * @param {number} eraIndex - Era of the event
+   * @param {number} eventIndex - Event within the era
+   * @returns {JSX.Element|null} Gap button
+   */
+  const renderGapButton = (eraIndex, eventIndex) => {
+    if (!onFillGap || (lastEntry.eraIndex === eraIndex && lastEntry.eventIndex === eventIndex)) return null;
+    const isFilling = !!regeneratingSections[`timelineGap.${eraIndex}.${eventIndex}`];
+
+    return (
+      <button
+        type="button"
+        onClick={() => {
+          // New events shift the positions after the gap, so the selection would point elsewhere
+          setSelected(null);
+          onFillGap(eraIndex, eventIndex);
+        }}
+        disabled={isFilling}
+        title="Ask the AI for the events in between"
+        aria-label={`Fill the gap after ${timeline[eraIndex].events[eventIndex].title}`}
+        className={`relative z-10 self-start mt-1 mx-1 w-7 h-7 flex-shrink-0 rounded-full border border-dashed border-slate-400 bg-white text-slate-600 text-sm font-mono hover:bg-slate-100 focus:outline-none focus:ring-2 focus:ring-slate-400 ${isFilling ? 'animate-pulse cursor-not-allowed' : ''}`}
+      >
+        {isFilling ? '…' : '+'}
+      </button>
+    );
+  };
+
+  return (
+    <div>
+      <div className="overflow-x-auto pb-4">
+        <div className="flex min-w-max">
+          {timeline.map((era, eraIndex) => {
+            const color = ERA_COLORS[eraIndex % ERA_COLORS.length];
+            return (
+              <div key={`era-${eraIndex}`} className="flex flex-col pr-4">
+                {/* Era */}
+                <div className="mb-4 pl-3 max-w-md" style={{borderLeft: `4px solid ${color}`}}>
+                  <div className="flex items-center gap-2">
+                    <h4 className="font-bold font-mono" style={{color}}>{era.name}</h4>
+                    {onChange && (
+                      <button
+                        type="button"
+                        onClick={() => handleAddEvent(eraIndex)}
+                        className="text-xs font-mono text-slate-500 hover:text-slate-800 underline decoration-dotted"
+                      >
+                        + Event
+                      </button>
+                    )}
+                  </div>
+                  {era.period && <p className="text-xs font-mono text-slate-500">{era.period}</p>}
+                  {era.description && <p className="text-sm text-gray-700 mt-1">{era.description}</p>}
+                </div>
+
+                {/* Events on the line */}
+                <div className="relative flex flex-1 items-start">
+                  <div className="absolute left-0 right-0 top-4 h-1 rounded-full" style={{backgroundColor: color, opacity: 0.25}} />
+                  {era.events.length === 0 && (
+                    <p className="relative mt-8 text-xs font-mono text-slate-400 w-48">No events in this era yet</p>
+                  )}
+                  {era.events.map((event, eventIndex) => {
+                    const isSelected = selected?.eraIndex === eraIndex && selected?.eventIndex === eventIndex;
+                    const links = getEventLinks(event);
+                    return (
+                      <React.Fragment key={`event-${eraIndex}-${eventIndex}`}>
+                        <button
+                          type="button"
+                          onClick={() => setSelected(isSelected ? null : { eraIndex, eventIndex })}
+                          aria-pressed={isSelected}
+                          className="relative w-56 flex-shrink-0 text-left focus:outline-none group"
+                        >
+                          <span
+                            className="block w-4 h-4 rounded-full mx-auto mt-2 border-2 border-white shadow"
+                            style={{backgroundColor: color}}
+                          />
+                          <span className={`block mt-3 p-3 rounded-lg border bg-white transition-shadow duration-200 group-hover:shadow-md group-focus:ring-2 group-focus:ring-slate-400 ${isSelected ? 'border-slate-700 shadow-md' : 'border-slate-200'}`}>
+                            {event.date && <span className="block text-xs font-mono text-slate-500 mb-1">{event.date}</span>}
+                            <span className="block font-bold text-gray-900 text-sm">{event.title}</span>
+                            {event.description && <span className="block text-xs text-gray-700 mt-1 line-clamp-3">{event.description}</span>}
+                            {links.length > 0 && (
+                              <span className="flex flex-wrap gap-1 mt-2">
+                                {links.map((name, index) => (
+                                  <span key={index} className="bg-slate-100 text-slate-700 text-[10px] font-mono px-1.5 py-0.5 rounded">{name}</span>
+                                ))}
+                              </span>
+                            )}
+                          </span>
+                        </button>
+                        {renderGapButton(eraIndex, eventIndex)}
+                      </React.Fragment>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {onChange && !selectedEvent && (
+        <p className="text-xs text-slate-500 font-mono">
+          Select an event to edit, move or delete it{onFillGap ? '; use + between two events to have the AI fill in what happened' : ''}.
+        </p>
+      )}
+
+      {/* Event editor */}
+      {onChange && selectedEvent && (
+        <div className="mt-2 bg-slate-50 rounded-xl border border-slate-200 p-6">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+            <h4 className="font-bold font-mono" style={{color: '#3f4d64'}}>
+              Edit event <span className="text-slate-500 font-normal">in {timeline[selected.eraIndex].name}</span>
+            </h4>
+            <div className="flex gap-2">
+              <button type="button" onClick={() => handleMove(-1)} disabled={selectedPosition === 0} className={buttonClassName}>
+                ← Earlier
+              </button>
+              <button type="button" onClick={() => handleMove(1)} disabled={selectedPosition === entries.length - 1} className={buttonClassName}>
+                Later →
+              </button>
+              <button type="button" onClick={handleDelete} className={`${buttonClassName} text-red-700 border-red-200 hover:bg-red-50`}>
+                Delete
+              </button>
+              <button type="button" onClick={() => setSelected(null)} className={buttonClassName}>
+                Done
+              </button>
+            </div>
+          </div>
+
+          <div className="grid gap-4 md:grid-cols-3">
+            <label className="block">
+              <span className="block text-xs font-bold uppercase tracking-wide text-slate-600 font-mono mb-1">Date</span>
+              <input
+                type="text"
+                value={selectedEvent.date}
+                onChange={(e) => handleFieldChange('date', e.target.value)}
+                className={inputClassName}
+              />
+            </label>
+            <label className="block md:col-span-2">
+              <span className="block text-xs font-bold uppercase tracking-wide text-slate-600 font-mono mb-1">Title</span>
+              <input
+                type="text"
+                value={selectedEvent.title}
+                onChange={(e) => handleFieldChange('title', e.target.value)}
+                className={inputClassName}
+              />
+            </label>
+            <label className="block md:col-span-3">
+              <span className="block text-xs font-bold uppercase tracking-wide text-slate-600 font-mono mb-1">Description</span>
+              <textarea
+                value={selectedEvent.description}
+                onChange={(e) => handleFieldChange('description', e.target.value)}
+                rows={3}
+                className={inputClassName}
+              />
+            </label>
+          </div>
+
+          {EVENT_LINK_FIELDS.map(({ key, label }) => {
+            // Names the event already mentions stay available even if they are not in the world
+            const names = [...new Set([...(entityNames[key] || []), ...selectedEvent[key]])];
+            if (names.length === 0) return null;
+            return (
+              <fieldset key={key} className="mt-4">
+                <legend className="text-xs font-bold uppercase tracking-wide text-slate-600 font-mono mb-2">{label} involved</legend>
+                <div className="flex flex-wrap gap-2">
+                  {names.map(name => {
+                    const active = selectedEvent[key].includes(name);
+                    return (
+                      <button
+                        key={name}
+                        type="button"
+                        onClick={() => handleToggleLink(key, name)}
+                        aria-pressed={active}
+                        className={`px-2 py-1 rounded-full text-xs font-mono border transition-colors duration-200 ${active ? 'bg-slate-700 text-white border-slate-700' : 'bg-white text-slate-600 border-slate-300 hover:bg-slate-100'}`}
+                      >
+                        {name}
+                      </button>
+                    );
+                  })}
+                </div>
+              </fieldset>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimelineView;
@@ -0,0 +1,233 @@
+import React, { useEffect, useState } from 'react';
+import SectionDiff from './SectionDiff';
+
+const buttonClassName = 'px-3 py-2 rounded-lg text-xs font-mono border border-slate-300 bg-white text-slate-700 hover:bg-slate-100 focus:outline-none focus:ring-2 focus:ring-slate-400 transition-colors duration-200 disabled:opacity-40 disabled:cursor-not-allowed';
+
+/**
+ * Check whether a key press belongs to a text field, which has its own undo
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} True inside inputs, textareas, selects and editable content
+ */
+const isTextField = (target) => (
+  ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable
+);
+
+/**
+ * VersionHistory Component
+ * Undo and redo for the open world, named snapshots kept in the library, and a diff between versions
+ * @param {Object} worldData - Current world data
+ * @param {Object[]} pastSteps - Undo history, oldest first ({ world, label } with the world before each change)
+ * @param {string} undoLabel - Label of the change undo would revert, if any
+ * @param {string} redoLabel - Label of the change redo would reapply, if any
+ * @param {Function} onUndo - Callback to undo the latest change
+ * @param {Function} onRedo - Callback to redo the latest undone change
+ * @param {Function} onRestore - Callback with world data and a label to make it the current version
+ * @param {string} worldId - Library id of the open world; snapshots need a saved world
+ * @param {Function} listSnapshots - Async callback with a world id, resolving to its snapshots
+ * @param {Function} saveSnapshot - Async callback with a world id, name and world data
+ * @param {Function} deleteSnapshot - Async callback with a snapshot id
+ */
+const VersionHistory = ({
+  worldData,
+  pastSteps,
+  undoLabel,
+  redoLabel,
+  onUndo,
+  onRedo,
+  onRestore,
+  worldId,
+  listSnapshots,
+  saveSnapshot,
+  deleteSnapshot
+}) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotName, setSnapshotName] = useState('');
+  const [snapshotError, setSnapshotError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isComparing, setIsComparing] = useState(false);
+
+  // Load the snapshots of the open world
+  useEffect(() => {
+    setSnapshots([]);
+    setSnapshotError(null);
+    if (!worldId) return undefined;
+
+    let isCurrent = true;
+    listSnapshots(worldId)
+      .then((records) => {
+        if (isCurrent) setSnapshots(records);
+      })
+      .catch((err) => {
+        if (isCurrent) setSnapshotError(`Could not load snapshots: ${err.message}`);
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [worldId, listSnapshots]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) outside text fields, which keep their own undo
+  useEffect(() => {
+    /**
+     * Undo or redo on the keyboard shortcut
+     * @param {KeyboardEvent} e - Key press
+     */
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z' || isTextField(e.target)) return;
+      e.preventDefault();
+      if (e.shiftKey) {
+        onRedo();
+      } else {
+        onUndo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onUndo, onRedo]);
+
+  /**
+   * Save the current world as a named snapshot
+   * @param {Event} e - Form submission event
+   */
+  const handleSaveSnapshot = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setSnapshotError(null);
+    try {
+      const record = await saveSnapshot(worldId, snapshotName, worldData);
+      setSnapshots(prev => [record, ...prev]);
+      setSnapshotName('');
+    } catch (err) {
+      setSnapshotError(`Could not save snapshot: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Confirm and delete a snapshot
+   * @param {Object} snapshot - Snapshot record
+   */
+  const handleDeleteSnapshot = async (snapshot) => {
+    if (!window.confirm(`Delete the snapshot "${snapshot.name}"? This cannot be undone.`)) return;
+
+    try {
+      await deleteSnapshot(snapshot.id);
+      setSnapshots(prev => prev.filter(record => record.id !== snapshot.id));
+    } catch (err) {
+      setSnapshotError(`Could not delete snapshot: ${err.message}`);
+    }
+  };
+
+  const versions = [
+    { id: 'current', name: 'Current version', worldData },
+    ...pastSteps.map((step, index) => ({ id: `step-${index}`, name: `Before: ${step.label}`, worldData: step.world })).reverse(),
+    ...snapshots.map(snapshot => ({ id: snapshot.id, name: `Snapshot: ${snapshot.name}`, worldData: snapshot.worldData }))
+  ];
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-8 mb-8 border-2 border-slate-200">
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-6">
+        <div className="pl-4" style={{borderLeft: '4px solid #3f4d64'}}>
+          <h2 className="text-2xl font-bold font-mono" style={{color: '#3f4d64'}}>Versions</h2>
+          <p className="text-slate-600 text-sm font-mono mt-1">Undo changes, keep snapshots and compare versions</p>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={onUndo}
+            disabled={!undoLabel}
+            title="Ctrl+Z"
+            className={buttonClassName}
+          >
+            ↶ Undo{undoLabel && `: ${undoLabel}`}
+          </button>
+          <button
+            type="button"
+            onClick={onRedo}
+            disabled={!redoLabel}
+            title="Ctrl+Shift+Z"
+            className={buttonClassName}
+          >
+            ↷ Redo{redoLabel && `: ${redoLabel}`}
+          </button>
+          <button
+            type="button"
+            onClick={() => setIsComparing(prev => !prev)}
+            disabled={versions.length < 2}
+            aria-expanded={isComparing}
+            className={buttonClassName}
+          >
+            {isComparing ? 'Hide comparison' : 'Compare versions'}
+          </button>
+        </div>
+      </div>
+
+      {snapshotError && (
+        <p className="mb-4 p-3 rounded-lg text-sm font-mono bg-red-50 text-red-800 border border-red-200">
+          {snapshotError}
+        </p>
+      )}
+
+      {worldId ? (
+        <form onSubmit={handleSaveSnapshot} className="flex flex-wrap gap-2 mb-4">
+          <input
+            type="text"
+            value={snapshotName}
+            onChange={(e) => setSnapshotName(e.target.value)}
+            placeholder="Snapshot name, e.g. before the faction rewrite"
+            aria-label="Snapshot name"
+            className="flex-1 min-w-0 px-3 py-2 border-2 border-slate-300 rounded-lg font-mono text-sm"
+          />
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="text-xs font-mono px-4 py-2 rounded-lg text-white disabled:opacity-50"
+            style={{backgroundColor: '#3f4d64'}}
+          >
+            {isSaving ? 'Saving...' : 'Save Snapshot'}
+          </button>
+        </form>
+      ) : (
+        <p className="mb-4 text-sm text-slate-500 font-mono">
+          Snapshots are kept in the world library, which is not available for this world.
+        </p>
+      )}
+
+      {snapshots.length > 0 && (
+        <ul className="divide-y divide-slate-200 border border-slate-200 rounded-lg mb-4">
+          {snapshots.map(snapshot => (
+            <li key={snapshot.id} className="flex flex-wrap items-center justify-between gap-2 px-4 py-2">
+              <div className="min-w-0">
+                <p className="text-sm font-bold text-slate-900 font-mono truncate" title={snapshot.name}>{snapshot.name}</p>
+                <p className="text-xs text-slate-400 font-mono">{new Date(snapshot.createdAt).toLocaleString()}</p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => onRestore(snapshot.worldData, `Restore "${snapshot.name}"`)}
+                  className={buttonClassName}
+                >
+                  Restore
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDeleteSnapshot(snapshot)}
+                  className={`${buttonClassName} text-red-700 border-red-200 hover:bg-red-50`}
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {isComparing && versions.length > 1 && <SectionDiff versions={versions} />}
+    </div>
+  );
+};
+
+export default VersionHistory;
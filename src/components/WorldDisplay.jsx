@@ -1,5 +1,24 @@
-import React from 'react';
-import PDFExportButton from './PDFExportButton';
+import React, { useState } from 'react';
+import ExportMenu from './ExportMenu';
+import RegionCard from './RegionCard';
+import WorldMap from './WorldMap';
+import FactionGraph from './FactionGraph';
+import TimelineView from './TimelineView';
+import MagicSystemCard from './MagicSystemCard';
+import CharacterSheet from './CharacterSheet';
+import ListEditor from './ListEditor';
+import ProseEditor from './ProseEditor';
+import { getMapSeed } from '../utils/mapGenerator';
+import { findCharacterFaction } from '../utils/factions';
+import { getScenarioParts } from '../utils/scenarios';
+import { parseRichText } from '../utils/richText';
+import {
+  EDITABLE_LISTS,
+  addSectionItem,
+  moveSectionItem,
+  removeSectionItem,
+  updateSectionItem
+} from '../utils/sectionEditing';
 
 /**
  * ImageWithFallback Component
@@ -89,13 +108,98 @@ const ScenarioPlaceholder = () => (
   </div>
 );
 
+/**
+ * RegenerateButton Component
+ * Small action button that regenerates one section or visual
+ * @param {Function} onClick - Callback when clicked
+ * @param {boolean} isRegenerating - Whether this item is currently regenerating
+ * @param {string} label - Accessible label describing what will be regenerated
+ * @param {string} className - Additional CSS classes for styling
+ */
+const RegenerateButton = ({ onClick, isRegenerating, label, className = '' }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    disabled={isRegenerating}
+    title={label}
+    aria-label={label}
+    className={`flex items-center space-x-1 px-3 py-1 rounded-lg text-xs font-mono border border-slate-300 bg-white text-slate-700 hover:bg-slate-100 focus:outline-none focus:ring-2 focus:ring-slate-400 transition-colors duration-200 ${isRegenerating ? 'cursor-not-allowed opacity-60' : ''} ${className}`}
+  >
+    <svg className={`h-3 w-3 ${isRegenerating ? 'animate-spin' : ''}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+    </svg>
+    <span>{isRegenerating ? 'Regenerating...' : 'Regenerate'}</span>
+  </button>
+);
+
+/**
+ * EditButton Component
+ * Small action button that switches a section between reading and editing
+ * @param {Function} onClick - Callback when clicked
+ * @param {boolean} isEditing - Whether the section is being edited
+ * @param {string} label - Accessible label describing what will be edited
+ */
+const EditButton = ({ onClick, isEditing, label }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    title={label}
+    aria-label={label}
+    aria-pressed={isEditing}
+    className={`flex items-center space-x-1 px-3 py-1 rounded-lg text-xs font-mono border focus:outline-none focus:ring-2 focus:ring-slate-400 transition-colors duration-200 ${isEditing ? 'bg-slate-700 text-white border-slate-700' : 'bg-white text-slate-700 border-slate-300 hover:bg-slate-100'}`}
+  >
+    <svg className="h-3 w-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+    </svg>
+    <span>{isEditing ? 'Done editing' : 'Edit'}</span>
+  </button>
+);
+
+/**
+ * SectionHeading Component
+ * Section title with an optional action (such as regenerate) aligned to the right
+ * @param {string} title - Section title
+ * @param {JSX.Element} action - Optional action element
+ * @param {string} className - Spacing classes for the heading row
+ */
+const SectionHeading = ({ title, action = null, className = 'mb-6' }) => (
+  <div className={`flex items-center justify-between ${className}`}>
+    <h3 className="text-2xl font-bold font-mono pl-4" style={{color: '#3f4d64', borderLeft: '4px solid #3f4d64'}}>{title}</h3>
+    {action}
+  </div>
+);
+
 /**
  * WorldDisplay Component
  * Renders all generated world content with actual AI-generated images
  * @param {Object} worldData - Complete world data object from API
  * @param {Object} imageGenerationProgress - Progress state for image generation
+ * @param {Function} onRegenerateSection - Optional callback with a text section key to regenerate
+ * @param {Function} onRegenerateVisual - Optional callback with a visual type and index to regenerate
+ * @param {Function} onExpandCharacter - Optional callback with a character index and { includeStats } to generate a full character sheet
+ * @param {Function} onFillTimelineGap - Optional callback with the era and event index after which to fill a timeline gap
+ * @param {Object} regeneratingSections - Keys of sections currently being regenerated
+ * @param {Function} onUpdateWorld - Optional callback with an updater, label and options for changes made in the view, such as a new map layout;
+ *   edits typed into a field pass { coalesceKey } naming the field
+ * @param {boolean} isStreaming - Whether the world is still being generated; shows the text written so far
+ * @param {string} worldName - Library name of the world, included in JSON exports (optional)
  */
-const WorldDisplay = ({ worldData, imageGenerationProgress = null }) => {
+const WorldDisplay = ({
+  worldData,
+  imageGenerationProgress = null,
+  onRegenerateSection = null,
+  onRegenerateVisual = null,
+  onFillTimelineGap = null,
+  onExpandCharacter = null,
+  regeneratingSections = {},
+  onUpdateWorld = null,
+  isStreaming = false,
+  worldName = null
+}) => {
+  const [openSheetIndex, setOpenSheetIndex] = useState(null);
+  const [includeStats, setIncludeStats] = useState(false);
+  const [editingSection, setEditingSection] = useState(null);
+
   if (!worldData) return null;
 
   const {
@@ -103,91 +207,188 @@ const WorldDisplay = ({ worldData, imageGenerationProgress = null }) => {
     gameBookIdeas,
     customizationOptions,
     characterConcepts,
-    conceptualMaps,
+    factions,
+    regions,
+    timeline,
+    magicSystem,
+    scenarios,
     conceptImage,
-    characterImages = [],
-    scenarioImages = [],
+    characterVisuals = [],
+    scenarioVisuals = [],
+    sectionErrors = {},
     userIdea,
     worldType
   } = worldData;
 
-  // Default progress state if not provided
-  const defaultProgress = {
-    concept: { loading: false, completed: false },
-    characters: Array(6).fill({ loading: false, completed: false }),
-    scenarios: Array(3).fill({ loading: false, completed: false })
+  const failedSections = Object.keys(sectionErrors);
+
+  // Visuals hold either generated image data or a text description fallback
+  const characterImages = characterVisuals.map(visual => (visual?.isImage ? visual.image : null));
+  const scenarioImages = scenarioVisuals.map(visual => (visual?.isImage ? visual.image : null));
+
+  // Faction each character belongs to, if any
+  const characterFactions = (characterConcepts || []).map(character => (
+    factions ? factions[findCharacterFaction(character, factions)] || null : null
+  ));
+
+  /**
+   * Generate (or regenerate) a character's full sheet and show it
+   * @param {number} index - Character index
+   */
+  const handleExpandCharacter = async (index) => {
+    await onExpandCharacter(index, { includeStats });
+    setOpenSheetIndex(index);
   };
 
-  const progress = imageGenerationProgress || defaultProgress;
+  const openSheetCharacter = openSheetIndex !== null && characterConcepts?.[openSheetIndex]?.sheet
+    ? characterConcepts[openSheetIndex]
+    : null;
 
   /**
-   * Format narrative text with proper paragraph breaks and improved styling
-   * @param {string} text - Raw narrative text
-   * @returns {JSX.Element[]} Array of paragraph elements
+   * Render a regenerate action for a text section, if regeneration is enabled
+   * @param {string} section - Section key in worldData
+   * @param {string} label - Human readable section name
+   * @returns {JSX.Element|null} Regenerate button
    */
-  const formatNarrative = (text) => {
-    if (!text) return null;
-    
-    const paragraphs = text.split('\n\n').filter(p => p.trim());
-    return paragraphs.map((paragraph, index) => (
-      <p key={index} className="mb-6 text-gray-800 leading-relaxed text-lg font-light">
-        {paragraph.trim()}
-      </p>
-    ));
+  const renderSectionRegenerate = (section, label) => onRegenerateSection && (
+    <RegenerateButton
+      onClick={() => onRegenerateSection(section)}
+      isRegenerating={!!regeneratingSections[section]}
+      label={`Regenerate ${label}`}
+    />
+  );
+
+  /**
+   * Render the edit toggle for a section, if editing is enabled and the section was generated
+   * @param {string} section - Section key in worldData
+   * @param {string} label - Human readable section name
+   * @returns {JSX.Element|null} Edit button
+   */
+  const renderEditToggle = (section, label) => onUpdateWorld && !isStreaming && !sectionErrors[section] && (
+    <EditButton
+      onClick={() => {
+        setEditingSection(editingSection === section ? null : section);
+        // Editing can move or remove characters, so an open sheet would point elsewhere
+        setOpenSheetIndex(null);
+      }}
+      isEditing={editingSection === section}
+      label={editingSection === section ? `Stop editing ${label}` : `Edit ${label}`}
+    />
+  );
+
+  /**
+   * Render the edit and regenerate actions of a section
+   * @param {string} section - Section key in worldData
+   * @param {string} label - Human readable section name
+   * @returns {JSX.Element} Section actions
+   */
+  const renderSectionActions = (section, label) => (
+    <div className="flex items-center gap-2">
+      {renderEditToggle(section, label)}
+      {renderSectionRegenerate(section, label)}
+    </div>
+  );
+
+  /**
+   * Render the in-place editor of a list section; every change is applied to the world right away
+   * @param {string} section - Key of EDITABLE_LISTS
+   * @returns {JSX.Element} List editor
+   */
+  const renderListEditor = (section) => (
+    <ListEditor
+      section={section}
+      items={worldData[section] || []}
+      fields={EDITABLE_LISTS[section].fields}
+      itemLabel={EDITABLE_LISTS[section].itemLabel}
+      onUpdateItem={(index, changes) => onUpdateWorld(
+        world => updateSectionItem(world, section, index, changes),
+        'Edit',
+        { coalesceKey: `${section}.${index}.${Object.keys(changes).join('.')}` }
+      )}
+      onAdd={() => onUpdateWorld(world => addSectionItem(world, section))}
+      onRemove={index => onUpdateWorld(world => removeSectionItem(world, section, index))}
+      onMove={(index, direction) => onUpdateWorld(world => moveSectionItem(world, section, index, direction))}
+      onDone={() => setEditingSection(null)}
+    />
+  );
+
+  /**
+   * Render the failure notice for a section that could not be generated
+   * @param {string} section - Section key in worldData
+   * @param {string} label - Human readable section name
+   * @returns {JSX.Element|null} Error card, or null when the section succeeded
+   */
+  const renderSectionError = (section, label) => {
+    if (!sectionErrors[section]) return null;
+
+    return (
+      <div className="bg-red-50 border-2 border-dashed border-red-200 rounded-xl p-6">
+        <p className="text-sm font-medium text-red-800 font-mono">
+          The {label} could not be generated.
+        </p>
+        <p className="text-xs text-red-700 font-mono mt-1">{sectionErrors[section]}</p>
+        {onRegenerateSection && (
+          <button
+            type="button"
+            onClick={() => onRegenerateSection(section)}
+            disabled={!!regeneratingSections[section]}
+            className="mt-4 bg-red-600 text-white px-4 py-2 rounded-lg text-sm font-medium font-mono hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2 transition-colors duration-200 border border-red-500 disabled:opacity-60 disabled:cursor-not-allowed"
+          >
+            {regeneratingSections[section] ? 'Retrying...' : 'Retry this section'}
+          </button>
+        )}
+      </div>
+    );
   };
 
   /**
-   * Format conceptual maps text with headings and improved styling
-   * @param {string} text - Raw maps text
-   * @returns {JSX.Element} Formatted maps content
+   * Render a regenerate action for a single visual, if regeneration is enabled
+   * @param {string} type - 'concept', 'character' or 'scenario'
+   * @param {number} index - Character or scenario index
+   * @param {string} label - Human readable visual name
+   * @param {string} className - Additional CSS classes for positioning
+   * @returns {JSX.Element|null} Regenerate button
    */
-  const formatConceptualMaps = (text) => {
-    if (!text) return null;
-    
-    const sections = text.split('\n\n').filter(s => s.trim());
-    return sections.map((section, index) => {
-      const lines = section.split('\n');
-      const heading = lines[0];
-      const content = lines.slice(1).join('\n');
-      
-      return (
-        <div key={index} className="mb-8 p-6 bg-gradient-to-r from-blue-50 to-indigo-50 rounded-xl border border-blue-100">
-          <h4 className="text-xl font-bold text-blue-900 mb-4 border-b-2 border-blue-200 pb-2">
-            {heading.replace(/^#{1,4}\s*/, '')}
-          </h4>
-          <p className="text-gray-800 leading-relaxed text-base">
-            {content.trim()}
-          </p>
-        </div>
-      );
-    });
+  const renderVisualRegenerate = (type, index, label, className = '') => onRegenerateVisual && (
+    <RegenerateButton
+      onClick={() => onRegenerateVisual(type, index)}
+      isRegenerating={!!regeneratingSections[type === 'concept' ? 'conceptImage' : `${type}Visuals.${index}`]}
+      label={`Regenerate ${label}`}
+      className={className}
+    />
+  );
+
+  // Default progress state if not provided (nothing in flight)
+  const defaultProgress = {
+    concept: { loading: false, completed: false },
+    characters: [],
+    scenarios: []
   };
 
+  const progress = imageGenerationProgress || defaultProgress;
+
   /**
-   * Generate scenario titles and descriptions
-   * @param {number} index - Scenario index
-   * @returns {Object} Scenario data
+   * Format narrative rich text into headings and paragraphs with improved styling
+   * @param {string} text - Narrative rich text
+   * @returns {JSX.Element[]} Array of heading and paragraph elements
    */
-  const getScenarioData = (index) => {
-    const scenarios = [
-      {
-        title: "The Heart of the World",
-        description: "This central location holds the key to understanding your world's mysteries and serves as a focal point for major events.",
-        tag: "Core Location"
-      },
-      {
-        title: "Realm of Secrets",
-        description: "A mysterious place filled with hidden knowledge, ancient artifacts, and dangerous challenges that test heroes.",
-        tag: "Mystery Zone"
-      },
-      {
-        title: "Crossroads of Destiny",
-        description: "Where different factions, cultures, or forces converge, creating opportunities for conflict, trade, and adventure.",
-        tag: "Social Hub"
-      }
-    ];
-    
-    return scenarios[index] || scenarios[0];
+  const formatNarrative = (text) => {
+    if (!text) return null;
+
+    return parseRichText(text).map((block, index) => {
+      const content = block.spans.map((span, spanIndex) => {
+        let node = span.text.split('\n').flatMap((line, lineIndex) => (lineIndex > 0 ? [<br key={lineIndex} />, line] : [line]));
+        if (span.italic) node = <em>{node}</em>;
+        if (span.bold) node = <strong className="font-semibold">{node}</strong>;
+        return <React.Fragment key={spanIndex}>{node}</React.Fragment>;
+      });
+
+      return block.type === 'heading' ? (
+        <h3 key={index} className="mb-3 text-xl font-bold font-mono" style={{color: '#3f4d64'}}>{content}</h3>
+      ) : (
+        <p key={index} className="mb-6 text-gray-800 leading-relaxed text-lg font-light">{content}</p>
+      );
+    });
   };
 
   return (
@@ -205,196 +406,332 @@ const WorldDisplay = ({ worldData, imageGenerationProgress = null }) => {
             </p>
           </div>
           
-          {/* PDF Export Button */}
-          <div className="ml-6">
-            <PDFExportButton worldData={worldData} />
-          </div>
+          {/* Export Menu */}
+          {!isStreaming && (
+            <div className="ml-6">
+              <ExportMenu worldData={worldData} worldName={worldName} />
+            </div>
+          )}
         </div>
       </div>
 
       <div className="p-8 space-y-16">
-        {/* Concept Art Image */}
-        <section>
-          <h3 className="text-2xl font-bold mb-4 font-mono pl-4" style={{color: '#3f4d64', borderLeft: '4px solid #3f4d64'}}>Concept Art</h3>
-          <div className="rounded-lg overflow-hidden shadow-md">
-            <ImageWithFallback
-              imageData={conceptImage}
-              alt="AI-generated concept art for the world"
-              className="w-full h-auto max-h-96"
-              placeholder={<ConceptArtPlaceholder />}
-              isLoading={progress.concept.loading}
-            />
-          </div>
-          {progress.concept.completed && conceptImage && (
-            <p className="text-sm text-green-600 mt-2 font-mono flex items-center">
-              <svg className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-              </svg>
-              ✨ AI-generated concept art created successfully
+        {/* Partial World Notice */}
+        {failedSections.length > 0 && (
+          <div className="bg-amber-50 border-2 border-amber-200 rounded-xl p-4">
+            <p className="text-sm text-amber-900 font-mono">
+              {failedSections.length === 1 ? 'One section' : `${failedSections.length} sections`} could not be generated.
+              Everything else was kept; use "Retry this section" below to fill the gaps.
             </p>
-          )}
-        </section>
+          </div>
+        )}
 
-        {/* World Narrative */}
-        {worldNarrative && (
+        {/* Concept Art Image */}
+        {!isStreaming && (
           <section>
-            <h3 className="text-2xl font-bold mb-4 font-mono pl-4" style={{color: '#3f4d64', borderLeft: '4px solid #3f4d64'}}>World Narrative</h3>
-            <div className="prose prose-lg max-w-none bg-slate-50 rounded-xl p-6 border border-slate-200">
-              {formatNarrative(worldNarrative)}
+            <SectionHeading
+              title="Concept Art"
+              className="mb-4"
+              action={renderVisualRegenerate('concept', 0, 'concept art')}
+            />
+            <div className="rounded-lg overflow-hidden shadow-md">
+              <ImageWithFallback
+                imageData={conceptImage}
+                alt="AI-generated concept art for the world"
+                className="w-full h-auto max-h-96"
+                placeholder={<ConceptArtPlaceholder />}
+                isLoading={progress.concept.loading || !!regeneratingSections.conceptImage}
+              />
             </div>
+            {progress.concept.completed && conceptImage && (
+              <p className="text-sm text-green-600 mt-2 font-mono flex items-center">
+                <svg className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                </svg>
+                ✨ AI-generated concept art created successfully
+              </p>
+            )}
           </section>
         )}
 
-        {/* Game/Book Ideas */}
-        {gameBookIdeas && gameBookIdeas.length > 0 && (
+        {/* World Narrative */}
+        {(worldNarrative || sectionErrors.worldNarrative || editingSection === 'worldNarrative') && (
           <section>
-            <h3 className="text-2xl font-bold mb-6 font-mono pl-4" style={{color: '#3f4d64', borderLeft: '4px solid #3f4d64'}}>Game & Book Ideas</h3>
-            <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
-              {gameBookIdeas.map((idea, index) => (
-                <div key={index} className="bg-gradient-to-br from-green-50 to-emerald-50 rounded-xl p-6 border border-green-100 hover:shadow-lg transition-shadow duration-300">
-                  <div className="flex items-start justify-between mb-3">
-                    <h4 className="text-lg font-bold text-green-900 flex-1">
-                      {idea.title}
-                    </h4>
-                    <span className="bg-green-100 text-green-700 text-xs font-medium px-2 py-1 rounded-full ml-2">
-                      #{index + 1}
-                    </span>
-                  </div>
-                  <p className="text-gray-800 text-sm leading-relaxed">
-                    {idea.synopsis}
-                  </p>
-                </div>
-              ))}
-            </div>
+            <SectionHeading
+              title="World Narrative"
+              className="mb-4"
+              action={renderSectionActions('worldNarrative', 'world narrative')}
+            />
+            {renderSectionError('worldNarrative', 'world narrative') || (editingSection === 'worldNarrative' ? (
+              <ProseEditor
+                id="edit-worldNarrative"
+                value={worldNarrative || ''}
+                onChange={text => onUpdateWorld(world => ({ ...world, worldNarrative: text }), 'Edit', { coalesceKey: 'worldNarrative' })}
+                onDone={() => setEditingSection(null)}
+              />
+            ) : (
+              <div className="prose prose-lg max-w-none bg-slate-50 rounded-xl p-6 border border-slate-200">
+                {formatNarrative(worldNarrative)}
+              </div>
+            ))}
           </section>
         )}
 
-        {/* Character Concepts */}
-        {characterConcepts && characterConcepts.length > 0 && (
+        {/* Game/Book Ideas */}
+        {((gameBookIdeas && gameBookIdeas.length > 0) || sectionErrors.gameBookIdeas || editingSection === 'gameBookIdeas') && (
           <section>
-            <h3 className="text-2xl font-bold mb-6 font-mono pl-4" style={{color: '#3f4d64', borderLeft: '4px solid #3f4d64'}}>Character Concepts</h3>
-            <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
-              {characterConcepts.slice(0, 6).map((character, index) => (
-                <div key={index} className="bg-gradient-to-br from-purple-50 to-violet-50 rounded-xl overflow-hidden border border-purple-100 hover:shadow-lg transition-shadow duration-300">
-                  {/* Character Image */}
-                  <ImageWithFallback
-                    imageData={characterImages[index]}
-                    alt={`AI-generated portrait of ${character.name}`}
-                    className="h-48 w-full"
-                    placeholder={<CharacterPlaceholder />}
-                    isLoading={progress.characters[index]?.loading}
-                  />
-                  
-                  {/* Character Info */}
-                  <div className="p-6">
+            <SectionHeading
+              title="Game & Book Ideas"
+              action={renderSectionActions('gameBookIdeas', 'game and book ideas')}
+            />
+            {renderSectionError('gameBookIdeas', 'game and book ideas') || (editingSection === 'gameBookIdeas' ? renderListEditor('gameBookIdeas') : (
+              <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+                {gameBookIdeas.map((idea, index) => (
+                  <div key={index} className="bg-gradient-to-br from-green-50 to-emerald-50 rounded-xl p-6 border border-green-100 hover:shadow-lg transition-shadow duration-300">
                     <div className="flex items-start justify-between mb-3">
-                      <h4 className="text-xl font-bold text-purple-900 flex-1">
-                        {character.name}
+                      <h4 className="text-lg font-bold text-green-900 flex-1">
+                        {idea.title}
                       </h4>
-                      <span className="bg-purple-100 text-purple-800 text-xs font-medium px-3 py-1 rounded-full whitespace-nowrap">
-                        {character.role}
+                      <span className="bg-green-100 text-green-700 text-xs font-medium px-2 py-1 rounded-full ml-2">
+                        #{index + 1}
                       </span>
                     </div>
-                    <p className="text-gray-800 leading-relaxed text-sm mb-2">
-                      {character.description}
+                    <p className="text-gray-800 text-sm leading-relaxed">
+                      {idea.synopsis}
                     </p>
-                    {progress.characters[index]?.completed && characterImages[index] && (
-                      <p className="text-xs text-green-600 font-mono flex items-center">
-                        <svg className="h-3 w-3 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                        </svg>
-                        ✨ AI Generated Portrait
-                      </p>
-                    )}
                   </div>
+                ))}
+              </div>
+            ))}
+          </section>
+        )}
+
+        {/* Character Concepts */}
+        {((characterConcepts && characterConcepts.length > 0) || sectionErrors.characterConcepts || editingSection === 'characterConcepts') && (
+          <section>
+            <SectionHeading
+              title="Character Concepts"
+              action={(
+                <div className="flex items-center gap-3">
+                  {onExpandCharacter && (
+                    <label className="flex items-center text-xs font-mono text-slate-600">
+                      <input
+                        type="checkbox"
+                        checked={includeStats}
+                        onChange={(e) => setIncludeStats(e.target.checked)}
+                        className="mr-1"
+                      />
+                      RPG stats in sheets
+                    </label>
+                  )}
+                  {renderEditToggle('characterConcepts', 'character concepts')}
+                  {renderSectionRegenerate('characterConcepts', 'character concepts')}
                 </div>
-              ))}
-              
-              {/* Add empty placeholder cards if we have fewer than 6 characters */}
-              {Array.from({ length: Math.max(0, 6 - characterConcepts.length) }, (_, index) => (
-                <div key={`placeholder-${index}`} className="bg-gradient-to-br from-gray-50 to-slate-50 rounded-xl overflow-hidden border-2 border-dashed border-gray-200 opacity-60">
-                  <div className="h-48 bg-gradient-to-br from-gray-100 to-slate-100 flex items-center justify-center">
-                    <div className="text-center">
-                      <svg className="mx-auto h-16 w-16 text-gray-300 mb-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
-                      </svg>
-                      <p className="text-xs text-gray-400 font-mono">Character Slot</p>
+              )}
+            />
+            {renderSectionError('characterConcepts', 'character concepts') || (editingSection === 'characterConcepts' ? renderListEditor('characterConcepts') : (
+              <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+                {characterConcepts.map((character, index) => (
+                  <div key={index} className="relative bg-gradient-to-br from-purple-50 to-violet-50 rounded-xl overflow-hidden border border-purple-100 hover:shadow-lg transition-shadow duration-300">
+                    {/* Character Image */}
+                    <ImageWithFallback
+                      imageData={characterImages[index]}
+                      alt={`AI-generated portrait of ${character.name}`}
+                      className="h-48 w-full"
+                      placeholder={<CharacterPlaceholder />}
+                      isLoading={progress.characters[index]?.loading || !!regeneratingSections[`characterVisuals.${index}`]}
+                    />
+                    {renderVisualRegenerate('character', index, `portrait of ${character.name}`, 'absolute top-2 right-2')}
+                  
+                    {/* Character Info */}
+                    <div className="p-6">
+                      <div className="flex items-start justify-between mb-3">
+                        <h4 className="text-xl font-bold text-purple-900 flex-1">
+                          {character.name}
+                        </h4>
+                        <span className="bg-purple-100 text-purple-800 text-xs font-medium px-3 py-1 rounded-full whitespace-nowrap">
+                          {character.role}
+                        </span>
+                      </div>
+                      <p className="text-gray-800 leading-relaxed text-sm mb-2">
+                        {character.description}
+                      </p>
+                      {characterFactions[index] && (
+                        <p className="text-xs text-slate-600 font-mono mb-2">
+                          Member of {characterFactions[index].name}
+                        </p>
+                      )}
+                      {character.sheet ? (
+                        <button
+                          type="button"
+                          onClick={() => setOpenSheetIndex(openSheetIndex === index ? null : index)}
+                          aria-expanded={openSheetIndex === index}
+                          className="mb-2 text-xs font-mono text-purple-800 underline decoration-dotted hover:text-purple-600"
+                        >
+                          {openSheetIndex === index ? 'Hide character sheet' : 'View character sheet'}
+                        </button>
+                      ) : onExpandCharacter && (
+                        <button
+                          type="button"
+                          onClick={() => handleExpandCharacter(index)}
+                          disabled={!!regeneratingSections[`characterSheet.${index}`]}
+                          className="mb-2 px-3 py-1 rounded-lg text-xs font-mono border border-purple-200 bg-white text-purple-800 hover:bg-purple-50 focus:outline-none focus:ring-2 focus:ring-purple-300 transition-colors duration-200 disabled:opacity-60 disabled:cursor-not-allowed"
+                        >
+                          {regeneratingSections[`characterSheet.${index}`] ? 'Expanding...' : 'Expand character'}
+                        </button>
+                      )}
+                      {progress.characters[index]?.completed && characterImages[index] && (
+                        <p className="text-xs text-green-600 font-mono flex items-center">
+                          <svg className="h-3 w-3 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                          </svg>
+                          ✨ AI Generated Portrait
+                        </p>
+                      )}
                     </div>
                   </div>
-                  <div className="p-6">
-                    <h4 className="text-lg font-bold text-gray-400 mb-2">Character #{characterConcepts.length + index + 1}</h4>
-                    <p className="text-gray-400 text-sm">Additional character concept available for expansion</p>
-                  </div>
-                </div>
-              ))}
-            </div>
+                ))}
+              </div>
+            ))}
+
+            {/* Expanded character sheet */}
+            {openSheetCharacter && (
+              <div className="mt-6">
+                <CharacterSheet
+                  character={openSheetCharacter}
+                  actions={(
+                    <>
+                      {onExpandCharacter && (
+                        <RegenerateButton
+                          onClick={() => handleExpandCharacter(openSheetIndex)}
+                          isRegenerating={!!regeneratingSections[`characterSheet.${openSheetIndex}`]}
+                          label={`Regenerate ${openSheetCharacter.name}'s character sheet`}
+                        />
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => setOpenSheetIndex(null)}
+                        className="px-3 py-1 rounded-lg text-xs font-mono border border-slate-300 bg-white text-slate-700 hover:bg-slate-100 focus:outline-none focus:ring-2 focus:ring-slate-400 transition-colors duration-200"
+                      >
+                        Close
+                      </button>
+                    </>
+                  )}
+                />
+              </div>
+            )}
+          </section>
+        )}
+
+        {/* Factions */}
+        {((factions && factions.length > 0) || sectionErrors.factions) && (
+          <section>
+            <SectionHeading
+              title="Factions"
+              action={renderSectionRegenerate('factions', 'factions')}
+            />
+            {renderSectionError('factions', 'factions') || (
+              <FactionGraph factions={factions} characters={characterConcepts || []} />
+            )}
+          </section>
+        )}
+
+        {/* Magic & Technology */}
+        {(magicSystem || sectionErrors.magicSystem) && (
+          <section>
+            <SectionHeading
+              title="Magic & Technology"
+              action={renderSectionRegenerate('magicSystem', 'magic & technology system')}
+            />
+            {renderSectionError('magicSystem', 'magic & technology system') || (
+              <MagicSystemCard system={magicSystem} />
+            )}
           </section>
         )}
 
         {/* Customization Options */}
-        {customizationOptions && customizationOptions.length > 0 && (
+        {((customizationOptions && customizationOptions.length > 0) || sectionErrors.customizationOptions || editingSection === 'customizationOptions') && (
           <section>
-            <h3 className="text-2xl font-bold mb-6 font-mono pl-4" style={{color: '#3f4d64', borderLeft: '4px solid #3f4d64'}}>Customization Options</h3>
-            <div className="space-y-4">
-              {customizationOptions.map((option, index) => (
-                <div key={index} className="bg-gradient-to-r from-amber-50 to-orange-50 rounded-xl p-6 border border-amber-100 hover:shadow-lg transition-shadow duration-300">
-                  <div className="flex items-start">
-                    <div className="flex-shrink-0 w-8 h-8 bg-amber-100 rounded-full flex items-center justify-center mr-4">
-                      <span className="text-amber-700 font-bold text-sm">{index + 1}</span>
-                    </div>
-                    <div className="flex-1">
-                      <h4 className="text-lg font-bold text-amber-900 mb-2">
-                        {option.title}
-                      </h4>
-                      <p className="text-gray-800 leading-relaxed">
-                        {option.description}
-                      </p>
+            <SectionHeading
+              title="Customization Options"
+              action={renderSectionActions('customizationOptions', 'customization options')}
+            />
+            {renderSectionError('customizationOptions', 'customization options') || (editingSection === 'customizationOptions' ? renderListEditor('customizationOptions') : (
+              <div className="space-y-4">
+                {customizationOptions.map((option, index) => (
+                  <div key={index} className="bg-gradient-to-r from-amber-50 to-orange-50 rounded-xl p-6 border border-amber-100 hover:shadow-lg transition-shadow duration-300">
+                    <div className="flex items-start">
+                      <div className="flex-shrink-0 w-8 h-8 bg-amber-100 rounded-full flex items-center justify-center mr-4">
+                        <span className="text-amber-700 font-bold text-sm">{index + 1}</span>
+                      </div>
+                      <div className="flex-1">
+                        <h4 className="text-lg font-bold text-amber-900 mb-2">
+                          {option.title}
+                        </h4>
+                        <p className="text-gray-800 leading-relaxed">
+                          {option.description}
+                        </p>
+                      </div>
                     </div>
                   </div>
-                </div>
-              ))}
-            </div>
+                ))}
+              </div>
+            ))}
           </section>
         )}
 
         {/* World Scenarios Section */}
-        <section>
-          <h3 className="text-2xl font-bold mb-6 font-mono pl-4" style={{color: '#3f4d64', borderLeft: '4px solid #3f4d64'}}>World Scenarios</h3>
-          <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
-            {Array.from({ length: 3 }, (_, index) => {
-              const scenarioData = getScenarioData(index);
-              return (
-                <div key={`scenario-${index}`} className="bg-gradient-to-br from-blue-50 to-cyan-50 rounded-xl overflow-hidden border border-blue-100 hover:shadow-lg transition-shadow duration-300">
-                  {/* Scenario Image */}
-                  <ImageWithFallback
-                    imageData={scenarioImages[index]}
-                    alt={`AI-generated artwork for ${scenarioData.title}`}
-                    className="h-48 w-full"
-                    placeholder={<ScenarioPlaceholder />}
-                    isLoading={progress.scenarios[index]?.loading}
-                  />
-                  
-                  {/* Scenario Info */}
-                  <div className="p-6">
-                    <div className="flex items-start justify-between mb-3">
-                      <h4 className="text-xl font-bold text-blue-900 flex-1">
-                        {scenarioData.title}
+        {((scenarios && scenarios.length > 0) || sectionErrors.scenarios || editingSection === 'scenarios') && (
+          <section>
+            <SectionHeading
+              title="World Scenarios"
+              action={renderSectionActions('scenarios', 'scenarios')}
+            />
+            {renderSectionError('scenarios', 'scenarios') || (editingSection === 'scenarios' ? renderListEditor('scenarios') : (
+              <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+                {scenarios.map((scenario, index) => (
+                  <div key={`scenario-${index}`} className="relative bg-gradient-to-br from-blue-50 to-cyan-50 rounded-xl overflow-hidden border border-blue-100 hover:shadow-lg transition-shadow duration-300">
+                    {/* Scenario Image */}
+                    <ImageWithFallback
+                      imageData={scenarioImages[index]}
+                      alt={`AI-generated artwork for ${scenario.title}`}
+                      className="h-48 w-full"
+                      placeholder={<ScenarioPlaceholder />}
+                      isLoading={progress.scenarios[index]?.loading || !!regeneratingSections[`scenarioVisuals.${index}`]}
+                    />
+                    {renderVisualRegenerate('scenario', index, `artwork for ${scenario.title}`, 'absolute top-2 right-2')}
+
+                    {/* Scenario Info */}
+                    <div className="p-6">
+                      <h4 className="text-xl font-bold text-blue-900 mb-2">
+                        {scenario.title}
                       </h4>
-                      <span className="bg-blue-100 text-blue-800 text-xs font-medium px-3 py-1 rounded-full whitespace-nowrap">
-                        {scenarioData.tag}
-                      </span>
-                    </div>
-                    <p className="text-gray-800 leading-relaxed text-sm mb-4">
-                      {scenarioData.description}
-                    </p>
-                    <div className="flex items-center justify-between">
-                      <div className="flex items-center text-xs text-blue-600">
-                        <svg className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
-                        </svg>
-                        <span className="font-mono">World Location</span>
-                      </div>
+                      {scenario.location && (
+                        <div className="flex items-center text-xs text-blue-600 mb-3">
+                          <svg className="h-4 w-4 mr-1 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
+                          </svg>
+                          <span className="font-mono">{scenario.location}</span>
+                        </div>
+                      )}
+                      <p className="text-gray-800 leading-relaxed text-sm mb-3">
+                        {scenario.summary}
+                      </p>
+                      {scenario.stakes && (
+                        <p className="text-sm text-blue-900 mb-3">
+                          <span className="font-bold font-mono text-xs uppercase tracking-wide">At stake: </span>
+                          {scenario.stakes}
+                        </p>
+                      )}
+                      {getScenarioParts(scenario).map(({ label, items }) => (
+                        <div key={label} className="mb-3">
+                          <h5 className="text-xs font-bold uppercase tracking-wide text-blue-800 font-mono mb-1">{label}</h5>
+                          <ul className="list-disc list-inside text-sm text-gray-800 space-y-1">
+                            {items.map((item, itemIndex) => <li key={itemIndex}>{item}</li>)}
+                          </ul>
+                        </div>
+                      ))}
                       {progress.scenarios[index]?.completed && scenarioImages[index] && (
                         <p className="text-xs text-green-600 font-mono flex items-center">
                           <svg className="h-3 w-3 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -405,27 +742,97 @@ const WorldDisplay = ({ worldData, imageGenerationProgress = null }) => {
                       )}
                     </div>
                   </div>
-                </div>
-              );
-            })}
-          </div>
-        </section>
+                ))}
+              </div>
+            ))}
+          </section>
+        )}
 
-        {/* Conceptual Maps */}
-        {conceptualMaps && (
+        {/* Worlds saved before scenarios were generated from their content */}
+        {!scenarios && !isStreaming && onRegenerateSection && (
           <section>
-            <h3 className="text-2xl font-bold mb-6 font-mono pl-4" style={{color: '#3f4d64', borderLeft: '4px solid #3f4d64'}}>Conceptual Maps & Regions</h3>
-            <div className="space-y-6">
-              {formatConceptualMaps(conceptualMaps)}
+            <SectionHeading title="World Scenarios" />
+            <div className="bg-blue-50 border-2 border-dashed border-blue-200 rounded-xl p-6">
+              <p className="text-sm text-blue-900 font-mono">
+                This world was created before scenarios were written from its own places and characters.
+              </p>
+              <button
+                type="button"
+                onClick={() => onRegenerateSection('scenarios')}
+                disabled={!!regeneratingSections.scenarios}
+                className="mt-4 px-4 py-2 rounded-lg text-sm font-medium font-mono text-white hover:opacity-90 focus:outline-none focus:ring-2 focus:ring-slate-400 transition-opacity duration-200 disabled:opacity-60 disabled:cursor-not-allowed"
+                style={{backgroundColor: '#3f4d64'}}
+              >
+                {regeneratingSections.scenarios ? 'Generating...' : 'Generate scenarios'}
+              </button>
             </div>
           </section>
         )}
+
+        {/* Regions */}
+        {((regions && regions.length > 0) || sectionErrors.regions || editingSection === 'regions') && (
+          <section>
+            <SectionHeading
+              title="Regions"
+              action={renderSectionActions('regions', 'regions')}
+            />
+            {renderSectionError('regions', 'regions') || (editingSection === 'regions' ? renderListEditor('regions') : (
+              <div className="grid gap-6 lg:grid-cols-2">
+                {regions.map((region, index) => (
+                  <RegionCard key={index} region={region} index={index} />
+                ))}
+              </div>
+            ))}
+          </section>
+        )}
+
+        {/* World Map */}
+        {!isStreaming && regions && regions.length > 0 && (
+          <section>
+            <SectionHeading title="World Map" className="mb-4" />
+            <WorldMap
+              regions={regions}
+              seed={getMapSeed(worldData)}
+              worldType={worldType}
+              onSeedChange={onUpdateWorld && (mapSeed => onUpdateWorld(world => ({ ...world, mapSeed })))}
+            />
+          </section>
+        )}
+
+        {/* Timeline */}
+        {((timeline && timeline.length > 0) || sectionErrors.timeline) && (
+          <section>
+            <SectionHeading
+              title="Timeline"
+              action={renderSectionRegenerate('timeline', 'timeline')}
+            />
+            {renderSectionError('timeline', 'timeline') || (
+              <TimelineView
+                timeline={timeline}
+                entityNames={{
+                  factions: (factions || []).map(faction => faction.name),
+                  characters: (characterConcepts || []).map(character => character.name),
+                  regions: (regions || []).map(region => region.name)
+                }}
+                onChange={onUpdateWorld && ((update, coalesceKey) => onUpdateWorld(
+                  world => ({ ...world, timeline: update(world.timeline || []) }),
+                  'Edit',
+                  { coalesceKey }
+                ))}
+                onFillGap={onFillTimelineGap}
+                regeneratingSections={regeneratingSections}
+              />
+            )}
+          </section>
+        )}
       </div>
 
       {/* Footer */}
       <div className="bg-slate-50 px-6 py-4 border-t border-slate-200">
         <p className="text-center text-sm text-slate-500 font-mono">
-          Generated world content and AI artwork are ephemeral and will be lost when you refresh or generate a new world.
+          {isStreaming
+            ? 'Still writing your world... sections appear here as they are generated.'
+            : 'This world and its AI artwork are saved in your local World Library.'}
         </p>
       </div>
     </div>
@@ -0,0 +1,239 @@
+import React, { useRef, useState } from 'react';
+
+/**
+ * WorldLibrary Component
+ * Lists worlds saved in the local library with open, rename, duplicate and delete actions
+ * @param {Object[]} worlds - Saved world summaries
+ * @param {boolean} isLoading - Whether the library is still loading
+ * @param {string} error - Library error message, if any
+ * @param {string} activeWorldId - Id of the world currently open, if any
+ * @param {Function} onOpen - Callback with the world id to open
+ * @param {Function} onRename - Callback with the world id and new name
+ * @param {Function} onDuplicate - Callback with the world id to duplicate
+ * @param {Function} onDelete - Callback with the world id to delete
+ * @param {Function} onImport - Async callback with a chosen world file; rejects if the file is invalid
+ */
+const WorldLibrary = ({
+  worlds,
+  isLoading,
+  error,
+  activeWorldId = null,
+  onOpen,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onImport
+}) => {
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [busyId, setBusyId] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importError, setImportError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  /**
+   * Run a library action while marking the world as busy
+   * @param {string} id - World id
+   * @param {Function} action - Async action to run
+   */
+  const runAction = async (id, action) => {
+    setBusyId(id);
+    try {
+      await action();
+    } catch (err) {
+      // Error is already surfaced by the library hook
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Start inline rename for a world
+   * @param {Object} world - World summary
+   */
+  const startRename = (world) => {
+    setRenamingId(world.id);
+    setRenameValue(world.name);
+  };
+
+  /**
+   * Submit inline rename form
+   * @param {Event} e - Form submission event
+   */
+  const handleRenameSubmit = (e) => {
+    e.preventDefault();
+    const id = renamingId;
+    const name = renameValue.trim();
+    setRenamingId(null);
+    if (name) {
+      runAction(id, () => onRename(id, name));
+    }
+  };
+
+  /**
+   * Confirm and delete a world
+   * @param {Object} world - World summary
+   */
+  const handleDelete = (world) => {
+    if (window.confirm(`Delete "${world.name}" from your library? This cannot be undone.`)) {
+      runAction(world.id, () => onDelete(world.id));
+    }
+  };
+
+  /**
+   * Import the world file picked in the file input
+   * @param {Event} e - File input change event
+   */
+  const handleImportChange = async (e) => {
+    const file = e.target.files[0];
+    // Reset so picking the same file again still triggers a change
+    e.target.value = '';
+    if (!file) return;
+
+    setIsImporting(true);
+    setImportError(null);
+    try {
+      await onImport(file);
+    } catch (err) {
+      setImportError(`Could not import "${file.name}": ${err.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  /**
+   * Format a timestamp for display
+   * @param {number} timestamp - Milliseconds since epoch
+   * @returns {string} Localized date and time
+   */
+  const formatDate = (timestamp) => new Date(timestamp).toLocaleString();
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-8 mb-8 border-2 border-slate-200">
+      <div className="flex items-start justify-between mb-6">
+        <div className="pl-4" style={{borderLeft: '4px solid #3f4d64'}}>
+          <h2 className="text-2xl font-bold font-mono" style={{color: '#3f4d64'}}>World Library</h2>
+          <p className="text-slate-600 text-sm font-mono mt-1">Worlds saved in this browser</p>
+        </div>
+
+        {onImport && (
+          <div>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,application/json"
+              onChange={handleImportChange}
+              className="hidden"
+              aria-hidden="true"
+              tabIndex={-1}
+            />
+            <button
+              onClick={() => fileInputRef.current.click()}
+              disabled={isImporting}
+              className="text-xs font-mono px-3 py-2 rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-100 disabled:opacity-50"
+            >
+              {isImporting ? 'Importing...' : 'Import World File'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {(error || importError) && (
+        <p className="mb-4 p-3 rounded-lg text-sm font-mono bg-red-50 text-red-800 border border-red-200">
+          {importError || error}
+        </p>
+      )}
+
+      {isLoading ? (
+        <p className="text-sm text-slate-500 font-mono">Loading saved worlds...</p>
+      ) : worlds.length === 0 ? (
+        <p className="text-sm text-slate-500 font-mono">
+          No saved worlds yet. Every world you generate is saved here automatically.
+        </p>
+      ) : (
+        <ul className="grid gap-4 md:grid-cols-2">
+          {worlds.map((world) => (
+            <li
+              key={world.id}
+              className={`flex rounded-xl overflow-hidden border ${world.id === activeWorldId ? 'border-slate-500' : 'border-slate-200'} bg-slate-50`}
+            >
+              {/* Thumbnail */}
+              <div className="w-28 flex-shrink-0 bg-gradient-to-br from-slate-200 to-slate-300">
+                {world.conceptImage && (
+                  <img
+                    src={`data:image/png;base64,${world.conceptImage}`}
+                    alt={`Concept art for ${world.name}`}
+                    className="w-full h-full object-cover"
+                    loading="lazy"
+                  />
+                )}
+              </div>
+
+              {/* World Info and Actions */}
+              <div className="flex-1 p-4 min-w-0">
+                {renamingId === world.id ? (
+                  <form onSubmit={handleRenameSubmit} className="flex space-x-2 mb-2">
+                    <input
+                      type="text"
+                      value={renameValue}
+                      onChange={(e) => setRenameValue(e.target.value)}
+                      className="flex-1 min-w-0 px-2 py-1 border-2 border-slate-300 rounded-lg font-mono text-sm"
+                      aria-label="World name"
+                      autoFocus
+                    />
+                    <button type="submit" className="text-xs font-mono px-2 py-1 rounded-lg text-white" style={{backgroundColor: '#3f4d64'}}>
+                      Save
+                    </button>
+                    <button type="button" onClick={() => setRenamingId(null)} className="text-xs font-mono px-2 py-1 rounded-lg border border-slate-300 text-slate-600">
+                      Cancel
+                    </button>
+                  </form>
+                ) : (
+                  <h3 className="text-sm font-bold text-slate-900 font-mono truncate" title={world.name}>
+                    {world.name}
+                  </h3>
+                )}
+                <p className="text-xs text-slate-500 font-mono truncate">{world.worldType}</p>
+                <p className="text-xs text-slate-400 font-mono mt-1">Updated {formatDate(world.updatedAt)}</p>
+
+                <div className="mt-3 flex flex-wrap gap-2">
+                  <button
+                    onClick={() => onOpen(world.id)}
+                    disabled={busyId === world.id}
+                    className="text-xs font-mono px-3 py-1 rounded-lg text-white hover:opacity-80 disabled:opacity-50"
+                    style={{backgroundColor: '#3f4d64'}}
+                  >
+                    Open
+                  </button>
+                  <button
+                    onClick={() => startRename(world)}
+                    disabled={busyId === world.id}
+                    className="text-xs font-mono px-3 py-1 rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-100 disabled:opacity-50"
+                  >
+                    Rename
+                  </button>
+                  <button
+                    onClick={() => runAction(world.id, () => onDuplicate(world.id))}
+                    disabled={busyId === world.id}
+                    className="text-xs font-mono px-3 py-1 rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-100 disabled:opacity-50"
+                  >
+                    Duplicate
+                  </button>
+                  <button
+                    onClick={() => handleDelete(world)}
+                    disabled={busyId === world.id}
+                    className="text-xs font-mono px-3 py-1 rounded-lg border border-red-200 text-red-700 hover:bg-red-50 disabled:opacity-50"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default WorldLibrary;
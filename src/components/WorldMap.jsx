@@ -0,0 +1,178 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { generateWorldMap, getRegionColor, toSmoothPath } from '../utils/mapGenerator';
+import WorldMapExporter from '../utils/mapExporter';
+
+const LABEL_FONT = 'ui-monospace, SFMono-Regular, Menlo, monospace';
+
+/**
+ * Join line segments into one SVG path
+ * @param {Object[][]} segments - Pairs of points
+ * @returns {string} SVG path data
+ */
+const toSegmentsPath = (segments) => segments
+  .map(([a, b]) => `M${a.x.toFixed(1)} ${a.y.toFixed(1)}L${b.x.toFixed(1)} ${b.y.toFixed(1)}`)
+  .join('');
+
+/**
+ * WorldMap Component
+ * Draws a seeded procedural map of the world's regions with their settlements and landmarks,
+ * and exports it as SVG or PNG
+ * @param {Object[]} regions - Structured regions
+ * @param {number} seed - Map seed
+ * @param {string} worldType - World type, used in export filenames
+ * @param {Function} onSeedChange - Optional callback with a new seed when the user asks for a new layout
+ */
+const WorldMap = ({ regions, seed, worldType, onSeedChange = null }) => {
+  const svgRef = useRef(null);
+  const [status, setStatus] = useState(null);
+
+  const map = useMemo(() => generateWorldMap(regions, seed), [regions, seed]);
+
+  /**
+   * Export the rendered map and show the outcome
+   * @param {string} format - 'svg' or 'png'
+   */
+  const handleExport = async (format) => {
+    const exporter = new WorldMapExporter();
+    try {
+      const filename = format === 'svg'
+        ? exporter.exportSVG(svgRef.current, worldType)
+        : await exporter.exportPNG(svgRef.current, worldType);
+      setStatus({ type: 'success', message: `Exported as "${filename}"` });
+    } catch (error) {
+      console.error('Map export error:', error);
+      setStatus({ type: 'error', message: `Failed to export the map: ${error.message}` });
+    }
+    setTimeout(() => setStatus(null), 3000);
+  };
+
+  const buttonClassName = 'px-3 py-1 rounded-lg text-xs font-mono border border-slate-300 bg-white text-slate-700 hover:bg-slate-100 focus:outline-none focus:ring-2 focus:ring-slate-400 transition-colors duration-200';
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-end gap-2 mb-3">
+        {onSeedChange && (
+          <button
+            type="button"
+            onClick={() => onSeedChange(Math.floor(Math.random() * 4294967296))}
+            className={buttonClassName}
+          >
+            New Layout
+          </button>
+        )}
+        <button type="button" onClick={() => handleExport('svg')} className={buttonClassName}>
+          Export SVG
+        </button>
+        <button type="button" onClick={() => handleExport('png')} className={buttonClassName}>
+          Export PNG
+        </button>
+      </div>
+
+      <div className="rounded-xl overflow-hidden border border-slate-200 shadow-md">
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${map.width} ${map.height}`}
+          width={map.width}
+          height={map.height}
+          className="w-full h-auto block"
+          role="img"
+          aria-label={`Map of ${regions.map(region => region.name).join(', ')}`}
+        >
+          <rect width={map.width} height={map.height} fill="#a9cbe0" />
+
+          {/* Sea, darker with depth */}
+          {map.cells.map((cell, index) => !cell.isLand && cell.depth > 0.05 && (
+            <path key={`sea-${index}`} d={cell.path} fill="#35678f" fillOpacity={(cell.depth * 0.55).toFixed(2)} />
+          ))}
+
+          {/* Land, colored by region biome */}
+          {map.cells.map((cell, index) => {
+            if (!cell.isLand) return null;
+            const color = cell.region >= 0 ? getRegionColor(regions[cell.region], cell.region) : '#cfc99a';
+            return <path key={`land-${index}`} d={cell.path} fill={color} stroke={color} strokeWidth="0.6" />;
+          })}
+
+          <path d={toSegmentsPath(map.borders)} fill="none" stroke="#5b4636" strokeWidth="1.2" strokeDasharray="4 3" strokeOpacity="0.7" />
+          <path d={toSegmentsPath(map.coastline)} fill="none" stroke="#2f3e4f" strokeWidth="2" strokeLinecap="round" />
+
+          {map.rivers.map((points, index) => (
+            <path key={`river-${index}`} d={toSmoothPath(points)} fill="none" stroke="#3f78aa" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round" />
+          ))}
+
+          {/* Region names */}
+          {map.labels.map((label, index) => (
+            <text
+              key={`label-${index}`}
+              x={label.x}
+              y={label.y}
+              textAnchor="middle"
+              fontFamily={LABEL_FONT}
+              fontSize="15"
+              fontWeight="bold"
+              letterSpacing="2"
+              fill="#1f2937"
+              fillOpacity="0.8"
+              stroke="#ffffff"
+              strokeOpacity="0.7"
+              strokeWidth="3"
+              paintOrder="stroke"
+            >
+              {label.name.toUpperCase()}
+            </text>
+          ))}
+
+          {/* Settlements and landmarks */}
+          {map.places.map((place, index) => {
+            const alignEnd = place.x > map.width - 140;
+            return (
+              <g key={`place-${index}`}>
+                <title>{`${place.name} (${place.kind} in ${place.region})`}</title>
+                {place.kind === 'settlement' ? (
+                  <circle cx={place.x} cy={place.y} r="4" fill="#ffffff" stroke="#1f2937" strokeWidth="1.5" />
+                ) : (
+                  <path d={`M${place.x} ${place.y - 6}L${place.x + 5} ${place.y + 3}L${place.x - 5} ${place.y + 3}Z`} fill="#7c2d12" stroke="#ffffff" strokeWidth="1" />
+                )}
+                <text
+                  x={alignEnd ? place.x - 8 : place.x + 8}
+                  y={place.y + 4}
+                  textAnchor={alignEnd ? 'end' : 'start'}
+                  fontFamily={LABEL_FONT}
+                  fontSize="11"
+                  fontStyle={place.kind === 'landmark' ? 'italic' : 'normal'}
+                  fill="#111827"
+                  stroke="#ffffff"
+                  strokeWidth="3"
+                  paintOrder="stroke"
+                >
+                  {place.name}
+                </text>
+              </g>
+            );
+          })}
+
+          {/* Legend */}
+          <g transform={`translate(12 ${map.height - 62})`} fontFamily={LABEL_FONT} fontSize="10" fill="#1f2937">
+            <rect width="118" height="52" rx="6" fill="#ffffff" fillOpacity="0.85" stroke="#cbd5e1" />
+            <circle cx="14" cy="13" r="4" fill="#ffffff" stroke="#1f2937" strokeWidth="1.5" />
+            <text x="26" y="16">Settlement</text>
+            <path d="M14 21L19 30L9 30Z" fill="#7c2d12" />
+            <text x="26" y="30">Landmark</text>
+            <path d="M8 42Q14 36 20 42" fill="none" stroke="#3f78aa" strokeWidth="1.8" />
+            <text x="26" y="45">River</text>
+          </g>
+        </svg>
+      </div>
+
+      {status && (
+        <p className={`mt-2 text-xs font-mono ${status.type === 'success' ? 'text-green-700' : 'text-red-700'}`}>
+          {status.message}
+        </p>
+      )}
+      <p className="mt-2 text-xs text-slate-500 font-mono">
+        Procedurally laid out from the regions above{onSeedChange ? '; use New Layout for a different arrangement' : ''}.
+      </p>
+    </div>
+  );
+};
+
+export default WorldMap;
@@ -1,25 +1,90 @@
-import { useState } from 'react';
+import { useState, useMemo, useRef } from 'react';
+import { createProvider } from '../providers';
+import { stripCodeFences } from '../providers/schemaUtils';
+import TaskPool from '../utils/taskPool';
+import { withRetry } from '../utils/retry';
+import { createAbortError, throwIfAborted } from '../utils/abort';
+import {
+  TEXT_SECTIONS,
+  buildSectionPrompt,
+  buildWorldContext,
+  createWorldImagePrompt,
+  createCharacterImagePrompt,
+  createScenarioImagePrompt,
+  buildTimelineGapPrompt,
+  getEmptySectionContent,
+  buildCharacterSheetPrompt,
+  getCharacterSheetSchema,
+  getDefaultCounts,
+  getWorldCounts,
+  getGenerationSteps,
+  TIMELINE_GAP_SCHEMA,
+  CONSISTENCY_SCHEMA,
+  buildConsistencyPrompt
+} from '../utils/worldPrompts';
+import { flattenTimeline, findTimelineEvent, insertTimelineEvents, normalizeTimelineEvents } from '../utils/timeline';
+import { findSectionItem } from '../utils/sectionEditing';
+import { normalizeCharacterSheet } from '../utils/characterSheet';
+import {
+  extractEntities,
+  findDanglingReferences,
+  normalizeConsistencyIssues,
+  mergeConsistencyIssues
+} from '../utils/consistency';
 
 /**
- * Custom hook for interacting with Google Gemini API
+ * Remove a section's recorded failure from a world
+ * @param {Object} world - World data
+ * @param {string} section - Section key
+ * @returns {Object|undefined} Remaining section errors
+ */
+const withoutSectionError = (world, section) => {
+  if (!world.sectionErrors || !world.sectionErrors[section]) return world.sectionErrors;
+  const { [section]: removed, ...rest } = world.sectionErrors;
+  return rest;
+};
+
+/**
+ * Create the progress state for a world's visuals
+ * @param {Object} counts - { characters, scenarios } number of portraits and scenario images
+ * @returns {Object} Progress with an idle entry per visual
+ */
+const createVisualProgress = ({ characters, scenarios }) => ({
+  concept: { loading: false, completed: false, failed: false },
+  characters: Array(characters).fill({ loading: false, completed: false, failed: false }),
+  scenarios: Array(scenarios).fill({ loading: false, completed: false, failed: false })
+});
+
+/**
+ * Custom hook for world generation through the configured LLM provider
  * Handles text generation and image generation with proper error handling for CORS issues
+ * @param {Object} providerSettings - Provider selection ({ provider, baseUrl, model, maxConcurrentRequests }), defaults to Gemini
  * @returns {Object} Object containing functions for API calls and state management
  */
-const useGeminiApi = () => {
-  // Get API key from environment variables
-  const apiKey = process.env.REACT_APP_GEMINI_API_KEY;
-  
-  if (!apiKey) {
-    console.error('REACT_APP_GEMINI_API_KEY environment variable is not set');
-  }
-  
+const useGeminiApi = (providerSettings = {}) => {
+  const { provider: providerId, baseUrl, model, maxConcurrentRequests } = providerSettings;
+  const provider = useMemo(
+    () => createProvider({ provider: providerId, baseUrl, model }),
+    [providerId, baseUrl, model]
+  );
+
+  // Every provider call goes through one pool so independent requests overlap within limits
+  const requestPool = useMemo(
+    () => new TaskPool({
+      concurrency: maxConcurrentRequests || Number(process.env.REACT_APP_MAX_CONCURRENT_REQUESTS) || 3,
+      minInterval: Number(process.env.REACT_APP_REQUEST_INTERVAL_MS) || 250
+    }),
+    [maxConcurrentRequests]
+  );
+
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [imageGenerationProgress, setImageGenerationProgress] = useState({
-    concept: { loading: false, completed: false, failed: false },
-    characters: Array(6).fill({ loading: false, completed: false, failed: false }),
-    scenarios: Array(3).fill({ loading: false, completed: false, failed: false })
-  });
+  const [imageGenerationProgress, setImageGenerationProgress] = useState(() => createVisualProgress(getDefaultCounts()));
+  const [regeneratingSections, setRegeneratingSections] = useState({});
+  const [retryNotices, setRetryNotices] = useState({});
+  const [streamingWorld, setStreamingWorld] = useState(null);
+  const requestCounterRef = useRef(0);
+  const abortControllerRef = useRef(null);
 
   /**
    * Clean and format text by removing markdown and improving readability
@@ -44,59 +109,103 @@ const useGeminiApi = () => {
   };
 
   /**
-   * Generate text content using Gemini 2.0 Flash model
-   * @param {string} prompt - The prompt to send to the API
-   * @param {Object} schema - JSON schema for structured response (optional)
-   * @returns {Promise<string|Object>} Generated text or structured data
+   * Build a stream handler that keeps a cleaned copy of the text received so far
+   * Finished paragraphs are cleaned once and cached, so each chunk only re-cleans the paragraph still being written
+   * @param {Function} onText - Called with the cleaned text so far
+   * @returns {Function} Handler taking the raw text received so far
    */
-  const generateText = async (prompt, schema = null) => {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-    
-    const requestBody = {
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }],
-      generationConfig: {
-        temperature: 0.8,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 8192,
+  const createStreamCleaner = (onText) => {
+    let cleanedParagraphs = [];
+    let consumed = 0;
+
+    return (rawText) => {
+      // A retried request starts streaming from scratch
+      if (rawText.length < consumed) {
+        cleanedParagraphs = [];
+        consumed = 0;
       }
-    };
 
-    // Add response schema if provided for structured output
-    if (schema) {
-      requestBody.generationConfig.responseMimeType = "application/json";
-      requestBody.generationConfig.responseSchema = schema;
-    }
+      const boundary = rawText.lastIndexOf('\n\n');
+      if (boundary > consumed) {
+        const finished = cleanText(rawText.slice(consumed, boundary));
+        if (finished) cleanedParagraphs.push(finished);
+        consumed = boundary;
+      }
 
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody)
-      });
+      onText([...cleanedParagraphs, cleanText(rawText.slice(consumed))].filter(Boolean).join('\n\n'));
+    };
+  };
 
-      if (!response.ok) {
-        throw new Error(`API request failed with status ${response.status}`);
+  /**
+   * Record or clear the retry notice shown for a request
+   * @param {number} requestId - Request identifier
+   * @param {Object|null} notice - { label, attempt, maxAttempts, delay, reason } or null to clear
+   */
+  const setRetryNotice = (requestId, notice) => {
+    setRetryNotices(prev => {
+      const next = { ...prev };
+      if (notice) {
+        next[requestId] = notice;
+      } else {
+        delete next[requestId];
       }
+      return next;
+    });
+  };
 
-      const data = await response.json();
-      
-      if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-        throw new Error('Invalid response structure from API');
-      }
+  /**
+   * Generate text content with the configured provider
+   * Transient failures (429, 5xx, network) are retried with exponential backoff
+   * Plain text is streamed when an onChunk handler is given and the provider supports streaming
+   * @param {string} prompt - The prompt to send to the API
+   * @param {Object} schema - JSON schema for structured response (optional)
+   * @param {Object} options - { label } naming what is generated (for retry notices), { signal } to cancel
+   *   and { onChunk } called with the raw text received so far while streaming
+   * @returns {Promise<string|Object>} Generated text or structured data
+   */
+  const generateText = async (prompt, schema = null, { label = 'content', signal = null, onChunk = null } = {}) => {
+    requestCounterRef.current += 1;
+    const requestId = requestCounterRef.current;
 
-      const content = data.candidates[0].content.parts[0].text;
+    try {
+      // Retries wait outside the pool so a backing-off request does not hold a slot
+      const content = await withRetry(
+        () => requestPool.run(() => {
+          // Requests cancelled while queued never reach the provider
+          throwIfAborted(signal);
+          if (!onChunk || schema || !provider.streamText) {
+            return provider.generateText(prompt, schema, { signal });
+          }
+
+          let received = '';
+          onChunk(received);
+          return provider.streamText(prompt, {
+            signal,
+            onChunk: (delta) => {
+              received += delta;
+              onChunk(received);
+            }
+          });
+        }),
+        {
+          signal,
+          onRetry: ({ attempt, maxAttempts, delay, error }) => {
+            console.warn(`${label} failed (attempt ${attempt}/${maxAttempts}), retrying in ${delay}ms:`, error.message);
+            setRetryNotice(requestId, {
+              label,
+              attempt: attempt + 1,
+              maxAttempts,
+              delay,
+              reason: error.status === 429 ? 'rate limited' : (error.status ? `server error ${error.status}` : 'network error')
+            });
+          }
+        }
+      );
       
       // Parse JSON if schema was provided
       if (schema) {
         try {
-          return JSON.parse(content);
+          return JSON.parse(stripCodeFences(content));
         } catch (parseError) {
           console.warn('Failed to parse JSON response, returning raw text:', parseError);
           return content;
@@ -105,90 +214,22 @@ const useGeminiApi = () => {
       
       return content;
     } catch (err) {
+      if (err.name === 'AbortError') throw err;
       console.error('Error generating text:', err);
       throw new Error(`Failed to generate content: ${err.message}`);
+    } finally {
+      setRetryNotice(requestId, null);
     }
   };
 
-  /**
-   * Generate mood keywords based on world type
-   * @param {string} worldType - The type of world
-   * @returns {string} Mood descriptors for image generation
-   */
-  const getMoodFromWorldType = (worldType) => {
-    const moodMap = {
-      'Medieval Fantasy': 'epic, mystical, magical, ancient, heroic',
-      'Sci-Fi Future': 'futuristic, technological, sleek, advanced, cosmic',
-      'Post-Apocalyptic': 'gritty, desolate, survival, ruins, harsh',
-      'Steampunk': 'industrial, brass, steam, Victorian, mechanical',
-      'Cyberpunk': 'neon, urban, dystopian, high-tech, noir',
-      'Modern Urban Fantasy': 'contemporary, magical realism, urban, mysterious'
-    };
-    
-    return moodMap[worldType] || 'atmospheric, detailed, immersive';
-  };
-
-  /**
-   * Create optimized image prompt for world concept art
-   * @param {string} userIdea - User's world idea
-   * @param {string} worldType - Type of world
-   * @returns {string} Optimized prompt for image generation
-   */
-  const createWorldImagePrompt = (userIdea, worldType) => {
-    const mood = getMoodFromWorldType(worldType);
-    return `Create a stunning cinematic concept art depicting a ${worldType} world inspired by: "${userIdea}". 
-Style: High-quality digital art, masterpiece quality, detailed environment, atmospheric lighting, professional game concept art.
-Composition: Epic wide landscape view showcasing the world's unique characteristics and atmosphere.
-Mood: ${mood}, breathtaking, immersive.
-Technical: 4K quality, sharp details, vibrant colors, dramatic composition.`;
-  };
-
-  /**
-   * Create character image prompt
-   * @param {Object} character - Character data
-   * @param {string} worldType - Type of world
-   * @returns {string} Character-specific image prompt
-   */
-  const createCharacterImagePrompt = (character, worldType) => {
-    const mood = getMoodFromWorldType(worldType);
-    return `Character concept art portrait of ${character.name}, a ${character.role} in a ${worldType} world.
-Character Description: ${character.description}
-Style: Professional digital character portrait, detailed, high-quality game art style, masterpiece.
-Composition: Upper body portrait, showing personality and role clearly.
-Mood: ${mood}, character-focused, expressive.
-Technical: Sharp details, good lighting, character design quality.`;
-  };
-
-  /**
-   * Create scenario/location image prompt
-   * @param {number} index - Scenario index
-   * @param {string} userIdea - User's world idea
-   * @param {string} worldType - Type of world
-   * @returns {string} Scenario-specific image prompt
-   */
-  const createScenarioImagePrompt = (index, userIdea, worldType) => {
-    const mood = getMoodFromWorldType(worldType);
-    const scenarioTypes = [
-      'a key location where important events unfold',
-      'a mysterious place filled with secrets and danger',
-      'a central hub where characters gather and stories begin'
-    ];
-    
-    return `Environmental concept art for ${scenarioTypes[index]} in a ${worldType} world.
-World Concept: "${userIdea}"
-Style: Atmospheric environment art, cinematic composition, professional quality.
-Elements: Showcase unique features and atmosphere of this important location.
-Mood: ${mood}, environmental storytelling, immersive.
-Technical: Detailed background art, good composition, atmospheric lighting.`;
-  };
-
   /**
    * Generate detailed visual description as fallback when image generation fails
    * @param {string} prompt - The image prompt
    * @param {string} type - Type of image (concept, character, scenario)
+   * @param {AbortSignal} signal - Cancels the request (optional)
    * @returns {Promise<string>} Detailed visual description
    */
-  const generateImageDescription = async (prompt, type = 'concept') => {
+  const generateImageDescription = async (prompt, type = 'concept', signal = null) => {
     const descriptionPrompt = `Based on this image generation prompt: "${prompt}"
 
 Create a detailed visual description that an artist could use to create this image. Include:
@@ -202,7 +243,7 @@ Create a detailed visual description that an artist could use to create this ima
 Write this as a comprehensive art direction brief that captures the essence of what the image should look like.`;
 
     try {
-      const description = await generateText(descriptionPrompt);
+      const description = await generateText(descriptionPrompt, null, { label: `${type} art brief`, signal });
       return {
         type,
         description: cleanText(description),
@@ -210,6 +251,7 @@ Write this as a comprehensive art direction brief that captures the essence of w
         isDescription: true
       };
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error('Error generating image description:', error);
       return {
         type,
@@ -224,161 +266,368 @@ Write this as a comprehensive art direction brief that captures the essence of w
    * Attempt to generate an image, with fallback to description
    * @param {string} prompt - The detailed image description prompt
    * @param {string} type - Type of image being generated
+   * @param {Object} options - { onStart } called when the request actually starts (it may wait in
+   *   the pool first) and { signal } to cancel
    * @returns {Promise<Object>} Image data or description fallback
    */
-  const generateImageWithFallback = async (prompt, type = 'concept') => {
-    if (!apiKey) {
-      console.error('API key not available for image generation');
-      return await generateImageDescription(prompt, type);
+  const generateImageWithFallback = async (prompt, type = 'concept', { onStart = null, signal = null } = {}) => {
+    if (!provider.supportsImages || provider.getConfigurationError()) {
+      console.warn(`Image generation not available with the ${provider.id} provider`);
+      if (onStart) onStart();
+      return await generateImageDescription(prompt, type, signal);
     }
 
     try {
-      // Try the working API endpoint
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/imagen-3.0-generate-002:predict?key=${apiKey}`;
-      
-      const payload = {
-        instances: { prompt: prompt },
-        parameters: { "sampleCount": 1 }
+      const image = await requestPool.run(() => {
+        throwIfAborted(signal);
+        if (onStart) onStart();
+        console.log(`Attempting to generate ${type} image...`);
+        return provider.generateImage(prompt, { signal });
+      });
+      console.log(`✅ ${type} image generated successfully!`);
+      return {
+        type,
+        image,
+        isImage: true
       };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.warn(`Image generation failed for ${type}, falling back to description:`, error.message);
+      
+      // Fallback to generating a detailed description
+      return await generateImageDescription(prompt, type, signal);
+    }
+  };
 
-      console.log(`Attempting to generate ${type} image...`);
+  /**
+   * Generate and normalize the content of a single text section
+   * @param {string} section - Section key from TEXT_SECTIONS
+   * @param {string} userIdea - User's core world idea
+   * @param {string} worldType - Selected world type
+   * @param {Object} options - { context } describing the rest of the world, { counts } of items to ask for,
+   *   { signal } to cancel and { onPartial } called with the cleaned text so far while a prose section streams in
+   * @returns {Promise<string|Object[]|Object>} Cleaned prose, an array of structured items or a single item
+   */
+  const generateSectionContent = async (section, userIdea, worldType, { context = '', counts = {}, signal = null, onPartial = null } = {}) => {
+    const { schema, label, normalize } = TEXT_SECTIONS[section];
+    const prompt = buildSectionPrompt(section, userIdea, worldType, context, counts);
+    const onChunk = onPartial && !schema ? createStreamCleaner(onPartial) : null;
+    const content = await generateText(prompt, schema, { label, signal, onChunk });
+
+    if (schema?.type === 'ARRAY') {
+      const items = Array.isArray(content) ? content : [];
+      return normalize ? normalize(items) : items;
+    }
+    if (schema) {
+      const item = content && typeof content === 'object' && !Array.isArray(content) ? content : null;
+      return normalize ? normalize(item) : item;
+    }
+    return cleanText(content);
+  };
 
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload)
+  /**
+   * Track which sections are currently being regenerated
+   * @param {string} key - Section key (visuals use "characterVisuals.2" style keys)
+   * @param {boolean} active - Whether regeneration is in progress
+   */
+  const setSectionRegenerating = (key, active) => {
+    setRegeneratingSections(prev => {
+      const next = { ...prev };
+      if (active) {
+        next[key] = true;
+      } else {
+        delete next[key];
+      }
+      return next;
+    });
+  };
+
+  /**
+   * Regenerate a single text section, using the other sections as context
+   * @param {Object} worldData - Current world data
+   * @param {string} section - Section key from TEXT_SECTIONS
+   * @returns {Promise<Function>} Updater that replaces only that section in a world
+   */
+  const regenerateSection = async (worldData, section) => {
+    const { userIdea, worldType } = worldData;
+    setError(null);
+    setSectionRegenerating(section, true);
+
+    try {
+      const context = buildWorldContext(worldData, section);
+      // Keep the number of items the world already has
+      const content = await generateSectionContent(section, userIdea, worldType, { context, counts: getWorldCounts(worldData) });
+      return (world) => ({
+        ...world,
+        [section]: content,
+        sectionErrors: withoutSectionError(world, section)
       });
+    } catch (err) {
+      setError(`Failed to regenerate ${TEXT_SECTIONS[section]?.label || section}: ${err.message}`);
+      throw err;
+    } finally {
+      setSectionRegenerating(section, false);
+    }
+  };
+
+  /**
+   * Expand one character concept into a full character sheet
+   * @param {Object} worldData - Current world data
+   * @param {number} index - Character index
+   * @param {Object} options - { includeStats } to also ask for RPG stats
+   * @returns {Promise<Function>} Updater that stores the sheet on that character
+   */
+  const expandCharacter = async (worldData, index, { includeStats = false } = {}) => {
+    const characters = worldData.characterConcepts || [];
+    const character = characters[index];
+    if (!character) {
+      throw new Error('Unknown character');
+    }
+
+    const key = `characterSheet.${index}`;
+    setError(null);
+    setSectionRegenerating(key, true);
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.warn(`Image generation failed (${response.status}): ${errorText}`);
-        throw new Error(`API returned ${response.status}`);
+    try {
+      const prompt = buildCharacterSheetPrompt(worldData, index, includeStats);
+      const content = await generateText(prompt, getCharacterSheetSchema(includeStats), { label: `${character.name}'s character sheet` });
+      const sheet = normalizeCharacterSheet(content, character, characters);
+      if (!sheet) {
+        throw new Error('No character sheet was generated');
       }
+      // The characters may have been edited meanwhile; the sheet is dropped if this one is gone
+      return (world) => {
+        const characterIndex = findSectionItem(world.characterConcepts, character);
+        if (characterIndex === -1) return world;
+        return {
+          ...world,
+          characterConcepts: world.characterConcepts.map((item, itemIndex) => (
+            itemIndex === characterIndex ? { ...item, sheet } : item
+          ))
+        };
+      };
+    } catch (err) {
+      setError(`Failed to expand ${character.name}: ${err.message}`);
+      throw err;
+    } finally {
+      setSectionRegenerating(key, false);
+    }
+  };
 
-      const result = await response.json();
+  /**
+   * Ask for the events that happened between two consecutive timeline events
+   * @param {Object} worldData - Current world data
+   * @param {number} eraIndex - Era of the earlier event
+   * @param {number} eventIndex - Earlier event within its era
+   * @returns {Promise<Function>} Updater that inserts the new events right after the earlier event
+   */
+  const fillTimelineGap = async (worldData, eraIndex, eventIndex) => {
+    const entries = flattenTimeline(worldData.timeline);
+    const position = entries.findIndex(entry => entry.eraIndex === eraIndex && entry.eventIndex === eventIndex);
+    const before = entries[position];
+    const after = entries[position + 1];
+    if (!before || !after) {
+      throw new Error('A gap can only be filled between two events');
+    }
 
-      // Check for successful image generation
-      if (result.predictions && result.predictions.length > 0 && result.predictions[0].bytesBase64Encoded) {
-        console.log(`✅ ${type} image generated successfully!`);
+    const key = `timelineGap.${eraIndex}.${eventIndex}`;
+    setError(null);
+    setSectionRegenerating(key, true);
+
+    try {
+      const prompt = buildTimelineGapPrompt(worldData, before.event, after.event);
+      const content = await generateText(prompt, TIMELINE_GAP_SCHEMA, { label: 'Timeline events' });
+      const events = normalizeTimelineEvents(content);
+      if (events.length === 0) {
+        throw new Error('No events were generated');
+      }
+      // The timeline may have been edited meanwhile, so the events go after the earlier event wherever it now is
+      return (world) => {
+        const current = findTimelineEvent(world.timeline, before.event);
+        if (!current) return world;
         return {
-          type,
-          image: result.predictions[0].bytesBase64Encoded,
-          isImage: true
+          ...world,
+          timeline: insertTimelineEvents(world.timeline, current.eraIndex, current.eventIndex + 1, events)
         };
-      } else {
-        console.warn(`No image data in ${type} response:`, result);
-        throw new Error('No image data in response');
+      };
+    } catch (err) {
+      setError(`Failed to fill the timeline gap: ${err.message}`);
+      throw err;
+    } finally {
+      setSectionRegenerating(key, false);
+    }
+  };
+
+  /**
+   * Check a world for contradictions and dangling references across its sections
+   * Entities and dangling references are found locally; the model confirms them, finds contradictions
+   * and suggests a fix for each issue
+   * @param {Object} worldData - Current world data
+   * @returns {Promise<Object>} Report { entities, issues } where each issue is { kind, sections, description, fix }
+   */
+  const checkConsistency = async (worldData) => {
+    setError(null);
+    setSectionRegenerating('consistency', true);
+
+    try {
+      const entities = extractEntities(worldData);
+      const references = findDanglingReferences(worldData);
+      const prompt = buildConsistencyPrompt(worldData, entities, references);
+      const content = await generateText(prompt, CONSISTENCY_SCHEMA, { label: 'Consistency check' });
+      const issues = normalizeConsistencyIssues(content, worldData, Object.keys(TEXT_SECTIONS));
+      return { entities, issues: mergeConsistencyIssues(issues, references) };
+    } catch (err) {
+      setError(`Failed to check consistency: ${err.message}`);
+      throw err;
+    } finally {
+      setSectionRegenerating('consistency', false);
+    }
+  };
+
+  /**
+   * Regenerate a single visual (concept art, one character portrait or one scenario)
+   * @param {Object} worldData - Current world data
+   * @param {string} type - 'concept', 'character' or 'scenario'
+   * @param {number} index - Character or scenario index (ignored for concept art)
+   * @returns {Promise<Function>} Updater that replaces only that visual in a world
+   */
+  const regenerateVisual = async (worldData, type, index = 0) => {
+    const { userIdea, worldType, characterConcepts = [], scenarios = [] } = worldData;
+    const key = type === 'concept' ? 'conceptImage' : `${type}Visuals.${index}`;
+    setError(null);
+    setSectionRegenerating(key, true);
+
+    try {
+      if (type === 'concept') {
+        const result = await generateImageWithFallback(createWorldImagePrompt(userIdea, worldType), 'concept');
+        return (world) => ({
+          ...world,
+          conceptImage: result.isImage ? result.image : null,
+          conceptImageDescription: result.isImage ? null : result
+        });
       }
 
+      const section = type === 'character' ? 'characterConcepts' : 'scenarios';
+      const item = type === 'character' ? characterConcepts[index] : scenarios[index];
+      const prompt = type === 'character'
+        ? createCharacterImagePrompt(item, worldType)
+        : createScenarioImagePrompt(item, userIdea, worldType);
+      const result = await generateImageWithFallback(prompt, type);
+      const field = `${type}Visuals`;
+
+      // The list may have been edited meanwhile, so the visual follows its item rather than its old position
+      return (world) => {
+        const itemIndex = findSectionItem(world[section], item);
+        if (itemIndex === -1) return world;
+        const visuals = [...(world[field] || [])];
+        visuals[itemIndex] = result;
+        return { ...world, [field]: visuals };
+      };
+    } catch (err) {
+      setError(`Failed to regenerate ${type} visual: ${err.message}`);
+      throw err;
+    } finally {
+      setSectionRegenerating(key, false);
+    }
+  };
+
+  /**
+   * Update the progress entry of one visual
+   * @param {string} group - 'concept', 'characters' or 'scenarios'
+   * @param {number|null} index - Index within the group (null for concept art)
+   * @param {Object} status - New { loading, completed, failed } status
+   */
+  const setVisualProgress = (group, index, status) => {
+    setImageGenerationProgress(prev => {
+      if (index === null) {
+        return { ...prev, [group]: status };
+      }
+      const entries = [...prev[group]];
+      entries[index] = status;
+      return { ...prev, [group]: entries };
+    });
+  };
+
+  /**
+   * Generate one visual while keeping its progress entry up to date
+   * @param {string} prompt - Image prompt
+   * @param {string} type - 'concept', 'character' or 'scenario'
+   * @param {string} group - Progress group key
+   * @param {number|null} index - Index within the group (null for concept art)
+   * @param {AbortSignal} signal - Cancels the request (optional)
+   * @returns {Promise<Object>} Image data or description fallback
+   */
+  const generateTrackedVisual = async (prompt, type, group, index = null, signal = null) => {
+    let result;
+    try {
+      result = await generateImageWithFallback(prompt, type, {
+        signal,
+        onStart: () => setVisualProgress(group, index, { loading: true, completed: false, failed: false })
+      });
     } catch (error) {
-      console.warn(`Image generation failed for ${type}, falling back to description:`, error.message);
-      
-      // Fallback to generating a detailed description
-      return await generateImageDescription(prompt, type);
+      setVisualProgress(group, index, { loading: false, completed: false, failed: true });
+      throw error;
     }
+
+    setVisualProgress(group, index, {
+      loading: false,
+      completed: true,
+      failed: !result.isImage
+    });
+
+    return result;
   };
 
   /**
    * Generate all visual content for the world
+   * Concept art, character portraits and scenario art are requested concurrently through the pool
+   * Visuals cancelled before they finished are left empty so they can be regenerated later
    * @param {Object} worldData - Complete world data
+   * @param {AbortSignal} signal - Cancels outstanding requests (optional)
    * @returns {Promise<Object>} World data with visual content
    */
-  const generateAllVisualContent = async (worldData) => {
-    const { userIdea, worldType, characterConcepts } = worldData;
+  const generateAllVisualContent = async (worldData, signal = null) => {
+    const { userIdea, worldType, characterConcepts, scenarios } = worldData;
     const visualResults = { ...worldData };
 
     try {
-      // Update progress state for concept art
-      setImageGenerationProgress(prev => ({
-        ...prev,
-        concept: { loading: true, completed: false, failed: false }
-      }));
-
-      // Generate main concept art
-      console.log('Generating concept art...');
-      const conceptPrompt = createWorldImagePrompt(userIdea, worldType);
-      const conceptResult = await generateImageWithFallback(conceptPrompt, 'concept');
-      
-      if (conceptResult.isImage) {
+      console.log('Generating concept art, character and scenario visuals...');
+      const characters = characterConcepts || [];
+      const scenarioList = scenarios || [];
+
+      // The model may not return exactly the number of characters and scenarios asked for
+      setImageGenerationProgress(createVisualProgress({ characters: characters.length, scenarios: scenarioList.length }));
+
+      /**
+       * Wait for a batch of visuals, replacing cancelled ones with null
+       * @param {Promise<Object>[]} requests - Visual requests
+       * @returns {Promise<Array<Object|null>>} Results in request order
+       */
+      const settle = async (requests) => (await Promise.allSettled(requests)).map(outcome => {
+        if (outcome.status === 'fulfilled') return outcome.value;
+        if (outcome.reason.name !== 'AbortError') throw outcome.reason;
+        return null;
+      });
+
+      const [[conceptResult], characterVisuals, scenarioVisuals] = await Promise.all([
+        settle([generateTrackedVisual(createWorldImagePrompt(userIdea, worldType), 'concept', 'concept', null, signal)]),
+        settle(characters.map((character, i) => (
+          generateTrackedVisual(createCharacterImagePrompt(character, worldType), 'character', 'characters', i, signal)
+        ))),
+        settle(scenarioList.map((scenario, i) => (
+          generateTrackedVisual(createScenarioImagePrompt(scenario, userIdea, worldType), 'scenario', 'scenarios', i, signal)
+        )))
+      ]);
+
+      if (conceptResult?.isImage) {
         visualResults.conceptImage = conceptResult.image;
-      } else {
+      } else if (conceptResult) {
         visualResults.conceptImageDescription = conceptResult;
       }
 
-      setImageGenerationProgress(prev => ({
-        ...prev,
-        concept: { 
-          loading: false, 
-          completed: true, 
-          failed: !conceptResult.isImage 
-        }
-      }));
-
-      // Generate character visuals
-      if (characterConcepts && characterConcepts.length > 0) {
-        console.log('Generating character visuals...');
-        const characterVisuals = [];
-        
-        for (let i = 0; i < Math.min(characterConcepts.length, 6); i++) {
-          setImageGenerationProgress(prev => {
-            const newCharacters = [...prev.characters];
-            newCharacters[i] = { loading: true, completed: false, failed: false };
-            return { ...prev, characters: newCharacters };
-          });
-
-          const character = characterConcepts[i];
-          const characterPrompt = createCharacterImagePrompt(character, worldType);
-          const characterResult = await generateImageWithFallback(characterPrompt, 'character');
-          characterVisuals.push(characterResult);
-
-          setImageGenerationProgress(prev => {
-            const newCharacters = [...prev.characters];
-            newCharacters[i] = { 
-              loading: false, 
-              completed: true, 
-              failed: !characterResult.isImage 
-            };
-            return { ...prev, characters: newCharacters };
-          });
-
-          // Small delay between requests
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-        
+      if (characterVisuals.length > 0) {
         visualResults.characterVisuals = characterVisuals;
       }
-
-      // Generate scenario visuals
-      console.log('Generating scenario visuals...');
-      const scenarioVisuals = [];
-      
-      for (let i = 0; i < 3; i++) {
-        setImageGenerationProgress(prev => {
-          const newScenarios = [...prev.scenarios];
-          newScenarios[i] = { loading: true, completed: false, failed: false };
-          return { ...prev, scenarios: newScenarios };
-        });
-
-        const scenarioPrompt = createScenarioImagePrompt(i, userIdea, worldType);
-        const scenarioResult = await generateImageWithFallback(scenarioPrompt, 'scenario');
-        scenarioVisuals.push(scenarioResult);
-
-        setImageGenerationProgress(prev => {
-          const newScenarios = [...prev.scenarios];
-          newScenarios[i] = { 
-            loading: false, 
-            completed: true, 
-            failed: !scenarioResult.isImage 
-          };
-          return { ...prev, scenarios: newScenarios };
-        });
-
-        // Small delay between requests
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-      
       visualResults.scenarioVisuals = scenarioVisuals;
 
     } catch (error) {
@@ -393,124 +642,152 @@ Write this as a comprehensive art direction brief that captures the essence of w
    * @param {string} userIdea - User's core world idea
    * @param {string} worldType - Selected world type
    * @param {boolean} generateVisuals - Whether to generate visual content (default: true)
+   * @param {Object} options - { counts } of items to ask for, such as { characters: 6, regions: 4 } (defaults from COUNT_LIMITS),
+   *   and { mode } from GENERATION_MODES ('fast' by default, or 'coherent' to chain the sections)
    * @returns {Promise<Object>} Complete world data including all sections and visual content
    */
-  const generateWorldContent = async (userIdea, worldType, generateVisuals = true) => {
+  const generateWorldContent = async (userIdea, worldType, generateVisuals = true, options = {}) => {
+    const counts = { ...getDefaultCounts(), ...options.counts };
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const { signal } = controller;
+
     setIsLoading(true);
     setError(null);
+    setStreamingWorld({ userIdea, worldType, counts });
 
     // Reset image generation progress
-    setImageGenerationProgress({
-      concept: { loading: false, completed: false, failed: false },
-      characters: Array(6).fill({ loading: false, completed: false, failed: false }),
-      scenarios: Array(3).fill({ loading: false, completed: false, failed: false })
-    });
+    setImageGenerationProgress(createVisualProgress(counts));
 
-    // Check if API key is available
-    if (!apiKey) {
-      const errorMsg = 'API key not configured. Please check your environment variables.';
-      setError(errorMsg);
+    // Check that the provider is configured (e.g. has an API key)
+    const configError = provider.getConfigurationError();
+    if (configError) {
+      setError(configError);
       setIsLoading(false);
-      throw new Error(errorMsg);
+      setStreamingWorld(null);
+      abortControllerRef.current = null;
+      throw new Error(configError);
     }
 
     try {
-      // Generate world narrative
-      const narrativePrompt = `Create a detailed world-building narrative for a ${worldType} world based on the idea: "${userIdea}". Include history, geography, key factions, magic systems (if applicable), and societal structure. Make it rich and evocative. Write in engaging prose format with multiple paragraphs. Do not use markdown formatting, asterisks, or special characters. Write in plain text with natural paragraph breaks.`;
-      
-      const worldNarrative = await generateText(narrativePrompt);
-
-      // Generate game/book ideas with structured JSON
-      const ideasPrompt = `Based on the world idea "${userIdea}" in a ${worldType} setting, generate 5 distinct ideas for games or books set in this world. Each should be creative and different from the others.`;
-      
-      const ideasSchema = {
-        type: "ARRAY",
-        items: {
-          type: "OBJECT",
-          properties: {
-            title: { type: "STRING" },
-            synopsis: { type: "STRING" }
-          },
-          propertyOrdering: ["title", "synopsis"]
-        }
+      /**
+       * Show a section's text (partial while streaming, complete once finished) before the world is done
+       * @param {string} section - Section key
+       * @param {string|Object[]} content - Section content so far
+       */
+      const showSection = (section, content) => {
+        setStreamingWorld(prev => (prev ? { ...prev, [section]: content } : prev));
       };
-      
-      const gameBookIdeas = await generateText(ideasPrompt, ideasSchema);
 
-      // Generate customization options
-      const customizationPrompt = `For a ${worldType} world based on "${userIdea}", suggest 5 specific ways a developer could further customize or expand upon this world. Be practical and creative.`;
-      
-      const customizationSchema = {
-        type: "ARRAY",
-        items: {
-          type: "OBJECT",
-          properties: {
-            title: { type: "STRING" },
-            description: { type: "STRING" }
-          },
-          propertyOrdering: ["title", "description"]
-        }
+      const sections = {};
+      const sectionErrors = {};
+
+      /**
+       * Generate a group of text sections concurrently, keeping whatever succeeds
+       * @param {string[]} keys - Section keys
+       * @param {string} context - Condensed description of the sections already generated (optional)
+       */
+      const generateSections = async (keys, context = '') => {
+        const outcomes = await Promise.allSettled(
+          keys.map(async (section) => {
+            const content = await generateSectionContent(section, userIdea, worldType, {
+              context,
+              counts,
+              signal,
+              onPartial: text => showSection(section, text)
+            });
+            showSection(section, content);
+            return content;
+          })
+        );
+
+        outcomes.forEach((outcome, i) => {
+          const section = keys[i];
+          if (outcome.status === 'fulfilled') {
+            sections[section] = outcome.value;
+          } else if (outcome.reason.name === 'AbortError') {
+            sections[section] = getEmptySectionContent(section);
+            sectionErrors[section] = 'Cancelled before this section finished';
+          } else {
+            console.error(`Failed to generate ${section}:`, outcome.reason);
+            sections[section] = getEmptySectionContent(section);
+            sectionErrors[section] = outcome.reason.message;
+          }
+        });
       };
-      
-      const customizationOptions = await generateText(customizationPrompt, customizationSchema);
 
-      // Generate character concepts
-      const charactersPrompt = `Create 5 compelling character concepts for a ${worldType} world based on "${userIdea}". Each character should be unique and fit the world's tone.`;
-      
-      const charactersSchema = {
-        type: "ARRAY",
-        items: {
-          type: "OBJECT",
-          properties: {
-            name: { type: "STRING" },
-            description: { type: "STRING" },
-            role: { type: "STRING" }
-          },
-          propertyOrdering: ["name", "description", "role"]
-        }
-      };
-      
-      const characterConcepts = await generateText(charactersPrompt, charactersSchema);
+      // Each step sees the sections finished before it: in fast mode only the timeline and scenarios
+      // wait for the rest, while coherent mode chains narrative, factions, characters, regions and ideas
+      const sectionKeys = Object.keys(TEXT_SECTIONS);
+      const steps = getGenerationSteps(options.mode);
+      for (let step = 0; step < steps.length; step++) {
+        await generateSections(steps[step], step > 0 ? buildWorldContext(sections) : '');
+      }
 
-      // Generate conceptual maps (textual descriptions)
-      const mapsPrompt = `Create textual descriptions for 2 different regions/areas in a ${worldType} world based on "${userIdea}". Include geography, notable landmarks, settlements, and atmosphere. Format each as a separate section with clear headings using simple text - no asterisks or markdown. Use plain text formatting only.`;
-      
-      const conceptualMaps = await generateText(mapsPrompt);
+      // Nothing to show if every section failed or was cancelled
+      if (Object.keys(sectionErrors).length === sectionKeys.length) {
+        throw signal.aborted ? createAbortError() : new Error(Object.values(sectionErrors)[0]);
+      }
 
       // Create base world data
       let worldData = {
-        worldNarrative: cleanText(worldNarrative),
-        gameBookIdeas: Array.isArray(gameBookIdeas) ? gameBookIdeas : [],
-        customizationOptions: Array.isArray(customizationOptions) ? customizationOptions : [],
-        characterConcepts: Array.isArray(characterConcepts) ? characterConcepts : [],
-        conceptualMaps: cleanText(conceptualMaps),
+        ...sections,
         conceptImage: null,
         conceptImageDescription: null,
         characterVisuals: [],
         scenarioVisuals: [],
+        sectionErrors,
+        counts,
         userIdea,
         worldType
       };
 
-      // Generate visual content if requested
-      if (generateVisuals) {
+      // Generate visual content if requested and not already cancelled
+      if (generateVisuals && !signal.aborted) {
         console.log('Starting visual content generation...');
-        worldData = await generateAllVisualContent(worldData);
+        worldData = await generateAllVisualContent(worldData, signal);
       }
 
       setIsLoading(false);
       return worldData;
 
     } catch (err) {
-      setError(err.message);
+      // A cancelled generation with nothing to keep is not an error worth showing
+      if (err.name !== 'AbortError') {
+        setError(err.message);
+      }
       setIsLoading(false);
       throw err;
+    } finally {
+      setStreamingWorld(null);
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
+    }
+  };
+
+  /**
+   * Cancel the world generation in progress, if any
+   * Queued requests are dropped and in-flight requests are aborted; finished sections are kept
+   */
+  const cancelGeneration = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
     }
   };
 
   return {
     generateWorldContent,
+    cancelGeneration,
     generateImageWithFallback,
+    regenerateSection,
+    regenerateVisual,
+    fillTimelineGap,
+    expandCharacter,
+    checkConsistency,
+    regeneratingSections,
+    retryNotices: Object.values(retryNotices),
+    streamingWorld,
     isLoading,
     error,
     setError,
@@ -0,0 +1,101 @@
+import { useState, useCallback } from 'react';
+
+// Oldest steps are dropped beyond this many, since every step holds a whole world
+const HISTORY_LIMIT = 50;
+
+// Consecutive changes to the same field this close together form one step, so typing is undone as a whole
+const COALESCE_MS = 1000;
+
+const EMPTY_HISTORY = { past: [], present: null, future: [], worldKey: 0 };
+
+/**
+ * Custom hook for the open world with an undo/redo history
+ * Each step keeps the world as it was before a labelled change, such as "Regenerate Factions".
+ * Worlds are never mutated, so steps share everything a change did not touch.
+ * The world key changes whenever another world is opened, so slow changes can check they still apply
+ * @returns {Object} Current world, history steps and actions to change, reset, undo and redo it
+ */
+const useWorldHistory = () => {
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+
+  /**
+   * Replace the open world and start a fresh history, as when a world is generated or opened
+   * @param {Object|null} world - World data, or null to close the world
+   */
+  const resetWorld = useCallback((world) => {
+    setHistory(prev => ({ past: [], present: world, future: [], worldKey: prev.worldKey + 1 }));
+  }, []);
+
+  /**
+   * Apply a change to the open world as an undoable step
+   * @param {Function} updater - Receives the current world data and returns the updated world
+   * @param {string} label - Short description of the change, shown on the undo button
+   * @param {Object} options - Optional { worldKey, coalesceKey }: the world key the change was made for, so it is
+   *   dropped when another world is open, and the field it types into, so typing there is merged into one step
+   */
+  const changeWorld = useCallback((updater, label = 'Edit', { worldKey = null, coalesceKey = null } = {}) => {
+    const now = Date.now();
+
+    setHistory((prev) => {
+      if (!prev.present || (worldKey !== null && worldKey !== prev.worldKey)) return prev;
+
+      const next = updater(prev.present);
+      if (next === prev.present) return prev;
+
+      const last = prev.past[prev.past.length - 1];
+      const past = coalesceKey && last?.coalesceKey === coalesceKey && now - last.time < COALESCE_MS
+        ? [...prev.past.slice(0, -1), { ...last, time: now }]
+        : [...prev.past, { world: prev.present, label, time: now, coalesceKey }].slice(-HISTORY_LIMIT);
+
+      return { past, present: next, future: [], worldKey: prev.worldKey };
+    });
+  }, []);
+
+  /**
+   * Go back to the world before the latest step
+   */
+  const undo = useCallback(() => {
+    setHistory((prev) => {
+      const last = prev.past[prev.past.length - 1];
+      if (!last) return prev;
+
+      return {
+        past: prev.past.slice(0, -1),
+        present: last.world,
+        future: [{ ...last, world: prev.present }, ...prev.future],
+        worldKey: prev.worldKey
+      };
+    });
+  }, []);
+
+  /**
+   * Reapply the latest undone step
+   */
+  const redo = useCallback(() => {
+    setHistory((prev) => {
+      const [next, ...future] = prev.future;
+      if (!next) return prev;
+
+      return {
+        past: [...prev.past, { ...next, world: prev.present, time: 0 }],
+        present: next.world,
+        future,
+        worldKey: prev.worldKey
+      };
+    });
+  }, []);
+
+  return {
+    worldData: history.present,
+    worldKey: history.worldKey,
+    pastSteps: history.past,
+    undoLabel: history.past[history.past.length - 1]?.label || null,
+    redoLabel: history.future[0]?.label || null,
+    resetWorld,
+    changeWorld,
+    undo,
+    redo
+  };
+};
+
+export default useWorldHistory;
@@ -0,0 +1,143 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import WorldStorage from '../utils/worldStorage';
+
+/**
+ * Custom hook for the local world library
+ * Wraps the IndexedDB world storage and keeps the list of saved worlds in state; also stores named world snapshots
+ * @returns {Object} Saved world summaries and library actions
+ */
+const useWorldLibrary = () => {
+  const storageRef = useRef(null);
+  if (!storageRef.current) {
+    storageRef.current = new WorldStorage();
+  }
+
+  const [worlds, setWorlds] = useState([]);
+  const [isLibraryLoading, setIsLibraryLoading] = useState(true);
+  const [libraryError, setLibraryError] = useState(null);
+
+  /**
+   * Reload the list of saved worlds from storage
+   */
+  const refreshLibrary = useCallback(async () => {
+    try {
+      const summaries = await storageRef.current.listWorlds();
+      setWorlds(summaries);
+      setLibraryError(null);
+    } catch (err) {
+      console.error('Error loading world library:', err);
+      setLibraryError(err.message);
+    } finally {
+      setIsLibraryLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshLibrary();
+  }, [refreshLibrary]);
+
+  /**
+   * Run a storage action, then refresh the list and surface any error
+   * @param {Function} action - Receives the storage instance and returns a promise
+   * @returns {Promise<any>} Result of the action
+   */
+  const runAndRefresh = useCallback(async (action) => {
+    try {
+      const result = await action(storageRef.current);
+      await refreshLibrary();
+      return result;
+    } catch (err) {
+      console.error('World library error:', err);
+      setLibraryError(err.message);
+      throw err;
+    }
+  }, [refreshLibrary]);
+
+  /**
+   * Save a world, creating a new record when no id is given
+   * @param {Object} worldData - World data to save
+   * @param {Object} options - Optional { id, name }
+   * @returns {Promise<Object>} Saved record
+   */
+  const saveWorld = useCallback(
+    (worldData, options) => runAndRefresh((storage) => storage.saveWorld(worldData, options)),
+    [runAndRefresh]
+  );
+
+  /**
+   * Load a saved world record
+   * @param {string} id - World id
+   * @returns {Promise<Object|null>} Stored record
+   */
+  const openWorld = useCallback(async (id) => {
+    try {
+      return await storageRef.current.getWorld(id);
+    } catch (err) {
+      console.error('Error opening world:', err);
+      setLibraryError(err.message);
+      throw err;
+    }
+  }, []);
+
+  const renameWorld = useCallback(
+    (id, name) => runAndRefresh((storage) => storage.renameWorld(id, name)),
+    [runAndRefresh]
+  );
+
+  const duplicateWorld = useCallback(
+    (id) => runAndRefresh((storage) => storage.duplicateWorld(id)),
+    [runAndRefresh]
+  );
+
+  const deleteWorld = useCallback(
+    (id) => runAndRefresh((storage) => storage.deleteWorld(id)),
+    [runAndRefresh]
+  );
+
+  /**
+   * Run a snapshot action, surfacing any error without refreshing the world list
+   * @param {Function} action - Receives the storage instance and returns a promise
+   * @returns {Promise<any>} Result of the action
+   */
+  const runSnapshotAction = useCallback(async (action) => {
+    try {
+      return await action(storageRef.current);
+    } catch (err) {
+      console.error('World snapshot error:', err);
+      setLibraryError(err.message);
+      throw err;
+    }
+  }, []);
+
+  const listSnapshots = useCallback(
+    (worldId) => runSnapshotAction((storage) => storage.listSnapshots(worldId)),
+    [runSnapshotAction]
+  );
+
+  const saveSnapshot = useCallback(
+    (worldId, name, worldData) => runSnapshotAction((storage) => storage.saveSnapshot(worldId, name, worldData)),
+    [runSnapshotAction]
+  );
+
+  const deleteSnapshot = useCallback(
+    (id) => runSnapshotAction((storage) => storage.deleteSnapshot(id)),
+    [runSnapshotAction]
+  );
+
+  return {
+    worlds,
+    isLibraryLoading,
+    libraryError,
+    refreshLibrary,
+    saveWorld,
+    openWorld,
+    renameWorld,
+    duplicateWorld,
+    deleteWorld,
+    listSnapshots,
+    saveSnapshot,
+    deleteSnapshot
+  };
+};
+
+export default useWorldLibrary;
@@ -0,0 +1,79 @@
+import { ProviderError, postJson, postEventStream } from './http';
+
+/**
+ * Google Gemini Provider
+ * Text generation with Gemini models and image generation with Imagen, routed through the
+ * local API proxy (server/index.js) so the API key never reaches the browser
+ */
+class GeminiProvider {
+  constructor({ apiBaseUrl } = {}) {
+    this.id = 'gemini';
+    this.apiBaseUrl = (apiBaseUrl || '').replace(/\/+$/, '');
+    this.supportsImages = true;
+  }
+
+  /**
+   * The API key lives on the proxy server, so there is nothing to check in the browser
+   * @returns {null}
+   */
+  getConfigurationError() {
+    return null;
+  }
+
+  /**
+   * Generate text content
+   * @param {string} prompt - The prompt to send to the API
+   * @param {Object} schema - JSON schema for structured response (optional)
+   * @param {Object} options - { signal } to cancel the request
+   * @returns {Promise<string>} Raw generated text (JSON text when a schema is given)
+   */
+  async generateText(prompt, schema = null, { signal = null } = {}) {
+    const data = await postJson(`${this.apiBaseUrl}/api/generate-text`, { prompt, schema }, {}, signal);
+
+    if (typeof data.text !== 'string') {
+      throw new Error('Invalid response structure from API');
+    }
+
+    return data.text;
+  }
+
+  /**
+   * Stream plain text as it is generated
+   * @param {string} prompt - The prompt to send to the API
+   * @param {Object} options - { onChunk } called with each new piece of text and { signal } to cancel
+   * @returns {Promise<string>} The complete generated text
+   */
+  async streamText(prompt, { onChunk = () => {}, signal = null } = {}) {
+    let text = '';
+
+    await postEventStream(`${this.apiBaseUrl}/api/stream-text`, { prompt }, {}, signal, ({ event, data }) => {
+      if (event === 'error') {
+        throw new ProviderError(data.error || 'Stream failed', { status: data.status });
+      }
+      if (data.text) {
+        text += data.text;
+        onChunk(data.text);
+      }
+    });
+
+    return text;
+  }
+
+  /**
+   * Generate an image
+   * @param {string} prompt - The image prompt
+   * @param {Object} options - { signal } to cancel the request
+   * @returns {Promise<string>} Base64 encoded PNG data
+   */
+  async generateImage(prompt, { signal = null } = {}) {
+    const data = await postJson(`${this.apiBaseUrl}/api/generate-image`, { prompt }, {}, signal);
+
+    if (!data.image) {
+      throw new Error('No image data in response');
+    }
+
+    return data.image;
+  }
+}
+
+export default GeminiProvider;
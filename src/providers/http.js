@@ -0,0 +1,173 @@
+import { createAbortError } from '../utils/abort';
+
+/**
+ * HTTP helpers shared by providers
+ * Turns network failures and non-OK responses into ProviderErrors that carry the HTTP status
+ * and any Retry-After delay, so callers can decide whether a request is worth retrying
+ */
+
+/**
+ * Error raised by a provider request
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { status, retryAfter (ms), isNetworkError, retryable (false when the server says retrying cannot help) }
+   */
+  constructor(message, { status = null, retryAfter = null, isNetworkError = false, retryable = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.isNetworkError = isNetworkError;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * POST JSON and return the response, raising a ProviderError for network failures and non-OK statuses
+ * @param {string} url - Request URL
+ * @param {Object} payload - JSON body
+ * @param {Object} headers - Extra headers
+ * @param {AbortSignal} signal - Aborts the request when triggered (optional)
+ * @returns {Promise<Response>} Successful fetch response
+ */
+const post = async (url, payload, headers = {}, signal = null) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      body: JSON.stringify(payload),
+      signal
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw createAbortError();
+    }
+    throw new ProviderError(`Network error: ${err.message}`, { isNetworkError: true });
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => '');
+    let message = `API request failed with status ${response.status}`;
+    let retryable = null;
+    try {
+      const body = JSON.parse(errorText);
+      message = body.error?.message || body.error || message;
+      retryable = body.retryable === false ? false : null;
+    } catch (parseError) {
+      // Non-JSON error bodies keep the generic message
+    }
+
+    throw new ProviderError(message, {
+      status: response.status,
+      retryAfter: parseRetryAfter(response.headers.get('Retry-After')),
+      retryable
+    });
+  }
+
+  return response;
+};
+
+/**
+ * POST JSON and return the parsed JSON response
+ * @param {string} url - Request URL
+ * @param {Object} payload - JSON body
+ * @param {Object} headers - Extra headers
+ * @param {AbortSignal} signal - Aborts the request when triggered (optional)
+ * @returns {Promise<Object>} Parsed response body
+ */
+export const postJson = async (url, payload, headers = {}, signal = null) => {
+  const response = await post(url, payload, headers, signal);
+  return response.json();
+};
+
+/**
+ * Parse one server-sent event block
+ * @param {string} block - Raw event text (lines up to a blank line)
+ * @returns {Object|null} { event, data } with data parsed as JSON, or null for empty and [DONE] events
+ */
+const parseEventBlock = (block) => {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split(/\r?\n/).forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+
+  const data = dataLines.join('\n');
+  if (!data || data === '[DONE]') return null;
+  return { event, data: JSON.parse(data) };
+};
+
+/**
+ * POST JSON and read a server-sent event stream response
+ * @param {string} url - Request URL
+ * @param {Object} payload - JSON body
+ * @param {Object} headers - Extra headers
+ * @param {AbortSignal} signal - Aborts the request when triggered (optional)
+ * @param {Function} onEvent - Called with ({ event, data }) for every event, in order
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export const postEventStream = async (url, payload, headers = {}, signal = null, onEvent = () => {}) => {
+  const response = await post(url, payload, headers, signal);
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  /**
+   * Dispatch every complete event in the buffer, keeping any partial event for the next read
+   * @param {boolean} flush - Whether the stream has ended, so the remainder is complete too
+   */
+  const dispatch = (flush = false) => {
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = flush ? '' : blocks.pop();
+    blocks.forEach((block) => {
+      const parsed = parseEventBlock(block);
+      if (parsed) onEvent(parsed);
+    });
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      dispatch();
+    }
+  } catch (err) {
+    reader.cancel().catch(() => {});
+    if (err.name === 'AbortError') {
+      throw createAbortError();
+    }
+    if (err instanceof ProviderError) throw err;
+    throw new ProviderError(`Stream interrupted: ${err.message}`, { isNetworkError: true });
+  }
+
+  dispatch(true);
+};
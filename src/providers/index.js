@@ -0,0 +1,85 @@
+import GeminiProvider from './geminiProvider';
+import OpenAICompatibleProvider from './openAiProvider';
+import OllamaProvider from './ollamaProvider';
+import MockProvider from './mockProvider';
+
+/**
+ * LLM Provider Registry
+ * Creates the text/image provider chosen in the app settings
+ */
+const SETTINGS_STORAGE_KEY = 'worldBuilder.providerSettings';
+
+/**
+ * Providers selectable at runtime
+ */
+export const PROVIDER_OPTIONS = [
+  { id: 'gemini', label: 'Google Gemini (via API proxy)', configurable: false },
+  { id: 'openai', label: 'OpenAI-compatible endpoint', configurable: true, defaultBaseUrl: 'https://api.openai.com/v1', defaultModel: 'gpt-4o-mini' },
+  { id: 'local', label: 'Local server (Ollama)', configurable: true, defaultBaseUrl: 'http://localhost:11434', defaultModel: 'llama3.1' },
+  { id: 'mock', label: 'Offline mock (no network)', configurable: false }
+];
+
+/**
+ * Provider settings taken from environment variables
+ * @returns {Object} Default provider settings
+ */
+export const getDefaultProviderSettings = () => ({
+  provider: process.env.REACT_APP_LLM_PROVIDER || 'gemini',
+  baseUrl: process.env.REACT_APP_LLM_BASE_URL || '',
+  model: process.env.REACT_APP_LLM_MODEL || '',
+  maxConcurrentRequests: Number(process.env.REACT_APP_MAX_CONCURRENT_REQUESTS) || 3
+});
+
+/**
+ * Load provider settings saved in this browser, falling back to the defaults
+ * @returns {Object} Provider settings
+ */
+export const loadProviderSettings = () => {
+  const defaults = getDefaultProviderSettings();
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+    return saved ? { ...defaults, ...saved } : defaults;
+  } catch (err) {
+    return defaults;
+  }
+};
+
+/**
+ * Save provider settings in this browser
+ * @param {Object} settings - Provider settings
+ */
+export const saveProviderSettings = (settings) => {
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('Could not save provider settings:', err);
+  }
+};
+
+/**
+ * Create a provider instance from settings
+ * Every provider exposes generateText(prompt, schema, { signal }), generateImage(prompt, { signal }),
+ * getConfigurationError() and a supportsImages flag
+ * @param {Object} settings - { provider, baseUrl, model }
+ * @returns {Object} Provider instance
+ */
+export const createProvider = ({ provider, baseUrl, model } = {}) => {
+  switch (provider) {
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        baseUrl,
+        apiBaseUrl: process.env.REACT_APP_API_BASE_URL,
+        model,
+        imageModel: process.env.REACT_APP_OPENAI_IMAGE_MODEL
+      });
+    case 'local':
+      return new OllamaProvider({ baseUrl, model });
+    case 'mock':
+      return new MockProvider();
+    case 'gemini':
+    default:
+      return new GeminiProvider({
+        apiBaseUrl: process.env.REACT_APP_API_BASE_URL
+      });
+  }
+};
@@ -0,0 +1,330 @@
+/**
+ * Mock Provider Fixtures
+ * Canned world content returned by the offline mock provider. Every answer is fixed so the
+ * whole UI can be developed and tested without a network connection or API key
+ */
+
+/**
+ * Small placeholder PNGs (base64) used for generated visuals
+ */
+export const IMAGE_FIXTURES = {
+  concept: 'iVBORw0KGgoAAAANSUhEUgAAADAAAAAgCAIAAADbtmxLAAAAhklEQVR42u3UMQ5AAABD0R7M7BBms9nsEI7jJGaHMJFIREQM2gZJk3+At7Toh+lTIaCALpvH9tjLoJPm3hRQQH8A2VdW1d3WJ35o15hMYDQOE0iN3ASSImdBpVGZINRITNBqeBO0FJ4Fk0YGUmk0IKGGBWkpLMiheQ4yadaKpnxQQAEF5AYtIHYDXAKSO6QAAAAASUVORK5CYII=',
+  character: 'iVBORw0KGgoAAAANSUhEUgAAACAAAAAgCAIAAAD8GO2jAAAAaElEQVR42u3UMQrAIBBE0Tmsx8nBvIa1dfpUgqhJFpzdEBiY+r/GFbWcroMAAW1HyvNowLJuNLBTtxgCBEQA7ncQccn6TT8GHJ/pa9rCgFJ/MMCq3xkg1pcGuPXZAL0+GIEAsd4b/wcuIsGeXpWJv/QAAAAASUVORK5CYII=',
+  scenario: 'iVBORw0KGgoAAAANSUhEUgAAADAAAAAgCAIAAADbtmxLAAAAZUlEQVR42mNYdeL1oEIMow4addCogzDQAiMjZDRgDkJzByaik4MIuoNClzHQ1ClkuInkEKqIciMJ0TzKRh006qBRB406aPA5SENODo5GHTTqoFEHDQEHBTQFDCo06qBRBw07BwEAYQwsKeVkSMcAAAAASUVORK5CYII='
+};
+
+const NARRATIVE = `The Chromatic Reaches were born when the First Prism shattered over the world of Hue, scattering living color across seven valleys. Each shard settled into the land and woke the creatures nearby, granting them the power to draw strength from a single color of the spectrum.
+
+For three centuries the color-bound peoples lived apart. The Crimson Wardens guarded the volcanic south, the Azure Choir sang storms into the northern fjords, and the Verdant Circle tended the great forests between them. Trade flowed along the Greyway, a neutral road where no color magic can be worked and every traveller is equal.
+
+That balance is failing. The shards are dimming, and the Hollow, a creeping colorless blight, spreads from the ruins of the old Prism Citadel. Colors fade from anything it touches, and the creatures who depended on them fall silent.
+
+Society in the Reaches is organised around color guilds. A guild's standing rises and falls with the brightness of its shard, so the dimming has turned old allies into rivals. Whispers say the Prism could be reforged, but only if every color agrees to give up part of its power.`;
+
+const REGIONS = [
+  {
+    name: 'The Ember Steppes',
+    biome: 'Volcanic grassland',
+    climate: 'Hot and dry, with ash storms in late summer',
+    landmarks: ['The Ashen Stair', 'The glowing geysers of Dusk Hollow'],
+    settlements: ['Cinderhold'],
+    neighbours: ['The Verdant Deep'],
+    dangers: ['Lava rivers that shift course overnight', 'Crimson Warden patrols'],
+    atmosphere: 'A rolling plain of red grass and black glass ridges warmed by slow lava rivers. The fortress town of Cinderhold is built around the brightest surviving shard, and the air is hot, proud and watchful.'
+  },
+  {
+    name: 'The Stormglass Fjords',
+    biome: 'Crystal fjords',
+    climate: 'Cold and wet, with storms steered by song',
+    landmarks: ['The drowned Bellspire', 'The wind-polished crystal cliffs'],
+    settlements: ['Harmony Reach', 'Gullwater'],
+    neighbours: ['The Verdant Deep'],
+    dangers: ['Unsung storms', 'Razor-edged crystal shoals'],
+    atmosphere: 'Narrow blue inlets walled by cliffs of crystal. The Azure Choir sings from terraces carved into the rock, and every sound echoes long after it should have faded. The mood is cold, echoing and melancholy.'
+  },
+  {
+    name: 'The Verdant Deep',
+    biome: 'Ancient forest',
+    climate: 'Mild and humid under a closed canopy',
+    landmarks: ['The Greyway crossing', 'The Stag Oak'],
+    settlements: ['Mossmere'],
+    neighbours: ['The Ember Steppes', 'The Stormglass Fjords'],
+    dangers: ['Patches of Hollow blight', 'Paths that rearrange themselves'],
+    atmosphere: 'Green light filters through leaves that hum faintly with color. The Verdant Circle tends the forest, but grey patches now spread between the roots, and the quiet feels like held breath.'
+  }
+];
+
+const FACTIONS = [
+  {
+    name: 'The Crimson Wardens',
+    ideology: 'Strength keeps the color alive; the strong must hold the shards.',
+    leader: 'Ilsa Cindervane',
+    territory: 'The Ember Steppes',
+    resources: ['The brightest surviving shard', 'Obsidian arms'],
+    goals: ['Seize every shard before the Hollow does', 'Fortify Cinderhold'],
+    relationships: [
+      { faction: 'The Azure Choir', type: 'rival', description: 'Both claim the right to lead the reforging of the Prism.' },
+      { faction: 'The Greyway Compact', type: 'allied', description: 'The Compact sells them grain in exchange for safe roads.' }
+    ]
+  },
+  {
+    name: 'The Azure Choir',
+    ideology: 'Harmony between the colors is worth any sacrifice.',
+    leader: 'Oren Tidesong',
+    territory: 'The Stormglass Fjords',
+    resources: ['Weather-song', 'Fishing fleets'],
+    goals: ['Reforge the First Prism', 'Keep the storms from the Hollow'],
+    relationships: [
+      { faction: 'The Verdant Circle', type: 'allied', description: 'Old friends who share the songs of the forest and the sea.' }
+    ]
+  },
+  {
+    name: 'The Verdant Circle',
+    ideology: 'The land remembers; listen before you act.',
+    leader: 'Mossa',
+    territory: 'The Verdant Deep',
+    resources: ['Ancient groves', 'Healing lore'],
+    goals: ['Slow the blight in the forest', 'Recover the memory of the Prism'],
+    relationships: [
+      { faction: 'The Hollow Heralds', type: 'at war', description: 'The blight is eating the forest from within.' }
+    ]
+  },
+  {
+    name: 'The Greyway Compact',
+    ideology: 'Trade is the only color everyone shares.',
+    leader: 'Pell Greyhand',
+    territory: 'The Greyway road and its waystations',
+    resources: ['Caravans', 'Neutral ground'],
+    goals: ['Keep the road open to all guilds', 'Profit from the shortage of shards'],
+    relationships: [
+      { faction: 'The Crimson Wardens', type: 'vassal', description: 'The Compact pays the Wardens tribute for protection.' }
+    ]
+  },
+  {
+    name: 'The Hollow Heralds',
+    ideology: 'Color is a cage; the grey is freedom.',
+    leader: 'Vey the Pale',
+    territory: 'The ruins of the Prism Citadel',
+    resources: ['The creeping blight', 'Lost prismwright secrets'],
+    goals: ['Spread the Hollow across the Reaches'],
+    relationships: [
+      { faction: 'The Verdant Circle', type: 'at war', description: 'The forest is the last wall before the heartlands.' }
+    ]
+  }
+];
+
+const CHARACTER_SHEET = {
+  appearance: 'Tall and broad-shouldered, with close-cropped ash-blond hair and a burn scar that glows faintly red when she is angry. She wears blackened obsidian plate over a crimson tabard.',
+  personalityTraits: ['Disciplined', 'Blunt', 'Fiercely protective', 'Slow to trust'],
+  motivations: ['Keep Cinderhold safe at any cost', 'Prove the Wardens are the rightful keepers of the shards'],
+  fears: ['Fading into grey like her mother did', 'Being the one who loses the Heartshard'],
+  backstory: [
+    'Born in Cinderhold the year the first grey patch appeared',
+    'Lost her mother to the Hollow and swore the Warden oath at fifteen',
+    'Held the Ashen Stair alone for a night against Hollow raiders',
+    'Named captain after the Compact bent the knee to the Wardens'
+  ],
+  relationships: [
+    { character: 'Oren Tidesong', relationship: 'A rival she secretly respects; they trained together as children.' },
+    { character: 'Pell Greyhand', relationship: 'Useful, but she watches every coin he touches.' },
+    { character: 'Vey the Pale', relationship: 'The enemy she most wants to face.' }
+  ],
+  voiceLines: [
+    'Color is kept by those strong enough to hold it.',
+    'Stand behind me. If the grey wants you, it goes through me first.',
+    'I don\'t need your song, cantor. I need your shard.'
+  ],
+  stats: [
+    { name: 'Might', value: 17 },
+    { name: 'Resolve', value: 16 },
+    { name: 'Ember Rite', value: 13 },
+    { name: 'Cunning', value: 9 },
+    { name: 'Grace', value: 8 },
+    { name: 'Lore', value: 7 }
+  ]
+};
+
+const MAGIC_SYSTEM = {
+  name: 'Chromaturgy',
+  kind: 'magic',
+  overview: 'Every living thing in the Reaches is bound to one color of the shattered Prism. Chromaturges draw on that color to shape the world, but each working spends some of their own hue.',
+  sources: [
+    { name: 'Prism shards', description: 'Fragments of the First Prism that radiate a single color and empower everything nearby.' },
+    { name: 'Bound hue', description: 'The color a creature is born with, which can be spent like breath.' }
+  ],
+  costs: ['Each working fades the caster\'s own color a little', 'Great workings need a shard and leave it dimmer'],
+  limitations: ['A chromaturge can only use the color they are bound to', 'No working can create color, only move it', 'Nothing works inside the Hollow'],
+  schools: [
+    { name: 'Ember Rite', description: 'Red workings of heat, strength and courage.', practitioners: 'The Crimson Wardens' },
+    { name: 'Tide Song', description: 'Blue workings of weather and water, performed as song.', practitioners: 'The Azure Choir' },
+    { name: 'Rootlore', description: 'Green workings of growth, healing and memory.', practitioners: 'The Verdant Circle' }
+  ],
+  artifacts: [
+    { name: 'The Heartshard', description: 'The largest surviving fragment of the Prism, kept in Cinderhold.' },
+    { name: 'The Bell of Harmony Reach', description: 'A crystal bell that lets a whole choir sing as one voice.' }
+  ],
+  societalImpact: 'Power follows color: guilds form around shards, the colorless are distrusted, and every faction measures its strength by the shards it holds. Fading is feared like old age, and the Hollow is seen as the end of all color.'
+};
+
+const TIMELINE = [
+  {
+    name: 'The Age of the Whole Prism',
+    period: 'Before the Shattering',
+    description: 'The First Prism hung above Hue and every creature shared in all its colors.',
+    events: [
+      { date: 'Year 1 of the Prism', title: 'The Prism is raised', description: 'The prismwrights set the First Prism above the Citadel.', factions: [], characters: [], regions: [] },
+      { date: 'Year 410 of the Prism', title: 'The last prismwright vanishes', description: 'The art of making prisms dies with its final master.', factions: [], characters: ['Vey the Pale'], regions: [] }
+    ]
+  },
+  {
+    name: 'The Shattering',
+    period: 'Year 0 to Year 40 After',
+    description: 'The Prism breaks and its shards scatter across the valleys, waking the color-bound creatures.',
+    events: [
+      { date: 'Year 0 After', title: 'The First Prism shatters', description: 'Living color rains over seven valleys.', factions: [], characters: ['Mossa'], regions: ['The Ember Steppes', 'The Stormglass Fjords', 'The Verdant Deep'] },
+      { date: 'Year 12 After', title: 'The guilds are founded', description: 'Each color gathers its creatures into a guild around its shard.', factions: ['The Crimson Wardens', 'The Azure Choir', 'The Verdant Circle'], characters: [], regions: [] }
+    ]
+  },
+  {
+    name: 'The Greying',
+    period: 'Year 280 After to the present',
+    description: 'The Hollow spreads and the guilds fight over the shards that remain.',
+    events: [
+      { date: 'Year 280 After', title: 'The first grey patch', description: 'A colorless blight appears in the Verdant Deep.', factions: ['The Verdant Circle', 'The Hollow Heralds'], characters: ['Mossa'], regions: ['The Verdant Deep'] },
+      { date: 'Year 302 After', title: 'The Compact bends the knee', description: 'The Greyway Compact accepts the protection of the Crimson Wardens.', factions: ['The Greyway Compact', 'The Crimson Wardens'], characters: ['Pell Greyhand', 'Ilsa Cindervane'], regions: ['The Ember Steppes'] }
+    ]
+  }
+];
+
+const SCENARIOS = [
+  {
+    title: 'The Last Bright Shard',
+    location: 'Cinderhold, The Ember Steppes',
+    summary: 'The Crimson Wardens have called every guild to Cinderhold to witness their shard, the brightest left, and to hear their claim to lead the reforging.',
+    stakes: 'Whoever controls the summit decides who holds the shards when the Hollow arrives.',
+    characters: ['Ilsa Cindervane', 'Oren Tidesong', 'Pell Greyhand'],
+    hooks: ['A Choir envoy asks the heroes to prove the shard is already dimming', 'Pell offers a fortune for a single shard splinter'],
+    encounters: ['A duel of honour on the Ashen Stair', 'Stopping a sabotaged lava channel before it floods the summit hall']
+  },
+  {
+    title: 'Songs Under the Ice',
+    location: 'The drowned Bellspire, The Stormglass Fjords',
+    summary: 'Storms the Choir no longer sings are rising around the drowned Bellspire, and something below the water is singing back.',
+    stakes: 'If the storms break free, Harmony Reach and its fleets are lost to the sea.',
+    characters: ['Oren Tidesong'],
+    hooks: ['Oren secretly asks for help before the Choir notices his fading voice', 'Fishermen hear a melody no one has taught them'],
+    encounters: ['Diving the flooded bell tower between storm surges', 'Negotiating with a storm that has learned to speak']
+  },
+  {
+    title: 'Where the Green Goes Grey',
+    location: 'Mossmere, The Verdant Deep',
+    summary: 'The Hollow has reached the roots of the Stag Oak, and Vey the Pale waits in the grey to offer the forest a bargain.',
+    stakes: 'The Verdant Circle must choose between fighting a losing battle and giving up its color for peace.',
+    characters: ['Mossa', 'Vey the Pale'],
+    hooks: ['Mossa remembers how the Prism was made, but only in the grey can the memory be reached', 'Paths through the forest now lead only to Vey'],
+    encounters: ['Crossing a grey patch where sound and color vanish', 'A parley with Vey beneath the dying Stag Oak']
+  }
+];
+
+const TIMELINE_GAP_EVENTS = [
+  { date: 'Year 150 After', title: 'The Choir learns weather-song', description: 'The Azure Choir first turns a storm away from the fjords.', factions: ['The Azure Choir'], characters: ['Oren Tidesong'], regions: ['The Stormglass Fjords'] },
+  { date: 'Year 240 After', title: 'The Greyway opens', description: 'Merchants cut a neutral road through the forest between the guilds.', factions: ['The Greyway Compact'], characters: ['Pell Greyhand'], regions: ['The Verdant Deep'] }
+];
+
+const IMAGE_DESCRIPTION = `Composition: a wide establishing view with a strong foreground silhouette and a luminous focal point in the upper third.
+Color palette: saturated primary colors bleeding into a desaturated grey edge, signalling the Hollow.
+Key elements: glowing prism shards, color-bound creatures, a distant ruined citadel.
+Atmosphere: hopeful but uneasy, late golden hour light with long shadows.
+Style: painterly game concept art with crisp edges on the focal subject.`;
+
+const GAME_BOOK_IDEAS = [
+  { title: 'Shards of Hue', synopsis: 'An open-world adventure where the player gathers fading shards and chooses which colors to restore first.' },
+  { title: 'The Greyway Ledger', synopsis: 'A trading and diplomacy game set on the neutral road, where every deal shifts the balance between guilds.' },
+  { title: 'Song of the Azure Choir', synopsis: 'A novel following a young chorister who discovers the storms are singing back.' },
+  { title: 'Hollow Tide', synopsis: 'A survival roguelike about holding a village against the colorless blight night after night.' },
+  { title: 'The Last Prismwright', synopsis: 'A mystery novel about the artisan who may know how the First Prism was made.' }
+];
+
+const CUSTOMIZATION_OPTIONS = [
+  { title: 'Add an eighth color', description: 'Introduce an ultraviolet guild that only some creatures can perceive, opening stealth mechanics.' },
+  { title: 'Seasonal color tides', description: 'Let each season amplify a different color so regions rise and fall in power through the year.' },
+  { title: 'Playable Hollow', description: 'Offer a campaign from the blight\'s perspective, revealing it as a color no one can see.' },
+  { title: 'Guild reputation system', description: 'Track standing with each color guild and gate quests, prices and allies behind it.' },
+  { title: 'Color-mixing crafting', description: 'Let players combine shard dust to craft hybrid abilities with trade-offs.' }
+];
+
+const CHARACTER_CONCEPTS = [
+  { name: 'Ilsa Cindervane', role: 'Crimson Warden captain', description: 'A scarred veteran who believes the Wardens must seize every shard before the Hollow does.' },
+  { name: 'Oren Tidesong', role: 'Azure Choir cantor', description: 'A gentle singer whose voice can calm storms, hiding that his own color is fading.' },
+  { name: 'Mossa', role: 'Verdant Circle druid', description: 'An ancient talking stag who remembers the Prism before it shattered.' },
+  { name: 'Pell Greyhand', role: 'Greyway merchant', description: 'A colorless trader who profits from every guild and trusts none of them.' },
+  { name: 'Vey the Pale', role: 'Hollow herald', description: 'A former prismwright apprentice who walked into the blight and came back speaking for it.' }
+];
+
+const CONSISTENCY_ISSUES = [
+  {
+    kind: 'contradiction',
+    sections: ['worldNarrative', 'regions'],
+    description: 'The narrative scatters the shards across seven valleys, but the regions describe only three lands.',
+    fixSection: 'worldNarrative',
+    find: 'scattering living color across seven valleys',
+    replace: 'scattering living color across the Ember Steppes, the Stormglass Fjords and the Verdant Deep'
+  },
+  {
+    kind: 'dangling reference',
+    sections: ['worldNarrative', 'regions'],
+    description: 'The narrative says the Hollow spreads from the ruins of the Prism Citadel, but no region, settlement or landmark names the Citadel.',
+    fixSection: '',
+    find: '',
+    replace: ''
+  }
+];
+
+/**
+ * Names of the properties of the objects a schema asks for
+ * @param {Object} schema - Gemini-style schema
+ * @returns {string[]} Property names
+ */
+const schemaKeys = (schema) => Object.keys(schema?.items?.properties || schema?.properties || {});
+
+/**
+ * Fixture rules, checked in order. The first rule that matches a request answers it
+ */
+const TEXT_FIXTURES = [
+  { match: (prompt, keys) => keys.includes('fixSection'), response: CONSISTENCY_ISSUES },
+  { match: (prompt, keys) => keys.includes('biome'), response: REGIONS },
+  { match: (prompt, keys) => keys.includes('stakes'), response: SCENARIOS },
+  { match: (prompt, keys) => keys.includes('ideology'), response: FACTIONS },
+  { match: (prompt, keys) => keys.includes('events'), response: TIMELINE },
+  { match: (prompt, keys) => keys.includes('schools'), response: MAGIC_SYSTEM },
+  { match: (prompt, keys) => keys.includes('voiceLines'), response: CHARACTER_SHEET },
+  { match: (prompt, keys) => keys.includes('date'), response: TIMELINE_GAP_EVENTS },
+  { match: (prompt, keys) => keys.includes('synopsis'), response: GAME_BOOK_IDEAS },
+  { match: (prompt, keys) => keys.includes('role'), response: CHARACTER_CONCEPTS },
+  { match: (prompt, keys) => keys.includes('title') && keys.includes('description'), response: CUSTOMIZATION_OPTIONS },
+  { match: (prompt) => /visual description/i.test(prompt), response: IMAGE_DESCRIPTION },
+  { match: () => true, response: NARRATIVE }
+];
+
+/**
+ * Find the canned answer for a text request
+ * @param {string} prompt - Prompt sent to the provider
+ * @param {Object} schema - Response schema (optional)
+ * @returns {string} Raw response text (JSON text for structured requests)
+ */
+export const findTextFixture = (prompt, schema = null) => {
+  const keys = schemaKeys(schema);
+  const { response } = TEXT_FIXTURES.find(rule => rule.match(prompt, keys, schema));
+  return typeof response === 'string' ? response : JSON.stringify(response);
+};
+
+/**
+ * Find the canned image for an image request
+ * @param {string} prompt - Image prompt
+ * @returns {string} Base64 encoded PNG data
+ */
+export const findImageFixture = (prompt) => {
+  if (/portrait/i.test(prompt)) return IMAGE_FIXTURES.character;
+  if (/environmental/i.test(prompt)) return IMAGE_FIXTURES.scenario;
+  return IMAGE_FIXTURES.concept;
+};
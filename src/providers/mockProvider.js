@@ -0,0 +1,89 @@
+import { findTextFixture, findImageFixture } from './mockFixtures';
+import { createAbortError, throwIfAborted } from '../utils/abort';
+
+/**
+ * Offline Mock Provider
+ * Answers every request from fixed fixtures after a short simulated delay, with no network access
+ */
+class MockProvider {
+  constructor({ latency = 300 } = {}) {
+    this.id = 'mock';
+    this.latency = latency;
+    this.supportsImages = true;
+  }
+
+  /**
+   * The mock provider needs no configuration
+   * @returns {null}
+   */
+  getConfigurationError() {
+    return null;
+  }
+
+  /**
+   * Wait for the simulated network latency
+   * @param {AbortSignal} signal - Cancels the wait (optional)
+   * @param {number} delay - Milliseconds to wait (defaults to the provider latency)
+   * @returns {Promise<void>}
+   */
+  wait(signal = null, delay = this.latency) {
+    throwIfAborted(signal);
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Return fixture text content
+   * @param {string} prompt - The prompt
+   * @param {Object} schema - Response schema (optional)
+   * @param {Object} options - { signal } to cancel the request
+   * @returns {Promise<string>} Raw fixture text (JSON text when a schema is given)
+   */
+  async generateText(prompt, schema = null, { signal = null } = {}) {
+    await this.wait(signal);
+    return findTextFixture(prompt, schema);
+  }
+
+  /**
+   * Stream fixture text a few words at a time, like a real streaming response
+   * @param {string} prompt - The prompt
+   * @param {Object} options - { onChunk } called with each new piece of text and { signal } to cancel
+   * @returns {Promise<string>} The complete fixture text
+   */
+  async streamText(prompt, { onChunk = () => {}, signal = null } = {}) {
+    const text = findTextFixture(prompt, null);
+    const chunks = text.match(/(\S+\s*){1,6}|\s+/g) || [];
+    const chunkDelay = Math.max(10, Math.round(this.latency / 10));
+
+    for (const chunk of chunks) {
+      await this.wait(signal, chunkDelay);
+      onChunk(chunk);
+    }
+
+    return text;
+  }
+
+  /**
+   * Return a fixture image
+   * @param {string} prompt - The image prompt
+   * @param {Object} options - { signal } to cancel the request
+   * @returns {Promise<string>} Base64 encoded PNG data
+   */
+  async generateImage(prompt, { signal = null } = {}) {
+    await this.wait(signal);
+    return findImageFixture(prompt);
+  }
+}
+
+export default MockProvider;
@@ -0,0 +1,68 @@
+import { toJsonSchema } from './schemaUtils';
+import { postJson } from './http';
+
+/**
+ * Local Server Provider
+ * Talks to an Ollama HTTP server running on this machine. Text only: image requests fail so
+ * visuals fall back to written art-direction briefs
+ */
+const OLLAMA_BASE_URL = 'http://localhost:11434';
+
+class OllamaProvider {
+  constructor({ baseUrl, model } = {}) {
+    this.id = 'local';
+    this.baseUrl = (baseUrl || OLLAMA_BASE_URL).replace(/\/+$/, '');
+    this.model = model || 'llama3.1';
+    this.supportsImages = false;
+  }
+
+  /**
+   * Describe why the provider cannot be used, if it is misconfigured
+   * @returns {string|null} Configuration error message
+   */
+  getConfigurationError() {
+    return null;
+  }
+
+  /**
+   * Generate text content
+   * @param {string} prompt - The prompt to send to the server
+   * @param {Object} schema - Gemini-style schema for structured response (optional)
+   * @param {Object} options - { signal } to cancel the request
+   * @returns {Promise<string>} Raw generated text (JSON text when a schema is given)
+   */
+  async generateText(prompt, schema = null, { signal = null } = {}) {
+    const requestBody = {
+      model: this.model,
+      prompt,
+      stream: false,
+      options: {
+        temperature: 0.8,
+        top_k: 40,
+        top_p: 0.95
+      }
+    };
+
+    if (schema) {
+      requestBody.format = toJsonSchema(schema);
+    }
+
+    const data = await postJson(`${this.baseUrl}/api/generate`, requestBody, {}, signal);
+
+    if (typeof data.response !== 'string') {
+      throw new Error('Invalid response structure from local server');
+    }
+
+    return data.response;
+  }
+
+  /**
+   * Local servers do not generate images
+   * @returns {Promise<never>}
+   */
+  async generateImage() {
+    throw new Error('The local provider does not support image generation');
+  }
+}
+
+export default OllamaProvider;
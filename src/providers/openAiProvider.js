@@ -0,0 +1,128 @@
+import { toJsonSchema } from './schemaUtils';
+import { postJson, postEventStream } from './http';
+
+/**
+ * OpenAI-compatible Provider
+ * Works with the OpenAI API and any server exposing the same /chat/completions and
+ * /images/generations routes (llama.cpp server, vLLM, LM Studio, ...). The hosted OpenAI API is
+ * reached through the local API proxy (server/index.js), which adds the key, so it never reaches the browser
+ */
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiBaseUrl, model, imageModel } = {}) {
+    this.id = 'openai';
+    const url = (baseUrl || OPENAI_BASE_URL).replace(/\/+$/, '');
+    this.baseUrl = url === OPENAI_BASE_URL ? `${(apiBaseUrl || '').replace(/\/+$/, '')}/api/openai` : url;
+    this.model = model || 'gpt-4o-mini';
+    this.imageModel = imageModel || 'dall-e-3';
+    this.supportsImages = true;
+  }
+
+  /**
+   * The OpenAI key lives on the proxy server and self-hosted servers need none, so there is nothing to check in the browser
+   * @returns {null}
+   */
+  getConfigurationError() {
+    return null;
+  }
+
+  /**
+   * Generate text content
+   * @param {string} prompt - The prompt to send to the API
+   * @param {Object} schema - Gemini-style schema for structured response (optional)
+   * @param {Object} options - { signal } to cancel the request
+   * @returns {Promise<string>} Raw generated text (JSON text when a schema is given)
+   */
+  async generateText(prompt, schema = null, { signal = null } = {}) {
+    const requestBody = {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0.8,
+      top_p: 0.95
+    };
+
+    // Structured outputs must be objects at the top level, so arrays are wrapped
+    const wrapsArray = schema && schema.type === 'ARRAY';
+    if (schema) {
+      const jsonSchema = toJsonSchema(schema);
+      requestBody.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: 'world_section',
+          schema: wrapsArray
+            ? { type: 'object', properties: { items: jsonSchema }, required: ['items'], additionalProperties: false }
+            : jsonSchema
+        }
+      };
+    }
+
+    const data = await postJson(`${this.baseUrl}/chat/completions`, requestBody, {}, signal);
+    const content = data.choices?.[0]?.message?.content;
+
+    if (typeof content !== 'string') {
+      throw new Error('Invalid response structure from API');
+    }
+
+    if (wrapsArray) {
+      try {
+        return JSON.stringify(JSON.parse(content).items);
+      } catch (parseError) {
+        return content;
+      }
+    }
+
+    return content;
+  }
+
+  /**
+   * Stream plain text as it is generated
+   * @param {string} prompt - The prompt to send to the API
+   * @param {Object} options - { onChunk } called with each new piece of text and { signal } to cancel
+   * @returns {Promise<string>} The complete generated text
+   */
+  async streamText(prompt, { onChunk = () => {}, signal = null } = {}) {
+    let text = '';
+
+    await postEventStream(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0.8,
+      top_p: 0.95,
+      stream: true
+    }, {}, signal, ({ data }) => {
+      const delta = data.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onChunk(delta);
+      }
+    });
+
+    return text;
+  }
+
+  /**
+   * Generate an image
+   * @param {string} prompt - The image prompt
+   * @param {Object} options - { signal } to cancel the request
+   * @returns {Promise<string>} Base64 encoded PNG data
+   */
+  async generateImage(prompt, { signal = null } = {}) {
+    const result = await postJson(`${this.baseUrl}/images/generations`, {
+      model: this.imageModel,
+      prompt,
+      n: 1,
+      size: '1024x1024',
+      response_format: 'b64_json'
+    }, {}, signal);
+    const image = result.data?.[0]?.b64_json;
+
+    if (!image) {
+      throw new Error('No image data in response');
+    }
+
+    return image;
+  }
+}
+
+export default OpenAICompatibleProvider;
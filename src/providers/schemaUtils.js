@@ -0,0 +1,46 @@
+/**
+ * Schema helpers shared by providers
+ * World prompts describe structured output with Gemini's schema dialect (upper-case types,
+ * propertyOrdering); other providers expect standard JSON Schema
+ */
+
+/**
+ * Convert a Gemini response schema into standard JSON Schema
+ * @param {Object} schema - Gemini-style schema
+ * @returns {Object} JSON Schema equivalent
+ */
+export const toJsonSchema = (schema) => {
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const { type, properties, items, propertyOrdering, ...rest } = schema;
+  const converted = { ...rest };
+
+  if (type) {
+    converted.type = type.toLowerCase();
+  }
+
+  if (properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(properties).map(([key, value]) => [key, toJsonSchema(value)])
+    );
+    converted.required = Object.keys(properties);
+    converted.additionalProperties = false;
+  }
+
+  if (items) {
+    converted.items = toJsonSchema(items);
+  }
+
+  return converted;
+};
+
+/**
+ * Remove markdown code fences some models wrap around JSON output
+ * @param {string} text - Raw model output
+ * @returns {string} Text without surrounding code fences
+ */
+export const stripCodeFences = (text) => {
+  if (typeof text !== 'string') return text;
+  const match = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  return match ? match[1] : text;
+};
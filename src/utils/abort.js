@@ -0,0 +1,24 @@
+/**
+ * Abort Utility
+ * Helpers for cancelling in-flight generation with an AbortSignal
+ */
+
+/**
+ * Create the error thrown when a request is cancelled
+ * @returns {Error} Error named 'AbortError', like the one fetch throws
+ */
+export const createAbortError = () => {
+  const error = new Error('Generation cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Throw an AbortError if the signal has already been aborted
+ * @param {AbortSignal} signal - Abort signal (optional)
+ */
+export const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+};
@@ -0,0 +1,74 @@
+import { readText, toStringList } from './modelOutput';
+
+/**
+ * Character Sheet Utility
+ * Normalizes the full sheet generated when a character concept is expanded
+ */
+
+/**
+ * Lists of a character sheet, with their labels, shared by the sheet view and the exporters
+ */
+export const SHEET_LIST_FIELDS = [
+  { key: 'personalityTraits', label: 'Personality' },
+  { key: 'motivations', label: 'Motivations' },
+  { key: 'fears', label: 'Fears' },
+  { key: 'backstory', label: 'Backstory' }
+];
+
+/**
+ * List the parts of a sheet that have entries as plain lines, for the exporters
+ * @param {Object} sheet - Normalized character sheet
+ * @returns {Object[]} Parts { label, items }
+ */
+export const getCharacterSheetParts = (sheet) => [
+  ...SHEET_LIST_FIELDS.map(({ key, label }) => ({ label, items: sheet[key] })),
+  {
+    label: 'Relationships',
+    items: sheet.relationships.map(({ character, relationship }) => (relationship ? `${character}: ${relationship}` : character))
+  },
+  { label: 'Voice', items: sheet.voiceLines.map(line => `"${line}"`) },
+  { label: 'Stats', items: sheet.stats.map(stat => `${stat.name} ${stat.value}`) }
+].filter(({ items }) => items.length > 0);
+
+/**
+ * Normalize a generated character sheet
+ * Relationships are kept only for the other characters of the world, under their exact names
+ * @param {Object} value - Sheet as returned by the model
+ * @param {Object} character - Character the sheet belongs to
+ * @param {Object[]} characters - Every character concept of the world
+ * @returns {Object|null} Sheet with every field present, or null when nothing usable came back
+ */
+export const normalizeCharacterSheet = (value, character, characters = []) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+
+  const others = characters.filter(other => other.name !== character.name);
+  const seen = new Set();
+  const relationships = (Array.isArray(value.relationships) ? value.relationships : [])
+    .map((relationship) => {
+      const name = readText(relationship, 'character').toLowerCase();
+      const other = name && others.find(item => item.name.toLowerCase() === name
+        || item.name.toLowerCase().includes(name)
+        || name.includes(item.name.toLowerCase()));
+      return other ? { character: other.name, relationship: readText(relationship, 'relationship') } : null;
+    })
+    .filter((relationship) => {
+      if (!relationship || seen.has(relationship.character)) return false;
+      seen.add(relationship.character);
+      return true;
+    });
+
+  const stats = (Array.isArray(value.stats) ? value.stats : [])
+    .filter(stat => readText(stat, 'name') && Number.isFinite(Number(stat.value)))
+    .map(stat => ({ name: readText(stat, 'name'), value: Math.round(Number(stat.value)) }));
+
+  return {
+    appearance: readText(value, 'appearance'),
+    personalityTraits: toStringList(value.personalityTraits),
+    motivations: toStringList(value.motivations),
+    fears: toStringList(value.fears),
+    backstory: toStringList(value.backstory),
+    relationships,
+    voiceLines: toStringList(value.voiceLines),
+    stats
+  };
+};
@@ -0,0 +1,240 @@
+import { readText } from './modelOutput';
+import { flattenTimeline } from './timeline';
+
+/**
+ * Consistency Utility
+ * Extracts the named entities of a world, finds references to names no section defines, and
+ * checks and applies the fixes suggested by the consistency check. Fixes replace an exact piece of
+ * text inside one section, so applying one returns a new world that can be passed to updateWorldData
+ */
+
+/**
+ * Kinds of named entities, with their labels, in the order they are listed
+ */
+export const ENTITY_KINDS = [
+  { key: 'character', label: 'Characters' },
+  { key: 'faction', label: 'Factions' },
+  { key: 'region', label: 'Regions' },
+  { key: 'place', label: 'Places' },
+  { key: 'lore', label: 'Magic & Technology' },
+  { key: 'era', label: 'Eras' },
+  { key: 'event', label: 'Events' },
+  { key: 'scenario', label: 'Scenarios' }
+];
+
+/**
+ * Kinds of consistency issues
+ */
+export const ISSUE_KINDS = {
+  contradiction: 'Contradiction',
+  'dangling reference': 'Dangling reference'
+};
+
+/**
+ * Lowercase a name and drop a leading article, for comparing names
+ * @param {string} name - Name as written
+ * @returns {string} Comparable name
+ */
+const toKey = (name) => (name || '').trim().toLowerCase().replace(/^(the|a|an)\s+/, '');
+
+/**
+ * Check whether a reference names one of the known entities
+ * Partial names count, so "Mossa" matches "Mossa the Elder" and the other way round
+ * @param {string} reference - Name used by a section
+ * @param {string[]} names - Known names
+ * @returns {boolean} True when some known name matches
+ */
+const isKnownName = (reference, names) => {
+  const key = toKey(reference);
+  if (!key) return true;
+  return names.some((name) => {
+    const known = toKey(name);
+    return known === key || (known.length > 2 && key.length > 2 && (known.includes(key) || key.includes(known)));
+  });
+};
+
+/**
+ * List the named entities of every section
+ * @param {Object} worldData - World data
+ * @returns {Object[]} Entities { name, kind, section }, without duplicates
+ */
+export const extractEntities = (worldData) => {
+  const {
+    characterConcepts = [],
+    factions = [],
+    regions = [],
+    magicSystem = null,
+    timeline = [],
+    scenarios = []
+  } = worldData || {};
+
+  const entities = [
+    ...characterConcepts.map(character => ({ name: character.name, kind: 'character', section: 'characterConcepts' })),
+    ...factions.map(faction => ({ name: faction.name, kind: 'faction', section: 'factions' })),
+    ...regions.map(region => ({ name: region.name, kind: 'region', section: 'regions' })),
+    ...regions.flatMap(region => [...(region.settlements || []), ...(region.landmarks || [])])
+      .map(name => ({ name, kind: 'place', section: 'regions' })),
+    ...(magicSystem ? [magicSystem, ...(magicSystem.schools || []), ...(magicSystem.artifacts || [])] : [])
+      .map(item => ({ name: item.name, kind: 'lore', section: 'magicSystem' })),
+    ...(timeline || []).map(era => ({ name: era.name, kind: 'era', section: 'timeline' })),
+    ...flattenTimeline(timeline || []).map(({ event }) => ({ name: event.title, kind: 'event', section: 'timeline' })),
+    ...scenarios.map(scenario => ({ name: scenario.title, kind: 'scenario', section: 'scenarios' }))
+  ];
+
+  const seen = new Set();
+  return entities.filter(({ name, kind }) => {
+    const key = `${kind}:${toKey(name)}`;
+    if (!toKey(name) || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Find names used by one section that no other section defines
+ * Covers the factions, characters and regions of timeline events, the cast and location of scenarios,
+ * the neighbours of regions and the relationships of character sheets
+ * @param {Object} worldData - World data
+ * @returns {Object[]} Issues { kind: 'dangling reference', sections, description, reference, fix: null }
+ */
+export const findDanglingReferences = (worldData) => {
+  const { characterConcepts = [], factions = [], regions = [], timeline = [], scenarios = [] } = worldData || {};
+  const characterNames = characterConcepts.map(character => character.name);
+  const factionNames = factions.map(faction => faction.name);
+  const regionNames = regions.map(region => region.name);
+  const placeNames = [...regionNames, ...regions.flatMap(region => [...(region.settlements || []), ...(region.landmarks || [])])];
+  const issues = [];
+
+  /**
+   * Record a reference that names nothing known
+   * @param {string} section - Section using the name
+   * @param {string} targetSection - Section that should define it
+   * @param {string} reference - Name used
+   * @param {string} description - What is wrong
+   */
+  const addIssue = (section, targetSection, reference, description) => {
+    issues.push({ kind: 'dangling reference', sections: [...new Set([section, targetSection])], description, reference, fix: null });
+  };
+
+  // Lists that are empty (not generated, or failed) cannot tell a dangling name from a missing section
+  const eventLinks = [
+    { key: 'factions', names: factionNames, section: 'factions', noun: 'faction', list: 'the factions' },
+    { key: 'characters', names: characterNames, section: 'characterConcepts', noun: 'character', list: 'the characters' },
+    { key: 'regions', names: placeNames, section: 'regions', noun: 'region', list: 'the regions' }
+  ].filter(({ names }) => names.length > 0);
+
+  flattenTimeline(timeline || []).forEach(({ event }) => {
+    eventLinks.forEach(({ key, names, section, noun, list }) => {
+      (event[key] || []).filter(name => !isKnownName(name, names)).forEach((name) => {
+        addIssue('timeline', section, name, `The timeline event "${event.title}" involves the ${noun} "${name}", ${noun === 'character' ? 'who' : 'which'} is not in ${list}.`);
+      });
+    });
+  });
+
+  scenarios.forEach((scenario) => {
+    if (characterNames.length > 0) {
+      (scenario.characters || []).filter(name => !isKnownName(name, characterNames)).forEach((name) => {
+        addIssue('scenarios', 'characterConcepts', name, `The scenario "${scenario.title}" involves "${name}", who is not one of the characters.`);
+      });
+    }
+    const location = toKey(scenario.location);
+    if (location && placeNames.length > 0 && !placeNames.some(name => toKey(name) && location.includes(toKey(name)))) {
+      addIssue('scenarios', 'regions', scenario.location, `The scenario "${scenario.title}" takes place at "${scenario.location}", which no region, settlement or landmark names.`);
+    }
+  });
+
+  regions.forEach((region) => {
+    (region.neighbours || []).filter(name => !isKnownName(name, regionNames)).forEach((name) => {
+      addIssue('regions', 'regions', name, `The region "${region.name}" borders "${name}", which is not one of the regions.`);
+    });
+  });
+
+  characterConcepts.forEach((character) => {
+    (character.sheet?.relationships || []).filter(({ character: name }) => !isKnownName(name, characterNames)).forEach(({ character: name }) => {
+      addIssue('characterConcepts', 'characterConcepts', name, `${character.name}'s character sheet describes a relationship with "${name}", who is not one of the characters.`);
+    });
+  });
+
+  return issues;
+};
+
+/**
+ * Check whether a section contains a piece of text in any of its fields
+ * @param {any} value - Section value
+ * @param {string} text - Exact text
+ * @returns {boolean} True when some string field contains the text
+ */
+const containsText = (value, text) => {
+  if (typeof value === 'string') return value.includes(text);
+  if (Array.isArray(value)) return value.some(item => containsText(item, text));
+  if (value && typeof value === 'object') return Object.values(value).some(item => containsText(item, text));
+  return false;
+};
+
+/**
+ * Replace a piece of text in every string field of a section
+ * @param {any} value - Section value
+ * @param {string} find - Exact text to replace
+ * @param {string} replace - Replacement text
+ * @returns {any} Section with the text replaced
+ */
+const replaceText = (value, find, replace) => {
+  if (typeof value === 'string') return value.split(find).join(replace);
+  if (Array.isArray(value)) return value.map(item => replaceText(item, find, replace));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replaceText(item, find, replace)]));
+  }
+  return value;
+};
+
+/**
+ * Check whether a suggested fix still applies to a world
+ * @param {Object} worldData - World data
+ * @param {Object} fix - Fix { section, find, replace }
+ * @returns {boolean} True when the text to replace is still in the section
+ */
+export const canApplyFix = (worldData, fix) => !!fix && containsText(worldData?.[fix.section], fix.find);
+
+/**
+ * Apply a suggested fix to a world
+ * @param {Object} worldData - World data
+ * @param {Object} fix - Fix { section, find, replace }
+ * @returns {Object} Updated world (unchanged when the fix no longer applies)
+ */
+export const applyConsistencyFix = (worldData, fix) => {
+  if (!canApplyFix(worldData, fix)) return worldData;
+  return { ...worldData, [fix.section]: replaceText(worldData[fix.section], fix.find, fix.replace) };
+};
+
+/**
+ * Normalize the issues returned by the consistency check
+ * Keeps a fix only when it names a known section and its text is really in that section
+ * @param {Object[]} value - Issues as returned by the model
+ * @param {Object} worldData - World data that was checked
+ * @param {string[]} sections - Keys of the sections a fix may change
+ * @returns {Object[]} Issues { kind, sections, description, fix }
+ */
+export const normalizeConsistencyIssues = (value, worldData, sections) => (Array.isArray(value) ? value : [])
+  .filter(issue => typeof issue?.description === 'string' && issue.description.trim())
+  .map((issue) => {
+    const kind = readText(issue, 'kind').toLowerCase();
+    const fix = { section: readText(issue, 'fixSection'), find: readText(issue, 'find'), replace: readText(issue, 'replace') };
+    return {
+      kind: ISSUE_KINDS[kind] ? kind : 'contradiction',
+      sections: (Array.isArray(issue.sections) ? issue.sections : []).filter(section => sections.includes(section)),
+      description: issue.description.trim(),
+      fix: sections.includes(fix.section) && fix.find && fix.find !== fix.replace && canApplyFix(worldData, fix) ? fix : null
+    };
+  });
+
+/**
+ * Add the dangling references found locally that the model's issues do not already cover
+ * @param {Object[]} issues - Normalized issues from the model
+ * @param {Object[]} references - Issues from findDanglingReferences
+ * @returns {Object[]} All issues, the model's first
+ */
+export const mergeConsistencyIssues = (issues, references) => {
+  const mentions = issues.map(issue => `${issue.description} ${issue.fix?.find || ''}`.toLowerCase());
+  const uncovered = references.filter(({ reference }) => !mentions.some(text => text.includes(reference.toLowerCase())));
+  return [...issues, ...uncovered.map(({ reference, ...issue }) => issue)];
+};
@@ -0,0 +1,124 @@
+import {
+  applyConsistencyFix,
+  canApplyFix,
+  extractEntities,
+  findDanglingReferences,
+  mergeConsistencyIssues,
+  normalizeConsistencyIssues
+} from './consistency';
+
+const WORLD = {
+  worldNarrative: 'The Tide Court rules the Shallows from the Bell Tower.',
+  characterConcepts: [
+    { name: 'Mossa the Elder', role: 'Diver', description: 'Serves the Tide Court.', sheet: { relationships: [{ character: 'Ilo', relationship: 'Rival' }] } },
+    { name: 'Ilo', role: 'Keeper', description: '' }
+  ],
+  factions: [{ name: 'The Tide Court' }],
+  regions: [
+    { name: 'The Shallows', settlements: ['Saltmarket'], landmarks: ['The Bell Tower'], neighbours: ['The Deep'] },
+    { name: 'The Deep', settlements: [], landmarks: [], neighbours: ['The Shallows'] }
+  ],
+  timeline: [{
+    name: 'The Drowning',
+    events: [{ title: 'The Sea Rises', factions: ['Tide Court'], characters: ['Mossa'], regions: ['Saltmarket'] }]
+  }],
+  scenarios: [{ title: 'Low Tide', location: 'The docks of Saltmarket', characters: ['Ilo'] }]
+};
+
+const SECTIONS = ['worldNarrative', 'characterConcepts', 'factions', 'regions', 'timeline', 'scenarios'];
+
+describe('extractEntities', () => {
+  it('lists the named entities of every section once', () => {
+    const entities = extractEntities({ ...WORLD, factions: [...WORLD.factions, { name: 'the tide court' }] });
+
+    expect(entities.filter(entity => entity.kind === 'faction')).toEqual([
+      { name: 'The Tide Court', kind: 'faction', section: 'factions' }
+    ]);
+    expect(entities.filter(entity => entity.kind === 'place').map(entity => entity.name)).toEqual(['Saltmarket', 'The Bell Tower']);
+    expect(entities.find(entity => entity.kind === 'event')).toEqual({ name: 'The Sea Rises', kind: 'event', section: 'timeline' });
+  });
+});
+
+describe('findDanglingReferences', () => {
+  it('accepts partial names and names without their article', () => {
+    expect(findDanglingReferences(WORLD)).toEqual([]);
+  });
+
+  it('reports names no section defines', () => {
+    const world = {
+      ...WORLD,
+      characterConcepts: [{ ...WORLD.characterConcepts[0], sheet: { relationships: [{ character: 'Quill', relationship: 'Mentor' }] } }, WORLD.characterConcepts[1]],
+      timeline: [{ name: 'The Drowning', events: [{ title: 'The Sea Rises', factions: ['Coral Syndicate'], characters: [], regions: [] }] }],
+      scenarios: [{ title: 'Low Tide', location: 'Glass Harbour', characters: ['Ilo', 'Brannoc'] }]
+    };
+
+    expect(findDanglingReferences(world).map(({ sections, reference }) => [sections, reference])).toEqual([
+      [['timeline', 'factions'], 'Coral Syndicate'],
+      [['scenarios', 'characterConcepts'], 'Brannoc'],
+      [['scenarios', 'regions'], 'Glass Harbour'],
+      [['characterConcepts'], 'Quill']
+    ]);
+  });
+
+  it('does not report names against a section that is empty', () => {
+    expect(findDanglingReferences({ ...WORLD, factions: [] })).toEqual([]);
+  });
+});
+
+describe('applyConsistencyFix', () => {
+  const fix = { section: 'characterConcepts', find: 'Tide Court', replace: 'Coral Syndicate' };
+
+  it('replaces the text in every field of the section only', () => {
+    const next = applyConsistencyFix(WORLD, fix);
+
+    expect(next.characterConcepts[0].description).toBe('Serves the Coral Syndicate.');
+    expect(next.characterConcepts[1]).toEqual(WORLD.characterConcepts[1]);
+    expect(next.worldNarrative).toBe(WORLD.worldNarrative);
+    expect(WORLD.characterConcepts[0].description).toBe('Serves the Tide Court.');
+  });
+
+  it('returns the same world when the text is no longer there', () => {
+    const edited = applyConsistencyFix(WORLD, fix);
+
+    expect(canApplyFix(edited, fix)).toBe(false);
+    expect(applyConsistencyFix(edited, fix)).toBe(edited);
+    expect(applyConsistencyFix(WORLD, null)).toBe(WORLD);
+  });
+});
+
+describe('normalizeConsistencyIssues', () => {
+  it('keeps a fix only when its text is in a known section', () => {
+    const issues = normalizeConsistencyIssues([
+      { kind: 'Contradiction', sections: ['worldNarrative', 'magic'], description: ' Two rulers. ', fixSection: 'worldNarrative', find: 'Tide Court', replace: 'Tide Council' },
+      { kind: 'odd', sections: [], description: 'Missing text.', fixSection: 'worldNarrative', find: 'Coral Syndicate', replace: 'x' },
+      { kind: 'dangling reference', sections: ['scenarios'], description: 'Unknown section.', fixSection: 'magic', find: 'Tide', replace: 'Sea' },
+      { description: '   ' },
+      'not an issue'
+    ], WORLD, SECTIONS);
+
+    expect(issues).toEqual([
+      { kind: 'contradiction', sections: ['worldNarrative'], description: 'Two rulers.', fix: { section: 'worldNarrative', find: 'Tide Court', replace: 'Tide Council' } },
+      { kind: 'contradiction', sections: [], description: 'Missing text.', fix: null },
+      { kind: 'dangling reference', sections: ['scenarios'], description: 'Unknown section.', fix: null }
+    ]);
+  });
+
+  it('reads a missing answer as no issues', () => {
+    expect(normalizeConsistencyIssues(null, WORLD, SECTIONS)).toEqual([]);
+  });
+});
+
+describe('mergeConsistencyIssues', () => {
+  it('adds only the dangling references the model did not mention', () => {
+    const issues = [{ kind: 'contradiction', sections: ['timeline'], description: 'The Coral Syndicate is never introduced.', fix: null }];
+    const references = [
+      { kind: 'dangling reference', sections: ['timeline', 'factions'], description: 'Coral Syndicate is unknown.', reference: 'Coral Syndicate', fix: null },
+      { kind: 'dangling reference', sections: ['scenarios'], description: 'Brannoc is unknown.', reference: 'Brannoc', fix: null }
+    ];
+
+    expect(mergeConsistencyIssues(issues, references)).toEqual([
+      issues[0],
+      { kind: 'dangling reference', sections: ['scenarios'], description: 'Brannoc is unknown.', fix: null }
+    ]);
+  });
+});
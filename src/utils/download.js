@@ -0,0 +1,44 @@
+/**
+ * Download Utility
+ * Shared helpers for saving exported files from the browser
+ */
+
+/**
+ * Build an export filename from the world type and today's date
+ * @param {string} worldType - Type of world
+ * @param {string} extension - File extension without the dot
+ * @returns {string} Filename such as world_medieval_fantasy_2024-01-31.pdf
+ */
+export const createExportFilename = (worldType, extension) => {
+  const sanitizedWorldType = (worldType || 'untitled').replace(/[^a-z0-9]/gi, '_').toLowerCase();
+  const timestamp = new Date().toISOString().slice(0, 10);
+  return `world_${sanitizedWorldType}_${timestamp}.${extension}`;
+};
+
+/**
+ * Trigger a browser download for a blob
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested filename
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Detect the type of base64 encoded image data
+ * @param {string} base64 - Base64 image data
+ * @returns {Object} { mimeType, extension }
+ */
+export const getImageType = (base64) => (
+  base64 && base64.startsWith('/9j/')
+    ? { mimeType: 'image/jpeg', extension: 'jpg' }
+    : { mimeType: 'image/png', extension: 'png' }
+);
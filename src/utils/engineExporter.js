@@ -0,0 +1,471 @@
+import JSZip from 'jszip';
+import { createExportFilename, downloadBlob, getImageType } from './download';
+import { getFactionRelationships } from './factions';
+import { toPlainText } from './richText';
+
+/**
+ * Game Engine Export Utility
+ * Packages a world as engine-ready data: Godot resources (.tres + GDScript classes) and JSON,
+ * Unity ScriptableObject JSON with its C# class, and the generated images, in one zip.
+ * Every entity gets an id derived from its name, so re-exporting an unchanged world keeps the same ids
+ */
+export const ENGINE_EXPORT_VERSION = 2;
+
+const GODOT_ROOT = 'res://world';
+
+/**
+ * Entity kinds exported to the engines, with the fields each one carries
+ * Field names are snake_case for Godot and converted to camelCase for Unity
+ */
+const ENTITY_TYPES = {
+  character: {
+    className: 'WorldCharacter',
+    folder: 'characters',
+    collection: 'characters',
+    fields: [
+      { name: 'id', type: 'String' },
+      { name: 'display_name', type: 'String' },
+      { name: 'role', type: 'String' },
+      { name: 'description', type: 'String', multiline: true },
+      { name: 'portrait', type: 'Texture2D' }
+    ]
+  },
+  region: {
+    className: 'WorldRegion',
+    folder: 'regions',
+    collection: 'regions',
+    fields: [
+      { name: 'id', type: 'String' },
+      { name: 'display_name', type: 'String' },
+      { name: 'biome', type: 'String' },
+      { name: 'climate', type: 'String' },
+      { name: 'atmosphere', type: 'String', multiline: true },
+      { name: 'landmarks', type: 'PackedStringArray' },
+      { name: 'settlements', type: 'PackedStringArray' },
+      { name: 'neighbours', type: 'PackedStringArray' },
+      { name: 'dangers', type: 'PackedStringArray' }
+    ]
+  },
+  faction: {
+    className: 'WorldFaction',
+    folder: 'factions',
+    collection: 'factions',
+    fields: [
+      { name: 'id', type: 'String' },
+      { name: 'display_name', type: 'String' },
+      { name: 'ideology', type: 'String', multiline: true },
+      { name: 'leader', type: 'String' },
+      { name: 'territory', type: 'String' },
+      { name: 'resources', type: 'PackedStringArray' },
+      { name: 'goals', type: 'PackedStringArray' },
+      { name: 'allies', type: 'PackedStringArray' },
+      { name: 'rivals', type: 'PackedStringArray' },
+      { name: 'enemies', type: 'PackedStringArray' },
+      { name: 'overlords', type: 'PackedStringArray' },
+      { name: 'vassals', type: 'PackedStringArray' }
+    ]
+  },
+  scenario: {
+    className: 'WorldScenario',
+    folder: 'scenarios',
+    collection: 'scenarios',
+    fields: [
+      { name: 'id', type: 'String' },
+      { name: 'display_name', type: 'String' },
+      { name: 'location', type: 'String' },
+      { name: 'summary', type: 'String', multiline: true },
+      { name: 'stakes', type: 'String', multiline: true },
+      { name: 'characters', type: 'PackedStringArray' },
+      { name: 'hooks', type: 'PackedStringArray' },
+      { name: 'encounters', type: 'PackedStringArray' },
+      { name: 'artwork', type: 'Texture2D' }
+    ]
+  },
+  storyIdea: {
+    className: 'WorldStoryIdea',
+    folder: 'story_ideas',
+    collection: 'story_ideas',
+    fields: [
+      { name: 'id', type: 'String' },
+      { name: 'title', type: 'String' },
+      { name: 'synopsis', type: 'String', multiline: true }
+    ]
+  }
+};
+
+/**
+ * Fields that hold the path of an exported image: every texture field, and the world's concept art
+ */
+const IMAGE_FIELDS = new Set([
+  'concept_art',
+  ...Object.values(ENTITY_TYPES).flatMap(type => type.fields.filter(field => field.type === 'Texture2D').map(field => field.name))
+]);
+
+/**
+ * Turn a name into a lowercase identifier fragment
+ * @param {string} text - Name
+ * @returns {string} Identifier such as "kaela_voss"
+ */
+export const slugify = (text) => (
+  (text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+) || 'unnamed';
+
+/**
+ * Convert a snake_case field name to camelCase
+ * @param {string} name - Field name
+ * @returns {string} camelCase name
+ */
+const toCamelCase = (name) => name.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+
+/**
+ * Build the file name of the GDScript class for an entity kind
+ * @param {string} className - PascalCase class name
+ * @returns {string} File name such as "world_character.gd"
+ */
+const toScriptFileName = (className) => `${className.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase()}.gd`;
+
+class WorldEngineExporter {
+  constructor() {
+    this.usedIds = new Set();
+    this.images = [];
+  }
+
+  /**
+   * Create a unique id from a prefix and a name
+   * @param {string} prefix - Entity prefix such as "char"
+   * @param {string} name - Entity name
+   * @returns {string} Id such as "char_kaela_voss" (with a numeric suffix if the name repeats)
+   */
+  createId(prefix, name) {
+    const base = `${prefix}_${slugify(name)}`;
+    let id = base;
+    let suffix = 2;
+    while (this.usedIds.has(id)) {
+      id = `${base}_${suffix}`;
+      suffix += 1;
+    }
+    this.usedIds.add(id);
+    return id;
+  }
+
+  /**
+   * Queue a visual's image for the zip
+   * @param {Object} visual - Visual entry
+   * @param {string} id - Id of the entity the image belongs to
+   * @returns {string|null} Image path relative to the engine folder, or null without an image
+   */
+  addImage(visual, id) {
+    if (!visual?.isImage) return null;
+    const path = `images/${id}.${getImageType(visual.image).extension}`;
+    this.images.push({ path, base64: visual.image });
+    return path;
+  }
+
+  /**
+   * Build the engine-neutral entities of a world
+   * @param {Object} worldData - Complete world data
+   * @returns {Object} World info and entity lists keyed by collection name
+   */
+  buildEngineData(worldData) {
+    const {
+      worldNarrative,
+      gameBookIdeas = [],
+      characterConcepts = [],
+      regions = [],
+      conceptImage,
+      factions = [],
+      scenarios = [],
+      characterVisuals = [],
+      scenarioVisuals = [],
+      userIdea,
+      worldType
+    } = worldData;
+
+    this.usedIds = new Set();
+    this.images = [];
+
+    const worldId = this.createId('world', worldType);
+    const characters = characterConcepts.map((character, index) => {
+      const id = this.createId('char', character.name);
+      return {
+        id,
+        display_name: character.name || '',
+        role: character.role || '',
+        description: character.description || '',
+        portrait: this.addImage(characterVisuals[index], id)
+      };
+    });
+
+    return {
+      world: {
+        id: worldId,
+        world_type: worldType || '',
+        idea: userIdea || '',
+        narrative: toPlainText(worldNarrative),
+        concept_art: this.addImage(conceptImage ? { isImage: true, image: conceptImage } : null, worldId)
+      },
+      characters,
+      regions: regions.map((region) => ({
+        id: this.createId('region', region.name),
+        display_name: region.name || '',
+        biome: region.biome || '',
+        climate: region.climate || '',
+        atmosphere: region.atmosphere || '',
+        landmarks: region.landmarks || [],
+        settlements: region.settlements || [],
+        neighbours: region.neighbours || [],
+        dangers: region.dangers || []
+      })),
+      factions: this.buildFactions(factions),
+      scenarios: scenarios.map((scenario, index) => {
+        const id = this.createId('scenario', scenario.title);
+        return {
+          id,
+          display_name: scenario.title || '',
+          location: scenario.location || '',
+          summary: scenario.summary || '',
+          stakes: scenario.stakes || '',
+          // Characters are referenced by id; names that match no character are left out
+          characters: (scenario.characters || [])
+            .map(name => characters[characterConcepts.findIndex(character => character.name === name)]?.id)
+            .filter(Boolean),
+          hooks: scenario.hooks || [],
+          encounters: scenario.encounters || [],
+          artwork: this.addImage(scenarioVisuals[index], id)
+        };
+      }),
+      story_ideas: gameBookIdeas.map((idea) => ({
+        id: this.createId('idea', idea.title),
+        title: idea.title || '',
+        synopsis: idea.synopsis || ''
+      }))
+    };
+  }
+
+  /**
+   * Build faction entities, with relationships as lists of faction ids
+   * @param {Object[]} factions - Normalized factions
+   * @returns {Object[]} Faction entities
+   */
+  buildFactions(factions) {
+    const ids = factions.map(faction => this.createId('faction', faction.name));
+    const entities = factions.map((faction, index) => ({
+      id: ids[index],
+      display_name: faction.name || '',
+      ideology: faction.ideology || '',
+      leader: faction.leader || '',
+      territory: faction.territory || '',
+      resources: faction.resources || [],
+      goals: faction.goals || [],
+      allies: [],
+      rivals: [],
+      enemies: [],
+      overlords: [],
+      vassals: []
+    }));
+
+    getFactionRelationships(factions).forEach(({ from, to, type }) => {
+      if (type === 'vassal') {
+        entities[from].overlords.push(ids[to]);
+        entities[to].vassals.push(ids[from]);
+      } else {
+        const list = { allied: 'allies', rival: 'rivals', 'at war': 'enemies' }[type];
+        entities[from][list].push(ids[to]);
+        entities[to][list].push(ids[from]);
+      }
+    });
+
+    return entities;
+  }
+
+  /**
+   * Quote a string for a Godot resource file
+   * @param {string} value - String value
+   * @returns {string} Quoted and escaped value
+   */
+  quoteGodotString(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+  }
+
+  /**
+   * Write the GDScript class backing one entity kind
+   * @param {Object} type - Entry from ENTITY_TYPES
+   * @returns {string} GDScript source
+   */
+  buildGodotScript(type) {
+    const fields = type.fields.map(field => (
+      `${field.multiline ? '@export_multiline' : '@export'} var ${field.name}: ${field.type}`
+    ));
+    return `class_name ${type.className}\nextends Resource\n\n${fields.join('\n')}\n`;
+  }
+
+  /**
+   * Write a Godot text resource (.tres) for one entity
+   * @param {Object} type - Entry from ENTITY_TYPES
+   * @param {Object} entity - Entity values
+   * @returns {string} Resource file contents
+   */
+  buildGodotResource(type, entity) {
+    const externals = [`[ext_resource type="Script" path="${GODOT_ROOT}/scripts/${toScriptFileName(type.className)}" id="1_script"]`];
+    const values = ['script = ExtResource("1_script")'];
+
+    type.fields.forEach((field) => {
+      const value = entity[field.name];
+      if (value === null || value === undefined) return;
+
+      if (field.type === 'PackedStringArray') {
+        values.push(`${field.name} = PackedStringArray(${value.map(item => this.quoteGodotString(item)).join(', ')})`);
+      } else if (field.type === 'Texture2D') {
+        const resourceId = `${externals.length + 1}_texture`;
+        externals.push(`[ext_resource type="Texture2D" path="${GODOT_ROOT}/${value}" id="${resourceId}"]`);
+        values.push(`${field.name} = ExtResource("${resourceId}")`);
+      } else {
+        values.push(`${field.name} = ${this.quoteGodotString(value)}`);
+      }
+    });
+
+    return `[gd_resource type="Resource" script_class="${type.className}" load_steps=${externals.length + 1} format=3]
+
+${externals.join('\n')}
+
+[resource]
+${values.join('\n')}
+`;
+  }
+
+  /**
+   * Convert the entities to Unity-style camelCase JSON with image paths under Images/
+   * @param {Object} data - Result of buildEngineData
+   * @returns {Object} JSON ready for JsonUtility.FromJsonOverwrite
+   */
+  buildUnityData(data) {
+    /**
+     * Rename one record's keys to camelCase and move image paths under Images/
+     * @param {Object} record - Entity or world record
+     * @returns {Object} Unity record
+     */
+    const convert = (record) => Object.entries(record).reduce((converted, [key, value]) => {
+      // Only image fields are moved, so text that happens to start with "images/" stays as written
+      const isImagePath = IMAGE_FIELDS.has(key) && typeof value === 'string' && value.startsWith('images/');
+      // JsonUtility cannot read null strings, so missing images become empty paths
+      converted[toCamelCase(key)] = isImagePath ? `Images/${value.slice('images/'.length)}` : (value ?? '');
+      return converted;
+    }, {});
+
+    return {
+      exportVersion: ENGINE_EXPORT_VERSION,
+      world: convert(data.world),
+      ...Object.values(ENTITY_TYPES).reduce((collections, type) => {
+        collections[toCamelCase(type.collection)] = data[type.collection].map(convert);
+        return collections;
+      }, {})
+    };
+  }
+
+  /**
+   * Write the C# ScriptableObject that loads the Unity JSON
+   * @returns {string} C# source
+   */
+  buildUnityScript() {
+    const classes = Object.values(ENTITY_TYPES).map((type) => {
+      const fields = type.fields.map(field => (
+        `        ${field.multiline ? '[TextArea] ' : ''}public ${field.type === 'PackedStringArray' ? 'string[]' : 'string'} ${toCamelCase(field.name)};`
+      ));
+      return `    [Serializable]\n    public class ${type.className}\n    {\n${fields.join('\n')}\n    }`;
+    });
+
+    const collections = Object.values(ENTITY_TYPES).map(type => (
+      `    public List<${type.className}> ${toCamelCase(type.collection)} = new List<${type.className}>();`
+    ));
+
+    return `using System;
+using System.Collections.Generic;
+using UnityEngine;
+
+// Generated by the Lumina Oz World Building Tool. Image fields hold paths relative to this folder.
+[CreateAssetMenu(fileName = "World", menuName = "World Building/World Data")]
+public class WorldDataAsset : ScriptableObject
+{
+    [Serializable]
+    public class WorldInfo
+    {
+        public string id;
+        public string worldType;
+        public string idea;
+        [TextArea] public string narrative;
+        public string conceptArt;
+    }
+
+${classes.join('\n\n')}
+
+    public int exportVersion;
+    public WorldInfo world;
+${collections.join('\n')}
+
+    /// Fill this asset from world.json
+    public void LoadFromJson(TextAsset json)
+    {
+        JsonUtility.FromJsonOverwrite(json.text, this);
+    }
+}
+`;
+  }
+
+  /**
+   * Export a world as a zip with godot/ and unity/ folders
+   * @param {Object} worldData - Complete world data
+   * @returns {Promise<string>} The filename used
+   */
+  async exportWorldToEngines(worldData) {
+    if (!worldData) {
+      throw new Error('No world data to export');
+    }
+
+    const data = this.buildEngineData(worldData);
+    const zip = new JSZip();
+
+    // Godot: one script per entity kind, one .tres per entity, plus the whole world as JSON
+    const godot = zip.folder('godot');
+    godot.file('world.json', JSON.stringify({ export_version: ENGINE_EXPORT_VERSION, ...data }, null, 2));
+    Object.values(ENTITY_TYPES).forEach((type) => {
+      godot.file(`scripts/${toScriptFileName(type.className)}`, this.buildGodotScript(type));
+      data[type.collection].forEach((entity) => {
+        godot.file(`${type.folder}/${entity.id}.tres`, this.buildGodotResource(type, entity));
+      });
+    });
+
+    // Unity: JSON for JsonUtility and the ScriptableObject class that reads it
+    const unity = zip.folder('unity');
+    unity.file('world.json', JSON.stringify(this.buildUnityData(data), null, 2));
+    unity.file('WorldDataAsset.cs', this.buildUnityScript());
+
+    this.images.forEach(({ path, base64 }) => {
+      godot.file(path, base64, { base64: true });
+      unity.file(`Images/${path.slice('images/'.length)}`, base64, { base64: true });
+    });
+
+    zip.file('README.txt', `World data export (version ${ENGINE_EXPORT_VERSION})
+
+Godot 4: copy the godot folder into your project as ${GODOT_ROOT}. Each character, region,
+faction, scenario and story idea is a .tres resource backed by the classes in scripts/.
+godot/world.json holds the same data for code that prefers JSON.
+
+Unity: copy the unity folder into Assets/. Create a World Data asset
+(Create > World Building > World Data) and call LoadFromJson with world.json.
+
+Ids are derived from names, so they stay the same when an unchanged world is exported again.
+`);
+
+    const filename = createExportFilename(worldData.worldType, 'engine.zip');
+    downloadBlob(await zip.generateAsync({ type: 'blob' }), filename);
+
+    return filename;
+  }
+}
+
+export default WorldEngineExporter;
@@ -0,0 +1,131 @@
+import JSZip from 'jszip';
+import WorldEngineExporter, { ENGINE_EXPORT_VERSION, slugify } from './engineExporter';
+import { downloadBlob } from './download';
+
+jest.mock('./download', () => ({
+  ...jest.requireActual('./download'),
+  downloadBlob: jest.fn()
+}));
+
+// Only the start of image data matters; the exporter copies it into the zip unchanged
+const PNG = 'iVBORw0KGgo=';
+const JPEG = '/9j/4AAQSkZJRg==';
+
+const WORLD = {
+  userIdea: 'A drowned empire',
+  worldType: 'Dark Fantasy',
+  worldNarrative: '### The Drowning\n\nThe **sea** rose.',
+  conceptImage: PNG,
+  characterConcepts: [
+    { name: 'Mossa Vel', role: 'Diver', description: 'Says "the sea" a lot.\nAlways wet.' },
+    { name: 'Mossa Vel', role: 'Her twin', description: '' }
+  ],
+  characterVisuals: [{ isImage: true, image: JPEG }, { isDescription: true, description: 'A brief only' }],
+  regions: [{ name: 'Éclat Reef', biome: 'Reef', climate: 'Warm', atmosphere: '', landmarks: ['Bell'], settlements: [], neighbours: [], dangers: [] }],
+  factions: [
+    { name: 'Tide Court', relationships: [{ faction: 'Salt Guild', type: 'vassal', description: '' }] },
+    { name: 'Salt Guild', relationships: [{ faction: 'Reef Clans', type: 'at war', description: '' }] },
+    { name: 'Reef Clans', relationships: [] }
+  ],
+  scenarios: [{ title: 'Low Tide', location: 'Reef', summary: '', stakes: '', characters: ['Mossa Vel', 'Nobody'], hooks: [], encounters: [] }],
+  scenarioVisuals: [null],
+  gameBookIdeas: [{ title: 'The Bell', synopsis: 'It rings underwater.' }]
+};
+
+describe('slugify', () => {
+  it('makes lowercase ascii identifiers from any name', () => {
+    expect(slugify('Éclat Reef: North!')).toBe('eclat_reef_north');
+    expect(slugify('***')).toBe('unnamed');
+    expect(slugify(undefined)).toBe('unnamed');
+  });
+});
+
+describe('WorldEngineExporter', () => {
+  it('gives every entity a stable, unique id', () => {
+    const data = new WorldEngineExporter().buildEngineData(WORLD);
+
+    expect(data.world.id).toBe('world_dark_fantasy');
+    expect(data.characters.map(character => character.id)).toEqual(['char_mossa_vel', 'char_mossa_vel_2']);
+    expect(data.regions[0].id).toBe('region_eclat_reef');
+    expect(new WorldEngineExporter().buildEngineData(WORLD)).toEqual(data);
+  });
+
+  it('links scenario characters and faction relationships by id', () => {
+    const { scenarios, factions } = new WorldEngineExporter().buildEngineData(WORLD);
+
+    expect(scenarios[0].characters).toEqual(['char_mossa_vel']);
+    expect(factions.map(({ id, overlords, vassals, enemies }) => ({ id, overlords, vassals, enemies }))).toEqual([
+      { id: 'faction_tide_court', overlords: ['faction_salt_guild'], vassals: [], enemies: [] },
+      { id: 'faction_salt_guild', overlords: [], vassals: ['faction_tide_court'], enemies: ['faction_reef_clans'] },
+      { id: 'faction_reef_clans', overlords: [], vassals: [], enemies: ['faction_salt_guild'] }
+    ]);
+  });
+
+  it('exports image paths only for generated images, and the narrative without marks', () => {
+    const exporter = new WorldEngineExporter();
+    const { world, characters } = exporter.buildEngineData(WORLD);
+
+    expect(world.narrative).toBe('The Drowning\n\nThe sea rose.');
+    expect(world.concept_art).toBe('images/world_dark_fantasy.png');
+    expect(characters.map(character => character.portrait)).toEqual(['images/char_mossa_vel.jpg', null]);
+    expect(exporter.images.map(image => image.path).sort()).toEqual(['images/char_mossa_vel.jpg', 'images/world_dark_fantasy.png']);
+  });
+
+  it('writes Godot resources with escaped strings, string arrays and textures', () => {
+    const exporter = new WorldEngineExporter();
+    const { characters, regions } = exporter.buildEngineData(WORLD);
+    const characterType = { className: 'WorldCharacter', fields: [{ name: 'description', type: 'String' }, { name: 'portrait', type: 'Texture2D' }] };
+    const regionType = { className: 'WorldRegion', fields: [{ name: 'landmarks', type: 'PackedStringArray' }] };
+    const character = exporter.buildGodotResource(characterType, characters[0]);
+    const region = exporter.buildGodotResource(regionType, regions[0]);
+
+    expect(character).toContain('load_steps=3');
+    expect(character).toContain('[ext_resource type="Texture2D" path="res://world/images/char_mossa_vel.jpg" id="2_texture"]');
+    expect(character).toContain('description = "Says \\"the sea\\" a lot.\\nAlways wet."');
+    expect(character).toContain('portrait = ExtResource("2_texture")');
+    expect(region).toContain('landmarks = PackedStringArray("Bell")');
+  });
+
+  it('converts the data to camelCase Unity JSON without nulls', () => {
+    const exporter = new WorldEngineExporter();
+    const unity = exporter.buildUnityData(exporter.buildEngineData(WORLD));
+
+    expect(unity.exportVersion).toBe(ENGINE_EXPORT_VERSION);
+    expect(unity.world.conceptArt).toBe('Images/world_dark_fantasy.png');
+    expect(unity.characters[0].portrait).toBe('Images/char_mossa_vel.jpg');
+    expect(unity.characters[1]).toMatchObject({ displayName: 'Mossa Vel', portrait: '' });
+    expect(unity.storyIdeas).toEqual([{ id: 'idea_the_bell', title: 'The Bell', synopsis: 'It rings underwater.' }]);
+  });
+
+  it('moves only image fields under Images/', () => {
+    const exporter = new WorldEngineExporter();
+    const world = { ...WORLD, characterConcepts: [{ ...WORLD.characterConcepts[0], description: 'images/ of the deep' }] };
+    const unity = exporter.buildUnityData(exporter.buildEngineData(world));
+
+    expect(unity.characters[0]).toMatchObject({ description: 'images/ of the deep', portrait: 'Images/char_mossa_vel.jpg' });
+  });
+
+  it('zips both engine folders with their images', async () => {
+    const filename = await new WorldEngineExporter().exportWorldToEngines(WORLD);
+    const [blob, downloadedName] = downloadBlob.mock.calls[0];
+    const zip = await JSZip.loadAsync(await new Response(blob).arrayBuffer());
+
+    expect(downloadedName).toBe(filename);
+    expect(filename).toMatch(/^world_dark_fantasy_\d{4}-\d{2}-\d{2}\.engine\.zip$/);
+    expect(Object.keys(zip.files)).toEqual(expect.arrayContaining([
+      'README.txt',
+      'godot/world.json',
+      'godot/scripts/world_character.gd',
+      'godot/characters/char_mossa_vel_2.tres',
+      'godot/images/char_mossa_vel.jpg',
+      'unity/world.json',
+      'unity/WorldDataAsset.cs',
+      'unity/Images/world_dark_fantasy.png'
+    ]));
+    expect(JSON.parse(await zip.file('godot/world.json').async('string')).export_version).toBe(ENGINE_EXPORT_VERSION);
+  });
+
+  it('refuses to export without a world', async () => {
+    await expect(new WorldEngineExporter().exportWorldToEngines(null)).rejects.toThrow('No world data to export');
+  });
+});
@@ -0,0 +1,173 @@
+import { readText, toStringList } from './modelOutput';
+
+/**
+ * Faction Utility
+ * Normalizes generated factions, lists their relationships and links characters to the factions they belong to
+ */
+
+/**
+ * Relationship kinds between two factions, with how they are labelled and drawn
+ * "vassal" is directed: the faction holding the relationship serves the other one
+ */
+export const RELATIONSHIP_TYPES = {
+  allied: { label: 'Allied', color: '#16a34a', dash: null, width: 2 },
+  rival: { label: 'Rival', color: '#d97706', dash: '6 4', width: 2 },
+  'at war': { label: 'At war', color: '#dc2626', dash: null, width: 3.5 },
+  vassal: { label: 'Vassal of', color: '#7c3aed', dash: null, width: 2 }
+};
+
+const IGNORED_WORDS = new Set(['the', 'of', 'and', 'a', 'an']);
+
+/**
+ * Split a name into lowercase words, without articles and plural endings, for loose matching
+ * @param {string} text - Name or role
+ * @returns {string[]} Words
+ */
+const toMatchWords = (text) => (text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word && !IGNORED_WORDS.has(word))
+  .map(word => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word));
+
+/**
+ * Find the faction a name refers to
+ * @param {string} name - Faction name as written by the model
+ * @param {Object[]} factions - Factions
+ * @returns {Object|undefined} Matching faction
+ */
+const findFactionByName = (name, factions) => {
+  const key = toMatchWords(name).join(' ');
+  return factions.find(faction => toMatchWords(faction.name).join(' ') === key);
+};
+
+/**
+ * Normalize generated factions
+ * Fills in missing fields, points relationships at the exact names of other factions in the list and
+ * drops relationships to unknown factions, to the faction itself or of unknown kinds
+ * @param {Object[]} value - Factions as returned by the model
+ * @returns {Object[]} Factions with every field present
+ */
+export const normalizeFactions = (value) => {
+  if (!Array.isArray(value)) return [];
+
+  const factions = value.map((item, index) => ({
+    name: readText(item, 'name') || `Faction ${index + 1}`,
+    ideology: readText(item, 'ideology'),
+    leader: readText(item, 'leader'),
+    territory: readText(item, 'territory'),
+    resources: toStringList(item?.resources),
+    goals: toStringList(item?.goals),
+    relationships: Array.isArray(item?.relationships) ? item.relationships : []
+  }));
+
+  return factions.map((faction) => {
+    const seen = new Set();
+    const relationships = faction.relationships
+      .map((relationship) => {
+        const target = findFactionByName(relationship?.faction, factions);
+        const type = typeof relationship?.type === 'string' ? relationship.type.trim().toLowerCase().replace(/_/g, ' ') : '';
+        return target && target !== faction && RELATIONSHIP_TYPES[type]
+          ? { faction: target.name, type, description: readText(relationship, 'description') }
+          : null;
+      })
+      .filter((relationship) => {
+        if (!relationship || seen.has(relationship.faction)) return false;
+        seen.add(relationship.faction);
+        return true;
+      });
+
+    return { ...faction, relationships };
+  });
+};
+
+/**
+ * List every relationship once, as an edge between two factions
+ * When both sides describe the same pair, the first faction's view is kept, except that a
+ * vassal relationship always wins so its direction is not lost
+ * @param {Object[]} factions - Normalized factions
+ * @returns {Object[]} Edges { from, to, type, description } using faction indexes
+ */
+export const getFactionRelationships = (factions) => {
+  const edges = new Map();
+
+  factions.forEach((faction, from) => {
+    faction.relationships.forEach(({ faction: name, type, description }) => {
+      const to = factions.findIndex(other => other.name === name);
+      if (to < 0) return;
+
+      const key = [Math.min(from, to), Math.max(from, to)].join('-');
+      const existing = edges.get(key);
+      if (!existing || (type === 'vassal' && existing.type !== 'vassal')) {
+        edges.set(key, { from, to, type, description });
+      }
+    });
+  });
+
+  return [...edges.values()];
+};
+
+/**
+ * Describe a relationship from the point of view of one faction
+ * @param {Object} edge - Edge from getFactionRelationships
+ * @param {number} index - Index of the faction the description is for
+ * @returns {string} Label such as "Allied", "Vassal of" or "Overlord of"
+ */
+export const describeRelationship = (edge, index) => {
+  if (edge.type === 'vassal' && edge.to === index) return 'Overlord of';
+  return RELATIONSHIP_TYPES[edge.type].label;
+};
+
+/**
+ * List the relationships of one faction as readable phrases
+ * @param {Object[]} factions - Normalized factions
+ * @param {number} index - Faction index
+ * @returns {string[]} Phrases such as "Rival: The Azure Choir"
+ */
+export const listFactionRelationships = (factions, index) => getFactionRelationships(factions)
+  .filter(edge => edge.from === index || edge.to === index)
+  .map(edge => `${describeRelationship(edge, index)}: ${factions[edge.from === index ? edge.to : edge.from].name}`);
+
+/**
+ * Check whether a list of words holds another list as a run of consecutive words
+ * @param {string[]} words - Words to search
+ * @param {string[]} run - Words to find
+ * @returns {boolean} True when run is not empty and found
+ */
+const containsWordRun = (words, run) => run.length > 0
+  && words.some((_, start) => run.every((word, offset) => words[start + offset] === word));
+
+/**
+ * Find the faction a character belongs to
+ * A character belongs to a faction they lead, or whose name appears in their role
+ * (for example "Crimson Warden captain" belongs to "The Crimson Wardens").
+ * Names match on whole words, so "Ash" does not lead a faction led by "Ashara"
+ * @param {Object} character - Character concept
+ * @param {Object[]} factions - Factions
+ * @returns {number} Index of the faction, or -1
+ */
+export const findCharacterFaction = (character, factions = []) => {
+  const nameWords = toMatchWords(character?.name);
+  const ledIndex = factions.findIndex(faction => containsWordRun(toMatchWords(faction.leader), nameWords));
+  if (ledIndex >= 0) return ledIndex;
+
+  const roleWords = toMatchWords(character?.role);
+  return factions.findIndex((faction) => {
+    const nameWords = toMatchWords(faction.name);
+    return nameWords.length > 0 && nameWords.every(word => roleWords.includes(word));
+  });
+};
+
+/**
+ * Group characters under the factions they belong to
+ * @param {Object[]} characters - Character concepts
+ * @param {Object[]} factions - Factions
+ * @returns {Object[][]} Characters per faction index
+ */
+export const getFactionMembers = (characters = [], factions = []) => {
+  const members = factions.map(() => []);
+  characters.forEach((character) => {
+    const index = findCharacterFaction(character, factions);
+    if (index >= 0) members[index].push(character);
+  });
+  return members;
+};
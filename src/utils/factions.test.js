@@ -0,0 +1,26 @@
+import { findCharacterFaction } from './factions';
+
+const FACTIONS = [
+  { name: 'The Tide Court', leader: 'Queen Ashara Vel' },
+  { name: 'The Crimson Wardens', leader: 'Nobody in particular' }
+];
+
+describe('findCharacterFaction', () => {
+  it('finds the faction a character leads by their full name', () => {
+    expect(findCharacterFaction({ name: 'Ashara Vel', role: 'Queen' }, FACTIONS)).toBe(0);
+  });
+
+  it('does not match a name that is only part of a word of the leader', () => {
+    expect(findCharacterFaction({ name: 'Ash', role: 'Smuggler' }, FACTIONS)).toBe(-1);
+    expect(findCharacterFaction({ name: 'Ashara Dun', role: 'Smuggler' }, FACTIONS)).toBe(-1);
+  });
+
+  it('finds the faction named in the role', () => {
+    expect(findCharacterFaction({ name: 'Ash', role: 'Crimson Warden captain' }, FACTIONS)).toBe(1);
+  });
+
+  it('finds no faction without a name, role or factions', () => {
+    expect(findCharacterFaction({}, FACTIONS)).toBe(-1);
+    expect(findCharacterFaction({ name: 'Ashara Vel' })).toBe(-1);
+  });
+});
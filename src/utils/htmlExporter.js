@@ -0,0 +1,292 @@
+import { createExportFilename, downloadBlob, getImageType } from './download';
+import { REGION_LIST_FIELDS } from './regions';
+import { getFactionMembers, listFactionRelationships } from './factions';
+import { getEventLinks } from './timeline';
+import { getCharacterSheetParts } from './characterSheet';
+import { SYSTEM_KINDS, getSystemParts } from './magicSystem';
+import { getScenarioParts } from './scenarios';
+import { richTextToHtml } from './richText';
+
+/**
+ * HTML Export Utility
+ * Writes a world as a single self-contained HTML page: styles are inline and images are data URIs,
+ * so the file can be pasted into a wiki or opened offline
+ */
+const PAGE_STYLES = `
+  body { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; color: #1f2937; max-width: 960px; margin: 0 auto; padding: 32px; line-height: 1.6; }
+  header { background: linear-gradient(to right, #3f4d64, #4a5568); color: #fff; padding: 24px; border-radius: 12px; }
+  header p { color: #e2e8f0; margin: 4px 0 0; }
+  h2 { color: #3f4d64; border-left: 4px solid #3f4d64; padding-left: 12px; margin-top: 48px; }
+  img { max-width: 100%; border-radius: 8px; }
+  .hero { width: 100%; margin-top: 24px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #e2e8f0; padding: 8px; text-align: left; vertical-align: top; }
+  th { background: #f8fafc; }
+  td img { width: 96px; height: 96px; object-fit: cover; }
+  .card { display: flex; gap: 16px; background: #eff6ff; border: 1px solid #dbeafe; border-radius: 12px; padding: 16px; margin-bottom: 16px; }
+  .card img { width: 160px; height: 160px; object-fit: cover; flex-shrink: 0; }
+  .card dt { font-weight: bold; font-size: 12px; text-transform: uppercase; color: #1e40af; }
+  .card dd { margin: 0 0 8px; }
+  .tag { display: inline-block; background: #dbeafe; color: #1e40af; font-size: 12px; padding: 2px 10px; border-radius: 999px; }
+  .region { background: #eef2ff; border: 1px solid #dbeafe; border-radius: 12px; padding: 16px; margin-bottom: 16px; }
+  .region h3 { margin-top: 0; }
+  .region dt { font-weight: bold; font-size: 12px; text-transform: uppercase; color: #1e40af; }
+  .region dd { margin: 0 0 8px; }
+  .faction { border-left: 4px solid #3f4d64; background: #f8fafc; border-radius: 0 12px 12px 0; padding: 16px; margin-bottom: 16px; }
+  .faction h3 { margin-top: 0; }
+  .faction dt { font-weight: bold; font-size: 12px; text-transform: uppercase; color: #3f4d64; }
+  .faction dd { margin: 0 0 8px; }
+  .system { background: #f5f3ff; border: 1px solid #ede9fe; border-radius: 12px; padding: 16px; margin-bottom: 16px; }
+  .system h3 { margin: 16px 0 8px; font-size: 14px; text-transform: uppercase; color: #5b21b6; }
+  .sheet { background: #faf5ff; border: 1px solid #e9d5ff; border-radius: 12px; padding: 16px; margin-bottom: 16px; }
+  .sheet h3 { margin-top: 0; }
+  .sheet dt { font-weight: bold; font-size: 12px; text-transform: uppercase; color: #6b21a8; }
+  .sheet dd { margin: 0 0 8px; }
+  .era { border-left: 4px solid #3f4d64; padding-left: 16px; margin-bottom: 24px; }
+  .era h3 { margin-bottom: 4px; }
+  .era .period { font-size: 13px; color: #64748b; }
+  .era li { margin-bottom: 8px; }
+  .era .date { font-weight: bold; color: #3f4d64; }
+  .era .involved { display: block; font-size: 12px; color: #64748b; }
+  .brief { background: #f8fafc; border-left: 3px solid #94a3b8; padding: 8px 12px; color: #475569; font-style: italic; white-space: pre-wrap; }
+  footer { margin-top: 48px; color: #64748b; font-size: 12px; text-align: center; }
+`;
+
+class WorldHTMLExporter {
+  /**
+   * Escape text for safe inclusion in HTML
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  escape(text) {
+    return String(text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Render a visual as an inline image, or its art brief when no image was generated
+   * @param {Object} visual - Visual entry ({ isImage, image } or { isDescription, description })
+   * @param {string} alt - Alt text
+   * @param {string} className - CSS class for the image
+   * @returns {string} HTML (empty when there is no visual)
+   */
+  renderVisual(visual, alt, className = '') {
+    if (visual?.isImage) {
+      const { mimeType } = getImageType(visual.image);
+      return `<img class="${className}" src="data:${mimeType};base64,${visual.image}" alt="${this.escape(alt)}">`;
+    }
+    if (visual?.isDescription && visual.description) {
+      return `<div class="brief"><strong>Art direction brief</strong>\n${this.escape(visual.description.trim())}</div>`;
+    }
+    return '';
+  }
+
+  /**
+   * Build the HTML page for a world
+   * @param {Object} worldData - Complete world data
+   * @returns {string} HTML document
+   */
+  buildHTML(worldData) {
+    const {
+      worldNarrative,
+      gameBookIdeas,
+      customizationOptions,
+      characterConcepts,
+      factions,
+      regions,
+      timeline,
+      magicSystem,
+      scenarios,
+      conceptImage,
+      conceptImageDescription,
+      characterVisuals = [],
+      scenarioVisuals = [],
+      userIdea,
+      worldType
+    } = worldData;
+
+    const sections = [];
+
+    const concept = conceptImage
+      ? this.renderVisual({ isImage: true, image: conceptImage }, 'Concept art', 'hero')
+      : this.renderVisual(conceptImageDescription, 'Concept art');
+    if (concept) {
+      sections.push(concept);
+    }
+
+    if (worldNarrative) {
+      sections.push(`<h2>World Narrative</h2>\n${richTextToHtml(worldNarrative)}`);
+    }
+
+    if (characterConcepts && characterConcepts.length > 0) {
+      const rows = characterConcepts.map((character, index) => `<tr>
+  <td>${this.renderVisual(characterVisuals[index], `Portrait of ${character.name}`)}</td>
+  <td><strong>${this.escape(character.name)}</strong></td>
+  <td>${this.escape(character.role)}</td>
+  <td>${this.escape(character.description)}</td>
+</tr>`).join('\n');
+      sections.push(`<h2>Character Concepts</h2>
+<table>
+<thead><tr><th>Portrait</th><th>Name</th><th>Role</th><th>Description</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`);
+
+      const sheets = characterConcepts.filter(character => character.sheet).map((character) => {
+        const parts = getCharacterSheetParts(character.sheet)
+          .map(({ label, items }) => `<dt>${label}</dt><dd>${items.map(item => this.escape(item)).join('<br>')}</dd>`);
+        return `<div class="sheet">
+  <h3>${this.escape(character.name)}</h3>
+  ${character.sheet.appearance ? `<p>${this.escape(character.sheet.appearance)}</p>` : ''}
+  ${parts.length > 0 ? `<dl>${parts.join('')}</dl>` : ''}
+</div>`;
+      });
+      if (sheets.length > 0) {
+        sections.push(`<h2>Character Sheets</h2>\n${sheets.join('\n')}`);
+      }
+    }
+
+    if (factions && factions.length > 0) {
+      const members = getFactionMembers(characterConcepts, factions);
+      const cards = factions.map((faction, index) => {
+        const details = [
+          ['Leader', faction.leader],
+          ['Territory', faction.territory],
+          ['Resources', faction.resources.join(', ')],
+          ['Goals', faction.goals.join('; ')],
+          ['Relationships', listFactionRelationships(factions, index).join('; ')],
+          ['Characters', members[index].map(character => character.name).join(', ')]
+        ].filter(([, value]) => value)
+          .map(([label, value]) => `<dt>${label}</dt><dd>${this.escape(value)}</dd>`);
+        return `<div class="faction">
+  <h3>${this.escape(faction.name)}</h3>
+  ${faction.ideology ? `<p><em>${this.escape(faction.ideology)}</em></p>` : ''}
+  ${details.length > 0 ? `<dl>${details.join('')}</dl>` : ''}
+</div>`;
+      });
+      sections.push(`<h2>Factions</h2>\n${cards.join('\n')}`);
+    }
+
+    if (magicSystem) {
+      const parts = getSystemParts(magicSystem).map(({ label, items }) => {
+        const entries = items.map(item => (typeof item === 'string'
+          ? `<li>${this.escape(item)}</li>`
+          : `<li><strong>${this.escape(item.name)}</strong>${item.description ? ` - ${this.escape(item.description)}` : ''}${item.practitioners ? ` <em>(practised by ${this.escape(item.practitioners)})</em>` : ''}</li>`));
+        return `<h3>${label}</h3>\n<ul>\n${entries.join('\n')}\n</ul>`;
+      });
+      sections.push(`<h2>Magic &amp; Technology: ${this.escape(magicSystem.name)}</h2>
+<div class="system">
+  <span class="tag">${SYSTEM_KINDS[magicSystem.kind]}</span>
+  ${magicSystem.overview ? `<p>${this.escape(magicSystem.overview)}</p>` : ''}
+  ${parts.join('\n')}
+  ${magicSystem.societalImpact ? `<h3>Impact on Society</h3>\n<p>${this.escape(magicSystem.societalImpact)}</p>` : ''}
+</div>`);
+    }
+
+    if (scenarios && scenarios.length > 0) {
+      const cards = scenarios.map((scenario, index) => {
+        const details = [
+          ...(scenario.stakes ? [['At Stake', this.escape(scenario.stakes)]] : []),
+          ...getScenarioParts(scenario).map(({ label, items }) => [label, items.map(item => this.escape(item)).join('<br>')])
+        ].map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`);
+        return `<div class="card">
+  ${this.renderVisual(scenarioVisuals[index], `Artwork for ${scenario.title}`)}
+  <div>
+    <h3>${this.escape(scenario.title)}</h3>
+    ${scenario.location ? `<span class="tag">${this.escape(scenario.location)}</span>` : ''}
+    <p>${this.escape(scenario.summary)}</p>
+    ${details.length > 0 ? `<dl>${details.join('')}</dl>` : ''}
+  </div>
+</div>`;
+      });
+      sections.push(`<h2>World Scenarios</h2>\n${cards.join('\n')}`);
+    }
+
+    if (gameBookIdeas && gameBookIdeas.length > 0) {
+      const items = gameBookIdeas.map(idea => (
+        `<li><strong>${this.escape(idea.title)}</strong> - ${this.escape(idea.synopsis)}</li>`
+      ));
+      sections.push(`<h2>Game &amp; Book Ideas</h2>\n<ol>\n${items.join('\n')}\n</ol>`);
+    }
+
+    if (customizationOptions && customizationOptions.length > 0) {
+      const items = customizationOptions.map(option => (
+        `<li><strong>${this.escape(option.title)}</strong> - ${this.escape(option.description)}</li>`
+      ));
+      sections.push(`<h2>Customization Options</h2>\n<ol>\n${items.join('\n')}\n</ol>`);
+    }
+
+    if (regions && regions.length > 0) {
+      const cards = regions.map((region) => {
+        const tags = [region.biome, region.climate].filter(Boolean)
+          .map(detail => `<span class="tag">${this.escape(detail)}</span>`);
+        const lists = REGION_LIST_FIELDS.filter(({ key }) => region[key]?.length > 0)
+          .map(({ key, label }) => `<dt>${label}</dt><dd>${region[key].map(item => this.escape(item)).join(', ')}</dd>`);
+        return `<div class="region">
+  <h3>${this.escape(region.name)}</h3>
+  ${tags.join(' ')}
+  ${region.atmosphere ? `<p>${this.escape(region.atmosphere)}</p>` : ''}
+  ${lists.length > 0 ? `<dl>${lists.join('')}</dl>` : ''}
+</div>`;
+      });
+      sections.push(`<h2>Regions</h2>\n${cards.join('\n')}`);
+    }
+
+    if (timeline && timeline.length > 0) {
+      const eras = timeline.map((era) => {
+        const events = era.events.map((event) => {
+          const links = getEventLinks(event);
+          return `<li>${event.date ? `<span class="date">${this.escape(event.date)}</span> - ` : ''}<strong>${this.escape(event.title)}</strong>${event.description ? `: ${this.escape(event.description)}` : ''}${links.length > 0 ? `<span class="involved">${links.map(link => this.escape(link)).join(', ')}</span>` : ''}</li>`;
+        });
+        return `<div class="era">
+  <h3>${this.escape(era.name)}</h3>
+  ${era.period ? `<p class="period">${this.escape(era.period)}</p>` : ''}
+  ${era.description ? `<p>${this.escape(era.description)}</p>` : ''}
+  ${events.length > 0 ? `<ul>\n${events.join('\n')}\n</ul>` : ''}
+</div>`;
+      });
+      sections.push(`<h2>Timeline</h2>\n${eras.join('\n')}`);
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${this.escape(worldType)} World</title>
+<style>${PAGE_STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${this.escape(worldType)} World</h1>
+  <p>Based on: "${this.escape(userIdea)}"</p>
+</header>
+${sections.join('\n\n')}
+<footer>Generated by Lumina Oz Game Dev - World Building Tool on ${this.escape(new Date().toLocaleDateString())}</footer>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Export a world as a self-contained HTML file
+   * @param {Object} worldData - Complete world data
+   * @returns {Promise<string>} The filename used
+   */
+  async exportWorldToHTML(worldData) {
+    if (!worldData) {
+      throw new Error('No world data to export');
+    }
+
+    const filename = createExportFilename(worldData.worldType, 'html');
+    downloadBlob(new Blob([this.buildHTML(worldData)], { type: 'text/html' }), filename);
+
+    return filename;
+  }
+}
+
+export default WorldHTMLExporter;
@@ -0,0 +1,71 @@
+import { readText, toStringList } from './modelOutput';
+
+/**
+ * Magic System Utility
+ * Normalizes the generated magic or technology system of a world
+ */
+
+/**
+ * Kinds of system, with how they are labelled
+ */
+export const SYSTEM_KINDS = {
+  magic: 'Magic',
+  technology: 'Technology',
+  hybrid: 'Magic & Technology'
+};
+
+/**
+ * Rule lists of a system, with their labels, shared by the card and the exporters
+ */
+export const SYSTEM_RULE_FIELDS = [
+  { key: 'costs', label: 'Costs' },
+  { key: 'limitations', label: 'Limitations' }
+];
+
+/**
+ * List the parts of a system that have entries, in reading order
+ * Rule parts hold strings; sources, schools and artifacts hold { name, description } entries
+ * @param {Object} system - Normalized system
+ * @returns {Object[]} Parts { label, items }
+ */
+export const getSystemParts = (system) => [
+  { label: 'Sources of Power', items: system.sources },
+  ...SYSTEM_RULE_FIELDS.map(({ key, label }) => ({ label, items: system[key] })),
+  { label: system.kind === 'technology' ? 'Branches' : 'Schools', items: system.schools },
+  { label: 'Notable Artifacts', items: system.artifacts }
+].filter(({ items }) => items.length > 0);
+
+/**
+ * Keep the named entries of a list of { name, description } objects
+ * @param {any} value - Generated list
+ * @param {string[]} extraKeys - Other string fields to keep
+ * @returns {Object[]} Entries with every field present
+ */
+const toNamedList = (value, extraKeys = []) => (Array.isArray(value) ? value : [])
+  .filter(item => readText(item, 'name'))
+  .map(item => extraKeys.reduce(
+    (entry, key) => ({ ...entry, [key]: readText(item, key) }),
+    { name: readText(item, 'name'), description: readText(item, 'description') }
+  ));
+
+/**
+ * Normalize a generated magic or technology system
+ * @param {Object} value - System as returned by the model
+ * @returns {Object|null} System with every field present, or null when nothing usable came back
+ */
+export const normalizeMagicSystem = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+
+  const kind = readText(value, 'kind').toLowerCase();
+  return {
+    name: readText(value, 'name') || 'Untitled system',
+    kind: SYSTEM_KINDS[kind] ? kind : 'magic',
+    overview: readText(value, 'overview'),
+    sources: toNamedList(value.sources),
+    costs: toStringList(value.costs),
+    limitations: toStringList(value.limitations),
+    schools: toNamedList(value.schools, ['practitioners']),
+    artifacts: toNamedList(value.artifacts),
+    societalImpact: readText(value, 'societalImpact')
+  };
+};
@@ -0,0 +1,71 @@
+import { createExportFilename, downloadBlob } from './download';
+
+/**
+ * Map Export Utility
+ * Saves the rendered world map as an SVG file or rasterizes it to a PNG
+ */
+class WorldMapExporter {
+  /**
+   * Serialize a rendered map as a standalone SVG document
+   * @param {SVGSVGElement} svgElement - Rendered map
+   * @returns {string} SVG document
+   */
+  serializeSVG(svgElement) {
+    const clone = svgElement.cloneNode(true);
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    // Tailwind sizing classes mean nothing outside the app
+    clone.removeAttribute('class');
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`;
+  }
+
+  /**
+   * Download the map as an SVG file
+   * @param {SVGSVGElement} svgElement - Rendered map
+   * @param {string} worldType - World type, used in the filename
+   * @returns {string} The filename used
+   */
+  exportSVG(svgElement, worldType) {
+    const filename = createExportFilename(worldType, 'map.svg');
+    downloadBlob(new Blob([this.serializeSVG(svgElement)], { type: 'image/svg+xml' }), filename);
+    return filename;
+  }
+
+  /**
+   * Download the map as a PNG image
+   * @param {SVGSVGElement} svgElement - Rendered map
+   * @param {string} worldType - World type, used in the filename
+   * @param {number} scale - Pixels per map unit (default: 2)
+   * @returns {Promise<string>} The filename used
+   */
+  async exportPNG(svgElement, worldType, scale = 2) {
+    const width = Number(svgElement.getAttribute('width'));
+    const height = Number(svgElement.getAttribute('height'));
+    const url = URL.createObjectURL(new Blob([this.serializeSVG(svgElement)], { type: 'image/svg+xml' }));
+
+    try {
+      const image = await new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('The map could not be drawn as an image'));
+        img.src = url;
+      });
+
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+      const png = await new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The map could not be saved as a PNG'))), 'image/png');
+      });
+
+      const filename = createExportFilename(worldType, 'map.png');
+      downloadBlob(png, filename);
+      return filename;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+}
+
+export default WorldMapExporter;
@@ -0,0 +1,506 @@
+/**
+ * Map Generator Utility
+ * Lays out a world's regions on a seeded procedural map: Voronoi cells on a jittered grid,
+ * an island heightfield for the coastline, downhill rivers, and settlements and landmarks
+ * placed inside their regions. The same seed and regions always give the same map
+ */
+
+export const MAP_WIDTH = 960;
+export const MAP_HEIGHT = 640;
+
+const GRID_COLUMNS = 32;
+const GRID_ROWS = 21;
+const MIN_PLACE_SPACING = 48;
+
+/**
+ * Region fill colors picked by keywords in the biome, checked in order
+ */
+const BIOME_COLORS = [
+  { pattern: /volcan|lava|ash|ember|magma/, color: '#b9735f' },
+  { pattern: /desert|dune|sand|arid/, color: '#e2c98f' },
+  { pattern: /ice|snow|tundra|glacier|frozen|arctic/, color: '#e4ebf1' },
+  { pattern: /swamp|marsh|bog|fen|wetland/, color: '#7f9470' },
+  { pattern: /jungle|rainforest/, color: '#4f8a5a' },
+  { pattern: /forest|wood|grove|taiga/, color: '#6f9a64' },
+  { pattern: /mountain|highland|peak|alpine|canyon/, color: '#a3978a' },
+  { pattern: /crystal|glass/, color: '#b3cbdc' },
+  { pattern: /city|urban|metropol|industrial|sprawl/, color: '#adadad' },
+  { pattern: /ruin|blight|toxic|barren|waste/, color: '#938a7c' },
+  { pattern: /grass|plain|steppe|prairie|savanna|meadow|field/, color: '#b2c983' }
+];
+
+/**
+ * Fill colors for regions whose biome matches no keyword
+ */
+const FALLBACK_COLORS = ['#b2c983', '#cdb681', '#92b88c', '#bba992', '#a2baa2', '#c7ab86', '#98b17e', '#b8b38c'];
+
+/**
+ * Hash text to a 32-bit seed
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit integer
+ */
+export const hashString = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Get the seed a world's map uses until the user asks for a new layout
+ * @param {Object} worldData - World data
+ * @returns {number} Map seed
+ */
+export const getMapSeed = (worldData) => (
+  Number.isInteger(worldData?.mapSeed)
+    ? worldData.mapSeed
+    : hashString(`${worldData?.worldType || ''}|${worldData?.userIdea || ''}`)
+);
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns a number in [0, 1) on each call
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Distance between two points
+ * @param {Object} a - Point { x, y }
+ * @param {Object} b - Point { x, y }
+ * @returns {number} Distance
+ */
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * Clip a cell polygon to the half-plane closer to its site than to another site
+ * Every polygon vertex carries the index of the site across the edge that starts at it (-1 for the map border),
+ * so shared edges between cells are known once clipping is done
+ * @param {Object[]} polygon - Vertices { x, y, edge }
+ * @param {Object} site - The cell's site
+ * @param {Object} other - The other site
+ * @param {number} otherIndex - Index of the other site
+ * @returns {Object[]} Clipped polygon
+ */
+const clipPolygon = (polygon, site, other, otherIndex) => {
+  const normalX = other.x - site.x;
+  const normalY = other.y - site.y;
+  const midX = (site.x + other.x) / 2;
+  const midY = (site.y + other.y) / 2;
+  const side = (point) => ((point.x - midX) * normalX) + ((point.y - midY) * normalY);
+
+  const clipped = [];
+  polygon.forEach((a, k) => {
+    const b = polygon[(k + 1) % polygon.length];
+    const sideA = side(a);
+    const sideB = side(b);
+    const crossing = () => {
+      const t = sideA / (sideA - sideB);
+      return { x: a.x + ((b.x - a.x) * t), y: a.y + ((b.y - a.y) * t) };
+    };
+
+    if (sideA <= 0) {
+      if (sideB <= 0) {
+        clipped.push(a);
+      } else {
+        // Leaving: the edge continues along the bisector until the polygon re-enters
+        clipped.push(a, { ...crossing(), edge: otherIndex });
+      }
+    } else if (sideB <= 0) {
+      clipped.push({ ...crossing(), edge: a.edge });
+    }
+  });
+
+  return clipped;
+};
+
+/**
+ * Build Voronoi cells for sites on a jittered grid
+ * Only sites within two grid steps can share an edge, which keeps this fast enough to run on every render
+ * @param {Function} random - Seeded random number generator
+ * @returns {Object[]} Cells { index, site, polygon, neighbours }
+ */
+const buildCells = (random) => {
+  const cellWidth = MAP_WIDTH / GRID_COLUMNS;
+  const cellHeight = MAP_HEIGHT / GRID_ROWS;
+  const sites = [];
+
+  for (let row = 0; row < GRID_ROWS; row += 1) {
+    for (let column = 0; column < GRID_COLUMNS; column += 1) {
+      sites.push({
+        x: (column + 0.15 + (random() * 0.7)) * cellWidth,
+        y: (row + 0.15 + (random() * 0.7)) * cellHeight
+      });
+    }
+  }
+
+  return sites.map((site, index) => {
+    const row = Math.floor(index / GRID_COLUMNS);
+    const column = index % GRID_COLUMNS;
+    let polygon = [
+      { x: 0, y: 0, edge: -1 },
+      { x: MAP_WIDTH, y: 0, edge: -1 },
+      { x: MAP_WIDTH, y: MAP_HEIGHT, edge: -1 },
+      { x: 0, y: MAP_HEIGHT, edge: -1 }
+    ];
+
+    for (let dRow = -2; dRow <= 2; dRow += 1) {
+      for (let dColumn = -2; dColumn <= 2; dColumn += 1) {
+        const otherRow = row + dRow;
+        const otherColumn = column + dColumn;
+        const inGrid = otherRow >= 0 && otherRow < GRID_ROWS && otherColumn >= 0 && otherColumn < GRID_COLUMNS;
+        if ((dRow || dColumn) && inGrid) {
+          const otherIndex = (otherRow * GRID_COLUMNS) + otherColumn;
+          polygon = clipPolygon(polygon, site, sites[otherIndex], otherIndex);
+        }
+      }
+    }
+
+    // Drop vertices that collapsed onto the next one
+    polygon = polygon.filter((vertex, k) => distance(vertex, polygon[(k + 1) % polygon.length]) > 0.01);
+
+    return {
+      index,
+      site,
+      polygon,
+      neighbours: [...new Set(polygon.map(vertex => vertex.edge).filter(edge => edge >= 0))]
+    };
+  });
+};
+
+/**
+ * Give every cell an elevation: a broad island shape with random hills and bays
+ * @param {Object[]} cells - Cells
+ * @param {Function} random - Seeded random number generator
+ * @returns {number[]} Elevation per cell
+ */
+const buildElevation = (cells, random) => {
+  const blobs = Array.from({ length: 10 }, () => ({
+    x: 0.15 + (random() * 0.7),
+    y: 0.15 + (random() * 0.7),
+    radius: 0.08 + (random() * 0.2),
+    height: (random() < 0.75 ? 1 : -1) * (0.25 + (random() * 0.35))
+  }));
+
+  return cells.map(({ site }) => {
+    const x = site.x / MAP_WIDTH;
+    const y = site.y / MAP_HEIGHT;
+    const dx = (x * 2) - 1;
+    const dy = (y * 2) - 1;
+    let elevation = 0.6 - (0.6 * ((dx * dx) + (dy * dy)));
+
+    blobs.forEach((blob) => {
+      const squared = ((x - blob.x) ** 2) + ((y - blob.y) ** 2);
+      elevation += blob.height * Math.exp(-squared / (2 * blob.radius * blob.radius));
+    });
+
+    return elevation + (random() * 0.04);
+  });
+};
+
+/**
+ * Pick a starting cell for each region
+ * A region that names an already placed neighbour starts about one region-width away from it;
+ * any other region starts as far as possible from those already placed
+ * @param {Object[]} regions - Regions
+ * @param {Object[]} landCells - Land cells
+ * @param {Function} random - Seeded random number generator
+ * @returns {Object[]} Starting cell per region
+ */
+const placeRegionSeeds = (regions, landCells, random) => {
+  const spacing = Math.sqrt((landCells.length * (MAP_WIDTH / GRID_COLUMNS) * (MAP_HEIGHT / GRID_ROWS)) / regions.length);
+  const seedsByName = new Map();
+  const seeds = [];
+
+  regions.forEach((region) => {
+    const available = landCells.filter(cell => !seeds.includes(cell));
+    if (available.length === 0) {
+      seeds.push(seeds[seeds.length - 1] || landCells[0]);
+      return;
+    }
+
+    const placedNeighbours = (region.neighbours || [])
+      .map(name => seedsByName.get(name.toLowerCase()))
+      .filter(Boolean);
+
+    let best = available[Math.floor(random() * available.length)];
+    if (seeds.length > 0) {
+      let bestScore = -Infinity;
+      available.forEach((cell) => {
+        const nearest = Math.min(...seeds.map(seed => distance(cell.site, seed.site)));
+        const score = placedNeighbours.length > 0
+          ? -Math.abs(distance(cell.site, placedNeighbours[0].site) - spacing) + Math.min(nearest, spacing)
+          : nearest;
+        const jittered = score + (random() * 10);
+        if (jittered > bestScore) {
+          bestScore = jittered;
+          best = cell;
+        }
+      });
+    }
+
+    seeds.push(best);
+    seedsByName.set(region.name.toLowerCase(), best);
+  });
+
+  return seeds;
+};
+
+/**
+ * Grow regions outwards from their starting cells across connected land
+ * Land not reachable from any start (separate islands) joins the region whose start is closest
+ * @param {Object[]} cells - Cells
+ * @param {boolean[]} isLand - Land flag per cell
+ * @param {Object[]} seeds - Starting cell per region
+ * @param {Function} random - Seeded random number generator
+ * @returns {number[]} Region index per cell (-1 for water)
+ */
+const growRegions = (cells, isLand, seeds, random) => {
+  const owner = cells.map(() => -1);
+  const cost = cells.map(() => Infinity);
+  const frontier = [];
+
+  seeds.forEach((seed, regionIndex) => {
+    if (owner[seed.index] === -1) {
+      owner[seed.index] = regionIndex;
+      cost[seed.index] = 0;
+      frontier.push(seed.index);
+    }
+  });
+
+  while (frontier.length > 0) {
+    let lowest = 0;
+    frontier.forEach((index, position) => {
+      if (cost[index] < cost[frontier[lowest]]) lowest = position;
+    });
+    const [current] = frontier.splice(lowest, 1);
+
+    cells[current].neighbours.forEach((next) => {
+      if (!isLand[next]) return;
+      const stepCost = cost[current] + (distance(cells[current].site, cells[next].site) * (0.8 + (random() * 0.4)));
+      if (stepCost < cost[next]) {
+        if (cost[next] === Infinity) frontier.push(next);
+        cost[next] = stepCost;
+        owner[next] = owner[current];
+      }
+    });
+  }
+
+  cells.forEach((cell) => {
+    if (isLand[cell.index] && owner[cell.index] === -1 && seeds.length > 0) {
+      const distances = seeds.map(seed => distance(cell.site, seed.site));
+      owner[cell.index] = distances.indexOf(Math.min(...distances));
+    }
+  });
+
+  return owner;
+};
+
+/**
+ * Trace rivers downhill from high ground to the sea
+ * A river that runs into another one stops there as a tributary; one caught in a hollow ends as it is
+ * @param {Object[]} cells - Cells
+ * @param {number[]} elevation - Elevation per cell
+ * @param {boolean[]} isLand - Land flag per cell
+ * @param {number} count - Number of rivers to try
+ * @param {Function} random - Seeded random number generator
+ * @returns {Object} { rivers: point lists, riverCells: Set of cell indexes }
+ */
+const traceRivers = (cells, elevation, isLand, count, random) => {
+  const highland = cells
+    .filter(cell => isLand[cell.index])
+    .sort((a, b) => elevation[b.index] - elevation[a.index]);
+  const sources = highland.slice(0, Math.max(1, Math.floor(highland.length * 0.3)));
+  const riverCells = new Set();
+  const rivers = [];
+
+  for (let attempt = 0; attempt < count * 4 && rivers.length < count && sources.length > 0; attempt += 1) {
+    const [source] = sources.splice(Math.floor(random() * sources.length), 1);
+    if (riverCells.has(source.index) || source.neighbours.some(index => riverCells.has(index))) continue;
+
+    const path = [source.index];
+    let current = source;
+    let outlet = null;
+
+    while (!outlet) {
+      const lowest = current.neighbours.reduce((best, index) => (elevation[index] < elevation[best] ? index : best));
+      if (elevation[lowest] >= elevation[current.index]) break;
+      if (!isLand[lowest] || riverCells.has(lowest)) {
+        outlet = lowest;
+      } else {
+        path.push(lowest);
+        current = cells[lowest];
+      }
+    }
+
+    if (path.length < 3) continue;
+
+    const points = path.map(index => cells[index].site);
+    if (outlet !== null) {
+      const last = points[points.length - 1];
+      const end = cells[outlet].site;
+      // Rivers end at the coast (or the river they join), not at the middle of the next cell
+      points.push(isLand[outlet] ? end : { x: (last.x + end.x) / 2, y: (last.y + end.y) / 2 });
+    }
+
+    path.forEach(index => riverCells.add(index));
+    rivers.push(points);
+  }
+
+  return { rivers, riverCells };
+};
+
+/**
+ * Choose cells for a region's named places, keeping them apart from every other place
+ * @param {string[]} names - Place names
+ * @param {Object[]} regionCells - Cells of the region, best candidates first
+ * @param {Object[]} taken - Places already on the map
+ * @returns {Object[]} Chosen cells, one per name that found room
+ */
+const choosePlaceCells = (names, regionCells, taken) => {
+  const chosen = [];
+  names.forEach(() => {
+    const free = regionCells.filter(cell => ![...taken, ...chosen.map(c => c.site)].some(place => place.x === cell.site.x && place.y === cell.site.y));
+    const spaced = free.find(cell => [...taken, ...chosen.map(c => c.site)].every(place => distance(place, cell.site) >= MIN_PLACE_SPACING));
+    const pick = spaced || free[0];
+    if (pick) chosen.push(pick);
+  });
+  return chosen;
+};
+
+/**
+ * Pick the fill color of a region from its biome
+ * @param {Object} region - Region
+ * @param {number} index - Region index
+ * @returns {string} Hex color
+ */
+export const getRegionColor = (region, index) => {
+  const biome = (region?.biome || '').toLowerCase();
+  const match = BIOME_COLORS.find(({ pattern }) => pattern.test(biome));
+  return match ? match.color : FALLBACK_COLORS[index % FALLBACK_COLORS.length];
+};
+
+/**
+ * Turn a polygon into an SVG path
+ * @param {Object[]} points - Points { x, y }
+ * @returns {string} Closed SVG path data
+ */
+const toPolygonPath = (points) => `M${points.map(point => `${point.x.toFixed(1)} ${point.y.toFixed(1)}`).join('L')}Z`;
+
+/**
+ * Turn a list of points into a smooth SVG path through their midpoints
+ * @param {Object[]} points - Points { x, y }
+ * @returns {string} SVG path data
+ */
+export const toSmoothPath = (points) => {
+  if (points.length < 2) return '';
+  const format = (point) => `${point.x.toFixed(1)} ${point.y.toFixed(1)}`;
+  let path = `M${format(points[0])}`;
+  for (let i = 1; i < points.length - 1; i += 1) {
+    const mid = { x: (points[i].x + points[i + 1].x) / 2, y: (points[i].y + points[i + 1].y) / 2 };
+    path += `Q${format(points[i])} ${format(mid)}`;
+  }
+  return `${path}L${format(points[points.length - 1])}`;
+};
+
+/**
+ * Generate a map for a world's regions
+ * @param {Object[]} regions - Structured regions
+ * @param {number} seed - Map seed
+ * @returns {Object} Map layers: cells, coastline and border segments, rivers, places and region labels
+ */
+export const generateWorldMap = (regions = [], seed = 0) => {
+  const random = createRandom(seed);
+  const cells = buildCells(random);
+  const elevation = buildElevation(cells, random);
+
+  // Sea level is chosen so a fixed share of the map is land, growing a little with the number of regions
+  const landShare = Math.min(0.6, 0.42 + (regions.length * 0.02));
+  const sorted = [...elevation].sort((a, b) => b - a);
+  const seaLevel = sorted[Math.floor(cells.length * landShare)];
+  const isLand = cells.map(cell => (
+    elevation[cell.index] > seaLevel && cell.polygon.every(vertex => vertex.edge !== -1)
+  ));
+
+  const landCells = cells.filter(cell => isLand[cell.index]);
+  const seeds = regions.length > 0 && landCells.length > 0 ? placeRegionSeeds(regions, landCells, random) : [];
+  const owner = growRegions(cells, isLand, seeds, random);
+  const { rivers, riverCells } = traceRivers(cells, elevation, isLand, Math.min(8, 3 + regions.length), random);
+
+  // Shared edges between cells: coastline where land meets water, borders where regions meet
+  const coastline = [];
+  const borders = [];
+  cells.forEach((cell) => {
+    cell.polygon.forEach((vertex, k) => {
+      const other = vertex.edge;
+      if (other < cell.index) return;
+      const segment = [vertex, cell.polygon[(k + 1) % cell.polygon.length]];
+      if (isLand[cell.index] !== isLand[other]) {
+        coastline.push(segment);
+      } else if (isLand[cell.index] && owner[cell.index] !== owner[other]) {
+        borders.push(segment);
+      }
+    });
+  });
+
+  // Settlements favour rivers and coasts; landmarks favour high ground
+  const places = [];
+  const labels = [];
+  regions.forEach((region, regionIndex) => {
+    const regionCells = cells.filter(cell => owner[cell.index] === regionIndex);
+    if (regionCells.length === 0) return;
+
+    const isCoastal = (cell) => cell.neighbours.some(index => !isLand[index]);
+    const settlementCells = [...regionCells].sort((a, b) => (
+      ((riverCells.has(b.index) || isCoastal(b) ? 1 : 0) - (riverCells.has(a.index) || isCoastal(a) ? 1 : 0))
+      || (random() - 0.5)
+    ));
+    const landmarkCells = [...regionCells].sort((a, b) => elevation[b.index] - elevation[a.index]);
+
+    [
+      { kind: 'settlement', names: region.settlements || [], candidates: settlementCells },
+      { kind: 'landmark', names: region.landmarks || [], candidates: landmarkCells }
+    ].forEach(({ kind, names, candidates }) => {
+      choosePlaceCells(names, candidates, places).forEach((cell, i) => {
+        places.push({ kind, name: names[i], region: region.name, x: cell.site.x, y: cell.site.y });
+      });
+    });
+
+    // Region name goes on the free cell nearest the middle of the region
+    const centre = {
+      x: regionCells.reduce((sum, cell) => sum + cell.site.x, 0) / regionCells.length,
+      y: regionCells.reduce((sum, cell) => sum + cell.site.y, 0) / regionCells.length
+    };
+    const labelCell = [...regionCells]
+      .sort((a, b) => distance(a.site, centre) - distance(b.site, centre))
+      .find(cell => places.every(place => distance(place, cell.site) > 24)) || regionCells[0];
+    labels.push({ name: region.name, x: labelCell.site.x, y: labelCell.site.y });
+  });
+
+  return {
+    width: MAP_WIDTH,
+    height: MAP_HEIGHT,
+    cells: cells.map(cell => ({
+      path: toPolygonPath(cell.polygon),
+      isLand: isLand[cell.index],
+      depth: isLand[cell.index] ? 0 : Math.min(1, (seaLevel - elevation[cell.index]) / 0.6),
+      region: owner[cell.index]
+    })),
+    coastline,
+    borders,
+    rivers,
+    places,
+    labels
+  };
+};
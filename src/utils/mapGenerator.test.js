@@ -0,0 +1,72 @@
+import { MAP_HEIGHT, MAP_WIDTH, generateWorldMap, getMapSeed, hashString } from './mapGenerator';
+
+const REGIONS = [
+  { name: 'The Shallows', settlements: ['Saltmarket', 'Gullhaven'], landmarks: ['The Bell Tower'] },
+  { name: 'The Ridge', settlements: ['Highfold'], landmarks: [] },
+  { name: 'The Mire', settlements: [], landmarks: ['Sunken Abbey'] }
+];
+
+describe('getMapSeed', () => {
+  it('uses the seed stored with the world', () => {
+    expect(getMapSeed({ mapSeed: 42, worldType: 'Fantasy', userIdea: 'Anything' })).toBe(42);
+  });
+
+  it('derives a stable seed from the world type and idea until one is stored', () => {
+    const world = { worldType: 'Fantasy', userIdea: 'A drowned empire' };
+
+    expect(getMapSeed(world)).toBe(hashString('Fantasy|A drowned empire'));
+    expect(getMapSeed({ ...world })).toBe(getMapSeed(world));
+    expect(getMapSeed({ ...world, userIdea: 'A burning empire' })).not.toBe(getMapSeed(world));
+  });
+
+  it('hashes to an unsigned 32-bit integer', () => {
+    ['', 'a', 'A drowned empire'.repeat(50)].forEach((text) => {
+      const hash = hashString(text);
+      expect(Number.isInteger(hash) && hash >= 0 && hash < 2 ** 32).toBe(true);
+    });
+  });
+});
+
+describe('generateWorldMap', () => {
+  it('draws the same map for the same regions and seed', () => {
+    expect(generateWorldMap(REGIONS, 1234)).toEqual(generateWorldMap(REGIONS, 1234));
+  });
+
+  it('draws a different layout for another seed', () => {
+    const first = generateWorldMap(REGIONS, 1234);
+    const second = generateWorldMap(REGIONS, 98765);
+
+    expect(second.cells.map(cell => cell.path)).not.toEqual(first.cells.map(cell => cell.path));
+  });
+
+  it('labels every region and places its settlements and landmarks inside the map', () => {
+    const map = generateWorldMap(REGIONS, 1234);
+
+    expect(map).toMatchObject({ width: MAP_WIDTH, height: MAP_HEIGHT });
+    expect(map.labels.map(label => label.name)).toEqual(REGIONS.map(region => region.name));
+    expect(map.places.map(({ kind, name, region }) => [kind, name, region])).toEqual(expect.arrayContaining([
+      ['settlement', 'Saltmarket', 'The Shallows'],
+      ['landmark', 'The Bell Tower', 'The Shallows'],
+      ['settlement', 'Highfold', 'The Ridge'],
+      ['landmark', 'Sunken Abbey', 'The Mire']
+    ]));
+    [...map.places, ...map.labels].forEach(({ x, y }) => {
+      expect(x >= 0 && x <= MAP_WIDTH && y >= 0 && y <= MAP_HEIGHT).toBe(true);
+    });
+  });
+
+  it('gives land cells to regions and leaves water unowned', () => {
+    const { cells } = generateWorldMap(REGIONS, 1234);
+
+    expect(cells.filter(cell => !cell.isLand).every(cell => cell.region === -1)).toBe(true);
+    expect(new Set(cells.filter(cell => cell.isLand).map(cell => cell.region))).toEqual(new Set([0, 1, 2]));
+  });
+
+  it('draws land and sea without regions', () => {
+    const map = generateWorldMap([], 7);
+
+    expect(map.cells.some(cell => cell.isLand)).toBe(true);
+    expect(map.labels).toEqual([]);
+    expect(map.places).toEqual([]);
+  });
+});
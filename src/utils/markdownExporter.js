@@ -0,0 +1,276 @@
+import JSZip from 'jszip';
+import { createExportFilename, downloadBlob, getImageType } from './download';
+import { REGION_LIST_FIELDS } from './regions';
+import { getFactionMembers, listFactionRelationships } from './factions';
+import { getEventLinks } from './timeline';
+import { getCharacterSheetParts } from './characterSheet';
+import { SYSTEM_KINDS, getSystemParts } from './magicSystem';
+import { getScenarioParts } from './scenarios';
+
+/**
+ * Markdown Export Utility
+ * Writes a world as a Markdown document with its images as separate files, bundled in a zip
+ * so the folder can be committed next to design docs
+ */
+class WorldMarkdownExporter {
+  constructor() {
+    this.images = [];
+  }
+
+  /**
+   * Escape text for use inside a Markdown table cell
+   * @param {string} text - Cell text
+   * @returns {string} Escaped text on a single line
+   */
+  escapeTableCell(text) {
+    return (text || '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+  }
+
+  /**
+   * Queue an image for the zip and return its relative path
+   * @param {string} base64 - Base64 image data
+   * @param {string} name - File name without extension
+   * @returns {string} Path of the image relative to the Markdown file
+   */
+  addImage(base64, name) {
+    const path = `images/${name}.${getImageType(base64).extension}`;
+    this.images.push({ path, base64 });
+    return path;
+  }
+
+  /**
+   * Render a visual as an image link, or its art brief as a quote when no image was generated
+   * @param {Object} visual - Visual entry ({ isImage, image } or { isDescription, description })
+   * @param {string} name - File name for the image
+   * @param {string} alt - Alt text
+   * @returns {string} Markdown (empty when there is no visual)
+   */
+  renderVisual(visual, name, alt) {
+    if (visual?.isImage) {
+      return `![${alt}](${this.addImage(visual.image, name)})\n\n`;
+    }
+    if (visual?.isDescription && visual.description) {
+      const quoted = visual.description.trim().split(/\r?\n/).map(line => `> ${line}`.trimEnd()).join('\n');
+      return `> **Art direction brief**\n>\n${quoted}\n\n`;
+    }
+    return '';
+  }
+
+  /**
+   * Build the Markdown document for a world, collecting its images
+   * @param {Object} worldData - Complete world data
+   * @returns {string} Markdown document
+   */
+  buildMarkdown(worldData) {
+    const {
+      worldNarrative,
+      gameBookIdeas,
+      customizationOptions,
+      characterConcepts,
+      factions,
+      regions,
+      timeline,
+      magicSystem,
+      scenarios,
+      conceptImage,
+      conceptImageDescription,
+      characterVisuals = [],
+      scenarioVisuals = [],
+      userIdea,
+      worldType
+    } = worldData;
+
+    this.images = [];
+    let md = `# ${worldType} World\n\n`;
+    md += `> ${userIdea}\n\n`;
+
+    if (conceptImage) {
+      md += this.renderVisual({ isImage: true, image: conceptImage }, 'concept-art', 'Concept art');
+    } else {
+      md += this.renderVisual(conceptImageDescription, 'concept-art', 'Concept art');
+    }
+
+    if (worldNarrative) {
+      md += `## World Narrative\n\n${worldNarrative.trim()}\n\n`;
+    }
+
+    if (characterConcepts && characterConcepts.length > 0) {
+      md += '## Character Concepts\n\n';
+      md += '| # | Name | Role | Description |\n';
+      md += '|---|------|------|-------------|\n';
+      characterConcepts.forEach((character, index) => {
+        md += `| ${index + 1} | ${this.escapeTableCell(character.name)} | ${this.escapeTableCell(character.role)} | ${this.escapeTableCell(character.description)} |\n`;
+      });
+      md += '\n';
+
+      characterConcepts.forEach((character, index) => {
+        const visual = this.renderVisual(characterVisuals[index], `character-${index + 1}`, `Portrait of ${character.name}`);
+        if (visual || character.sheet) {
+          md += `### ${character.name}\n\n${visual}`;
+        }
+        if (character.sheet) {
+          if (character.sheet.appearance) {
+            md += `${character.sheet.appearance}\n\n`;
+          }
+          getCharacterSheetParts(character.sheet).forEach(({ label, items }) => {
+            md += `**${label}**\n\n${items.map(item => `- ${item}`).join('\n')}\n\n`;
+          });
+        }
+      });
+    }
+
+    if (factions && factions.length > 0) {
+      md += '## Factions\n\n';
+      const members = getFactionMembers(characterConcepts, factions);
+      factions.forEach((faction, index) => {
+        md += `### ${faction.name}\n\n`;
+        if (faction.ideology) {
+          md += `*${faction.ideology}*\n\n`;
+        }
+        const details = [
+          ['Leader', faction.leader],
+          ['Territory', faction.territory],
+          ['Resources', faction.resources.join(', ')],
+          ['Goals', faction.goals.join('; ')],
+          ['Relationships', listFactionRelationships(factions, index).join('; ')],
+          ['Characters', members[index].map(character => character.name).join(', ')]
+        ].filter(([, value]) => value);
+        details.forEach(([label, value]) => {
+          md += `- **${label}:** ${value}\n`;
+        });
+        if (details.length > 0) {
+          md += '\n';
+        }
+      });
+    }
+
+    if (magicSystem) {
+      md += `## Magic & Technology: ${magicSystem.name}\n\n`;
+      md += `*${SYSTEM_KINDS[magicSystem.kind]}*\n\n`;
+      if (magicSystem.overview) {
+        md += `${magicSystem.overview}\n\n`;
+      }
+      getSystemParts(magicSystem).forEach(({ label, items }) => {
+        md += `### ${label}\n\n`;
+        items.forEach((item) => {
+          if (typeof item === 'string') {
+            md += `- ${item}\n`;
+          } else {
+            md += `- **${item.name}**${item.description ? ` - ${item.description}` : ''}${item.practitioners ? ` *(practised by ${item.practitioners})*` : ''}\n`;
+          }
+        });
+        md += '\n';
+      });
+      if (magicSystem.societalImpact) {
+        md += `### Impact on Society\n\n${magicSystem.societalImpact}\n\n`;
+      }
+    }
+
+    if (scenarios && scenarios.length > 0) {
+      md += '## World Scenarios\n\n';
+      scenarios.forEach((scenario, i) => {
+        md += `### ${scenario.title}\n\n`;
+        if (scenario.location) {
+          md += `*${scenario.location}*\n\n`;
+        }
+        md += this.renderVisual(scenarioVisuals[i], `scenario-${i + 1}`, `Artwork for ${scenario.title}`);
+        if (scenario.summary) {
+          md += `${scenario.summary}\n\n`;
+        }
+        if (scenario.stakes) {
+          md += `**At stake:** ${scenario.stakes}\n\n`;
+        }
+        getScenarioParts(scenario).forEach(({ label, items }) => {
+          md += `**${label}**\n\n${items.map(item => `- ${item}`).join('\n')}\n\n`;
+        });
+      });
+    }
+
+    if (gameBookIdeas && gameBookIdeas.length > 0) {
+      md += '## Game & Book Ideas\n\n';
+      gameBookIdeas.forEach((idea, index) => {
+        md += `${index + 1}. **${idea.title}** - ${idea.synopsis}\n`;
+      });
+      md += '\n';
+    }
+
+    if (customizationOptions && customizationOptions.length > 0) {
+      md += '## Customization Options\n\n';
+      customizationOptions.forEach((option, index) => {
+        md += `${index + 1}. **${option.title}** - ${option.description}\n`;
+      });
+      md += '\n';
+    }
+
+    if (regions && regions.length > 0) {
+      md += '## Regions\n\n';
+      regions.forEach((region) => {
+        md += `### ${region.name}\n\n`;
+        const details = [region.biome, region.climate].filter(Boolean);
+        if (details.length > 0) {
+          md += `*${details.join(' · ')}*\n\n`;
+        }
+        if (region.atmosphere) {
+          md += `${region.atmosphere}\n\n`;
+        }
+        const lists = REGION_LIST_FIELDS.filter(({ key }) => region[key]?.length > 0);
+        lists.forEach(({ key, label }) => {
+          md += `- **${label}:** ${region[key].join(', ')}\n`;
+        });
+        if (lists.length > 0) {
+          md += '\n';
+        }
+      });
+    }
+
+    if (timeline && timeline.length > 0) {
+      md += '## Timeline\n\n';
+      timeline.forEach((era) => {
+        md += `### ${era.name}\n\n`;
+        if (era.period) {
+          md += `*${era.period}*\n\n`;
+        }
+        if (era.description) {
+          md += `${era.description}\n\n`;
+        }
+        era.events.forEach((event) => {
+          const links = getEventLinks(event);
+          md += `- ${event.date ? `**${event.date}** - ` : ''}${event.title}${event.description ? `: ${event.description}` : ''}`;
+          md += links.length > 0 ? ` *(${links.join(', ')})*\n` : '\n';
+        });
+        if (era.events.length > 0) {
+          md += '\n';
+        }
+      });
+    }
+
+    md += '---\n\n';
+    md += `*Generated by Lumina Oz Game Dev - World Building Tool on ${new Date().toLocaleDateString()}*\n`;
+
+    return md;
+  }
+
+  /**
+   * Export a world as a zip holding world.md and an images folder
+   * @param {Object} worldData - Complete world data
+   * @returns {Promise<string>} The filename used
+   */
+  async exportWorldToMarkdown(worldData) {
+    if (!worldData) {
+      throw new Error('No world data to export');
+    }
+
+    const zip = new JSZip();
+    zip.file('world.md', this.buildMarkdown(worldData));
+    this.images.forEach(({ path, base64 }) => {
+      zip.file(path, base64, { base64: true });
+    });
+
+    const filename = createExportFilename(worldData.worldType, 'md.zip');
+    downloadBlob(await zip.generateAsync({ type: 'blob' }), filename);
+
+    return filename;
+  }
+}
+
+export default WorldMarkdownExporter;
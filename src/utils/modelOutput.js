@@ -0,0 +1,24 @@
+/**
+ * Model Output Utility
+ * Reads fields out of the structured JSON the model returns, which may leave fields out or give them the wrong type.
+ * Shared by the normalizers of every generated section
+ */
+
+/**
+ * Keep the non-empty strings of a list
+ * @param {any} value - Generated list
+ * @returns {string[]} Trimmed strings
+ */
+export const toStringList = (value) => (
+  Array.isArray(value)
+    ? value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim())
+    : []
+);
+
+/**
+ * Read a trimmed string field
+ * @param {Object} item - Generated object
+ * @param {string} key - Field name
+ * @returns {string} Trimmed value, or an empty string
+ */
+export const readText = (item, key) => (typeof item?.[key] === 'string' ? item[key].trim() : '');
@@ -1,4 +1,12 @@
 import { jsPDF } from 'jspdf';
+import { createExportFilename, getImageType } from './download';
+import { REGION_LIST_FIELDS } from './regions';
+import { getFactionMembers, listFactionRelationships } from './factions';
+import { getEventLinks } from './timeline';
+import { getCharacterSheetParts } from './characterSheet';
+import { SYSTEM_KINDS, getSystemParts } from './magicSystem';
+import { getScenarioParts } from './scenarios';
+import { parseRichText } from './richText';
 
 /**
  * PDF Export Utility for World Building App
@@ -70,10 +78,10 @@ class WorldPDFExporter {
   /**
    * Add regular text content
    */
-  addText(text, fontSize = 11, fontStyle = 'normal') {
+  addText(text, fontSize = 11, fontStyle = 'normal', color = [0, 0, 0]) {
     if (!text) return;
 
-    this.pdf.setTextColor(0, 0, 0);
+    this.pdf.setTextColor(...color);
     this.pdf.setFontSize(fontSize);
     this.pdf.setFont('helvetica', fontStyle);
 
@@ -90,83 +98,258 @@ class WorldPDFExporter {
   }
 
   /**
-   * Add a character card
+   * Add prose in the rich text form of utils/richText, wrapping words of mixed bold and italic
+   * @param {string} text - Rich text
+   * @param {number} fontSize - Font size of paragraphs; headings are slightly larger
    */
-  addCharacterCard(character, index) {
-    this.checkPageBreak(25);
+  addRichText(text, fontSize = 11) {
+    const right = this.pageWidth - this.margin;
+
+    parseRichText(text).forEach((block) => {
+      if (block.type === 'heading') {
+        this.checkPageBreak(this.lineHeight * 2);
+        this.addText(block.spans.map(span => span.text).join(''), fontSize + 2, 'bold', [63, 77, 100]);
+        return;
+      }
+
+      this.pdf.setTextColor(0, 0, 0);
+      this.pdf.setFontSize(fontSize);
+      this.checkPageBreak(this.lineHeight);
+      let x = this.margin;
+
+      /**
+       * Continue on the next line, on a new page if needed
+       */
+      const newLine = () => {
+        this.currentY += this.lineHeight;
+        this.checkPageBreak(this.lineHeight);
+        x = this.margin;
+      };
+
+      block.spans.forEach((span) => {
+        const style = span.bold && span.italic ? 'bolditalic' : span.bold ? 'bold' : span.italic ? 'italic' : 'normal';
+        this.pdf.setFont('helvetica', style);
+
+        span.text.split(/(\n|[^\S\n]+)/).filter(Boolean).forEach((word) => {
+          if (word === '\n') {
+            newLine();
+          } else if (!word.trim()) {
+            if (x > this.margin) x += this.pdf.getTextWidth(' ');
+          } else {
+            const width = this.pdf.getTextWidth(word);
+            if (x + width > right && x > this.margin) newLine();
+            this.pdf.text(word, x, this.currentY);
+            x += width;
+          }
+        });
+      });
+
+      this.currentY += this.lineHeight + 3; // Finish the last line, then the usual spacing
+    });
+  }
+
+  /**
+   * Work out the jsPDF format of base64 image data
+   * @param {string} base64 - Base64 image data
+   * @returns {string} 'JPEG' or 'PNG'
+   */
+  getImageFormat(base64) {
+    return getImageType(base64).mimeType === 'image/jpeg' ? 'JPEG' : 'PNG';
+  }
+
+  /**
+   * Draw base64 image data, skipping images jsPDF cannot read
+   * @param {string} base64 - Base64 image data
+   * @param {number} x - Left position in mm
+   * @param {number} y - Top position in mm
+   * @param {number} width - Width in mm
+   * @param {number} height - Height in mm
+   * @returns {boolean} Whether the image was drawn
+   */
+  addImage(base64, x, y, width, height) {
+    try {
+      this.pdf.addImage(base64, this.getImageFormat(base64), x, y, width, height);
+      return true;
+    } catch (error) {
+      console.warn('Skipping image that could not be added to the PDF:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Add the concept art as a full-width hero image, keeping its aspect ratio
+   */
+  addHeroImage(base64) {
+    const maxWidth = this.pageWidth - (2 * this.margin);
+    const maxHeight = 110;
+    let width = maxWidth;
+    let height = maxWidth;
+
+    try {
+      const { width: pixelWidth, height: pixelHeight } = this.pdf.getImageProperties(base64);
+      height = width * (pixelHeight / pixelWidth);
+    } catch (error) {
+      console.warn('Could not read concept art dimensions:', error);
+      return;
+    }
+
+    if (height > maxHeight) {
+      width *= maxHeight / height;
+      height = maxHeight;
+    }
+
+    this.checkPageBreak(height + 10);
+    const x = this.margin + ((maxWidth - width) / 2);
+    if (!this.addImage(base64, x, this.currentY, width, height)) return;
+
+    this.currentY += height + 5;
+    this.pdf.setTextColor(100, 100, 100);
+    this.pdf.setFontSize(9);
+    this.pdf.setFont('helvetica', 'italic');
+    this.pdf.text('AI-generated concept art', this.margin, this.currentY);
+    this.currentY += 10;
+  }
+
+  /**
+   * Add the written art-direction brief of a visual that fell back to a description
+   */
+  addArtBrief(description, title = 'Art direction brief') {
+    if (!description) return;
+
+    this.checkPageBreak(12);
+    this.pdf.setTextColor(100, 100, 100);
+    this.pdf.setFontSize(9);
+    this.pdf.setFont('helvetica', 'bold');
+    this.pdf.text(title, this.margin, this.currentY);
+    this.currentY += 5;
+
+    // Briefs are not cleaned of markdown when generated
+    const plainText = description.replace(/\*\*|__|^#{1,6}\s*/gm, '').trim();
+    this.addText(plainText, 9, 'italic', [80, 80, 80]);
+    this.currentY += 2;
+  }
+
+  /**
+   * Add a card with a number badge, title, subtitle and description
+   * A generated image is drawn on the left of the card; a description fallback is printed below it
+   */
+  addCard({ number, title, subtitle, description, visual, fillColor, badgeColor }) {
+    const image = visual?.isImage ? visual.image : null;
+    const imageSize = 34;
+    const cardWidth = this.pageWidth - (2 * this.margin);
+    const textX = this.margin + (image ? imageSize + 10 : 20);
+
+    this.pdf.setFontSize(10);
+    this.pdf.setFont('helvetica', 'normal');
+    const lines = this.pdf.splitTextToSize(description, this.pageWidth - this.margin - textX - 4);
+    const shownLines = lines.slice(0, image ? 5 : 2); // Limit lines to the card height
+    const cardHeight = image ? imageSize + 6 : 20;
+
+    this.checkPageBreak(cardHeight + 5);
 
     // Card background
-    this.pdf.setFillColor(248, 250, 252);
-    this.pdf.rect(this.margin, this.currentY - 5, this.pageWidth - (2 * this.margin), 20, 'F');
+    this.pdf.setFillColor(...fillColor);
+    this.pdf.rect(this.margin, this.currentY - 5, cardWidth, cardHeight, 'F');
 
-    // Character number badge
-    this.pdf.setFillColor(139, 92, 246);
+    const hasImage = image && this.addImage(image, this.margin + 3, this.currentY - 2, imageSize, imageSize);
+
+    // Number badge, on the image corner when there is one
+    this.pdf.setFillColor(...badgeColor);
     this.pdf.circle(this.margin + 8, this.currentY + 2, 4, 'F');
     this.pdf.setTextColor(255, 255, 255);
     this.pdf.setFontSize(10);
     this.pdf.setFont('helvetica', 'bold');
-    this.pdf.text(`${index + 1}`, this.margin + 6, this.currentY + 3);
+    this.pdf.text(`${number}`, this.margin + 6, this.currentY + 3);
 
-    // Character info
+    // Card info
+    const infoX = hasImage ? textX : this.margin + 20;
     this.pdf.setTextColor(0, 0, 0);
     this.pdf.setFontSize(12);
     this.pdf.setFont('helvetica', 'bold');
-    this.pdf.text(character.name || `Character ${index + 1}`, this.margin + 20, this.currentY + 2);
+    this.pdf.text(title, infoX, this.currentY + 2);
 
     this.pdf.setFontSize(10);
     this.pdf.setFont('helvetica', 'normal');
     this.pdf.setTextColor(100, 100, 100);
-    this.pdf.text(character.role || 'Role not specified', this.margin + 20, this.currentY + 8);
+    this.pdf.text(subtitle, infoX, this.currentY + 8);
 
     this.pdf.setTextColor(0, 0, 0);
-    const descText = character.description || 'Character description available for expansion';
-    const lines = this.pdf.splitTextToSize(descText, this.pageWidth - (2 * this.margin) - 20);
-    
     let textY = this.currentY + 12;
-    for (let line of lines.slice(0, 2)) { // Limit to 2 lines in card
-      this.pdf.text(line, this.margin + 20, textY);
+    for (let line of shownLines) {
+      this.pdf.text(line, infoX, textY);
       textY += 5;
     }
 
-    this.currentY += 25;
+    this.currentY += cardHeight + 5;
+
+    if (visual?.isDescription) {
+      this.addArtBrief(visual.description);
+    }
   }
 
   /**
-   * Add a scenario card
+   * Add a character card with its portrait or art brief
    */
-  addScenarioCard(index) {
-    this.checkPageBreak(20);
-
-    // Card background
-    this.pdf.setFillColor(239, 246, 255);
-    this.pdf.rect(this.margin, this.currentY - 5, this.pageWidth - (2 * this.margin), 18, 'F');
+  addCharacterCard(character, index, visual = null) {
+    this.addCard({
+      number: index + 1,
+      title: character.name || `Character ${index + 1}`,
+      subtitle: character.role || 'Role not specified',
+      description: character.description || 'Character description available for expansion',
+      visual,
+      fillColor: [248, 250, 252],
+      badgeColor: [139, 92, 246]
+    });
+  }
 
-    // Scenario number badge
-    this.pdf.setFillColor(59, 130, 246);
-    this.pdf.circle(this.margin + 8, this.currentY + 2, 4, 'F');
-    this.pdf.setTextColor(255, 255, 255);
-    this.pdf.setFontSize(10);
-    this.pdf.setFont('helvetica', 'bold');
-    this.pdf.text(`${index + 1}`, this.margin + 6, this.currentY + 3);
+  /**
+   * Add the full sheet of an expanded character
+   */
+  addCharacterSheet(character) {
+    this.checkPageBreak(25);
 
-    // Scenario info
-    this.pdf.setTextColor(0, 0, 0);
+    this.pdf.setTextColor(107, 33, 168);
     this.pdf.setFontSize(12);
     this.pdf.setFont('helvetica', 'bold');
-    this.pdf.text(`Scenario ${index + 1}`, this.margin + 20, this.currentY + 2);
+    this.pdf.text(`${character.name} - ${character.role}`, this.margin, this.currentY);
+    this.currentY += 6;
 
-    this.pdf.setFontSize(10);
-    this.pdf.setFont('helvetica', 'normal');
-    this.pdf.setTextColor(100, 100, 100);
-    this.pdf.text('Quest', this.margin + 20, this.currentY + 8);
+    this.addText(character.sheet.appearance, 10);
 
-    this.pdf.setTextColor(0, 0, 0);
-    const descText = 'This scenario represents a key moment or location in your world, offering unique challenges and opportunities for storytelling.';
-    const lines = this.pdf.splitTextToSize(descText, this.pageWidth - (2 * this.margin) - 20);
-    
-    this.pdf.text(lines[0], this.margin + 20, this.currentY + 12);
+    getCharacterSheetParts(character.sheet).forEach(({ label, items }) => {
+      this.checkPageBreak(12);
+      this.addText(label, 10, 'bold', [107, 33, 168]);
+      items.forEach(item => this.addText(`- ${item}`, 9, 'normal', [60, 60, 60]));
+    });
+
+    this.currentY += 2;
+  }
+
+  /**
+   * Add a scenario card with its artwork or art brief, followed by its stakes, hooks and encounters
+   */
+  addScenarioCard(scenario, index, visual = null) {
+    this.addCard({
+      number: index + 1,
+      title: scenario.title,
+      subtitle: scenario.location || 'Location not specified',
+      description: scenario.summary,
+      visual,
+      fillColor: [239, 246, 255],
+      badgeColor: [59, 130, 246]
+    });
+
+    if (scenario.stakes) {
+      this.addText(`At stake: ${scenario.stakes}`, 10, 'italic', [60, 60, 60]);
+    }
+
+    getScenarioParts(scenario).forEach(({ label, items }) => {
+      this.checkPageBreak(12);
+      this.addText(label, 10, 'bold', [37, 99, 235]);
+      items.forEach(item => this.addText(`- ${item}`, 9, 'normal', [60, 60, 60]));
+    });
 
-    this.currentY += 23;
+    this.currentY += 2;
   }
 
   /**
@@ -207,6 +390,131 @@ class WorldPDFExporter {
     this.addText(option.description, 10);
   }
 
+  /**
+   * Add a faction with its ideology, leadership, aims, relationships and member characters
+   */
+  addFaction(faction, relationships, members) {
+    this.checkPageBreak(20);
+
+    this.pdf.setTextColor(63, 77, 100);
+    this.pdf.setFontSize(12);
+    this.pdf.setFont('helvetica', 'bold');
+    this.pdf.text(faction.name, this.margin, this.currentY);
+    this.currentY += 6;
+
+    if (faction.ideology) {
+      this.addText(faction.ideology, 10, 'italic', [60, 60, 60]);
+    }
+
+    [
+      ['Leader', faction.leader],
+      ['Territory', faction.territory],
+      ['Resources', faction.resources.join(', ')],
+      ['Goals', faction.goals.join('; ')],
+      ['Relationships', relationships.join('; ')],
+      ['Characters', members.map(character => character.name).join(', ')]
+    ].forEach(([label, value]) => {
+      if (value) {
+        this.addText(`${label}: ${value}`, 9, 'normal', [60, 60, 60]);
+      }
+    });
+
+    this.currentY += 2;
+  }
+
+  /**
+   * Add a region with its biome, climate, atmosphere and detail lists
+   */
+  addRegion(region, index) {
+    this.checkPageBreak(20);
+
+    this.pdf.setTextColor(30, 64, 175);
+    this.pdf.setFontSize(12);
+    this.pdf.setFont('helvetica', 'bold');
+    this.pdf.text(`${index + 1}. ${region.name}`, this.margin, this.currentY);
+    this.currentY += 6;
+
+    const details = [region.biome, region.climate].filter(Boolean).join(' - ');
+    if (details) {
+      this.addText(details, 9, 'italic', [100, 100, 100]);
+    }
+
+    this.addText(region.atmosphere, 10);
+
+    REGION_LIST_FIELDS.forEach(({ key, label }) => {
+      if (region[key]?.length > 0) {
+        this.addText(`${label}: ${region[key].join(', ')}`, 9, 'normal', [60, 60, 60]);
+      }
+    });
+
+    this.currentY += 2;
+  }
+
+  /**
+   * Add the magic or technology system with its sources, rules, schools, artifacts and impact
+   */
+  addMagicSystem(system) {
+    this.checkPageBreak(25);
+
+    this.pdf.setTextColor(91, 33, 182);
+    this.pdf.setFontSize(14);
+    this.pdf.setFont('helvetica', 'bold');
+    this.pdf.text(system.name, this.margin, this.currentY);
+    this.currentY += 6;
+
+    this.addText(SYSTEM_KINDS[system.kind], 9, 'italic', [100, 100, 100]);
+    this.addText(system.overview, 10);
+
+    getSystemParts(system).forEach(({ label, items }) => {
+      this.checkPageBreak(15);
+      this.addText(label, 10, 'bold', [91, 33, 182]);
+      items.forEach((item) => {
+        const line = typeof item === 'string'
+          ? item
+          : `${item.name}${item.description ? `: ${item.description}` : ''}${item.practitioners ? ` (practised by ${item.practitioners})` : ''}`;
+        this.addText(`- ${line}`, 9, 'normal', [60, 60, 60]);
+      });
+    });
+
+    if (system.societalImpact) {
+      this.checkPageBreak(15);
+      this.addText('Impact on Society', 10, 'bold', [91, 33, 182]);
+      this.addText(system.societalImpact, 10);
+    }
+
+    this.currentY += 2;
+  }
+
+  /**
+   * Add a timeline era with its dated events
+   */
+  addTimelineEra(era) {
+    this.checkPageBreak(20);
+
+    this.pdf.setTextColor(63, 77, 100);
+    this.pdf.setFontSize(12);
+    this.pdf.setFont('helvetica', 'bold');
+    this.pdf.text(era.name, this.margin, this.currentY);
+    this.currentY += 6;
+
+    if (era.period) {
+      this.addText(era.period, 9, 'italic', [100, 100, 100]);
+    }
+    this.addText(era.description, 10);
+
+    era.events.forEach((event) => {
+      this.checkPageBreak(12);
+      this.addText(`${event.date ? `${event.date} - ` : ''}${event.title}`, 10, 'bold', [40, 40, 40]);
+      this.addText(event.description, 9, 'normal', [60, 60, 60]);
+      const links = getEventLinks(event);
+      if (links.length > 0) {
+        this.addText(`Involves: ${links.join(', ')}`, 8, 'italic', [100, 100, 100]);
+      }
+    });
+
+    this.currentY += 2;
+  }
+
   /**
    * Check if we need a page break
    */
@@ -257,7 +565,15 @@ class WorldPDFExporter {
       gameBookIdeas,
       customizationOptions,
       characterConcepts,
-      conceptualMaps,
+      factions,
+      regions,
+      timeline,
+      magicSystem,
+      scenarios,
+      conceptImage,
+      conceptImageDescription,
+      characterVisuals = [],
+      scenarioVisuals = [],
       userIdea,
       worldType
     } = worldData;
@@ -265,6 +581,14 @@ class WorldPDFExporter {
     // Header
     this.addHeader(worldType, userIdea);
 
+    // Concept art as the hero image, or its art brief when no image was generated
+    if (conceptImage) {
+      this.addHeroImage(conceptImage);
+    } else if (conceptImageDescription?.description) {
+      this.addSectionHeader('Concept Art');
+      this.addArtBrief(conceptImageDescription.description);
+    }
+
     // User's original idea
     this.addSectionHeader('Original World Idea');
     this.addText(`"${userIdea}"`, 12, 'italic');
@@ -272,30 +596,47 @@ class WorldPDFExporter {
     // World Narrative
     if (worldNarrative) {
       this.addSectionHeader('World Narrative');
-      this.addText(worldNarrative);
+      this.addRichText(worldNarrative);
     }
 
-    // Character Concepts (always show 6)
-    this.addSectionHeader('Character Concepts');
-    const allCharacters = [...(characterConcepts || [])];
-    
-    // Fill up to 6 characters
-    while (allCharacters.length < 6) {
-      allCharacters.push({
-        name: `Character ${allCharacters.length + 1}`,
-        role: 'Available for expansion',
-        description: 'Additional character concept available for development in your world.'
+    // Character Concepts
+    if (characterConcepts && characterConcepts.length > 0) {
+      this.addSectionHeader('Character Concepts');
+      characterConcepts.forEach((character, index) => {
+        this.addCharacterCard(character, index, characterVisuals[index]);
       });
     }
 
-    allCharacters.slice(0, 6).forEach((character, index) => {
-      this.addCharacterCard(character, index);
-    });
+    // Character Sheets of the expanded characters
+    const expandedCharacters = (characterConcepts || []).filter(character => character.sheet);
+    if (expandedCharacters.length > 0) {
+      this.addSectionHeader('Character Sheets');
+      expandedCharacters.forEach((character) => {
+        this.addCharacterSheet(character);
+      });
+    }
 
-    // World Scenarios (always show 3)
-    this.addSectionHeader('World Scenarios');
-    for (let i = 0; i < 3; i++) {
-      this.addScenarioCard(i);
+    // Factions
+    if (factions && factions.length > 0) {
+      this.addSectionHeader('Factions');
+      const members = getFactionMembers(characterConcepts, factions);
+      factions.forEach((faction, index) => {
+        this.addFaction(faction, listFactionRelationships(factions, index), members[index]);
+      });
+    }
+
+    // Magic & Technology
+    if (magicSystem) {
+      this.addSectionHeader('Magic & Technology');
+      this.addMagicSystem(magicSystem);
+    }
+
+    // World Scenarios
+    if (scenarios && scenarios.length > 0) {
+      this.addSectionHeader('World Scenarios');
+      scenarios.forEach((scenario, index) => {
+        this.addScenarioCard(scenario, index, scenarioVisuals[index]);
+      });
     }
 
     // Game & Book Ideas
@@ -314,19 +655,27 @@ class WorldPDFExporter {
       });
     }
 
-    // Conceptual Maps
-    if (conceptualMaps) {
-      this.addSectionHeader('Conceptual Maps & Regions');
-      this.addText(conceptualMaps);
+    // Regions
+    if (regions && regions.length > 0) {
+      this.addSectionHeader('Regions');
+      regions.forEach((region, index) => {
+        this.addRegion(region, index);
+      });
+    }
+
+    // Timeline
+    if (timeline && timeline.length > 0) {
+      this.addSectionHeader('Timeline');
+      timeline.forEach((era) => {
+        this.addTimelineEra(era);
+      });
     }
 
     // Footer
     this.addFooter();
 
     // Generate filename
-    const sanitizedWorldType = worldType.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-    const timestamp = new Date().toISOString().slice(0, 10);
-    const filename = `world_${sanitizedWorldType}_${timestamp}.pdf`;
+    const filename = createExportFilename(worldType, 'pdf');
 
     // Save the PDF
     this.pdf.save(filename);
@@ -0,0 +1,83 @@
+import { readText, toStringList } from './modelOutput';
+
+/**
+ * Region Utility
+ * Normalizes structured regions and upgrades worlds that still hold the old free-text conceptual maps
+ */
+
+/**
+ * List fields of a region, in display order, with their labels
+ * Shared by the world display and the exporters so every view labels regions the same way
+ */
+export const REGION_LIST_FIELDS = [
+  { key: 'landmarks', label: 'Landmarks' },
+  { key: 'settlements', label: 'Settlements' },
+  { key: 'neighbours', label: 'Neighbouring regions' },
+  { key: 'dangers', label: 'Dangers' }
+];
+
+/**
+ * Fill in missing fields of one generated region
+ * @param {Object} region - Region as returned by the model
+ * @param {number} index - Position of the region, used to name unnamed regions
+ * @returns {Object} Region with every field present
+ */
+const normalizeRegion = (region, index) => ({
+  name: readText(region, 'name') || `Region ${index + 1}`,
+  biome: readText(region, 'biome'),
+  climate: readText(region, 'climate'),
+  landmarks: toStringList(region?.landmarks),
+  settlements: toStringList(region?.settlements),
+  neighbours: toStringList(region?.neighbours),
+  dangers: toStringList(region?.dangers),
+  atmosphere: readText(region, 'atmosphere')
+});
+
+/**
+ * Split old free-text conceptual maps into regions
+ * Each blank-line separated block was one region: its first line the name, the rest a description,
+ * which is kept as the region's atmosphere
+ * @param {string} text - Conceptual maps text
+ * @returns {Object[]} Regions
+ */
+const parseConceptualMaps = (text) => (
+  text.split('\n\n')
+    .filter(section => section.trim())
+    .map((section, index) => {
+      const [heading, ...content] = section.trim().split('\n');
+      return normalizeRegion({
+        name: heading.replace(/^#{1,4}\s*/, ''),
+        atmosphere: content.join('\n')
+      }, index);
+    })
+);
+
+/**
+ * Normalize generated or stored regions
+ * @param {Object[]|string} value - Region list, or the text of old conceptual maps
+ * @returns {Object[]} Regions with every field present
+ */
+export const normalizeRegions = (value) => {
+  if (typeof value === 'string') return parseConceptualMaps(value);
+  return Array.isArray(value) ? value.map(normalizeRegion) : [];
+};
+
+/**
+ * Upgrade a world saved before regions were structured
+ * Moves the conceptualMaps text (and any error recorded for it) over to the regions section
+ * @param {Object} worldData - World data
+ * @returns {Object} World data without conceptualMaps
+ */
+export const upgradeLegacyRegions = (worldData) => {
+  if (!worldData || typeof worldData !== 'object' || !('conceptualMaps' in worldData)) return worldData;
+
+  const { conceptualMaps, sectionErrors, ...world } = worldData;
+  const upgraded = { ...world, regions: normalizeRegions(conceptualMaps || '') };
+
+  if (sectionErrors) {
+    const { conceptualMaps: mapsError, ...otherErrors } = sectionErrors;
+    upgraded.sectionErrors = mapsError ? { ...otherErrors, regions: mapsError } : otherErrors;
+  }
+
+  return upgraded;
+};
@@ -0,0 +1,88 @@
+import { createAbortError, throwIfAborted } from './abort';
+
+/**
+ * Retry Utility
+ * Retries transient failures (rate limits, server errors, dropped connections) with
+ * exponential backoff and jitter, honouring Retry-After when the server sends one
+ */
+
+/**
+ * Decide whether a failed request is worth retrying
+ * @param {Error} error - Error thrown by the request
+ * @returns {boolean} True for 429, 5xx and network errors, unless the error is marked as not retryable
+ */
+export const isRetryableError = (error) => {
+  if (!error || error.name === 'AbortError' || error.retryable === false) return false;
+  if (error.isNetworkError) return true;
+  return error.status === 429 || (error.status >= 500 && error.status < 600);
+};
+
+/**
+ * Compute how long to wait before the next attempt
+ * A Retry-After delay is returned as the server sent it, even above maxDelay: retrying sooner would be refused again
+ * @param {Error} error - Error from the failed attempt
+ * @param {number} attempt - Number of the attempt that failed (1-based)
+ * @param {Object} options - { baseDelay, maxDelay } in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (error, attempt, { baseDelay = 1000, maxDelay = 30000 } = {}) => {
+  if (Number.isFinite(error?.retryAfter) && error.retryAfter > 0) {
+    return error.retryAfter;
+  }
+
+  // Exponential backoff with "equal jitter": half fixed, half random
+  const exponential = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+};
+
+/**
+ * Run an async function, retrying transient failures
+ * @param {Function} fn - Receives the attempt number and returns a promise
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Maximum number of retries after the first attempt
+ * @param {number} options.baseDelay - Delay before the first retry, doubled each time
+ * @param {number} options.maxDelay - Upper bound for a single delay; a longer Retry-After ends the retries
+ * @param {Function} options.onRetry - Called with { attempt, maxAttempts, delay, error } before waiting
+ * @param {AbortSignal} options.signal - Stops waiting with an AbortError when aborted
+ * @returns {Promise<any>} Result of the first successful attempt
+ */
+export const withRetry = async (fn, { retries = 3, baseDelay = 1000, maxDelay = 30000, onRetry = null, signal = null } = {}) => {
+  const maxAttempts = retries + 1;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= maxAttempts || !isRetryableError(error)) {
+        throw error;
+      }
+
+      throwIfAborted(signal);
+
+      const delay = getRetryDelay(error, attempt, { baseDelay, maxDelay });
+      if (delay > maxDelay) {
+        throw error;
+      }
+
+      if (onRetry) {
+        onRetry({ attempt, maxAttempts, delay, error });
+      }
+
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          clearTimeout(timer);
+          reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+          resolve();
+        }, delay);
+        if (signal) {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+      });
+    }
+  }
+};
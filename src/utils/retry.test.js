@@ -0,0 +1,119 @@
+import { getRetryDelay, isRetryableError, withRetry } from './retry';
+import { createAbortError } from './abort';
+import { ProviderError } from '../providers/http';
+
+describe('isRetryableError', () => {
+  it.each([
+    ['a rate limit', new ProviderError('Too many requests', { status: 429 }), true],
+    ['a server error', new ProviderError('Bad gateway', { status: 502 }), true],
+    ['a dropped connection', new ProviderError('Network error', { isNetworkError: true }), true],
+    ['a client error', new ProviderError('Bad request', { status: 400 }), false],
+    ['a server error marked as not retryable', new ProviderError('No API key', { status: 503, retryable: false }), false],
+    ['a cancelled request', createAbortError(), false],
+    ['an error without a status', new Error('Invalid JSON'), false]
+  ])('decides whether %s is retryable (%s)', (_, error, expected) => {
+    expect(isRetryableError(error)).toBe(expected);
+  });
+});
+
+describe('getRetryDelay', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('waits as long as Retry-After asks, even beyond the maximum', () => {
+    expect(getRetryDelay({ retryAfter: 4000 }, 1)).toBe(4000);
+    expect(getRetryDelay({ retryAfter: 90000 }, 1, { maxDelay: 30000 })).toBe(90000);
+  });
+
+  it('doubles the delay each attempt, with up to half of it random', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect([1, 2, 3].map(attempt => getRetryDelay(null, attempt, { baseDelay: 1000 }))).toEqual([500, 1000, 2000]);
+
+    Math.random.mockReturnValue(1);
+    expect([1, 2, 3].map(attempt => getRetryDelay(null, attempt, { baseDelay: 1000 }))).toEqual([1000, 2000, 4000]);
+  });
+
+  it('never backs off beyond the maximum', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    expect(getRetryDelay(null, 10, { baseDelay: 1000, maxDelay: 5000 })).toBe(5000);
+  });
+});
+
+describe('withRetry', () => {
+  const transient = () => new ProviderError('Unavailable', { status: 503 });
+
+  it('retries transient failures until an attempt succeeds', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(transient())
+      .mockRejectedValueOnce(transient())
+      .mockResolvedValue('world');
+    const onRetry = jest.fn();
+
+    await expect(withRetry(fn, { baseDelay: 1, onRetry })).resolves.toBe('world');
+    expect(fn.mock.calls).toEqual([[1], [2], [3]]);
+    expect(onRetry.mock.calls.map(([{ attempt, maxAttempts }]) => [attempt, maxAttempts])).toEqual([[1, 4], [2, 4]]);
+  });
+
+  it('gives up after the last retry with the last error', async () => {
+    const error = transient();
+    const fn = jest.fn().mockRejectedValue(error);
+
+    await expect(withRetry(fn, { retries: 2, baseDelay: 1 })).rejects.toBe(error);
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it('gives up when Retry-After asks for a longer wait than the maximum', async () => {
+    const error = new ProviderError('Too many requests', { status: 429, retryAfter: 60000 });
+    const fn = jest.fn().mockRejectedValue(error);
+    const onRetry = jest.fn();
+
+    await expect(withRetry(fn, { maxDelay: 30000, onRetry })).rejects.toBe(error);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(onRetry).not.toHaveBeenCalled();
+  });
+
+  it('does not retry errors that retrying cannot help', async () => {
+    const fn = jest.fn().mockRejectedValue(new ProviderError('Bad request', { status: 400 }));
+
+    await expect(withRetry(fn, { baseDelay: 1 })).rejects.toThrow('Bad request');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops waiting with an AbortError when cancelled', async () => {
+    const controller = new AbortController();
+    const fn = jest.fn().mockRejectedValue(transient());
+    const result = withRetry(fn, { baseDelay: 60000, signal: controller.signal });
+
+    await Promise.resolve();
+    controller.abort();
+
+    await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('removes its abort listener after each wait', async () => {
+    const controller = new AbortController();
+    const added = jest.spyOn(controller.signal, 'addEventListener');
+    const removed = jest.spyOn(controller.signal, 'removeEventListener');
+    const fn = jest.fn()
+      .mockRejectedValueOnce(transient())
+      .mockRejectedValueOnce(transient())
+      .mockResolvedValue('world');
+
+    await expect(withRetry(fn, { baseDelay: 1, signal: controller.signal })).resolves.toBe('world');
+    expect(added).toHaveBeenCalledTimes(2);
+    expect(removed.mock.calls).toEqual(added.mock.calls.map(([type, listener]) => [type, listener]));
+  });
+
+  it('does not start another attempt once cancelled', async () => {
+    const controller = new AbortController();
+    const fn = jest.fn().mockImplementation(async () => {
+      controller.abort();
+      throw transient();
+    });
+
+    await expect(withRetry(fn, { baseDelay: 1, signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Rich Text Utility
+ * Prose sections such as the world narrative are stored as plain strings with a small Markdown subset:
+ * paragraphs separated by a blank line, "### " before a heading, **bold** and *italic*.
+ * Generated text without any marks is already valid, and the same string is used by the view, the
+ * editor, the exporters and the prompts that send the section back to the model
+ */
+
+const HEADING_PATTERN = /^#{1,6}\s+/;
+
+// Bold may hold italic runs, so "**a *b* c**" and "***b***" are bold with italic inside
+const BOLD_PATTERN = /(\*\*(?:[^*]|\*[^*\s](?:[^*]*[^*\s])?\*)+?\*\*)/;
+const ITALIC_PATTERN = /(\*[^*\s](?:[^*]*[^*\s])?\*)/;
+
+const BLOCK_TAGS = ['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'LI', 'BLOCKQUOTE'];
+
+/**
+ * Split a run of text into italic and upright spans
+ * @param {string} text - Text without bold marks
+ * @param {boolean} bold - Whether the whole run is bold
+ * @returns {Object[]} Spans { text, bold, italic }
+ */
+const parseItalic = (text, bold) => text.split(ITALIC_PATTERN)
+  // Splitting on a captured pattern puts the matches at the odd positions
+  .map((part, index) => (index % 2 === 1
+    ? { text: part.slice(1, -1), bold, italic: true }
+    : { text: part, bold, italic: false }))
+  .filter(span => span.text);
+
+/**
+ * Split one paragraph or heading into styled spans
+ * @param {string} text - Block text with inline marks
+ * @returns {Object[]} Spans { text, bold, italic }
+ */
+const parseInline = (text) => text.split(BOLD_PATTERN)
+  .flatMap((part, index) => (index % 2 === 1 ? parseItalic(part.slice(2, -2), true) : parseItalic(part, false)));
+
+/**
+ * Split rich text into headings and paragraphs
+ * @param {string} text - Rich text
+ * @returns {Object[]} Blocks { type: 'heading' | 'paragraph', spans }
+ */
+export const parseRichText = (text) => (text || '').split(/\n\s*\n/)
+  .map(block => block.trim())
+  .filter(Boolean)
+  .map(block => (HEADING_PATTERN.test(block)
+    ? { type: 'heading', spans: parseInline(block.replace(HEADING_PATTERN, '').replace(/\s*\n\s*/g, ' ')) }
+    : { type: 'paragraph', spans: parseInline(block) }));
+
+/**
+ * Drop the marks of rich text, for exports that have no formatting
+ * @param {string} text - Rich text
+ * @returns {string} Paragraphs and headings separated by a blank line
+ */
+export const toPlainText = (text) => parseRichText(text)
+  .map(block => block.spans.map(span => span.text).join(''))
+  .join('\n\n');
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Render rich text as HTML headings and paragraphs
+ * @param {string} text - Rich text
+ * @returns {string} HTML
+ */
+export const richTextToHtml = (text) => parseRichText(text).map((block) => {
+  const content = block.spans.map((span) => {
+    let html = escapeHtml(span.text).replace(/\n/g, '<br>');
+    if (span.italic) html = `<em>${html}</em>`;
+    if (span.bold) html = `<strong>${html}</strong>`;
+    return html;
+  }).join('');
+  return block.type === 'heading' ? `<h3>${content}</h3>` : `<p>${content}</p>`;
+}).join('');
+
+/**
+ * Write styled spans back as text with inline marks
+ * Whitespace stays outside the marks, which would not be recognized around it
+ * @param {Object[]} spans - Spans { text, bold, italic }
+ * @returns {string} Text with marks
+ */
+const writeInline = (spans) => {
+  /**
+   * Group neighbouring spans that share a style
+   * @param {Object[]} list - Spans
+   * @param {string} style - 'bold' or 'italic'
+   * @returns {Object[][]} Groups of spans
+   */
+  const group = (list, style) => list.reduce((groups, span) => {
+    const last = groups[groups.length - 1];
+    if (last && last[0][style] === span[style]) {
+      last.push(span);
+    } else {
+      groups.push([span]);
+    }
+    return groups;
+  }, []);
+
+  /**
+   * Wrap text in a mark, keeping its outer whitespace outside
+   * @param {string} text - Text
+   * @param {string} mark - '**' or '*'
+   * @returns {string} Marked text
+   */
+  const wrap = (text, mark) => {
+    const [, before, inner, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return inner ? `${before}${mark}${inner}${mark}${after}` : text;
+  };
+
+  return group(spans, 'bold').map((boldGroup) => {
+    const text = group(boldGroup, 'italic').map((italicGroup) => {
+      const joined = italicGroup.map(span => span.text).join('');
+      return italicGroup[0].italic ? wrap(joined, '*') : joined;
+    }).join('');
+    return boldGroup[0].bold ? wrap(text, '**') : text;
+  }).join('');
+};
+
+/**
+ * Read rich text back from edited HTML, such as the content of the prose editor
+ * Block elements become paragraphs (headings stay headings), line breaks stay inside their paragraph,
+ * and bold and italic are taken from the elements or inline styles the browser used
+ * @param {Element} element - Element holding the edited content
+ * @returns {string} Rich text
+ */
+export const richTextFromElement = (element) => {
+  const blocks = [];
+  let current = null;
+
+  /**
+   * Start a new paragraph or heading
+   * @param {boolean} isHeading - Whether the block is a heading
+   */
+  const startBlock = (isHeading = false) => {
+    current = { isHeading, spans: [] };
+    blocks.push(current);
+  };
+
+  /**
+   * Collect the spans of a node and its children
+   * @param {Node} node - DOM node
+   * @param {Object} marks - { bold, italic } inherited from the parents
+   */
+  const walk = (node, marks) => {
+    if (node.nodeType === 3) {
+      if (!current) startBlock();
+      current.spans.push({ text: node.nodeValue.replace(/\u00a0/g, ' ').replace(/\s*\n\s*/g, ' '), ...marks });
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    if (node.tagName === 'BR') {
+      if (!current) startBlock();
+      current.spans.push({ text: '\n', bold: false, italic: false });
+      return;
+    }
+
+    const { fontWeight, fontStyle } = node.style || {};
+    const nextMarks = {
+      bold: marks.bold || ['B', 'STRONG'].includes(node.tagName) || fontWeight === 'bold' || Number(fontWeight) >= 600,
+      italic: marks.italic || ['I', 'EM'].includes(node.tagName) || fontStyle === 'italic'
+    };
+    const isBlock = BLOCK_TAGS.includes(node.tagName);
+
+    if (isBlock) startBlock(/^H[1-6]$/.test(node.tagName));
+    node.childNodes.forEach(child => walk(child, nextMarks));
+    if (isBlock) current = null;
+  };
+
+  element.childNodes.forEach(child => walk(child, { bold: false, italic: false }));
+
+  return blocks
+    .map(({ isHeading, spans }) => {
+      const text = writeInline(spans).replace(/[ \t]*\n[ \t]*/g, '\n').trim();
+      if (!text) return '';
+      return isHeading ? `### ${text.replace(/\n+/g, ' ')}` : text;
+    })
+    .filter(Boolean)
+    .join('\n\n');
+};
@@ -0,0 +1,66 @@
+import { parseRichText, richTextFromElement, richTextToHtml, toPlainText } from './richText';
+
+/**
+ * Load HTML into a detached element, as the prose editor holds it
+ * @param {string} html - Editor content
+ * @returns {Element} Element with the content
+ */
+const toElement = (html) => {
+  const element = document.createElement('div');
+  element.innerHTML = html;
+  return element;
+};
+
+describe('parseRichText', () => {
+  it('reads generated text without marks as plain paragraphs', () => {
+    expect(parseRichText('First paragraph.\n\nSecond paragraph.')).toEqual([
+      { type: 'paragraph', spans: [{ text: 'First paragraph.', bold: false, italic: false }] },
+      { type: 'paragraph', spans: [{ text: 'Second paragraph.', bold: false, italic: false }] }
+    ]);
+  });
+
+  it('reads headings, bold, italic and italic inside bold', () => {
+    const [heading, paragraph] = parseRichText('### The Drowned Age\n\nThe **tide *never* turns** and *salt* rules.');
+
+    expect(heading).toEqual({ type: 'heading', spans: [{ text: 'The Drowned Age', bold: false, italic: false }] });
+    expect(paragraph.spans).toEqual([
+      { text: 'The ', bold: false, italic: false },
+      { text: 'tide ', bold: true, italic: false },
+      { text: 'never', bold: true, italic: true },
+      { text: ' turns', bold: true, italic: false },
+      { text: ' and ', bold: false, italic: false },
+      { text: 'salt', bold: false, italic: true },
+      { text: ' rules.', bold: false, italic: false }
+    ]);
+  });
+
+  it('leaves lone asterisks as text', () => {
+    expect(toPlainText('Five * three is fifteen.')).toBe('Five * three is fifteen.');
+  });
+});
+
+describe('richTextToHtml', () => {
+  it('escapes text and renders marks as elements', () => {
+    expect(richTextToHtml('### A & B\n\n**<bold>** and *it*\nnext line')).toBe(
+      '<h3>A &amp; B</h3><p><strong>&lt;bold&gt;</strong> and <em>it</em><br>next line</p>'
+    );
+  });
+});
+
+describe('richTextFromElement', () => {
+  it('round-trips rich text through the editor HTML', () => {
+    const text = '### The Drowned Age\n\nThe **tide *never* turns** and *salt* rules.\nA new line.\n\n***All of it***';
+
+    expect(richTextFromElement(toElement(richTextToHtml(text)))).toBe(text);
+  });
+
+  it('reads the markup browsers write while editing', () => {
+    const html = 'Loose text<div>A <b>bold</b> <span style="font-style: italic;">word</span>&nbsp;here</div><div><br></div><h2>Heading</h2>';
+
+    expect(richTextFromElement(toElement(html))).toBe('Loose text\n\nA **bold** *word* here\n\n### Heading');
+  });
+
+  it('keeps whitespace outside the marks', () => {
+    expect(richTextFromElement(toElement('<p>A<strong> bold </strong>word</p>'))).toBe('A **bold** word');
+  });
+});
@@ -0,0 +1,41 @@
+import { readText, toStringList } from './modelOutput';
+
+/**
+ * Scenario Utility
+ * Normalizes the playable scenarios generated from a world's places, characters and conflicts
+ */
+
+/**
+ * Lists of a scenario, with their labels, shared by the scenario cards and the exporters
+ */
+export const SCENARIO_LIST_FIELDS = [
+  { key: 'characters', label: 'Characters Involved' },
+  { key: 'hooks', label: 'Hooks' },
+  { key: 'encounters', label: 'Encounter Ideas' }
+];
+
+/**
+ * List the parts of a scenario that have entries, in reading order
+ * @param {Object} scenario - Normalized scenario
+ * @returns {Object[]} Parts { label, items }
+ */
+export const getScenarioParts = (scenario) => SCENARIO_LIST_FIELDS
+  .map(({ key, label }) => ({ label, items: scenario[key] }))
+  .filter(({ items }) => items.length > 0);
+
+/**
+ * Normalize generated scenarios
+ * @param {Object[]} value - Scenarios as returned by the model
+ * @returns {Object[]} Titled scenarios with every field present
+ */
+export const normalizeScenarios = (value) => (Array.isArray(value) ? value : [])
+  .filter(scenario => readText(scenario, 'title'))
+  .map(scenario => ({
+    title: readText(scenario, 'title'),
+    location: readText(scenario, 'location'),
+    summary: readText(scenario, 'summary'),
+    stakes: readText(scenario, 'stakes'),
+    characters: toStringList(scenario.characters),
+    hooks: toStringList(scenario.hooks),
+    encounters: toStringList(scenario.encounters)
+  }));
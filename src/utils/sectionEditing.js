@@ -0,0 +1,170 @@
+/**
+ * Section Editing Utility
+ * Field definitions and list operations for editing generated sections in place.
+ * Every operation takes a world and returns a new one, so edits can be passed to updateWorldData
+ */
+
+/**
+ * Editable list sections, with the fields of their items
+ * List fields hold string arrays and are edited one entry per line
+ */
+export const EDITABLE_LISTS = {
+  gameBookIdeas: {
+    itemLabel: 'idea',
+    fields: [
+      { key: 'title', label: 'Title' },
+      { key: 'synopsis', label: 'Synopsis', multiline: true }
+    ]
+  },
+  customizationOptions: {
+    itemLabel: 'option',
+    fields: [
+      { key: 'title', label: 'Title' },
+      { key: 'description', label: 'Description', multiline: true }
+    ]
+  },
+  characterConcepts: {
+    itemLabel: 'character',
+    fields: [
+      { key: 'name', label: 'Name' },
+      { key: 'role', label: 'Role' },
+      { key: 'description', label: 'Description', multiline: true }
+    ]
+  },
+  regions: {
+    itemLabel: 'region',
+    fields: [
+      { key: 'name', label: 'Name' },
+      { key: 'biome', label: 'Biome' },
+      { key: 'climate', label: 'Climate' },
+      { key: 'atmosphere', label: 'Atmosphere', multiline: true },
+      { key: 'landmarks', label: 'Landmarks', list: true },
+      { key: 'settlements', label: 'Settlements', list: true },
+      { key: 'neighbours', label: 'Neighbours', list: true },
+      { key: 'dangers', label: 'Dangers', list: true }
+    ]
+  },
+  scenarios: {
+    itemLabel: 'scenario',
+    fields: [
+      { key: 'title', label: 'Title' },
+      { key: 'location', label: 'Location' },
+      { key: 'summary', label: 'Summary', multiline: true },
+      { key: 'stakes', label: 'Stakes', multiline: true },
+      { key: 'characters', label: 'Characters Involved', list: true },
+      { key: 'hooks', label: 'Hooks', list: true },
+      { key: 'encounters', label: 'Encounter Ideas', list: true }
+    ]
+  }
+};
+
+/**
+ * Visual lists that hold one entry per item of a section, by position
+ */
+const ALIGNED_VISUALS = {
+  characterConcepts: 'characterVisuals',
+  scenarios: 'scenarioVisuals'
+};
+
+/**
+ * Create an empty item for a list section
+ * @param {string} section - Key of EDITABLE_LISTS
+ * @returns {Object} Item with every field present
+ */
+export const createSectionItem = (section) => EDITABLE_LISTS[section].fields.reduce((item, { key, list }) => {
+  item[key] = list ? [] : '';
+  return item;
+}, {});
+
+/**
+ * Find an item of a section again after the section may have been edited
+ * Prefers the very same item, then the first item with the same name or title
+ * @param {Object[]} items - Current items of the section
+ * @param {Object} item - Item as it was read earlier
+ * @returns {number} Current index of the item, or -1 when it is gone
+ */
+export const findSectionItem = (items, item) => {
+  const sameItem = (items || []).indexOf(item);
+  if (sameItem !== -1 || !item) return sameItem;
+
+  const name = item.name ?? item.title;
+  return name ? (items || []).findIndex(candidate => (candidate?.name ?? candidate?.title) === name) : -1;
+};
+
+/**
+ * Apply a change to the items of a section and, when it has them, to its visuals in step
+ * @param {Object} world - World data
+ * @param {string} section - Section key
+ * @param {Function} change - Applied to the items, then to the visuals padded to the same length
+ * @returns {Object} Updated world
+ */
+const changeAligned = (world, section, change) => {
+  const items = world[section] || [];
+  const next = { ...world, [section]: change(items) };
+  const visualField = ALIGNED_VISUALS[section];
+  if (visualField) {
+    const visuals = Array.from({ length: items.length }, (_, index) => world[visualField]?.[index] ?? null);
+    next[visualField] = change(visuals);
+  }
+  return next;
+};
+
+/**
+ * Change fields of one item of a section
+ * @param {Object} world - World data
+ * @param {string} section - Section key
+ * @param {number} index - Item index
+ * @param {Object} changes - Fields to replace
+ * @returns {Object} Updated world
+ */
+export const updateSectionItem = (world, section, index, changes) => ({
+  ...world,
+  [section]: (world[section] || []).map((item, itemIndex) => (itemIndex === index ? { ...item, ...changes } : item))
+});
+
+/**
+ * Add an empty item at the end of a section
+ * @param {Object} world - World data
+ * @param {string} section - Key of EDITABLE_LISTS
+ * @returns {Object} Updated world
+ */
+export const addSectionItem = (world, section) => {
+  const next = { ...world, [section]: [...(world[section] || []), createSectionItem(section)] };
+  const visualField = ALIGNED_VISUALS[section];
+  if (visualField) {
+    next[visualField] = Array.from({ length: next[section].length }, (_, index) => world[visualField]?.[index] ?? null);
+  }
+  return next;
+};
+
+/**
+ * Remove one item of a section, along with its visual
+ * @param {Object} world - World data
+ * @param {string} section - Section key
+ * @param {number} index - Item index
+ * @returns {Object} Updated world
+ */
+export const removeSectionItem = (world, section, index) => changeAligned(
+  world,
+  section,
+  list => list.filter((_, itemIndex) => itemIndex !== index)
+);
+
+/**
+ * Move one item of a section one place up or down, along with its visual
+ * @param {Object} world - World data
+ * @param {string} section - Section key
+ * @param {number} index - Item index
+ * @param {number} direction - -1 to move up, 1 to move down
+ * @returns {Object} Updated world (unchanged when the item is already at that end)
+ */
+export const moveSectionItem = (world, section, index, direction) => {
+  const target = index + direction;
+  if (target < 0 || target >= (world[section] || []).length) return world;
+
+  return changeAligned(world, section, (list) => {
+    const next = [...list];
+    [next[index], next[target]] = [next[target], next[index]];
+    return next;
+  });
+};
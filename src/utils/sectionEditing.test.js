@@ -0,0 +1,110 @@
+import {
+  addSectionItem,
+  createSectionItem,
+  findSectionItem,
+  moveSectionItem,
+  removeSectionItem,
+  updateSectionItem
+} from './sectionEditing';
+
+const visual = (name) => ({ isDescription: true, description: `Portrait of ${name}` });
+
+const WORLD = {
+  characterConcepts: [
+    { name: 'Mossa', role: 'Diver', description: '' },
+    { name: 'Ilo', role: 'Keeper', description: '' },
+    { name: 'Vey', role: 'Smuggler', description: '' }
+  ],
+  characterVisuals: [visual('Mossa'), visual('Ilo'), visual('Vey')],
+  gameBookIdeas: [{ title: 'Low Tide', synopsis: '' }]
+};
+
+/**
+ * List the character names next to the names their visuals were made for
+ * @param {Object} world - World data
+ * @returns {Array[]} [name, visual description] pairs
+ */
+const pairs = (world) => world.characterConcepts.map((character, index) => [
+  character.name,
+  world.characterVisuals[index]?.description ?? null
+]);
+
+describe('section list editing', () => {
+  it('creates an item with every field of the section', () => {
+    expect(createSectionItem('scenarios')).toEqual({
+      title: '', location: '', summary: '', stakes: '', characters: [], hooks: [], encounters: []
+    });
+  });
+
+  it('changes one item without touching the world it was given', () => {
+    const next = updateSectionItem(WORLD, 'characterConcepts', 1, { role: 'Lighthouse keeper' });
+
+    expect(next.characterConcepts[1]).toEqual({ name: 'Ilo', role: 'Lighthouse keeper', description: '' });
+    expect(next.characterConcepts[0]).toBe(WORLD.characterConcepts[0]);
+    expect(WORLD.characterConcepts[1].role).toBe('Keeper');
+  });
+
+  it('moves visuals along with their items', () => {
+    const next = moveSectionItem(WORLD, 'characterConcepts', 0, 1);
+
+    expect(pairs(next)).toEqual([
+      ['Ilo', 'Portrait of Ilo'],
+      ['Mossa', 'Portrait of Mossa'],
+      ['Vey', 'Portrait of Vey']
+    ]);
+  });
+
+  it('removes the visual of a removed item', () => {
+    expect(pairs(removeSectionItem(WORLD, 'characterConcepts', 1))).toEqual([
+      ['Mossa', 'Portrait of Mossa'],
+      ['Vey', 'Portrait of Vey']
+    ]);
+  });
+
+  it('gives an added item an empty visual', () => {
+    const next = addSectionItem(WORLD, 'characterConcepts');
+
+    expect(next.characterConcepts).toHaveLength(4);
+    expect(next.characterVisuals).toEqual([...WORLD.characterVisuals, null]);
+  });
+
+  it('pads missing visuals so later moves keep them aligned', () => {
+    const world = { ...WORLD, characterVisuals: [visual('Mossa')] };
+
+    expect(pairs(moveSectionItem(world, 'characterConcepts', 0, 1))).toEqual([
+      ['Ilo', null],
+      ['Mossa', 'Portrait of Mossa'],
+      ['Vey', null]
+    ]);
+  });
+
+  it('leaves sections without visuals alone', () => {
+    const next = addSectionItem(WORLD, 'gameBookIdeas');
+
+    expect(next.gameBookIdeas).toEqual([...WORLD.gameBookIdeas, { title: '', synopsis: '' }]);
+    expect(next.characterVisuals).toBe(WORLD.characterVisuals);
+  });
+
+  it('returns the same world when an item cannot move further', () => {
+    expect(moveSectionItem(WORLD, 'characterConcepts', 0, -1)).toBe(WORLD);
+    expect(moveSectionItem(WORLD, 'characterConcepts', 2, 1)).toBe(WORLD);
+  });
+});
+
+describe('findSectionItem', () => {
+  const [mossa, ilo] = WORLD.characterConcepts;
+
+  it('finds the same item after the list was reordered', () => {
+    expect(findSectionItem([ilo, mossa], mossa)).toBe(1);
+  });
+
+  it('finds an edited item by its name or title', () => {
+    expect(findSectionItem([{ ...ilo, role: 'Lighthouse keeper' }], ilo)).toBe(0);
+    expect(findSectionItem([{ title: 'Low Tide', synopsis: 'Rewritten' }], WORLD.gameBookIdeas[0])).toBe(0);
+  });
+
+  it('reports an item that is gone', () => {
+    expect(findSectionItem([ilo], mossa)).toBe(-1);
+    expect(findSectionItem(undefined, mossa)).toBe(-1);
+  });
+});
@@ -1,3 +1,12 @@
+import { createExportFilename, downloadBlob } from './download';
+import { REGION_LIST_FIELDS } from './regions';
+import { getFactionMembers, listFactionRelationships } from './factions';
+import { getEventLinks } from './timeline';
+import { getCharacterSheetParts } from './characterSheet';
+import { SYSTEM_KINDS, getSystemParts } from './magicSystem';
+import { getScenarioParts } from './scenarios';
+import { toPlainText } from './richText';
+
 /**
  * Fallback PDF Export Utility - Simple Version
  * Creates a basic PDF document from the generated world data
@@ -20,7 +29,11 @@ class SimplePDFExporter {
       gameBookIdeas,
       customizationOptions,
       characterConcepts,
-      conceptualMaps,
+      factions,
+      regions,
+      timeline,
+      magicSystem,
+      scenarios,
       userIdea,
       worldType
     } = worldData;
@@ -36,14 +49,84 @@ class SimplePDFExporter {
     
     if (worldNarrative) {
       content += '--- WORLD NARRATIVE ---\n';
-      content += worldNarrative + '\n\n';
+      content += toPlainText(worldNarrative) + '\n\n';
     }
     
     if (characterConcepts && characterConcepts.length > 0) {
       content += '--- CHARACTER CONCEPTS ---\n';
       characterConcepts.forEach((char, index) => {
         content += `${index + 1}. ${char.name} (${char.role})\n`;
-        content += `   ${char.description}\n\n`;
+        content += `   ${char.description}\n`;
+        if (char.sheet) {
+          if (char.sheet.appearance) {
+            content += `   Appearance: ${char.sheet.appearance}\n`;
+          }
+          getCharacterSheetParts(char.sheet).forEach(({ label, items }) => {
+            content += `   ${label}: ${items.join('; ')}\n`;
+          });
+        }
+        content += '\n';
+      });
+    }
+    
+    if (factions && factions.length > 0) {
+      content += '--- FACTIONS ---\n';
+      const members = getFactionMembers(characterConcepts, factions);
+      factions.forEach((faction, index) => {
+        content += `${index + 1}. ${faction.name}${faction.leader ? ` (led by ${faction.leader})` : ''}\n`;
+        if (faction.ideology) {
+          content += `   ${faction.ideology}\n`;
+        }
+        [
+          ['Territory', faction.territory],
+          ['Resources', faction.resources.join(', ')],
+          ['Goals', faction.goals.join('; ')],
+          ['Relationships', listFactionRelationships(factions, index).join('; ')],
+          ['Characters', members[index].map(character => character.name).join(', ')]
+        ].filter(([, value]) => value).forEach(([label, value]) => {
+          content += `   ${label}: ${value}\n`;
+        });
+        content += '\n';
+      });
+    }
+    
+    if (magicSystem) {
+      content += '--- MAGIC & TECHNOLOGY ---\n';
+      content += `${magicSystem.name} (${SYSTEM_KINDS[magicSystem.kind]})\n`;
+      if (magicSystem.overview) {
+        content += `   ${magicSystem.overview}\n`;
+      }
+      getSystemParts(magicSystem).forEach(({ label, items }) => {
+        content += `   ${label}:\n`;
+        items.forEach((item) => {
+          content += typeof item === 'string'
+            ? `     - ${item}\n`
+            : `     - ${item.name}${item.description ? `: ${item.description}` : ''}\n`;
+        });
+      });
+      if (magicSystem.societalImpact) {
+        content += `   Impact on Society: ${magicSystem.societalImpact}\n`;
+      }
+      content += '\n';
+    }
+    
+    if (scenarios && scenarios.length > 0) {
+      content += '--- WORLD SCENARIOS ---\n';
+      scenarios.forEach((scenario, index) => {
+        content += `${index + 1}. ${scenario.title}${scenario.location ? ` (${scenario.location})` : ''}\n`;
+        if (scenario.summary) {
+          content += `   ${scenario.summary}\n`;
+        }
+        if (scenario.stakes) {
+          content += `   At stake: ${scenario.stakes}\n`;
+        }
+        getScenarioParts(scenario).forEach(({ label, items }) => {
+          content += `   ${label}:\n`;
+          items.forEach((item) => {
+            content += `     - ${item}\n`;
+          });
+        });
+        content += '\n';
       });
     }
     
@@ -63,9 +146,40 @@ class SimplePDFExporter {
       });
     }
     
-    if (conceptualMaps) {
-      content += '--- CONCEPTUAL MAPS & REGIONS ---\n';
-      content += conceptualMaps + '\n\n';
+    if (regions && regions.length > 0) {
+      content += '--- REGIONS ---\n';
+      regions.forEach((region, index) => {
+        const details = [region.biome, region.climate].filter(Boolean).join(', ');
+        content += `${index + 1}. ${region.name}${details ? ` (${details})` : ''}\n`;
+        if (region.atmosphere) {
+          content += `   ${region.atmosphere}\n`;
+        }
+        REGION_LIST_FIELDS.filter(({ key }) => region[key]?.length > 0).forEach(({ key, label }) => {
+          content += `   ${label}: ${region[key].join(', ')}\n`;
+        });
+        content += '\n';
+      });
+    }
+    
+    if (timeline && timeline.length > 0) {
+      content += '--- TIMELINE ---\n';
+      timeline.forEach((era) => {
+        content += `${era.name}${era.period ? ` (${era.period})` : ''}\n`;
+        if (era.description) {
+          content += `   ${era.description}\n`;
+        }
+        era.events.forEach((event) => {
+          const links = getEventLinks(event);
+          content += `   - ${event.date ? `${event.date}: ` : ''}${event.title}\n`;
+          if (event.description) {
+            content += `     ${event.description}\n`;
+          }
+          if (links.length > 0) {
+            content += `     Involves: ${links.join(', ')}\n`;
+          }
+        });
+        content += '\n';
+      });
     }
     
     content += '=====================================\n';
@@ -75,20 +189,8 @@ class SimplePDFExporter {
     content += '=====================================\n';
 
     // Create and download the text file
-    const blob = new Blob([content], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    
-    const sanitizedWorldType = worldType.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-    const timestamp = new Date().toISOString().slice(0, 10);
-    const filename = `world_${sanitizedWorldType}_${timestamp}.txt`;
-    
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    const filename = createExportFilename(worldType, 'txt');
+    downloadBlob(new Blob([content], { type: 'text/plain' }), filename);
     
     return filename;
   }
@@ -0,0 +1,64 @@
+/**
+ * Task Pool Utility
+ * Runs async tasks in parallel with a cap on how many are in flight and a minimum
+ * spacing between task starts, so independent API calls overlap without tripping rate limits
+ */
+class TaskPool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {number} options.concurrency - Maximum number of tasks running at once
+   * @param {number} options.minInterval - Minimum milliseconds between two task starts
+   */
+  constructor({ concurrency = 3, minInterval = 0 } = {}) {
+    this.concurrency = Math.max(1, Math.floor(concurrency) || 1);
+    this.minInterval = Math.max(0, minInterval);
+    this.active = 0;
+    this.queue = [];
+    this.lastStart = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Queue a task. The task function is not called until the pool starts it
+   * @param {Function} task - Function returning a promise
+   * @returns {Promise<any>} Resolves or rejects with the task's result
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.startNext();
+    });
+  }
+
+  /**
+   * Start queued tasks while there is capacity and the start spacing allows it
+   */
+  startNext() {
+    if (this.timer || this.active >= this.concurrency || this.queue.length === 0) return;
+
+    const wait = this.lastStart + this.minInterval - Date.now();
+    if (wait > 0) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.startNext();
+      }, wait);
+      return;
+    }
+
+    const { task, resolve, reject } = this.queue.shift();
+    this.active += 1;
+    this.lastStart = Date.now();
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        this.active -= 1;
+        this.startNext();
+      });
+
+    this.startNext();
+  }
+}
+
+export default TaskPool;
@@ -0,0 +1,79 @@
+import TaskPool from './taskPool';
+
+/**
+ * Create a task that can be finished from the test
+ * @returns {Object} { task, finish, fail, started }, where started tells whether the pool called the task
+ */
+const deferredTask = () => {
+  const handle = { started: false };
+  const promise = new Promise((resolve, reject) => {
+    handle.finish = resolve;
+    handle.fail = reject;
+  });
+  handle.task = () => {
+    handle.started = true;
+    return promise;
+  };
+  return handle;
+};
+
+/**
+ * Let pending promise callbacks run
+ * @returns {Promise<void>} Resolves on a later turn of the event loop
+ */
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('TaskPool', () => {
+  it('runs no more tasks at once than its concurrency', async () => {
+    const pool = new TaskPool({ concurrency: 2 });
+    const tasks = [deferredTask(), deferredTask(), deferredTask()];
+    const results = tasks.map(({ task }) => pool.run(task));
+
+    await settle();
+    expect(tasks.map(({ started }) => started)).toEqual([true, true, false]);
+
+    tasks[1].finish('second');
+    await settle();
+    expect(tasks[2].started).toBe(true);
+
+    tasks[0].finish('first');
+    tasks[2].finish('third');
+    await expect(Promise.all(results)).resolves.toEqual(['first', 'second', 'third']);
+  });
+
+  it('passes on a failure and keeps running the other tasks', async () => {
+    const pool = new TaskPool({ concurrency: 1 });
+    const failing = pool.run(() => Promise.reject(new Error('Rate limited')));
+    const next = pool.run(() => Promise.resolve('done'));
+
+    await expect(failing).rejects.toThrow('Rate limited');
+    await expect(next).resolves.toBe('done');
+  });
+
+  it('treats a task that throws like one that rejects', async () => {
+    const pool = new TaskPool();
+
+    await expect(pool.run(() => {
+      throw new Error('Bad prompt');
+    })).rejects.toThrow('Bad prompt');
+  });
+
+  it('spaces task starts by the minimum interval', async () => {
+    const pool = new TaskPool({ concurrency: 3, minInterval: 40 });
+    const starts = [];
+
+    await Promise.all([1, 2, 3].map(() => pool.run(async () => {
+      starts.push(Date.now());
+    })));
+
+    // Timers may fire a millisecond or so early
+    expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(35);
+    expect(starts[2] - starts[1]).toBeGreaterThanOrEqual(35);
+  });
+
+  it('runs at least one task at a time whatever concurrency it is given', async () => {
+    const pool = new TaskPool({ concurrency: 0 });
+
+    await expect(pool.run(() => Promise.resolve('ran'))).resolves.toBe('ran');
+  });
+});
@@ -0,0 +1,182 @@
+import { readText, toStringList } from './modelOutput';
+
+/**
+ * Timeline Utility
+ * Normalizes generated eras and events and applies the edits made in the timeline editor.
+ * A timeline is a list of eras, each holding its events in chronological order; every edit
+ * returns a new timeline so it can be used inside a world updater
+ */
+
+/**
+ * Names of other world entities an event can involve, with their labels
+ */
+export const EVENT_LINK_FIELDS = [
+  { key: 'factions', label: 'Factions' },
+  { key: 'characters', label: 'Characters' },
+  { key: 'regions', label: 'Regions' }
+];
+
+/**
+ * List every faction, character and region an event involves
+ * @param {Object} event - Timeline event
+ * @returns {string[]} Entity names
+ */
+export const getEventLinks = (event) => EVENT_LINK_FIELDS.flatMap(({ key }) => event[key] || []);
+
+/**
+ * Create an empty event, ready to be filled in by the user
+ * @param {Object} fields - Initial values (optional)
+ * @returns {Object} Event with every field present
+ */
+export const createTimelineEvent = (fields = {}) => ({
+  date: '',
+  title: 'New event',
+  description: '',
+  factions: [],
+  characters: [],
+  regions: [],
+  ...fields
+});
+
+/**
+ * Normalize generated events
+ * @param {Object[]} value - Events as returned by the model
+ * @returns {Object[]} Events with every field present
+ */
+export const normalizeTimelineEvents = (value) => (Array.isArray(value) ? value : [])
+  .filter(item => item && typeof item === 'object')
+  .map((item, index) => ({
+    date: readText(item, 'date'),
+    title: readText(item, 'title') || `Event ${index + 1}`,
+    description: readText(item, 'description'),
+    factions: toStringList(item.factions),
+    characters: toStringList(item.characters),
+    regions: toStringList(item.regions)
+  }));
+
+/**
+ * Normalize a generated timeline
+ * @param {Object[]} value - Eras as returned by the model
+ * @returns {Object[]} Eras with every field present
+ */
+export const normalizeTimeline = (value) => (Array.isArray(value) ? value : [])
+  .filter(item => item && typeof item === 'object')
+  .map((item, index) => ({
+    name: readText(item, 'name') || `Era ${index + 1}`,
+    period: readText(item, 'period'),
+    description: readText(item, 'description'),
+    events: normalizeTimelineEvents(item.events)
+  }));
+
+/**
+ * List every event in chronological order with its position in the timeline
+ * @param {Object[]} timeline - Eras
+ * @returns {Object[]} Entries { eraIndex, eventIndex, event }
+ */
+export const flattenTimeline = (timeline = []) => timeline.flatMap((era, eraIndex) => (
+  era.events.map((event, eventIndex) => ({ eraIndex, eventIndex, event }))
+));
+
+/**
+ * Find an event again after the timeline may have been edited
+ * Prefers the very same event, then the first event with the same title and date
+ * @param {Object[]} timeline - Eras
+ * @param {Object} event - Event as it was read earlier
+ * @returns {Object|null} Entry { eraIndex, eventIndex, event }, or null when the event is gone
+ */
+export const findTimelineEvent = (timeline, event) => {
+  const entries = flattenTimeline(timeline || []);
+  return entries.find(entry => entry.event === event)
+    || entries.find(entry => entry.event.title === event.title && entry.event.date === event.date)
+    || null;
+};
+
+/**
+ * Replace the events of one era
+ * @param {Object[]} timeline - Eras
+ * @param {number} eraIndex - Era to change
+ * @param {Function} update - Receives the era's events and returns the new list
+ * @returns {Object[]} Updated timeline
+ */
+const updateEraEvents = (timeline, eraIndex, update) => timeline.map((era, index) => (
+  index === eraIndex ? { ...era, events: update(era.events) } : era
+));
+
+/**
+ * Change the fields of one event
+ * @param {Object[]} timeline - Eras
+ * @param {number} eraIndex - Era of the event
+ * @param {number} eventIndex - Event within the era
+ * @param {Object} fields - Fields to overwrite
+ * @returns {Object[]} Updated timeline
+ */
+export const updateTimelineEvent = (timeline, eraIndex, eventIndex, fields) => updateEraEvents(
+  timeline,
+  eraIndex,
+  events => events.map((event, index) => (index === eventIndex ? { ...event, ...fields } : event))
+);
+
+/**
+ * Insert events into an era
+ * @param {Object[]} timeline - Eras
+ * @param {number} eraIndex - Era to insert into
+ * @param {number} position - Index the first new event takes within the era
+ * @param {Object[]} newEvents - Events to insert
+ * @returns {Object[]} Updated timeline
+ */
+export const insertTimelineEvents = (timeline, eraIndex, position, newEvents) => updateEraEvents(
+  timeline,
+  eraIndex,
+  events => [...events.slice(0, position), ...newEvents, ...events.slice(position)]
+);
+
+/**
+ * Delete one event
+ * @param {Object[]} timeline - Eras
+ * @param {number} eraIndex - Era of the event
+ * @param {number} eventIndex - Event within the era
+ * @returns {Object[]} Updated timeline
+ */
+export const removeTimelineEvent = (timeline, eraIndex, eventIndex) => updateEraEvents(
+  timeline,
+  eraIndex,
+  events => events.filter((_, index) => index !== eventIndex)
+);
+
+/**
+ * Move an event one step earlier or later
+ * An event at the edge of its era moves into the neighbouring era instead of swapping
+ * @param {Object[]} timeline - Eras
+ * @param {number} eraIndex - Era of the event
+ * @param {number} eventIndex - Event within the era
+ * @param {number} direction - -1 for earlier, 1 for later
+ * @returns {Object} { timeline, eraIndex, eventIndex } with the event's new position
+ */
+export const moveTimelineEvent = (timeline, eraIndex, eventIndex, direction) => {
+  const events = timeline[eraIndex]?.events || [];
+  const event = events[eventIndex];
+  const target = eventIndex + direction;
+  if (!event) return { timeline, eraIndex, eventIndex };
+
+  if (target >= 0 && target < events.length) {
+    const reordered = [...events];
+    reordered[eventIndex] = events[target];
+    reordered[target] = event;
+    return {
+      timeline: updateEraEvents(timeline, eraIndex, () => reordered),
+      eraIndex,
+      eventIndex: target
+    };
+  }
+
+  const targetEra = eraIndex + direction;
+  if (targetEra < 0 || targetEra >= timeline.length) return { timeline, eraIndex, eventIndex };
+
+  // Leaving the era: the event becomes the last event of the previous era or the first of the next
+  const position = direction < 0 ? timeline[targetEra].events.length : 0;
+  return {
+    timeline: insertTimelineEvents(removeTimelineEvent(timeline, eraIndex, eventIndex), targetEra, position, [event]),
+    eraIndex: targetEra,
+    eventIndex: position
+  };
+};
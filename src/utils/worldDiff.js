@@ -0,0 +1,124 @@
+/**
+ * World Diff Utility
+ * Turns a section of two world versions into readable lines and pairs them up for a side-by-side diff
+ */
+
+/**
+ * Turn a field name into a label
+ * @param {string} key - Field name, such as "personalityTraits"
+ * @returns {string} Label, such as "Personality traits"
+ */
+const toLabel = (key) => {
+  const words = key.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Check whether a value fits on one line
+ * @param {any} value - Section value
+ * @returns {boolean} True for strings, numbers, booleans and lists of them
+ */
+const isInline = (value) => (
+  typeof value !== 'object' || value === null || (Array.isArray(value) && value.every(item => typeof item !== 'object'))
+);
+
+/**
+ * Write an inline value as text
+ * @param {any} value - Inline value
+ * @returns {string} Text, with list entries separated by semicolons
+ */
+const inlineText = (value) => (Array.isArray(value) ? value.join('; ') : String(value ?? '')).trim();
+
+/**
+ * Write any section value as indented lines
+ * Prose is split into paragraphs; objects become "Label: value" lines with nested values indented
+ * @param {any} value - Section value
+ * @param {string} indent - Prefix for every line
+ * @returns {string[]} Lines
+ */
+const toLines = (value, indent = '') => {
+  if (typeof value === 'string') {
+    return value.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean).map(paragraph => indent + paragraph);
+  }
+  if (isInline(value)) {
+    const text = inlineText(value);
+    return text ? [indent + text] : [];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) => [...(index > 0 ? [''] : []), ...toLines(item, indent)]);
+  }
+
+  return Object.entries(value).flatMap(([key, field]) => {
+    if (isInline(field)) {
+      const text = inlineText(field);
+      return text ? [`${indent}${toLabel(key)}: ${text}`] : [];
+    }
+    const nested = toLines(field, `${indent}  `);
+    return nested.length > 0 ? [`${indent}${toLabel(key)}:`, ...nested] : [];
+  });
+};
+
+/**
+ * Write one section of a world as lines for comparing
+ * @param {Object} worldData - World data
+ * @param {string} section - Section key in worldData
+ * @returns {string[]} Lines, empty when the version has no such section
+ */
+export const getSectionLines = (worldData, section) => toLines(worldData?.[section] ?? '');
+
+/**
+ * Pair up the lines of two versions
+ * Uses the longest common subsequence, then puts removed and added lines between two
+ * unchanged lines side by side as changed rows
+ * @param {string[]} before - Lines of the older version
+ * @param {string[]} after - Lines of the newer version
+ * @returns {Object[]} Rows { type: 'same' | 'changed' | 'removed' | 'added', left, right }
+ */
+export const diffLines = (before, after) => {
+  // common[i][j] = length of the longest common subsequence of before[i..] and after[j..]
+  const common = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      common[i][j] = before[i] === after[j]
+        ? common[i + 1][j + 1] + 1
+        : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  /**
+   * Move the pending removed and added lines into rows, side by side where both sides have one
+   */
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      const left = removed[k] ?? null;
+      const right = added[k] ?? null;
+      rows.push({ type: left === null ? 'added' : right === null ? 'removed' : 'changed', left, right });
+    }
+    removed = [];
+    added = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      flush();
+      rows.push({ type: 'same', left: before[i], right: after[j] });
+      i++;
+      j++;
+    } else if (j >= after.length || (i < before.length && common[i + 1][j] >= common[i][j + 1])) {
+      removed.push(before[i]);
+      i++;
+    } else {
+      added.push(after[j]);
+      j++;
+    }
+  }
+  flush();
+
+  return rows;
+};
@@ -0,0 +1,356 @@
+import { createExportFilename, downloadBlob } from './download';
+import { upgradeLegacyRegions } from './regions';
+
+/**
+ * World File Utility
+ * Serializes worlds (including embedded base64 images) to a versioned JSON file format
+ * and validates files on import, so worlds can be shared and kept under version control
+ */
+
+export const WORLD_FILE_FORMAT = 'lumina-oz-world';
+export const WORLD_FILE_VERSION = 2;
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * Validate a string field. Like every validator here, returns an error message or null
+ * @param {any} value - Field value
+ * @param {string} path - Field path for messages
+ * @returns {string|null} Error message
+ */
+const isString = (value, path) => (typeof value === 'string' ? null : `${path} must be a string`);
+
+/**
+ * Validate an integer field
+ * @param {any} value - Field value
+ * @param {string} path - Field path for messages
+ * @returns {string|null} Error message
+ */
+const isInteger = (value, path) => (Number.isInteger(value) ? null : `${path} must be an integer`);
+
+/**
+ * Validate base64 encoded image data
+ * @param {any} value - Field value
+ * @param {string} path - Field path for messages
+ * @returns {string|null} Error message
+ */
+const isBase64Image = (value, path) => (
+  typeof value === 'string' && BASE64_PATTERN.test(value) ? null : `${path} must be base64 image data`
+);
+
+/**
+ * Allow null or undefined in addition to the wrapped validator
+ * @param {Function} validate - Validator for present values
+ * @returns {Function} Validator
+ */
+const optional = (validate) => (value, path) => (value === null || value === undefined ? null : validate(value, path));
+
+/**
+ * Validate a plain object whose listed keys are all strings
+ * @param {string[]} keys - Required string keys
+ * @returns {Function} Validator
+ */
+const objectWithStrings = (keys) => (value, path) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object`;
+  const missing = keys.find(key => typeof value[key] !== 'string');
+  return missing ? `${path}.${missing} must be a string` : null;
+};
+
+/**
+ * Validate an array whose items all pass a validator
+ * @param {Function} validateItem - Validator for each item
+ * @returns {Function} Validator
+ */
+const arrayOf = (validateItem) => (value, path) => {
+  if (!Array.isArray(value)) return `${path} must be an array`;
+  for (let i = 0; i < value.length; i += 1) {
+    const problem = validateItem(value[i], `${path}[${i}]`);
+    if (problem) return problem;
+  }
+  return null;
+};
+
+/**
+ * Validate a structured region
+ * @param {Object} value - Region
+ * @param {string} path - Field path for messages
+ * @returns {string|null} Error message
+ */
+const isRegion = (value, path) => (
+  objectWithStrings(['name', 'biome', 'climate', 'atmosphere'])(value, path)
+  || ['landmarks', 'settlements', 'neighbours', 'dangers']
+    .map(key => arrayOf(isString)(value[key], `${path}.${key}`))
+    .find(Boolean)
+  || null
+);
+
+/**
+ * Validate the full sheet of an expanded character
+ * @param {Object} value - Character sheet
+ * @param {string} path - Field path for messages
+ * @returns {string|null} Error message
+ */
+const isCharacterSheet = (value, path) => (
+  objectWithStrings(['appearance'])(value, path)
+  || ['personalityTraits', 'motivations', 'fears', 'backstory', 'voiceLines']
+    .map(key => arrayOf(isString)(value[key], `${path}.${key}`))
+    .find(Boolean)
+  || arrayOf(objectWithStrings(['character', 'relationship']))(value.relationships, `${path}.relationships`)
+  || arrayOf((stat, statPath) => objectWithStrings(['name'])(stat, statPath) || isInteger(stat.value, `${statPath}.value`))(value.stats, `${path}.stats`)
+);
+
+/**
+ * Validate the item counts a world was generated with
+ * @param {Object} value - Counts keyed by item type
+ * @param {string} path - Field path for messages
+ * @returns {string|null} Error message
+ */
+const isCounts = (value, path) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object`;
+  return Object.keys(value).map(key => isInteger(value[key], `${path}.${key}`)).find(Boolean) || null;
+};
+
+/**
+ * Validate a character concept and its sheet, if it was expanded
+ * @param {Object} value - Character
+ * @param {string} path - Field path for messages
+ * @returns {string|null} Error message
+ */
+const isCharacter = (value, path) => (
+  objectWithStrings(['name', 'description', 'role'])(value, path)
+  || optional(isCharacterSheet)(value.sheet, `${path}.sheet`)
+);
+
+/**
+ * Validate a structured faction and its relationships
+ * @param {Object} value - Faction
+ * @param {string} path - Field path for messages
+ * @returns {string|null} Error message
+ */
+const isFaction = (value, path) => (
+  objectWithStrings(['name', 'ideology', 'leader', 'territory'])(value, path)
+  || arrayOf(isString)(value.resources, `${path}.resources`)
+  || arrayOf(isString)(value.goals, `${path}.goals`)
+  || arrayOf(objectWithStrings(['faction', 'type', 'description']))(value.relationships, `${path}.relationships`)
+);
+
+/**
+ * Validate a dated timeline event and the entities it involves
+ * @param {Object} value - Event
+ * @param {string} path - Field path for messages
+ * @returns {string|null} Error message
+ */
+const isTimelineEvent = (value, path) => (
+  objectWithStrings(['date', 'title', 'description'])(value, path)
+  || ['factions', 'characters', 'regions']
+    .map(key => arrayOf(isString)(value[key], `${path}.${key}`))
+    .find(Boolean)
+  || null
+);
+
+/**
+ * Validate a timeline era and its events
+ * @param {Object} value - Era
+ * @param {string} path - Field path for messages
+ * @returns {string|null} Error message
+ */
+const isTimelineEra = (value, path) => (
+  objectWithStrings(['name', 'period', 'description'])(value, path)
+  || arrayOf(isTimelineEvent)(value.events, `${path}.events`)
+);
+
+/**
+ * Validate a magic or technology system
+ * @param {Object} value - System
+ * @param {string} path - Field path for messages
+ * @returns {string|null} Error message
+ */
+const isMagicSystem = (value, path) => (
+  objectWithStrings(['name', 'kind', 'overview', 'societalImpact'])(value, path)
+  || arrayOf(objectWithStrings(['name', 'description']))(value.sources, `${path}.sources`)
+  || arrayOf(isString)(value.costs, `${path}.costs`)
+  || arrayOf(isString)(value.limitations, `${path}.limitations`)
+  || arrayOf(objectWithStrings(['name', 'description', 'practitioners']))(value.schools, `${path}.schools`)
+  || arrayOf(objectWithStrings(['name', 'description']))(value.artifacts, `${path}.artifacts`)
+);
+
+/**
+ * Validate a scenario
+ * @param {Object} value - Scenario
+ * @param {string} path - Field path for messages
+ * @returns {string|null} Error message
+ */
+const isScenario = (value, path) => (
+  objectWithStrings(['title', 'location', 'summary', 'stakes'])(value, path)
+  || ['characters', 'hooks', 'encounters']
+    .map(key => arrayOf(isString)(value[key], `${path}.${key}`))
+    .find(Boolean)
+  || null
+);
+
+/**
+ * Validate a generated visual: either image data or a written art brief
+ * @param {Object} value - Visual entry
+ * @param {string} path - Field path for messages
+ * @returns {string|null} Error message
+ */
+const isVisual = (value, path) => {
+  if (!value || typeof value !== 'object') return `${path} must be an object`;
+  if (value.isImage) return isBase64Image(value.image, `${path}.image`);
+  if (value.isDescription) return isString(value.description, `${path}.description`);
+  return `${path} must be an image or a description`;
+};
+
+/**
+ * Validate a map of section keys to error messages
+ * @param {Object} value - Section errors
+ * @param {string} path - Field path for messages
+ * @returns {string|null} Error message
+ */
+const isSectionErrors = (value, path) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object`;
+  const invalid = Object.keys(value).find(key => typeof value[key] !== 'string');
+  return invalid ? `${path}.${invalid} must be a string` : null;
+};
+
+/**
+ * The world schema for the current file version: every field a world file may contain
+ */
+const WORLD_SCHEMA = {
+  userIdea: isString,
+  worldType: isString,
+  worldNarrative: optional(isString),
+  gameBookIdeas: optional(arrayOf(objectWithStrings(['title', 'synopsis']))),
+  customizationOptions: optional(arrayOf(objectWithStrings(['title', 'description']))),
+  characterConcepts: optional(arrayOf(isCharacter)),
+  factions: optional(arrayOf(isFaction)),
+  magicSystem: optional(isMagicSystem),
+  regions: optional(arrayOf(isRegion)),
+  timeline: optional(arrayOf(isTimelineEra)),
+  scenarios: optional(arrayOf(isScenario)),
+  mapSeed: optional(isInteger),
+  counts: optional(isCounts),
+  conceptImage: optional(isBase64Image),
+  conceptImageDescription: optional(isVisual),
+  characterVisuals: optional(arrayOf(optional(isVisual))),
+  scenarioVisuals: optional(arrayOf(optional(isVisual))),
+  sectionErrors: optional(isSectionErrors)
+};
+
+/**
+ * Upgrades from older file versions, keyed by the version they upgrade from
+ * Each receives the world of that version and returns the world of the next version
+ */
+const MIGRATIONS = {
+  // Version 2 replaced the free-text conceptualMaps with structured regions
+  1: upgradeLegacyRegions
+};
+
+/**
+ * Keep only the fields described by the schema
+ * @param {Object} worldData - World data
+ * @returns {Object} World data limited to schema fields
+ */
+const pickSchemaFields = (worldData) => Object.keys(WORLD_SCHEMA).reduce((world, key) => {
+  if (worldData[key] !== undefined) {
+    world[key] = worldData[key];
+  }
+  return world;
+}, {});
+
+/**
+ * Check a world against the schema
+ * @param {Object} worldData - World data
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export const validateWorld = (worldData) => {
+  if (!worldData || typeof worldData !== 'object' || Array.isArray(worldData)) {
+    return ['world must be an object'];
+  }
+
+  return Object.entries(WORLD_SCHEMA)
+    .map(([key, validate]) => validate(worldData[key], `world.${key}`))
+    .filter(Boolean);
+};
+
+/**
+ * Wrap a world in the versioned file envelope
+ * @param {Object} worldData - World data, including base64 images
+ * @param {Object} options - Optional display name for the world
+ * @returns {Object} World file contents
+ */
+export const serializeWorld = (worldData, { name = null } = {}) => ({
+  format: WORLD_FILE_FORMAT,
+  version: WORLD_FILE_VERSION,
+  exportedAt: new Date().toISOString(),
+  name,
+  world: pickSchemaFields(worldData)
+});
+
+/**
+ * Parse and validate the text of a world file, upgrading older versions
+ * @param {string} text - File contents
+ * @returns {Object} { name, worldData }
+ * @throws {Error} When the file is not a valid world file
+ */
+export const parseWorldFile = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (err) {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  if (!file || file.format !== WORLD_FILE_FORMAT) {
+    throw new Error('This file is not a world file exported from this app.');
+  }
+
+  if (!Number.isInteger(file.version) || file.version < 1) {
+    throw new Error('This world file has no valid version number.');
+  }
+
+  if (file.version > WORLD_FILE_VERSION) {
+    throw new Error(`This world file uses version ${file.version}, but this app only reads up to version ${WORLD_FILE_VERSION}. Please update the app.`);
+  }
+
+  let world = file.world;
+  for (let version = file.version; version < WORLD_FILE_VERSION; version += 1) {
+    world = MIGRATIONS[version](world);
+  }
+
+  const problems = validateWorld(world);
+  if (problems.length > 0) {
+    const shown = problems.slice(0, 3).join('; ');
+    const more = problems.length > 3 ? ` (and ${problems.length - 3} more)` : '';
+    throw new Error(`This world file is invalid: ${shown}${more}.`);
+  }
+
+  return {
+    name: typeof file.name === 'string' && file.name.trim() ? file.name.trim() : null,
+    worldData: pickSchemaFields(world)
+  };
+};
+
+/**
+ * Download a world as a JSON world file
+ * @param {Object} worldData - World data, including base64 images
+ * @param {Object} options - Optional display name for the world
+ * @returns {string} The filename used
+ */
+export const exportWorldToJSON = (worldData, { name = null } = {}) => {
+  if (!worldData) {
+    throw new Error('No world data to export');
+  }
+
+  const filename = createExportFilename(worldData.worldType, 'world.json');
+  const contents = JSON.stringify(serializeWorld(worldData, { name }), null, 2);
+  downloadBlob(new Blob([contents], { type: 'application/json' }), filename);
+  return filename;
+};
+
+/**
+ * Read a world file chosen by the user
+ * @param {File} file - File from an <input type="file">
+ * @returns {Promise<Object>} { name, worldData }
+ */
+export const readWorldFile = async (file) => parseWorldFile(await file.text());
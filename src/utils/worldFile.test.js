@@ -0,0 +1,113 @@
+import { WORLD_FILE_FORMAT, WORLD_FILE_VERSION, parseWorldFile, serializeWorld, validateWorld } from './worldFile';
+
+const WORLD = {
+  userIdea: 'A drowned empire',
+  worldType: 'Fantasy',
+  worldNarrative: 'The sea rose.\n\nThe empire went under.',
+  characterConcepts: [{ name: 'Mossa', role: 'Diver', description: 'Finds what the sea took.' }],
+  regions: [{
+    name: 'The Shallows',
+    biome: 'Reef',
+    climate: 'Warm',
+    atmosphere: 'Bright and dangerous',
+    landmarks: ['The Bell Tower'],
+    settlements: [],
+    neighbours: [],
+    dangers: ['Currents']
+  }],
+  mapSeed: 42,
+  characterVisuals: [{ isDescription: true, description: 'A diver in brass' }]
+};
+
+/**
+ * Write a world file the way an older or newer app would
+ * @param {Object} fields - Envelope fields to set
+ * @returns {string} File contents
+ */
+const fileText = (fields) => JSON.stringify({ format: WORLD_FILE_FORMAT, version: WORLD_FILE_VERSION, world: WORLD, ...fields });
+
+describe('serializeWorld', () => {
+  it('wraps the world in the versioned envelope and leaves out fields outside the schema', () => {
+    const file = serializeWorld({ ...WORLD, isStreaming: true }, { name: 'Drowned' });
+
+    expect(file).toMatchObject({ format: WORLD_FILE_FORMAT, version: WORLD_FILE_VERSION, name: 'Drowned' });
+    expect(file.world).toEqual(WORLD);
+  });
+
+  it('round-trips through parseWorldFile', () => {
+    const { name, worldData } = parseWorldFile(JSON.stringify(serializeWorld(WORLD, { name: '  Drowned  ' })));
+
+    expect(name).toBe('Drowned');
+    expect(worldData).toEqual(WORLD);
+  });
+});
+
+describe('parseWorldFile', () => {
+  it('upgrades version 1 conceptual maps, and their error, to structured regions', () => {
+    const { regions, ...rest } = WORLD;
+    const { worldData } = parseWorldFile(fileText({
+      version: 1,
+      world: {
+        ...rest,
+        conceptualMaps: '## The Shallows\nBright and dangerous\n\nThe Deep\nDark',
+        sectionErrors: { conceptualMaps: 'Timed out', scenarios: 'Failed' }
+      }
+    }));
+
+    expect(worldData.conceptualMaps).toBeUndefined();
+    expect(worldData.regions.map(region => [region.name, region.atmosphere])).toEqual([
+      ['The Shallows', 'Bright and dangerous'],
+      ['The Deep', 'Dark']
+    ]);
+    expect(worldData.sectionErrors).toEqual({ scenarios: 'Failed', regions: 'Timed out' });
+  });
+
+  it('names no world when the file has no name', () => {
+    expect(parseWorldFile(fileText({ name: '   ' })).name).toBeNull();
+  });
+
+  it.each([
+    ['text that is not JSON', '{ not json', 'not valid JSON'],
+    ['another format', fileText({ format: 'something-else' }), 'not a world file'],
+    ['a missing version', fileText({ version: undefined }), 'no valid version'],
+    ['a newer version', fileText({ version: WORLD_FILE_VERSION + 1 }), `only reads up to version ${WORLD_FILE_VERSION}`]
+  ])('rejects %s', (_, text, message) => {
+    expect(() => parseWorldFile(text)).toThrow(message);
+  });
+
+  it('names the invalid field and counts the problems it does not list', () => {
+    const world = { ...WORLD, userIdea: 7, worldType: null, gameBookIdeas: {}, characterConcepts: 'none', sectionErrors: [] };
+
+    expect(() => parseWorldFile(fileText({ world }))).toThrow(
+      'This world file is invalid: world.userIdea must be a string; world.worldType must be a string; world.gameBookIdeas must be an array (and 2 more).'
+    );
+  });
+});
+
+describe('validateWorld', () => {
+  it('accepts a valid world', () => {
+    expect(validateWorld(WORLD)).toEqual([]);
+  });
+
+  it('reports the path of nested problems', () => {
+    expect(validateWorld({
+      ...WORLD,
+      conceptImage: 'not base64!',
+      characterVisuals: [null, { isImage: true, image: 'not base64!' }]
+    })).toEqual([
+      'world.conceptImage must be base64 image data',
+      'world.characterVisuals[1].image must be base64 image data'
+    ]);
+  });
+
+  it('checks the sheet of an expanded character', () => {
+    expect(validateWorld({
+      ...WORLD,
+      characterConcepts: [{ ...WORLD.characterConcepts[0], sheet: { appearance: 'Tall', stats: [{ name: 'Grit', value: 'high' }] } }]
+    })).toEqual(['world.characterConcepts[0].sheet.personalityTraits must be an array']);
+  });
+
+  it('rejects values that are not objects', () => {
+    expect(validateWorld([])).toEqual(['world must be an object']);
+  });
+});
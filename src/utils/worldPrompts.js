@@ -0,0 +1,654 @@
+import { normalizeRegions } from './regions';
+import { normalizeFactions } from './factions';
+import { normalizeTimeline } from './timeline';
+import { normalizeMagicSystem } from './magicSystem';
+import { normalizeScenarios } from './scenarios';
+import { ENTITY_KINDS } from './consistency';
+import { getSectionLines } from './worldDiff';
+
+/**
+ * World Prompt Definitions
+ * Prompts and response schemas for every generated world section and visual,
+ * shared by full world generation and single-section regeneration
+ */
+
+/**
+ * Generate mood keywords based on world type
+ * @param {string} worldType - The type of world
+ * @returns {string} Mood descriptors for image generation
+ */
+export const getMoodFromWorldType = (worldType) => {
+  const moodMap = {
+    'Medieval Fantasy': 'epic, mystical, magical, ancient, heroic',
+    'Sci-Fi Future': 'futuristic, technological, sleek, advanced, cosmic',
+    'Post-Apocalyptic': 'gritty, desolate, survival, ruins, harsh',
+    'Steampunk': 'industrial, brass, steam, Victorian, mechanical',
+    'Cyberpunk': 'neon, urban, dystopian, high-tech, noir',
+    'Modern Urban Fantasy': 'contemporary, magical realism, urban, mysterious'
+  };
+
+  return moodMap[worldType] || 'atmospheric, detailed, immersive';
+};
+
+/**
+ * Describe the kind of magic or technology system that suits a world type
+ * @param {string} worldType - The type of world
+ * @returns {string} System description for the prompt
+ */
+export const getSystemFocusFromWorldType = (worldType) => {
+  const focusMap = {
+    'Medieval Fantasy': 'a magic system',
+    'Sci-Fi Future': 'a technology system',
+    'Post-Apocalyptic': 'a technology system built on salvage and half-understood lost science',
+    'Steampunk': 'a hybrid system where steam-age engineering meets magic or alchemy',
+    'Cyberpunk': 'a technology system of cybernetics, networks and corporate hardware',
+    'Modern Urban Fantasy': 'a magic system hidden inside the modern world'
+  };
+
+  return focusMap[worldType] || 'a magic or technology system, whichever fits the world best';
+};
+
+/**
+ * Item counts the user can choose before generating, with their allowed range
+ * section names the list whose length a count describes once the world exists
+ */
+export const COUNT_LIMITS = {
+  characters: { label: 'Number of Characters', section: 'characterConcepts', min: 1, max: 10, default: 5 },
+  ideas: { label: 'Number of Game & Book Ideas', section: 'gameBookIdeas', min: 1, max: 10, default: 5 },
+  options: { label: 'Number of Customization Options', section: 'customizationOptions', min: 1, max: 10, default: 5 },
+  regions: { label: 'Number of Regions', section: 'regions', min: 1, max: 8, default: 2 },
+  scenarios: { label: 'Number of Scenarios', section: 'scenarios', min: 1, max: 6, default: 3 }
+};
+
+/**
+ * Get the default item counts
+ * @returns {Object} Count per key of COUNT_LIMITS
+ */
+export const getDefaultCounts = () => Object.keys(COUNT_LIMITS).reduce((counts, key) => {
+  counts[key] = COUNT_LIMITS[key].default;
+  return counts;
+}, {});
+
+/**
+ * Get the item counts of an existing world
+ * Lists that have items keep their current size, so regenerating them neither grows nor shrinks the world;
+ * the rest fall back to the counts chosen when the world was generated
+ * @param {Object} worldData - World data
+ * @returns {Object} Count per key of COUNT_LIMITS
+ */
+export const getWorldCounts = (worldData) => Object.entries(COUNT_LIMITS).reduce((counts, [key, { section }]) => {
+  const items = section && worldData?.[section];
+  if (Array.isArray(items) && items.length > 0) {
+    counts[key] = items.length;
+  }
+  return counts;
+}, { ...getDefaultCounts(), ...worldData?.counts });
+
+/**
+ * Schema of one dated timeline event, shared by timeline generation and gap filling
+ */
+const TIMELINE_EVENT_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    date: { type: "STRING" },
+    title: { type: "STRING" },
+    description: { type: "STRING" },
+    factions: { type: "ARRAY", items: { type: "STRING" } },
+    characters: { type: "ARRAY", items: { type: "STRING" } },
+    regions: { type: "ARRAY", items: { type: "STRING" } }
+  },
+  propertyOrdering: ["date", "title", "description", "factions", "characters", "regions"]
+};
+
+/**
+ * Text sections of a world, in generation order
+ * Each entry describes how to prompt for the section and which schema (if any) structures the response.
+ * buildPrompt receives the item counts as a third argument; an optional normalize fills in missing fields.
+ * Sections marked usesWorldContext are generated after the others, with the rest of the world as context.
+ * Most structured sections are lists; an OBJECT schema describes a section holding a single item
+ */
+export const TEXT_SECTIONS = {
+  worldNarrative: {
+    label: 'World Narrative',
+    schema: null,
+    buildPrompt: (userIdea, worldType) => `Create a detailed world-building narrative for a ${worldType} world based on the idea: "${userIdea}". Include history, geography, key factions, magic systems (if applicable), and societal structure. Make it rich and evocative. Write in engaging prose format with multiple paragraphs. Do not use markdown formatting, asterisks, or special characters. Write in plain text with natural paragraph breaks.`
+  },
+  gameBookIdeas: {
+    label: 'Game & Book Ideas',
+    schema: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          title: { type: "STRING" },
+          synopsis: { type: "STRING" }
+        },
+        propertyOrdering: ["title", "synopsis"]
+      }
+    },
+    buildPrompt: (userIdea, worldType, counts) => `Based on the world idea "${userIdea}" in a ${worldType} setting, generate ${counts.ideas} distinct ideas for games or books set in this world. Each should be creative and different from the others.`
+  },
+  customizationOptions: {
+    label: 'Customization Options',
+    schema: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          title: { type: "STRING" },
+          description: { type: "STRING" }
+        },
+        propertyOrdering: ["title", "description"]
+      }
+    },
+    buildPrompt: (userIdea, worldType, counts) => `For a ${worldType} world based on "${userIdea}", suggest ${counts.options} specific ways a developer could further customize or expand upon this world. Be practical and creative.`
+  },
+  characterConcepts: {
+    label: 'Character Concepts',
+    schema: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          name: { type: "STRING" },
+          description: { type: "STRING" },
+          role: { type: "STRING" }
+        },
+        propertyOrdering: ["name", "description", "role"]
+      }
+    },
+    buildPrompt: (userIdea, worldType, counts) => `Create ${counts.characters} compelling character concepts for a ${worldType} world based on "${userIdea}". Each character should be unique and fit the world's tone.`
+  },
+  factions: {
+    label: 'Factions',
+    schema: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          name: { type: "STRING" },
+          ideology: { type: "STRING" },
+          leader: { type: "STRING" },
+          territory: { type: "STRING" },
+          resources: { type: "ARRAY", items: { type: "STRING" } },
+          goals: { type: "ARRAY", items: { type: "STRING" } },
+          relationships: {
+            type: "ARRAY",
+            items: {
+              type: "OBJECT",
+              properties: {
+                faction: { type: "STRING" },
+                type: { type: "STRING", enum: ["allied", "rival", "at war", "vassal"] },
+                description: { type: "STRING" }
+              },
+              propertyOrdering: ["faction", "type", "description"]
+            }
+          }
+        },
+        propertyOrdering: ["name", "ideology", "leader", "territory", "resources", "goals", "relationships"]
+      }
+    },
+    normalize: normalizeFactions,
+    buildPrompt: (userIdea, worldType) => `Create 4 to 6 key factions for a ${worldType} world based on "${userIdea}". For each faction give its name, ideology, leader, the territory it controls, its main resources and its goals. Also list its relationships with the other factions in this same list, each with the other faction's exact name, a type of "allied", "rival", "at war" or "vassal" (meaning this faction serves the other one), and one sentence on why. Use plain text without markdown.`
+  },
+  magicSystem: {
+    label: 'Magic & Technology',
+    schema: {
+      type: "OBJECT",
+      properties: {
+        name: { type: "STRING" },
+        kind: { type: "STRING", enum: ["magic", "technology", "hybrid"] },
+        overview: { type: "STRING" },
+        sources: {
+          type: "ARRAY",
+          items: {
+            type: "OBJECT",
+            properties: { name: { type: "STRING" }, description: { type: "STRING" } },
+            propertyOrdering: ["name", "description"]
+          }
+        },
+        costs: { type: "ARRAY", items: { type: "STRING" } },
+        limitations: { type: "ARRAY", items: { type: "STRING" } },
+        schools: {
+          type: "ARRAY",
+          items: {
+            type: "OBJECT",
+            properties: { name: { type: "STRING" }, description: { type: "STRING" }, practitioners: { type: "STRING" } },
+            propertyOrdering: ["name", "description", "practitioners"]
+          }
+        },
+        artifacts: {
+          type: "ARRAY",
+          items: {
+            type: "OBJECT",
+            properties: { name: { type: "STRING" }, description: { type: "STRING" } },
+            propertyOrdering: ["name", "description"]
+          }
+        },
+        societalImpact: { type: "STRING" }
+      },
+      propertyOrdering: ["name", "kind", "overview", "sources", "costs", "limitations", "schools", "artifacts", "societalImpact"]
+    },
+    normalize: normalizeMagicSystem,
+    buildPrompt: (userIdea, worldType) => `Design ${getSystemFocusFromWorldType(worldType)} for a ${worldType} world based on "${userIdea}". Make it rule-based, so a game designer could turn it into mechanics. Give it a name, its kind ("magic", "technology" or "hybrid"), a short overview, the sources its power comes from, what using it costs, the hard limits on what it can do, 3 to 5 schools or branches (with who practices each), 2 to 4 notable artifacts, and a paragraph on how it shapes society. Use plain text without markdown.`
+  },
+  regions: {
+    label: 'Regions',
+    schema: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          name: { type: "STRING" },
+          biome: { type: "STRING" },
+          climate: { type: "STRING" },
+          landmarks: { type: "ARRAY", items: { type: "STRING" } },
+          settlements: { type: "ARRAY", items: { type: "STRING" } },
+          neighbours: { type: "ARRAY", items: { type: "STRING" } },
+          dangers: { type: "ARRAY", items: { type: "STRING" } },
+          atmosphere: { type: "STRING" }
+        },
+        propertyOrdering: ["name", "biome", "climate", "landmarks", "settlements", "neighbours", "dangers", "atmosphere"]
+      }
+    },
+    normalize: normalizeRegions,
+    buildPrompt: (userIdea, worldType, counts) => `Create ${counts.regions} distinct regions of a ${worldType} world based on "${userIdea}". For each region give its name, biome, climate, notable landmarks, settlements, the names of the neighbouring regions (only regions from this same list), the dangers travellers face there, and a short paragraph on its atmosphere. Make the regions clearly different from each other. Use plain text without markdown.`
+  },
+  timeline: {
+    label: 'Timeline',
+    usesWorldContext: true,
+    schema: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          name: { type: "STRING" },
+          period: { type: "STRING" },
+          description: { type: "STRING" },
+          events: { type: "ARRAY", items: TIMELINE_EVENT_SCHEMA }
+        },
+        propertyOrdering: ["name", "period", "description", "events"]
+      }
+    },
+    normalize: normalizeTimeline,
+    buildPrompt: (userIdea, worldType) => `Create the history of a ${worldType} world based on "${userIdea}" as a timeline of 3 to 5 eras in chronological order, from its origins to the present day. For each era give its name, the period it covers in the world's own calendar, a short description, and 2 to 4 key events in chronological order. For each event give a date in the same calendar, a title, a short description, and the names of the factions, characters and regions involved (empty lists when none are). Use plain text without markdown.`
+  },
+  scenarios: {
+    label: 'World Scenarios',
+    usesWorldContext: true,
+    schema: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          title: { type: "STRING" },
+          location: { type: "STRING" },
+          summary: { type: "STRING" },
+          stakes: { type: "STRING" },
+          characters: { type: "ARRAY", items: { type: "STRING" } },
+          hooks: { type: "ARRAY", items: { type: "STRING" } },
+          encounters: { type: "ARRAY", items: { type: "STRING" } }
+        },
+        propertyOrdering: ["title", "location", "summary", "stakes", "characters", "hooks", "encounters"]
+      }
+    },
+    normalize: normalizeScenarios,
+    buildPrompt: (userIdea, worldType, counts) => `Create ${counts.scenarios} playable scenarios set in a ${worldType} world based on "${userIdea}", each one a situation a game level, quest or story chapter could be built around. For each scenario give a title, the location where it takes place (one of the world's regions or a place within one), a short summary of the situation, what is at stake, the names of the characters involved (only characters of this world, or an empty list), 2 or 3 hooks that draw players or readers in, and 2 or 3 encounter ideas. Make the scenarios clearly different from each other. Use plain text without markdown.`
+  }
+};
+
+/**
+ * Ways to generate a whole world, offered by the input form
+ */
+export const GENERATION_MODES = {
+  fast: {
+    label: 'Fast',
+    description: 'Sections are written independently and in parallel'
+  },
+  coherent: {
+    label: 'Coherent',
+    description: 'Narrative, then factions, characters, regions and ideas, each step building on the ones before. Slower, but names and factions line up'
+  }
+};
+
+// Chain of the coherent mode; sections in one step are generated together
+const COHERENT_STEPS = [
+  ['worldNarrative'],
+  ['factions', 'magicSystem'],
+  ['characterConcepts'],
+  ['regions'],
+  ['gameBookIdeas', 'customizationOptions']
+];
+
+/**
+ * Get the steps a whole world is generated in
+ * Sections within a step are generated concurrently, and every step after the first is given a condensed
+ * description of the sections generated before it. Sections marked usesWorldContext always come last
+ * @param {string} mode - Key of GENERATION_MODES (default: 'fast')
+ * @returns {string[][]} Section keys per step
+ */
+export const getGenerationSteps = (mode = 'fast') => {
+  const sectionKeys = Object.keys(TEXT_SECTIONS);
+  const independent = sectionKeys.filter(section => !TEXT_SECTIONS[section].usesWorldContext);
+  const contextual = sectionKeys.filter(section => TEXT_SECTIONS[section].usesWorldContext);
+  if (mode !== 'coherent') return [independent, contextual];
+
+  // Sections the chain does not name join its last step, so none is ever skipped
+  const chained = COHERENT_STEPS.flat();
+  const unchained = independent.filter(section => !chained.includes(section));
+  return [
+    ...COHERENT_STEPS.slice(0, -1),
+    [...COHERENT_STEPS[COHERENT_STEPS.length - 1], ...unchained],
+    contextual
+  ];
+};
+
+/**
+ * Get the content a section has when it could not be generated
+ * @param {string} section - Section key from TEXT_SECTIONS
+ * @returns {string|Array|null} Empty text, an empty list or null for single-item sections
+ */
+export const getEmptySectionContent = (section) => {
+  const { schema } = TEXT_SECTIONS[section];
+  if (!schema) return '';
+  return schema.type === 'ARRAY' ? [] : null;
+};
+
+/**
+ * Shorten text to a maximum length without cutting mid-word where possible
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum number of characters
+ * @returns {string} Shortened text
+ */
+const truncate = (text, maxLength) => {
+  if (!text || text.length <= maxLength) return text || '';
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > maxLength * 0.8 ? cut.slice(0, lastSpace) : cut}...`;
+};
+
+/**
+ * Build a condensed description of the existing world, leaving out one section
+ * Used so a regenerated section stays consistent with everything else
+ * @param {Object} worldData - Current world data
+ * @param {string} excludeSection - Section key to leave out of the context
+ * @returns {string} Context block for a prompt (empty when nothing to add)
+ */
+export const buildWorldContext = (worldData, excludeSection = null) => {
+  if (!worldData) return '';
+
+  const parts = [];
+  const {
+    worldNarrative,
+    gameBookIdeas,
+    customizationOptions,
+    characterConcepts,
+    factions,
+    regions,
+    timeline,
+    magicSystem,
+    scenarios
+  } = worldData;
+
+  if (excludeSection !== 'worldNarrative' && worldNarrative) {
+    parts.push(`World narrative: ${truncate(worldNarrative, 1500)}`);
+  }
+
+  if (excludeSection !== 'characterConcepts' && characterConcepts?.length) {
+    parts.push(`Characters: ${characterConcepts.map(c => `${c.name} (${c.role})`).join('; ')}`);
+  }
+
+  if (excludeSection !== 'gameBookIdeas' && gameBookIdeas?.length) {
+    parts.push(`Game and book ideas: ${gameBookIdeas.map(i => i.title).join('; ')}`);
+  }
+
+  if (excludeSection !== 'customizationOptions' && customizationOptions?.length) {
+    parts.push(`Customization options: ${customizationOptions.map(o => o.title).join('; ')}`);
+  }
+
+  if (excludeSection !== 'factions' && factions?.length) {
+    parts.push(`Factions: ${factions.map(f => (f.leader ? `${f.name} (led by ${f.leader})` : f.name)).join('; ')}`);
+  }
+
+  if (excludeSection !== 'magicSystem' && magicSystem) {
+    parts.push(`Magic or technology system: ${magicSystem.name} (${magicSystem.kind})${magicSystem.overview ? ` - ${truncate(magicSystem.overview, 300)}` : ''}`);
+  }
+
+  if (excludeSection !== 'regions' && regions?.length) {
+    parts.push(`Regions: ${regions.map(r => (r.biome ? `${r.name} (${r.biome})` : r.name)).join('; ')}`);
+  }
+
+  if (excludeSection !== 'timeline' && timeline?.length) {
+    parts.push(`History: ${timeline.map(era => (era.period ? `${era.name} (${era.period})` : era.name)).join('; ')}`);
+  }
+
+  if (excludeSection !== 'scenarios' && scenarios?.length) {
+    parts.push(`Scenarios: ${scenarios.map(s => (s.location ? `${s.title} (at ${s.location})` : s.title)).join('; ')}`);
+  }
+
+  return parts.join('\n');
+};
+
+/**
+ * Build the prompt for a text section, optionally grounded in the rest of the world
+ * @param {string} section - Section key from TEXT_SECTIONS
+ * @param {string} userIdea - User's world idea
+ * @param {string} worldType - Type of world
+ * @param {string} context - Condensed description of the other sections (optional)
+ * @param {Object} counts - Item counts such as { characters: 6, regions: 4 } (defaults from COUNT_LIMITS)
+ * @returns {string} Prompt for the section
+ */
+export const buildSectionPrompt = (section, userIdea, worldType, context = '', counts = {}) => {
+  const definition = TEXT_SECTIONS[section];
+  if (!definition) {
+    throw new Error(`Unknown world section: ${section}`);
+  }
+
+  const prompt = definition.buildPrompt(userIdea, worldType, { ...getDefaultCounts(), ...counts });
+  if (!context) return prompt;
+
+  return `${prompt}
+
+The rest of this world has already been written. Stay consistent with its names, places, factions and tone, and produce a fresh take on this section only:
+${context}`;
+};
+
+/**
+ * Response schema for the events that fill a gap in the timeline
+ */
+export const TIMELINE_GAP_SCHEMA = { type: "ARRAY", items: TIMELINE_EVENT_SCHEMA };
+
+/**
+ * Describe an event for a prompt
+ * @param {Object} event - Timeline event
+ * @returns {string} Date, title and description on one line
+ */
+const describeEvent = (event) => `${event.date ? `${event.date}: ` : ''}${event.title}${event.description ? ` - ${event.description}` : ''}`;
+
+/**
+ * Build the prompt asking for events that happened between two events of the timeline
+ * @param {Object} worldData - Current world data
+ * @param {Object} before - Earlier event
+ * @param {Object} after - Later event
+ * @returns {string} Prompt for the missing events
+ */
+export const buildTimelineGapPrompt = (worldData, before, after) => {
+  const { userIdea, worldType } = worldData;
+  return `In the history of a ${worldType} world based on "${userIdea}", two events of the timeline are:
+Earlier: ${describeEvent(before)}
+Later: ${describeEvent(after)}
+
+Create 1 to 3 events that happened between them, in chronological order, explaining how the world got from the first to the second. Give each event a date that falls between the two dates in the same calendar, a title, a short description, and the names of the factions, characters and regions involved (empty lists when none are). Use plain text without markdown.
+
+Stay consistent with the rest of this world:
+${buildWorldContext(worldData)}`;
+};
+
+/**
+ * Build the response schema for a character sheet
+ * @param {boolean} includeStats - Whether to ask for RPG stats
+ * @returns {Object} Schema
+ */
+export const getCharacterSheetSchema = (includeStats = false) => {
+  const properties = {
+    appearance: { type: "STRING" },
+    personalityTraits: { type: "ARRAY", items: { type: "STRING" } },
+    motivations: { type: "ARRAY", items: { type: "STRING" } },
+    fears: { type: "ARRAY", items: { type: "STRING" } },
+    backstory: { type: "ARRAY", items: { type: "STRING" } },
+    relationships: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          character: { type: "STRING" },
+          relationship: { type: "STRING" }
+        },
+        propertyOrdering: ["character", "relationship"]
+      }
+    },
+    voiceLines: { type: "ARRAY", items: { type: "STRING" } }
+  };
+
+  if (includeStats) {
+    properties.stats = {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          name: { type: "STRING" },
+          value: { type: "INTEGER" }
+        },
+        propertyOrdering: ["name", "value"]
+      }
+    };
+  }
+
+  return { type: "OBJECT", properties, propertyOrdering: Object.keys(properties) };
+};
+
+/**
+ * Build the prompt that expands one character concept into a full character sheet
+ * @param {Object} worldData - Current world data
+ * @param {number} index - Character index
+ * @param {boolean} includeStats - Whether to ask for RPG stats
+ * @returns {string} Prompt for the sheet
+ */
+export const buildCharacterSheetPrompt = (worldData, index, includeStats = false) => {
+  const { userIdea, worldType, characterConcepts = [] } = worldData;
+  const character = characterConcepts[index];
+  const others = characterConcepts.filter((_, otherIndex) => otherIndex !== index);
+  const context = buildWorldContext(worldData, 'characterConcepts');
+
+  return `Expand this character from a ${worldType} world based on "${userIdea}" into a full character sheet:
+${character.name} (${character.role}): ${character.description}
+
+Describe their appearance, list their personality traits, motivations and fears, and give 3 to 5 key backstory beats in chronological order. ${others.length > 0 ? `Describe how they relate to each of these other characters, using their exact names: ${others.map(other => other.name).join(', ')}.` : 'Leave the relationships empty.'} Write 3 short lines of dialogue in their own voice.${includeStats ? ' Also give 6 RPG stats suited to this world (such as Strength or Hacking), each scored from 1 to 20.' : ''} Stay consistent with what is already known about them. Use plain text without markdown.${context ? `
+
+The rest of this world:
+${context}` : ''}`;
+};
+
+/**
+ * Response schema for the issues found by the consistency check
+ * A fix replaces the exact text find with replace in the section fixSection
+ */
+export const CONSISTENCY_SCHEMA = {
+  type: "ARRAY",
+  items: {
+    type: "OBJECT",
+    properties: {
+      kind: { type: "STRING", enum: ["contradiction", "dangling reference"] },
+      sections: { type: "ARRAY", items: { type: "STRING" } },
+      description: { type: "STRING" },
+      fixSection: { type: "STRING" },
+      find: { type: "STRING" },
+      replace: { type: "STRING" }
+    },
+    propertyOrdering: ["kind", "sections", "description", "fixSection", "find", "replace"]
+  }
+};
+
+/**
+ * Build the prompt that checks a whole world for contradictions and dangling references
+ * Every section is written out in full (up to a length limit) under its key, so fixes can quote it exactly
+ * @param {Object} worldData - Current world data
+ * @param {Object[]} entities - Named entities from extractEntities
+ * @param {Object[]} references - Dangling references from findDanglingReferences
+ * @returns {string} Prompt for the check
+ */
+export const buildConsistencyPrompt = (worldData, entities, references) => {
+  const { userIdea, worldType } = worldData;
+  const entityLines = ENTITY_KINDS
+    .map(({ key, label }) => ({ label, names: entities.filter(entity => entity.kind === key).map(entity => entity.name) }))
+    .filter(({ names }) => names.length > 0)
+    .map(({ label, names }) => `${label}: ${names.join('; ')}`);
+  const sectionBlocks = Object.entries(TEXT_SECTIONS)
+    .map(([key, { label }]) => ({ key, label, text: truncate(getSectionLines(worldData, key).join('\n'), 4000) }))
+    .filter(({ text }) => text)
+    .map(({ key, label, text }) => `[${key}] ${label}\n${text}`);
+
+  return `Review this ${worldType} world based on "${userIdea}" for canon consistency. Its sections were written separately, so names, places and facts may not line up.
+
+Named entities:
+${entityLines.join('\n') || 'None yet'}
+${references.length > 0 ? `
+References to names that no section defines:
+${references.map(reference => `- ${reference.description}`).join('\n')}
+` : ''}
+The world, section by section, each under its key in brackets:
+
+${sectionBlocks.join('\n\n')}
+
+List every contradiction between sections (facts, names, places, dates or relationships that disagree) and every dangling reference (a name used in one section that no section defines${references.length > 0 ? ', including each one listed above' : ''}). For each issue give its kind ("contradiction" or "dangling reference"), the keys of the sections involved, and a one-sentence description. Then suggest a fix: the key of the one section to change as fixSection, a short piece of text copied exactly from that section as find, and the text to put in its place as replace. Prefer small fixes, such as renaming a reference to an existing entity or rewording one phrase. Leave find empty when no single replacement can fix the issue. Return an empty list when the world is consistent. Use plain text without markdown.`;
+};
+
+/**
+ * Create optimized image prompt for world concept art
+ * @param {string} userIdea - User's world idea
+ * @param {string} worldType - Type of world
+ * @returns {string} Optimized prompt for image generation
+ */
+export const createWorldImagePrompt = (userIdea, worldType) => {
+  const mood = getMoodFromWorldType(worldType);
+  return `Create a stunning cinematic concept art depicting a ${worldType} world inspired by: "${userIdea}".
+Style: High-quality digital art, masterpiece quality, detailed environment, atmospheric lighting, professional game concept art.
+Composition: Epic wide landscape view showcasing the world's unique characteristics and atmosphere.
+Mood: ${mood}, breathtaking, immersive.
+Technical: 4K quality, sharp details, vibrant colors, dramatic composition.`;
+};
+
+/**
+ * Create character image prompt
+ * @param {Object} character - Character data
+ * @param {string} worldType - Type of world
+ * @returns {string} Character-specific image prompt
+ */
+export const createCharacterImagePrompt = (character, worldType) => {
+  const mood = getMoodFromWorldType(worldType);
+  return `Character concept art portrait of ${character.name}, a ${character.role} in a ${worldType} world.
+Character Description: ${character.description}
+Style: Professional digital character portrait, detailed, high-quality game art style, masterpiece.
+Composition: Upper body portrait, showing personality and role clearly.
+Mood: ${mood}, character-focused, expressive.
+Technical: Sharp details, good lighting, character design quality.`;
+};
+
+/**
+ * Create scenario image prompt from the scenario's own location and situation
+ * @param {Object} scenario - Scenario data
+ * @param {string} userIdea - User's world idea
+ * @param {string} worldType - Type of world
+ * @returns {string} Scenario-specific image prompt
+ */
+export const createScenarioImagePrompt = (scenario, userIdea, worldType) => {
+  const mood = getMoodFromWorldType(worldType);
+  return `Environmental concept art of ${scenario.location || 'the setting'} in a ${worldType} world, the scene of "${scenario.title}".
+Scene: ${scenario.summary}
+World Concept: "${userIdea}"
+Style: Atmospheric environment art, cinematic composition, professional quality.
+Elements: Showcase the place itself and the tension of the situation.${scenario.stakes ? `
+At Stake: ${scenario.stakes}` : ''}
+Mood: ${mood}, environmental storytelling, immersive.
+Technical: Detailed background art, good composition, atmospheric lighting.`;
+};
@@ -0,0 +1,259 @@
+/**
+ * World Storage Utility
+ * Persists generated worlds (including base64 images) and their named snapshots in the browser's IndexedDB
+ */
+const DB_NAME = 'world-building-app';
+const DB_VERSION = 2;
+const STORE_NAME = 'worlds';
+const SNAPSHOT_STORE_NAME = 'snapshots';
+
+/**
+ * Create a unique identifier for a stored world or snapshot
+ * @returns {string} Unique record id
+ */
+const createRecordId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `world-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+/**
+ * Build a default library name from the world's idea and type
+ * @param {Object} worldData - World data object
+ * @returns {string} Human readable world name
+ */
+export const getDefaultWorldName = (worldData) => {
+  const idea = (worldData?.userIdea || 'Untitled world').trim();
+  const shortIdea = idea.length > 48 ? `${idea.slice(0, 48).trim()}...` : idea;
+  return worldData?.worldType ? `${worldData.worldType}: ${shortIdea}` : shortIdea;
+};
+
+class WorldStorage {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and upgrade if needed) the IndexedDB database
+   * @returns {Promise<IDBDatabase>} Open database connection
+   */
+  openDatabase() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      let isBlocked = false;
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          store.createIndex('updatedAt', 'updatedAt');
+        }
+        // Version 2 added named snapshots, kept apart so saving a world does not rewrite them
+        if (!db.objectStoreNames.contains(SNAPSHOT_STORE_NAME)) {
+          const snapshots = db.createObjectStore(SNAPSHOT_STORE_NAME, { keyPath: 'id' });
+          snapshots.createIndex('worldId', 'worldId');
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Opened after the wait was already reported as blocked; a later call opens it afresh
+        if (isBlocked) {
+          db.close();
+          return;
+        }
+        // A newer version of the app in another tab needs this connection closed to upgrade
+        db.onversionchange = () => {
+          db.close();
+          this.dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error || new Error('Failed to open world library'));
+      // An older version of the app in another tab still holds the database open
+      request.onblocked = () => {
+        isBlocked = true;
+        reject(new Error('The world library is open in another tab with an older version of the app. Close or reload that tab, then try again.'));
+      };
+    });
+
+    // Allow a later call to retry if opening failed
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request against an object store
+   * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+   * @param {Function} operation - Receives the object store and returns an IDBRequest
+   * @param {string} storeName - Object store to use (defaults to the worlds store)
+   * @returns {Promise<any>} Result of the request
+   */
+  async runRequest(mode, operation, storeName = STORE_NAME) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('World library transaction aborted'));
+    });
+  }
+
+  /**
+   * List all stored worlds, most recently updated first
+   * @returns {Promise<Object[]>} Lightweight world summaries for the library view
+   */
+  async listWorlds() {
+    const records = await this.runRequest('readonly', (store) => store.getAll());
+
+    return records
+      .map(({ id, name, createdAt, updatedAt, worldData }) => ({
+        id,
+        name,
+        createdAt,
+        updatedAt,
+        worldType: worldData?.worldType,
+        userIdea: worldData?.userIdea,
+        conceptImage: worldData?.conceptImage || null
+      }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Load a stored world record
+   * @param {string} id - World id
+   * @returns {Promise<Object|null>} Stored record ({ id, name, createdAt, updatedAt, worldData })
+   */
+  async getWorld(id) {
+    const record = await this.runRequest('readonly', (store) => store.get(id));
+    return record || null;
+  }
+
+  /**
+   * Create or update a stored world
+   * @param {Object} worldData - Complete world data, including base64 images
+   * @param {Object} options - Optional id of an existing record and display name
+   * @returns {Promise<Object>} Saved record
+   */
+  async saveWorld(worldData, { id = null, name = null } = {}) {
+    if (!worldData) {
+      throw new Error('No world data to save');
+    }
+
+    const existing = id ? await this.getWorld(id) : null;
+    const now = Date.now();
+
+    const record = {
+      id: existing ? existing.id : (id || createRecordId()),
+      name: name || existing?.name || getDefaultWorldName(worldData),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      worldData
+    };
+
+    await this.runRequest('readwrite', (store) => store.put(record));
+    return record;
+  }
+
+  /**
+   * Rename a stored world
+   * @param {string} id - World id
+   * @param {string} name - New display name
+   * @returns {Promise<Object>} Updated record
+   */
+  async renameWorld(id, name) {
+    const record = await this.getWorld(id);
+    if (!record) {
+      throw new Error('World not found in library');
+    }
+
+    const updated = { ...record, name: name.trim() || record.name, updatedAt: Date.now() };
+    await this.runRequest('readwrite', (store) => store.put(updated));
+    return updated;
+  }
+
+  /**
+   * Duplicate a stored world under a new id
+   * @param {string} id - World id to copy
+   * @returns {Promise<Object>} The new record
+   */
+  async duplicateWorld(id) {
+    const record = await this.getWorld(id);
+    if (!record) {
+      throw new Error('World not found in library');
+    }
+
+    return this.saveWorld(record.worldData, { name: `${record.name} (copy)` });
+  }
+
+  /**
+   * Delete a stored world and its snapshots
+   * @param {string} id - World id
+   * @returns {Promise<void>}
+   */
+  async deleteWorld(id) {
+    await this.runRequest('readwrite', (store) => store.delete(id));
+    const snapshotIds = await this.runRequest('readonly', (store) => store.index('worldId').getAllKeys(id), SNAPSHOT_STORE_NAME);
+    await Promise.all(snapshotIds.map(snapshotId => this.deleteSnapshot(snapshotId)));
+  }
+
+  /**
+   * List the named snapshots of a world, newest first
+   * @param {string} worldId - World id
+   * @returns {Promise<Object[]>} Snapshot records ({ id, worldId, name, createdAt, worldData })
+   */
+  async listSnapshots(worldId) {
+    const records = await this.runRequest('readonly', (store) => store.index('worldId').getAll(worldId), SNAPSHOT_STORE_NAME);
+    return records.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Store a named copy of a world as it is now
+   * @param {string} worldId - World id the snapshot belongs to
+   * @param {string} name - Snapshot name, such as "before the faction rewrite"
+   * @param {Object} worldData - World data to keep
+   * @returns {Promise<Object>} Saved snapshot record
+   */
+  async saveSnapshot(worldId, name, worldData) {
+    if (!worldData) {
+      throw new Error('No world data to snapshot');
+    }
+
+    const now = Date.now();
+    const record = {
+      id: createRecordId(),
+      worldId,
+      name: name.trim() || `Snapshot of ${new Date(now).toLocaleString()}`,
+      createdAt: now,
+      worldData
+    };
+
+    await this.runRequest('readwrite', (store) => store.put(record), SNAPSHOT_STORE_NAME);
+    return record;
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} id - Snapshot id
+   * @returns {Promise<void>}
+   */
+  async deleteSnapshot(id) {
+    await this.runRequest('readwrite', (store) => store.delete(id), SNAPSHOT_STORE_NAME);
+  }
+}
+
+export default WorldStorage;
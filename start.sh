@@ -16,10 +16,15 @@ if [ ! -f ".env" ]; then
     echo "⚠️  Warning: .env file not found!"
     echo "📋 Please copy .env.example to .env and add your API key"
     echo "   cp .env.example .env"
-    echo "   Then edit .env with your Google Gemini API key"
+    echo "   Then edit .env and set GEMINI_API_KEY to your Google Gemini API key"
     echo ""
 fi
 
+echo "🔐 Starting API proxy on http://localhost:3001..."
+npm run server &
+SERVER_PID=$!
+trap 'kill $SERVER_PID 2>/dev/null' EXIT
+
 echo "🚀 Starting development server..."
 echo "📱 Your app will open at http://localhost:3000"
 echo ""